@@ -0,0 +1,95 @@
+// Host login. The passcode comes from ADMIN_PASSCODE, or is chosen in /admin on first
+// launch and stored (salted + hashed) in the main database. Logging in hands out a
+// random session token; only its hash is stored.
+
+const crypto = require('crypto');
+const { mainDb } = require('./db');
+
+const MIN_PASSCODE_LENGTH = 4;
+const SESSION_DAYS = 30;
+
+function hashPasscode(passcode, salt) {
+  return crypto.scryptSync(String(passcode), salt, 32).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function envPasscode() {
+  return process.env.ADMIN_PASSCODE || '';
+}
+
+function isPasscodeSet() {
+  return !!envPasscode() || !!mainDb.prepare('SELECT 1 FROM admin_auth WHERE id = 1').get();
+}
+
+function checkPasscode(passcode) {
+  if (typeof passcode !== 'string' || !passcode) return false;
+  if (envPasscode()) {
+    return safeEqual(hashPasscode(passcode, 'env'), hashPasscode(envPasscode(), 'env'));
+  }
+  const row = mainDb.prepare('SELECT passcode_hash, salt FROM admin_auth WHERE id = 1').get();
+  return !!row && safeEqual(hashPasscode(passcode, row.salt), row.passcode_hash);
+}
+
+// Returns an error message, or null once the passcode is saved. Saving signs out
+// every existing session.
+function setPasscode(passcode) {
+  if (envPasscode()) return 'The passcode is set by ADMIN_PASSCODE on the server';
+  if (typeof passcode !== 'string' || passcode.trim().length < MIN_PASSCODE_LENGTH) {
+    return `Passcode must be at least ${MIN_PASSCODE_LENGTH} characters`;
+  }
+  const salt = crypto.randomBytes(16).toString('hex');
+  mainDb
+    .prepare(
+      `INSERT INTO admin_auth (id, passcode_hash, salt, created_at) VALUES (1, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET passcode_hash = excluded.passcode_hash, salt = excluded.salt`
+    )
+    .run(hashPasscode(passcode.trim(), salt), salt, new Date().toISOString());
+  mainDb.prepare('DELETE FROM admin_sessions').run();
+  return null;
+}
+
+function createSession() {
+  const token = crypto.randomBytes(24).toString('hex');
+  const now = new Date().toISOString();
+  mainDb
+    .prepare('INSERT INTO admin_sessions (token_hash, created_at, last_used_at) VALUES (?, ?, ?)')
+    .run(hashToken(token), now, now);
+  const cutoff = new Date(Date.now() - SESSION_DAYS * 86400000).toISOString();
+  mainDb.prepare('DELETE FROM admin_sessions WHERE last_used_at < ?').run(cutoff);
+  return token;
+}
+
+function isValidSession(token) {
+  if (typeof token !== 'string' || !token) return false;
+  const row = mainDb
+    .prepare('SELECT last_used_at AS lastUsedAt FROM admin_sessions WHERE token_hash = ?')
+    .get(hashToken(token));
+  if (!row || Date.parse(row.lastUsedAt) < Date.now() - SESSION_DAYS * 86400000) return false;
+  mainDb
+    .prepare('UPDATE admin_sessions SET last_used_at = ? WHERE token_hash = ?')
+    .run(new Date().toISOString(), hashToken(token));
+  return true;
+}
+
+function endSession(token) {
+  if (typeof token !== 'string' || !token) return;
+  mainDb.prepare('DELETE FROM admin_sessions WHERE token_hash = ?').run(hashToken(token));
+}
+
+module.exports = {
+  isPasscodeSet,
+  checkPasscode,
+  setPasscode,
+  createSession,
+  isValidSession,
+  endSession,
+};
@@ -0,0 +1,92 @@
+// Fuzzy grading for typed responses. The host always has the final say; this only
+// pre-fills a verdict, so it leans toward accepting obvious typos and phrasing.
+
+const QUESTION_PREFIX = /^(?:who|what|where|when|which)(?:\s+(?:is|are|was|were)|'s|s)\s+/;
+const LEADING_ARTICLE = /^(?:the|a|an)\s+/;
+const MIN_SIMILARITY = 0.8;
+
+// Lowercase, drop accents/punctuation/leading articles, and collapse whitespace.
+// Responses also lose their "What is ..." phrasing.
+function normalizeAnswer(text, { response = false } = {}) {
+  let s = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[\u2019`]/g, "'")
+    .trim();
+  s = s.replace(/[?!.]+$/, '').trim();
+  if (response) s = s.replace(QUESTION_PREFIX, '');
+  s = s.replace(/[^a-z0-9' ]+/g, ' ').replace(/'/g, '');
+  s = s.replace(/\s+/g, ' ').trim();
+  s = s.replace(LEADING_ARTICLE, '');
+  return s;
+}
+
+// Answers like "Rudolph (the Red-Nosed Reindeer)" or "Santa / Saint Nick" accept
+// any of their parts, as well as the whole thing.
+function answerVariants(answer) {
+  const raw = String(answer || '');
+  const variants = new Set([raw, raw.replace(/\([^)]*\)/g, ' ')]);
+  for (const part of raw.split(/\s*(?:\/|;|\bor\b)\s*/i)) variants.add(part);
+  return [...variants].map(normalizeAnswer).filter(Boolean);
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// 1 = identical, 0 = nothing in common.
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (!longest) return 1;
+  return 1 - levenshtein(a, b) / longest;
+}
+
+// Grade a typed response against the answer and its accepted alternates. Anything close
+// to a "do not accept" entry is wrong unless it is exactly an accepted answer. Returns
+// { correct, score }.
+function gradeAnswer(response, answer, { accepted = [], rejected = [] } = {}) {
+  const given = normalizeAnswer(response, { response: true });
+  const variants = [answer, ...accepted].flatMap(answerVariants);
+  if (!given || !variants.length) return { correct: false, score: 0 };
+  if (variants.includes(given)) return { correct: true, score: 1 };
+  const refused = rejected.map((r) => normalizeAnswer(r)).filter(Boolean);
+  if (refused.some((r) => similarity(given, r) >= 0.9)) return { correct: false, score: 0 };
+
+  let best = 0;
+  for (const expected of variants) {
+    let score = similarity(given, expected);
+    // Two typos are fine once the answer is long enough ("Rudolf" for "Rudolph").
+    if (expected.length >= 6 && levenshtein(given, expected) <= 2) {
+      score = Math.max(score, MIN_SIMILARITY);
+    }
+    // A first or last name alone ("Crosby" for "Bing Crosby"), or the answer with
+    // extra words around it, still counts when whole words match.
+    const padded = ` ${given} `;
+    const paddedExpected = ` ${expected} `;
+    if (
+      given.length >= 4 &&
+      (paddedExpected.startsWith(padded) || paddedExpected.endsWith(padded))
+    ) {
+      score = Math.max(score, 0.9);
+    }
+    if (expected.length >= 4 && padded.includes(paddedExpected)) score = Math.max(score, 0.9);
+    best = Math.max(best, score);
+  }
+  return { correct: best >= MIN_SIMILARITY, score: Math.round(best * 100) / 100 };
+}
+
+module.exports = { normalizeAnswer, gradeAnswer, similarity };
@@ -0,0 +1,117 @@
+// Automatic board building: fill a round's grid from the approved question pool. The
+// fullest categories are picked first, each tile takes a question written for its value
+// when there is one (otherwise one moved up or down its column), authors are spread
+// across the board, and house questions only go where no guest question can.
+
+function categoryKey(category) {
+  return String(category || '').trim().toLowerCase();
+}
+
+function groupByCategory(questions) {
+  const groups = new Map();
+  for (const q of questions) {
+    const key = categoryKey(q.category);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, { name: String(q.category).trim(), questions: [] });
+    groups.get(key).questions.push(q);
+  }
+  return groups;
+}
+
+// How many rungs a question would move to sit on a tile (half a rung when it has no value).
+function rungDistance(values, points, tileIndex) {
+  if (!Number.isFinite(points)) return 0.5;
+  let nearest = 0;
+  values.forEach((v, i) => {
+    if (Math.abs(v - points) < Math.abs(values[nearest] - points)) nearest = i;
+  });
+  return Math.abs(nearest - tileIndex) + (values[nearest] === points ? 0 : 0.5);
+}
+
+// Plan a round's board from the guest `pool` and the `house` questions; `locks` stay where
+// they are. Returns { categories, tiles } with the tiles column by column, each carrying
+// its question and source ('pool', 'house' or null when nothing fits).
+function planBoard({ pool, house = [], values, categoryCount, order = [], locks = [], random = Math.random }) {
+  const ref = (q) => q.id || `${q.pack.key}#${q.pack.position}`;
+  const lockedRefs = new Set(locks.map((l) => ref(l.question)));
+  const guests = groupByCategory(pool.filter((q) => !lockedRefs.has(ref(q))));
+  const houses = groupByCategory(house.filter((q) => !lockedRefs.has(ref(q))));
+
+  // Columns: locked ones, the host's order, then guest categories by how full they'd be,
+  // then house-only ones.
+  const rank = (groups) =>
+    [...groups.entries()]
+      .map(([key, g]) => ({
+        key,
+        name: g.name,
+        fill: Math.min(g.questions.length, values.length),
+        authors: new Set(g.questions.map((q) => q.playerId)).size,
+        tiebreak: random(),
+      }))
+      .sort((a, b) => b.fill - a.fill || b.authors - a.authors || a.tiebreak - b.tiebreak);
+  const categories = [];
+  const taken = new Set();
+  const add = (name) => {
+    const key = categoryKey(name);
+    if (!key || taken.has(key)) return;
+    taken.add(key);
+    categories.push(name.trim());
+  };
+  locks.forEach((l) => add(l.category));
+  order.filter((name) => guests.has(categoryKey(name)) || houses.has(categoryKey(name))).forEach(add);
+  rank(guests).forEach((c) => add(c.name));
+  rank(houses).forEach((c) => add(c.name));
+  // Locked columns come first, so they always stay.
+  const lockedColumns = new Set(locks.map((l) => categoryKey(l.category))).size;
+  const shown = categories.slice(0, Math.max(categoryCount, lockedColumns));
+
+  const tiles = shown.flatMap((category) =>
+    values.map((points, index) => ({ category, points, index, source: null, locked: false, question: null }))
+  );
+  const tileAt = new Map(tiles.map((t) => [`${categoryKey(t.category)}|${t.points}`, t]));
+  const authorUses = new Map();
+  const used = new Set();
+  const place = (tile, question, source, locked = false) => {
+    Object.assign(tile, { question, source, locked });
+    used.add(ref(question));
+    if (source === 'pool') authorUses.set(question.playerId, (authorUses.get(question.playerId) || 0) + 1);
+  };
+  for (const lock of locks) {
+    const tile = tileAt.get(`${categoryKey(lock.category)}|${lock.points}`);
+    if (tile) place(tile, lock.question, lock.source, true);
+  }
+
+  // Each pass visits the empty tiles in a random order and gives each the cheapest
+  // question left: one whose author is already on the board (or in this column) costs more.
+  const shuffled = (list) =>
+    list
+      .map((item) => ({ item, r: random() }))
+      .sort((a, b) => a.r - b.r)
+      .map(({ item }) => item);
+  const fill = (groups, source, { exact }) => {
+    for (const tile of shuffled(tiles.filter((t) => !t.question))) {
+      const key = categoryKey(tile.category);
+      const column = new Set(
+        tiles.filter((t) => categoryKey(t.category) === key && t.question).map((t) => t.question.playerId)
+      );
+      let best = null;
+      let bestCost = Infinity;
+      for (const q of groups.get(key)?.questions || []) {
+        if (used.has(ref(q)) || (exact && q.points !== tile.points)) continue;
+        const spread =
+          source === 'pool' ? (authorUses.get(q.playerId) || 0) * 2 + (column.has(q.playerId) ? 3 : 0) : 0;
+        const cost = (exact ? 0 : rungDistance(values, q.points, tile.index) * 2) + spread + random();
+        if (cost < bestCost) [best, bestCost] = [q, cost];
+      }
+      if (best) place(tile, best, source);
+    }
+  };
+  fill(guests, 'pool', { exact: true });
+  fill(guests, 'pool', { exact: false });
+  fill(houses, 'house', { exact: true });
+  fill(houses, 'house', { exact: false });
+
+  return { categories: shown, tiles: tiles.map(({ index: _index, ...t }) => t) };
+}
+
+module.exports = { planBoard };
@@ -0,0 +1,202 @@
+// Structured history of every clue played: the tile, who picked it, each buzz (with its
+// reaction time from the end of reading), each judgment with its score change, and how
+// the clue ended. Events only keep a pruned free-text trail; these rows are kept.
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./db');
+
+function openPlayId() {
+  const row = db
+    .prepare('SELECT id FROM clue_plays WHERE closed_at IS NULL ORDER BY opened_at DESC LIMIT 1')
+    .get();
+  return row ? row.id : null;
+}
+
+// Start recording a clue. A play left open (the board was reset, the host forced another
+// pick, the game ended) is closed as abandoned.
+function openCluePlay({
+  roundId = null,
+  questionId = null,
+  category = null,
+  points = null,
+  clueText = null,
+  answer = null,
+  placeholder = false,
+  dailyDouble = false,
+  pickedBy = null,
+  readingEndedAt = null,
+}) {
+  const now = new Date().toISOString();
+  db.prepare(
+    `UPDATE clue_plays SET closed_at = ?, result = 'abandoned' WHERE closed_at IS NULL`
+  ).run(now);
+  const id = uuidv4();
+  db.prepare(
+    `INSERT INTO clue_plays (id, round_id, question_id, category, points, clue_text, answer,
+       placeholder, daily_double, picked_by, opened_at, reading_ended_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    id,
+    roundId,
+    questionId,
+    category,
+    Number.isFinite(points) ? points : null,
+    clueText,
+    answer,
+    placeholder ? 1 : 0,
+    dailyDouble ? 1 : 0,
+    pickedBy,
+    now,
+    readingEndedAt
+  );
+  return id;
+}
+
+// Reaction times count from the first time reading ends, so re-reads don't reset them.
+function markReadingDone(at = new Date().toISOString()) {
+  const id = openPlayId();
+  if (!id) return;
+  db.prepare(
+    'UPDATE clue_plays SET reading_ended_at = ? WHERE id = ? AND reading_ended_at IS NULL'
+  ).run(at, id);
+}
+
+function recordBuzz(playerId, { pressTime, early = false }) {
+  const play = db
+    .prepare(
+      `SELECT id, reading_ended_at AS readingEndedAt FROM clue_plays
+       WHERE closed_at IS NULL ORDER BY opened_at DESC LIMIT 1`
+    )
+    .get();
+  if (!play) return;
+  const readAt = Date.parse(play.readingEndedAt || '');
+  const reactionMs =
+    !early && Number.isFinite(readAt) ? Math.max(0, Date.parse(pressTime) - readAt) : null;
+  db.prepare(
+    `INSERT INTO clue_play_buzzes (id, play_id, player_id, pressed_at, reaction_ms, early, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).run(uuidv4(), play.id, playerId, pressTime, reactionMs, early ? 1 : 0, new Date().toISOString());
+}
+
+function recordJudgment(playerId, { correct, scoreDelta = 0, teamId = null }) {
+  const id = openPlayId();
+  if (!id) return;
+  db.prepare(
+    `INSERT INTO clue_play_judgments (id, play_id, player_id, team_id, correct, score_delta, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).run(uuidv4(), id, playerId, teamId, correct ? 1 : 0, Math.trunc(scoreDelta) || 0, new Date().toISOString());
+}
+
+// result: correct | stumped | timed_out | skipped. A clue that timed out or was skipped
+// after wrong answers counts as stumped.
+function closeCluePlay(result, winnerPlayerId = null) {
+  const id = openPlayId();
+  if (!id) return;
+  let final = result;
+  if (result === 'timed_out' || result === 'skipped') {
+    const judged = db.prepare('SELECT 1 FROM clue_play_judgments WHERE play_id = ?').get(id);
+    if (judged) final = 'stumped';
+  }
+  db.prepare(
+    'UPDATE clue_plays SET closed_at = ?, result = ?, winner_player_id = ? WHERE id = ?'
+  ).run(new Date().toISOString(), final, winnerPlayerId, id);
+}
+
+// Newest plays first, each with its buzzes (in press order) and judgments.
+function listCluePlays(limit = 50) {
+  const lim = Math.max(1, Math.min(500, Number(limit) || 50));
+  const plays = db
+    .prepare(
+      `SELECT c.id, c.round_id AS roundId, c.question_id AS questionId, c.category, c.points,
+              c.clue_text AS clueText, c.answer, c.placeholder, c.daily_double AS dailyDouble,
+              c.picked_by AS pickedBy, picker.name AS pickedByName,
+              c.opened_at AS openedAt, c.reading_ended_at AS readingEndedAt,
+              c.closed_at AS closedAt, c.result,
+              c.winner_player_id AS winnerPlayerId, winner.name AS winnerName
+       FROM clue_plays c
+       LEFT JOIN players picker ON picker.id = c.picked_by
+       LEFT JOIN players winner ON winner.id = c.winner_player_id
+       ORDER BY c.opened_at DESC
+       LIMIT ?`
+    )
+    .all(lim);
+  const buzzes = db.prepare(
+    `SELECT b.player_id AS playerId, p.name AS playerName, b.pressed_at AS pressedAt,
+            b.reaction_ms AS reactionMs, b.early
+     FROM clue_play_buzzes b
+     LEFT JOIN players p ON p.id = b.player_id
+     WHERE b.play_id = ?
+     ORDER BY b.pressed_at ASC`
+  );
+  const judgments = db.prepare(
+    `SELECT j.player_id AS playerId, p.name AS playerName, j.team_id AS teamId,
+            j.correct, j.score_delta AS scoreDelta, j.created_at AS createdAt
+     FROM clue_play_judgments j
+     LEFT JOIN players p ON p.id = j.player_id
+     WHERE j.play_id = ?
+     ORDER BY j.created_at ASC`
+  );
+  return plays.map((play) => ({
+    ...play,
+    placeholder: !!play.placeholder,
+    dailyDouble: !!play.dailyDouble,
+    buzzes: buzzes.all(play.id).map((b) => ({ ...b, early: !!b.early })),
+    judgments: judgments.all(play.id).map((j) => ({ ...j, correct: !!j.correct })),
+  }));
+}
+
+// Totals by result, the clues that stumped everyone (most wrong answers first), and
+// per-player buzz stats ordered by average reaction time.
+function clueStats() {
+  const totals = { plays: 0, correct: 0, stumped: 0, timed_out: 0, skipped: 0, abandoned: 0 };
+  for (const row of db
+    .prepare('SELECT result, COUNT(*) AS n FROM clue_plays WHERE closed_at IS NOT NULL GROUP BY result')
+    .all()) {
+    totals[row.result] = row.n;
+    totals.plays += row.n;
+  }
+
+  const stumpers = db
+    .prepare(
+      `SELECT c.id, c.category, c.points, c.clue_text AS clueText, c.answer, c.result,
+              c.opened_at AS openedAt,
+              (SELECT COUNT(*) FROM clue_play_judgments j WHERE j.play_id = c.id AND j.correct = 0)
+                AS wrongAnswers,
+              (SELECT COUNT(*) FROM clue_play_buzzes b WHERE b.play_id = c.id) AS buzzes
+       FROM clue_plays c
+       WHERE c.result IN ('stumped', 'timed_out')
+       ORDER BY wrongAnswers DESC, buzzes DESC, c.opened_at DESC
+       LIMIT 5`
+    )
+    .all();
+
+  const buzzers = db
+    .prepare(
+      `SELECT p.id AS playerId, p.name AS playerName,
+              COUNT(b.id) AS buzzes,
+              SUM(CASE WHEN b.early = 1 THEN 1 ELSE 0 END) AS earlyBuzzes,
+              CAST(ROUND(AVG(b.reaction_ms)) AS INTEGER) AS avgReactionMs,
+              MIN(b.reaction_ms) AS bestReactionMs,
+              (SELECT COUNT(*) FROM clue_play_judgments j WHERE j.player_id = p.id AND j.correct = 1)
+                AS correct,
+              (SELECT COUNT(*) FROM clue_play_judgments j WHERE j.player_id = p.id AND j.correct = 0)
+                AS wrong
+       FROM clue_play_buzzes b
+       JOIN players p ON p.id = b.player_id
+       GROUP BY p.id
+       ORDER BY avgReactionMs IS NULL, avgReactionMs ASC, buzzes DESC`
+    )
+    .all();
+
+  return { totals, stumpers, buzzers, fastest: buzzers.find((b) => b.avgReactionMs !== null) || null };
+}
+
+module.exports = {
+  openCluePlay,
+  markReadingDone,
+  recordBuzz,
+  recordJudgment,
+  closeCluePlay,
+  listCluePlays,
+  clueStats,
+};
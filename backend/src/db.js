@@ -1,5 +1,7 @@
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const Database = require('better-sqlite3');
 
 const providedPath = process.env.DB_PATH;
@@ -12,205 +14,593 @@ if (dbPath !== ':memory:') {
   }
 }
 
-const db = new Database(dbPath);
-db.pragma('journal_mode = WAL');
+// Every room is its own SQLite file with the full schema below, so players, questions,
+// game state, buzzes, events and scores never mix between rooms. The main file is the
+// room you get without a join code, and it also keeps the room registry.
+function openDatabase(file) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  migrate(db);
+  return db;
+}
 
-db.exec(`
-CREATE TABLE IF NOT EXISTS players (
-  id TEXT PRIMARY KEY,
-  name TEXT NOT NULL,
-  slug TEXT,
-  score INTEGER DEFAULT 0,
-  photo_url TEXT,
-  created_at TEXT NOT NULL
-);
+function migrate(db) {
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS players (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    slug TEXT,
+    score INTEGER DEFAULT 0,
+    photo_url TEXT,
+    created_at TEXT NOT NULL
+  );
 
-CREATE TABLE IF NOT EXISTS questions (
-  id TEXT PRIMARY KEY,
-  player_id TEXT NOT NULL,
-  question_text TEXT NOT NULL,
-  answer TEXT NOT NULL,
-  category TEXT,
-  points INTEGER,
-  selected_for_game INTEGER DEFAULT 0,
-  used_in_game INTEGER DEFAULT 0,
-  created_at TEXT NOT NULL,
-  FOREIGN KEY (player_id) REFERENCES players(id)
-);
+  CREATE TABLE IF NOT EXISTS questions (
+    id TEXT PRIMARY KEY,
+    player_id TEXT NOT NULL,
+    question_text TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    category TEXT,
+    points INTEGER,
+    selected_for_game INTEGER DEFAULT 0,
+    used_in_game INTEGER DEFAULT 0,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (player_id) REFERENCES players(id)
+  );
 
-CREATE TABLE IF NOT EXISTS game_state (
-  id INTEGER PRIMARY KEY CHECK (id = 1),
-  status TEXT DEFAULT 'waiting', -- waiting | active | ended
-  current_question_id TEXT,
-  current_category TEXT,
-  current_points INTEGER,
-  current_is_placeholder INTEGER DEFAULT 0,
-  current_clue_text TEXT,
-  current_answer_text TEXT,
-  turn_player_id TEXT,
-  buzzer_locked INTEGER DEFAULT 0,
-  last_buzz_player_id TEXT,
-  last_buzz_time TEXT
-);
+  CREATE TABLE IF NOT EXISTS game_state (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    status TEXT DEFAULT 'waiting', -- waiting | active | final | ended
+    current_question_id TEXT,
+    current_category TEXT,
+    current_points INTEGER,
+    current_is_placeholder INTEGER DEFAULT 0,
+    current_clue_text TEXT,
+    current_answer_text TEXT,
+    turn_player_id TEXT,
+    buzzer_locked INTEGER DEFAULT 0,
+    last_buzz_player_id TEXT,
+    last_buzz_time TEXT
+  );
 
-CREATE TABLE IF NOT EXISTS events (
-  id TEXT PRIMARY KEY,
-  type TEXT NOT NULL,
-  message TEXT NOT NULL,
-  data_json TEXT,
-  created_at TEXT NOT NULL
-);
+  CREATE TABLE IF NOT EXISTS events (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    message TEXT NOT NULL,
+    data_json TEXT,
+    created_at TEXT NOT NULL
+  );
 
-CREATE TABLE IF NOT EXISTS buzz_queue (
-  id TEXT PRIMARY KEY,
-  player_id TEXT NOT NULL,
-  buzz_time TEXT NOT NULL,
-  created_at TEXT NOT NULL,
-  FOREIGN KEY (player_id) REFERENCES players(id)
-);
+  CREATE TABLE IF NOT EXISTS buzz_queue (
+    id TEXT PRIMARY KEY,
+    player_id TEXT NOT NULL,
+    buzz_time TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (player_id) REFERENCES players(id)
+  );
 
-CREATE TABLE IF NOT EXISTS sfx_files (
-  name TEXT PRIMARY KEY,
-  mime TEXT NOT NULL,
-  data BLOB NOT NULL,
-  updated_at TEXT NOT NULL
-);
+  CREATE TABLE IF NOT EXISTS sfx_files (
+    name TEXT PRIMARY KEY,
+    mime TEXT NOT NULL,
+    data BLOB NOT NULL,
+    updated_at TEXT NOT NULL
+  );
 
-INSERT INTO game_state (id) VALUES (1)
-  ON CONFLICT(id) DO NOTHING;
-`);
+  INSERT INTO game_state (id) VALUES (1)
+    ON CONFLICT(id) DO NOTHING;
+  `);
 
-// Migration: ensure slug column exists on players (and uniqueness enforced via index)
-const playerColumns = db
-  .prepare(`PRAGMA table_info(players)`)
-  .all()
-  .map((c) => c.name);
-if (!playerColumns.includes('slug')) {
-  // SQLite cannot add a UNIQUE column via ALTER; add plain column then create index.
-  db.exec(`ALTER TABLE players ADD COLUMN slug TEXT;`);
-}
-db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_players_slug ON players(slug);`);
+  // Migration: ensure slug column exists on players (and uniqueness enforced via index)
+  const playerColumns = db
+    .prepare(`PRAGMA table_info(players)`)
+    .all()
+    .map((c) => c.name);
+  if (!playerColumns.includes('slug')) {
+    // SQLite cannot add a UNIQUE column via ALTER; add plain column then create index.
+    db.exec(`ALTER TABLE players ADD COLUMN slug TEXT;`);
+  }
+  db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_players_slug ON players(slug);`);
 
-if (!playerColumns.includes('score')) {
-  db.exec(`ALTER TABLE players ADD COLUMN score INTEGER DEFAULT 0;`);
-}
+  if (!playerColumns.includes('score')) {
+    db.exec(`ALTER TABLE players ADD COLUMN score INTEGER DEFAULT 0;`);
+  }
 
-// Migration: ensure used_in_game exists on questions
-const questionColumns = db
-  .prepare(`PRAGMA table_info(questions)`)
-  .all()
-  .map((c) => c.name);
-if (!questionColumns.includes('used_in_game')) {
-  db.exec(`ALTER TABLE questions ADD COLUMN used_in_game INTEGER DEFAULT 0;`);
-}
+  // Migration: ensure used_in_game exists on questions
+  const questionColumns = db
+    .prepare(`PRAGMA table_info(questions)`)
+    .all()
+    .map((c) => c.name);
+  if (!questionColumns.includes('used_in_game')) {
+    db.exec(`ALTER TABLE questions ADD COLUMN used_in_game INTEGER DEFAULT 0;`);
+  }
+  // Migration: accepted alternates / do-not-accept lists (JSON arrays of strings)
+  if (!questionColumns.includes('accepted_answers_json')) {
+    db.exec(`ALTER TABLE questions ADD COLUMN accepted_answers_json TEXT;`);
+  }
+  if (!questionColumns.includes('rejected_answers_json')) {
+    db.exec(`ALTER TABLE questions ADD COLUMN rejected_answers_json TEXT;`);
+  }
+  // Migration: question types (standard | multiple_choice) with stored options
+  if (!questionColumns.includes('type')) {
+    db.exec(`ALTER TABLE questions ADD COLUMN type TEXT DEFAULT 'standard';`);
+  }
+  if (!questionColumns.includes('options_json')) {
+    db.exec(`ALTER TABLE questions ADD COLUMN options_json TEXT;`);
+  }
 
-// Migration: ensure current tile info exists on game_state
-const gameColumns = db
-  .prepare(`PRAGMA table_info(game_state)`)
-  .all()
-  .map((c) => c.name);
-if (!gameColumns.includes('current_category')) {
-  db.exec(`ALTER TABLE game_state ADD COLUMN current_category TEXT;`);
-}
-if (!gameColumns.includes('current_points')) {
-  db.exec(`ALTER TABLE game_state ADD COLUMN current_points INTEGER;`);
-}
-if (!gameColumns.includes('current_is_placeholder')) {
-  db.exec(
-    `ALTER TABLE game_state ADD COLUMN current_is_placeholder INTEGER DEFAULT 0;`
+  // Migration: ensure current tile info exists on game_state
+  const gameColumns = db
+    .prepare(`PRAGMA table_info(game_state)`)
+    .all()
+    .map((c) => c.name);
+  if (!gameColumns.includes('current_category')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN current_category TEXT;`);
+  }
+  if (!gameColumns.includes('current_points')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN current_points INTEGER;`);
+  }
+  if (!gameColumns.includes('current_is_placeholder')) {
+    db.exec(
+      `ALTER TABLE game_state ADD COLUMN current_is_placeholder INTEGER DEFAULT 0;`
+    );
+  }
+  if (!gameColumns.includes('current_clue_text')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN current_clue_text TEXT;`);
+  }
+  if (!gameColumns.includes('current_answer_text')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN current_answer_text TEXT;`);
+  }
+  if (!gameColumns.includes('turn_player_id')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN turn_player_id TEXT;`);
+  }
+
+  // Migration: ensure events table exists (older DBs)
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS events (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    message TEXT NOT NULL,
+    data_json TEXT,
+    created_at TEXT NOT NULL
   );
-}
-if (!gameColumns.includes('current_clue_text')) {
-  db.exec(`ALTER TABLE game_state ADD COLUMN current_clue_text TEXT;`);
-}
-if (!gameColumns.includes('current_answer_text')) {
-  db.exec(`ALTER TABLE game_state ADD COLUMN current_answer_text TEXT;`);
-}
-if (!gameColumns.includes('turn_player_id')) {
-  db.exec(`ALTER TABLE game_state ADD COLUMN turn_player_id TEXT;`);
-}
+  `);
 
-// Migration: ensure events table exists (older DBs)
-db.exec(`
-CREATE TABLE IF NOT EXISTS events (
-  id TEXT PRIMARY KEY,
-  type TEXT NOT NULL,
-  message TEXT NOT NULL,
-  data_json TEXT,
-  created_at TEXT NOT NULL
-);
-`);
+  // Migration: ensure buzz_queue table exists (older DBs)
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS buzz_queue (
+    id TEXT PRIMARY KEY,
+    player_id TEXT NOT NULL,
+    buzz_time TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (player_id) REFERENCES players(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_buzz_queue_time ON buzz_queue(buzz_time);
+  `);
 
-// Migration: ensure buzz_queue table exists (older DBs)
-db.exec(`
-CREATE TABLE IF NOT EXISTS buzz_queue (
-  id TEXT PRIMARY KEY,
-  player_id TEXT NOT NULL,
-  buzz_time TEXT NOT NULL,
-  created_at TEXT NOT NULL,
-  FOREIGN KEY (player_id) REFERENCES players(id)
-);
-CREATE INDEX IF NOT EXISTS idx_buzz_queue_time ON buzz_queue(buzz_time);
-`);
+  // Migration: ensure sfx_files table exists (older DBs)
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS sfx_files (
+    name TEXT PRIMARY KEY,
+    mime TEXT NOT NULL,
+    data BLOB NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  `);
 
-// Migration: ensure sfx_files table exists (older DBs)
-db.exec(`
-CREATE TABLE IF NOT EXISTS sfx_files (
-  name TEXT PRIMARY KEY,
-  mime TEXT NOT NULL,
-  data BLOB NOT NULL,
-  updated_at TEXT NOT NULL
-);
-`);
+  // Migration: ensure game_history table exists
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS game_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    game_number INTEGER NOT NULL UNIQUE,
+    question_set_json TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    completed_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_game_history_number ON game_history(game_number);
+  `);
 
-// Migration: ensure game_history table exists
-db.exec(`
-CREATE TABLE IF NOT EXISTS game_history (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  game_number INTEGER NOT NULL UNIQUE,
-  question_set_json TEXT NOT NULL,
-  created_at TEXT NOT NULL,
-  completed_at TEXT
-);
-CREATE INDEX IF NOT EXISTS idx_game_history_number ON game_history(game_number);
-`);
+  // Migration: ensure question_usage table exists
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS question_usage (
+    question_text TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    category TEXT,
+    points INTEGER,
+    first_used_in_game INTEGER,
+    last_used_in_game INTEGER,
+    use_count INTEGER DEFAULT 1,
+    PRIMARY KEY (question_text, answer, category, points)
+  );
+  CREATE INDEX IF NOT EXISTS idx_question_usage_game ON question_usage(last_used_in_game);
+  `);
 
-// Migration: ensure question_usage table exists
-db.exec(`
-CREATE TABLE IF NOT EXISTS question_usage (
-  question_text TEXT NOT NULL,
-  answer TEXT NOT NULL,
-  category TEXT,
-  points INTEGER,
-  first_used_in_game INTEGER,
-  last_used_in_game INTEGER,
-  use_count INTEGER DEFAULT 1,
-  PRIMARY KEY (question_text, answer, category, points)
-);
-CREATE INDEX IF NOT EXISTS idx_question_usage_game ON question_usage(last_used_in_game);
-`);
+  // Migration: ensure question_audio table exists
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS question_audio (
+    question_id TEXT PRIMARY KEY,
+    audio_data BLOB NOT NULL,
+    mime TEXT NOT NULL DEFAULT 'audio/mpeg',
+    created_at TEXT NOT NULL
+  );
+  `);
 
-// Migration: ensure question_audio table exists
-db.exec(`
-CREATE TABLE IF NOT EXISTS question_audio (
-  question_id TEXT PRIMARY KEY,
-  audio_data BLOB NOT NULL,
-  mime TEXT NOT NULL DEFAULT 'audio/mpeg',
-  created_at TEXT NOT NULL
-);
-`);
+  // Migration: ensure question_reading exists on game_state
+  const gameStateColumns = db
+    .prepare(`PRAGMA table_info(game_state)`)
+    .all()
+    .map((c) => c.name);
+  if (!gameStateColumns.includes('question_reading')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN question_reading INTEGER DEFAULT 0;`);
+  }
+
+  // Migration: Daily Double support (secret tiles + per-clue wager)
+  if (!gameStateColumns.includes('current_is_daily_double')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN current_is_daily_double INTEGER DEFAULT 0;`);
+  }
+  if (!gameStateColumns.includes('daily_double_wager')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN daily_double_wager INTEGER;`);
+  }
+  if (!gameStateColumns.includes('daily_double_max_wager')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN daily_double_max_wager INTEGER;`);
+  }
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS daily_doubles (
+    id TEXT PRIMARY KEY,
+    category TEXT NOT NULL,
+    points INTEGER NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  `);
+
+  // Migration: Final Jeopardy (clue lives on game_state; wagers/responses get their own tables)
+  if (!gameStateColumns.includes('final_stage')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN final_stage TEXT;`); // wagering | answering | judging | done
+  }
+  if (!gameStateColumns.includes('final_category')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN final_category TEXT;`);
+  }
+  if (!gameStateColumns.includes('final_clue_text')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN final_clue_text TEXT;`);
+  }
+  if (!gameStateColumns.includes('final_answer_text')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN final_answer_text TEXT;`);
+  }
+  if (!gameStateColumns.includes('final_reveal_player_id')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN final_reveal_player_id TEXT;`);
+  }
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS final_wagers (
+    player_id TEXT PRIMARY KEY,
+    starting_score INTEGER NOT NULL,
+    wager INTEGER,
+    wagered_at TEXT,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (player_id) REFERENCES players(id)
+  );
 
-// Migration: ensure question_reading exists on game_state
-const gameStateColumns = db
-  .prepare(`PRAGMA table_info(game_state)`)
-  .all()
-  .map((c) => c.name);
-if (!gameStateColumns.includes('question_reading')) {
-  db.exec(`ALTER TABLE game_state ADD COLUMN question_reading INTEGER DEFAULT 0;`);
+  CREATE TABLE IF NOT EXISTS final_responses (
+    player_id TEXT PRIMARY KEY,
+    response TEXT NOT NULL,
+    correct INTEGER,
+    judged_at TEXT,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (player_id) REFERENCES players(id)
+  );
+  `);
+
+  // Migration: multi-round games (each round has its own board and point ladder)
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS rounds (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    kind TEXT NOT NULL DEFAULT 'board', -- board | final
+    values_json TEXT,
+    daily_doubles INTEGER DEFAULT 1,
+    created_at TEXT NOT NULL
+  );
+  `);
+  if (!db.prepare('SELECT COUNT(1) AS c FROM rounds').get().c) {
+    const now = new Date().toISOString();
+    const insertRound = db.prepare(
+      `INSERT INTO rounds (id, position, name, kind, values_json, daily_doubles, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    );
+    insertRound.run('jeopardy', 1, 'Jeopardy!', 'board', '[200,400,600,800,1000]', 1, now);
+    insertRound.run('double-jeopardy', 2, 'Double Jeopardy!', 'board', '[400,800,1200,1600,2000]', 2, now);
+    insertRound.run('final-jeopardy', 3, 'Final Jeopardy!', 'final', null, 0, now);
+  }
+  if (!questionColumns.includes('round_id')) {
+    // NULL means "first board round" so existing questions keep working.
+    db.exec(`ALTER TABLE questions ADD COLUMN round_id TEXT;`);
+  }
+  if (!gameStateColumns.includes('current_round_id')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN current_round_id TEXT;`);
+  }
+  const dailyDoubleColumns = db
+    .prepare(`PRAGMA table_info(daily_doubles)`)
+    .all()
+    .map((c) => c.name);
+  if (!dailyDoubleColumns.includes('round_id')) {
+    db.exec(`ALTER TABLE daily_doubles ADD COLUMN round_id TEXT;`);
+  }
+
+  // Migration: board layout per round (how many categories, and in what order)
+  const roundColumns = db
+    .prepare(`PRAGMA table_info(rounds)`)
+    .all()
+    .map((c) => c.name);
+  if (!roundColumns.includes('category_count')) {
+    // NULL shows every category that has questions.
+    db.exec(`ALTER TABLE rounds ADD COLUMN category_count INTEGER;`);
+  }
+  if (!roundColumns.includes('category_order_json')) {
+    db.exec(`ALTER TABLE rounds ADD COLUMN category_order_json TEXT;`);
+  }
+
+  // Migration: team play (shared team scores, one buzz per team per clue)
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS teams (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    color TEXT,
+    score INTEGER DEFAULT 0,
+    created_at TEXT NOT NULL
+  );
+
+  -- Teams that already buzzed on the current clue; cleared with the buzz queue.
+  CREATE TABLE IF NOT EXISTS team_buzzes (
+    team_id TEXT PRIMARY KEY,
+    player_id TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  `);
+  if (!playerColumns.includes('team_id')) {
+    db.exec(`ALTER TABLE players ADD COLUMN team_id TEXT;`);
+  }
+  if (!gameStateColumns.includes('team_mode')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN team_mode INTEGER DEFAULT 0;`);
+  }
+  const finalWagerColumns = db
+    .prepare(`PRAGMA table_info(final_wagers)`)
+    .all()
+    .map((c) => c.name);
+  if (!finalWagerColumns.includes('team_id')) {
+    // Set when the contestant answers (and wagers) for their team.
+    db.exec(`ALTER TABLE final_wagers ADD COLUMN team_id TEXT;`);
+  }
+
+  // Migration: server-side clue timers (deadlines are ISO timestamps)
+  if (!gameStateColumns.includes('clue_opened_at')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN clue_opened_at TEXT;`);
+  }
+  if (!gameStateColumns.includes('clue_deadline')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN clue_deadline TEXT;`);
+  }
+  if (!gameStateColumns.includes('answer_deadline')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN answer_deadline TEXT;`);
+  }
+  if (!gameStateColumns.includes('clue_seconds')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN clue_seconds INTEGER DEFAULT 10;`);
+  }
+  if (!gameStateColumns.includes('answer_seconds')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN answer_seconds INTEGER DEFAULT 10;`);
+  }
+  if (!gameStateColumns.includes('timeout_action')) {
+    // wrong (lose the clue value) | pass (no penalty) | off (host decides)
+    db.exec(`ALTER TABLE game_state ADD COLUMN timeout_action TEXT DEFAULT 'wrong';`);
+  }
+
+  // Migration: early-buzz lockout (buzzing while the clue is read locks you out briefly)
+  if (!gameStateColumns.includes('early_buzz_lockout_ms')) {
+    // 0 = off: early buzzes are simply rejected.
+    db.exec(`ALTER TABLE game_state ADD COLUMN early_buzz_lockout_ms INTEGER DEFAULT 0;`);
+  }
+  db.exec(`
+  -- Players locked out on the current clue; cleared with the buzz queue.
+  CREATE TABLE IF NOT EXISTS buzz_lockouts (
+    player_id TEXT PRIMARY KEY,
+    locked_until TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  `);
+
+  // Migration: typed-answer mode (players type responses; the server suggests a verdict)
+  if (!gameStateColumns.includes('typed_answers')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN typed_answers INTEGER DEFAULT 0;`);
+  }
+  if (!gameStateColumns.includes('typed_response_id')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN typed_response_id TEXT;`);
+  }
+  if (!gameStateColumns.includes('typed_response')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN typed_response TEXT;`);
+  }
+  if (!gameStateColumns.includes('typed_verdict')) {
+    // Suggested verdict for typed_response: 1 correct, 0 wrong.
+    db.exec(`ALTER TABLE game_state ADD COLUMN typed_verdict INTEGER;`);
+  }
+  db.exec(`
+  -- Every typed response with the server's suggestion and the host's final call.
+  CREATE TABLE IF NOT EXISTS clue_responses (
+    id TEXT PRIMARY KEY,
+    question_id TEXT,
+    category TEXT,
+    points INTEGER,
+    player_id TEXT NOT NULL,
+    response TEXT NOT NULL,
+    suggested_correct INTEGER NOT NULL,
+    match_score REAL,
+    correct INTEGER,
+    judged_at TEXT,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (player_id) REFERENCES players(id)
+  );
+  `);
+
+  // Migration: multiple-choice play (buzz in and pick, or everyone locks in a letter)
+  if (!gameStateColumns.includes('mc_mode')) {
+    // buzz | everyone
+    db.exec(`ALTER TABLE game_state ADD COLUMN mc_mode TEXT DEFAULT 'buzz';`);
+  }
+  if (!gameStateColumns.includes('mc_choice_count')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN mc_choice_count INTEGER DEFAULT 0;`);
+  }
+  db.exec(`
+  -- Everyone-answers choices for the current clue; cleared with the buzz queue.
+  CREATE TABLE IF NOT EXISTS mc_choices (
+    player_id TEXT PRIMARY KEY,
+    choice INTEGER NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  `);
+
+  // Migration: clue attachments (one image, audio clip or short video per question)
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS question_media (
+    question_id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    mime TEXT NOT NULL,
+    data BLOB NOT NULL,
+    bytes INTEGER NOT NULL,
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY (question_id) REFERENCES questions(id)
+  );
+  `);
+
+  // Migration: per-device player tokens (status: active | pending host approval)
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS player_devices (
+    id TEXT PRIMARY KEY,
+    token_hash TEXT NOT NULL UNIQUE,
+    player_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active',
+    created_at TEXT NOT NULL,
+    approved_at TEXT,
+    FOREIGN KEY (player_id) REFERENCES players(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_player_devices_player ON player_devices(player_id);
+  `);
+
+  // Migration: clock-synced buzzing. buzz_time is the press time in server time; the
+  // measured latency and clock offset are kept so the host can see why the order fell out.
+  const buzzQueueColumns = db
+    .prepare(`PRAGMA table_info(buzz_queue)`)
+    .all()
+    .map((c) => c.name);
+  if (!buzzQueueColumns.includes('latency_ms')) {
+    db.exec(`ALTER TABLE buzz_queue ADD COLUMN latency_ms INTEGER;`);
+  }
+  if (!buzzQueueColumns.includes('offset_ms')) {
+    db.exec(`ALTER TABLE buzz_queue ADD COLUMN offset_ms INTEGER;`);
+  }
+  if (!gameStateColumns.includes('last_buzz_press_time')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN last_buzz_press_time TEXT;`);
+  }
+  if (!gameStateColumns.includes('last_buzz_latency_ms')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN last_buzz_latency_ms INTEGER;`);
+  }
+  if (!gameStateColumns.includes('last_buzz_offset_ms')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN last_buzz_offset_ms INTEGER;`);
+  }
+
+  // Migration: per-clue outcome records. Unlike events these are never pruned.
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS clue_plays (
+    id TEXT PRIMARY KEY,
+    round_id TEXT,
+    question_id TEXT,
+    category TEXT,
+    points INTEGER,
+    clue_text TEXT,
+    answer TEXT,
+    placeholder INTEGER DEFAULT 0,
+    daily_double INTEGER DEFAULT 0,
+    picked_by TEXT,
+    opened_at TEXT NOT NULL,
+    reading_ended_at TEXT,
+    closed_at TEXT,
+    -- correct | stumped | timed_out | skipped | abandoned
+    result TEXT,
+    winner_player_id TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_clue_plays_opened ON clue_plays(opened_at);
+  CREATE TABLE IF NOT EXISTS clue_play_buzzes (
+    id TEXT PRIMARY KEY,
+    play_id TEXT NOT NULL,
+    player_id TEXT NOT NULL,
+    pressed_at TEXT NOT NULL,
+    -- From the end of reading to the press; null for early buzzes.
+    reaction_ms INTEGER,
+    early INTEGER DEFAULT 0,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (play_id) REFERENCES clue_plays(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_clue_play_buzzes_play ON clue_play_buzzes(play_id);
+  CREATE TABLE IF NOT EXISTS clue_play_judgments (
+    id TEXT PRIMARY KEY,
+    play_id TEXT NOT NULL,
+    player_id TEXT NOT NULL,
+    team_id TEXT,
+    correct INTEGER NOT NULL,
+    score_delta INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (play_id) REFERENCES clue_plays(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_clue_play_judgments_play ON clue_play_judgments(play_id);
+  `);
+
+  // Migration: question edit history (changes_json is { field: { from, to } })
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS question_revisions (
+    id TEXT PRIMARY KEY,
+    question_id TEXT NOT NULL,
+    action TEXT NOT NULL, -- edit | withdraw | review | merge
+    editor TEXT NOT NULL, -- host | submitter
+    player_id TEXT,
+    editor_name TEXT,
+    changes_json TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_question_revisions_question ON question_revisions(question_id);
+  `);
+
+  // Migration: moderation. Player submissions start pending; everything already in the
+  // table (and seeded packs) counts as approved.
+  if (!questionColumns.includes('status')) {
+    // pending | approved | rejected | needs_revision
+    db.exec(`ALTER TABLE questions ADD COLUMN status TEXT DEFAULT 'approved';`);
+  }
+  if (!questionColumns.includes('review_note')) {
+    db.exec(`ALTER TABLE questions ADD COLUMN review_note TEXT;`);
+  }
+  if (!questionColumns.includes('reviewed_at')) {
+    db.exec(`ALTER TABLE questions ADD COLUMN reviewed_at TEXT;`);
+  }
+
+  // Migration: which library packs this game seeds from and fills empty tiles from
+  // (keys into the main database's question_packs; unset means the defaults)
+  if (!gameStateColumns.includes('seed_pack_key')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN seed_pack_key TEXT;`);
+  }
+  if (!gameStateColumns.includes('fill_pack_key')) {
+    db.exec(`ALTER TABLE game_state ADD COLUMN fill_pack_key TEXT;`);
+  }
+
+  // Migration: pairs of questions the host said are not duplicates (question_a < question_b)
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS question_duplicate_dismissals (
+    question_a TEXT NOT NULL,
+    question_b TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (question_a, question_b)
+  );
+  `);
+
+  backfillSlugs(db);
 }
 
 // Backfill slugs for any existing players without one
-function backfillSlugs() {
+function backfillSlugs(db) {
   const slugify = (name) =>
     (name || '')
       .toLowerCase()
@@ -238,25 +628,208 @@ function backfillSlugs() {
   }
 }
 
-backfillSlugs();
+const mainDb = openDatabase(dbPath);
+
+// Migration: rooms with join codes (main database only). db_file is NULL for the main room.
+mainDb.exec(`
+CREATE TABLE IF NOT EXISTS rooms (
+  code TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  db_file TEXT,
+  created_at TEXT NOT NULL
+);
+`);
+
+// Migration: host login (main database only; one passcode and session list for every room)
+mainDb.exec(`
+CREATE TABLE IF NOT EXISTS admin_auth (
+  id INTEGER PRIMARY KEY CHECK (id = 1),
+  passcode_hash TEXT NOT NULL,
+  salt TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  token_hash TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL,
+  last_used_at TEXT NOT NULL
+);
+`);
+
+// Migration: question packs imported from CSV/JSON files (main database only, so every
+// room can seed from them). Questions keep the bundled pack files' shape.
+mainDb.exec(`
+CREATE TABLE IF NOT EXISTS question_packs (
+  key TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  source TEXT NOT NULL, -- bundled | upload | custom
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS question_pack_questions (
+  id TEXT PRIMARY KEY,
+  pack_key TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  category TEXT NOT NULL,
+  points INTEGER NOT NULL,
+  question_text TEXT NOT NULL,
+  answer TEXT NOT NULL,
+  accepted_answers_json TEXT,
+  rejected_answers_json TEXT,
+  type TEXT NOT NULL DEFAULT 'standard',
+  options_json TEXT,
+  FOREIGN KEY (pack_key) REFERENCES question_packs(key)
+);
+CREATE INDEX IF NOT EXISTS idx_question_pack_questions_pack ON question_pack_questions(pack_key);
+`);
+
+// Migration: the pack library. Packs carry descriptive metadata, and the bundled pack
+// files are copied in once (recorded here so a pack the host deletes stays deleted).
+const packColumns = mainDb.prepare('PRAGMA table_info(question_packs)').all().map((c) => c.name);
+for (const column of ['description', 'author', 'year', 'audience', 'updated_at']) {
+  if (!packColumns.includes(column)) {
+    mainDb.exec(`ALTER TABLE question_packs ADD COLUMN ${column} ${column === 'year' ? 'INTEGER' : 'TEXT'};`);
+  }
+}
+mainDb.exec(`
+CREATE TABLE IF NOT EXISTS bundled_pack_imports (
+  key TEXT PRIMARY KEY,
+  imported_at TEXT NOT NULL
+);
+`);
+
+// Migration: clue attachments carried by pack questions (copied to the room's
+// question_media when the pack is seeded)
+mainDb.exec(`
+CREATE TABLE IF NOT EXISTS question_pack_media (
+  question_id TEXT PRIMARY KEY,
+  kind TEXT NOT NULL,
+  mime TEXT NOT NULL,
+  data BLOB NOT NULL,
+  bytes INTEGER NOT NULL,
+  FOREIGN KEY (question_id) REFERENCES question_pack_questions(id)
+);
+`);
+
+// No 0/O or 1/I so codes survive being read off a TV across the room.
+const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 4;
+const roomsDir = dbPath === ':memory:' ? null : path.join(path.dirname(dbPath), 'rooms');
+const roomDatabases = new Map();
+const roomScope = new AsyncLocalStorage();
+
+function normalizeRoomCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function generateRoomCode() {
+  for (;;) {
+    let code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code += ROOM_CODE_LETTERS[crypto.randomInt(ROOM_CODE_LETTERS.length)];
+    }
+    if (!mainDb.prepare('SELECT 1 FROM rooms WHERE code = ?').get(code)) return code;
+  }
+}
+
+function roomFromRow(row) {
+  if (!row) return null;
+  let roomDb = mainDb;
+  if (row.db_file) {
+    roomDb = roomDatabases.get(row.code);
+    if (!roomDb) {
+      if (roomsDir && !fs.existsSync(roomsDir)) fs.mkdirSync(roomsDir, { recursive: true });
+      roomDb = openDatabase(roomsDir ? path.join(roomsDir, row.db_file) : ':memory:');
+      roomDatabases.set(row.code, roomDb);
+    }
+  }
+  return { code: row.code, name: row.name, createdAt: row.created_at, db: roomDb };
+}
+
+if (!mainDb.prepare('SELECT 1 FROM rooms WHERE db_file IS NULL').get()) {
+  mainDb
+    .prepare('INSERT INTO rooms (code, name, db_file, created_at) VALUES (?, ?, NULL, ?)')
+    .run(generateRoomCode(), 'Main room', new Date().toISOString());
+}
+const mainRoom = roomFromRow(mainDb.prepare('SELECT * FROM rooms WHERE db_file IS NULL').get());
+
+function getMainRoom() {
+  return mainRoom;
+}
+
+function findRoom(code) {
+  const normalized = normalizeRoomCode(code);
+  if (!normalized) return null;
+  return roomFromRow(mainDb.prepare('SELECT * FROM rooms WHERE code = ?').get(normalized));
+}
+
+function createRoom(name) {
+  const code = generateRoomCode();
+  mainDb
+    .prepare('INSERT INTO rooms (code, name, db_file, created_at) VALUES (?, ?, ?, ?)')
+    .run(code, name || `Room ${code}`, `${code}.db`, new Date().toISOString());
+  return findRoom(code);
+}
+
+// Requests, socket handlers and timers run inside their room; anything outside one
+// (scripts, tests) uses the main room.
+function runInRoom(room, fn) {
+  return roomScope.run(room, fn);
+}
+
+function currentRoom() {
+  return roomScope.getStore() || mainRoom;
+}
+
+// Stands in for the current room's connection, so queries below (and in server.js)
+// don't need to pass the room around.
+const db = new Proxy(
+  {},
+  {
+    get(_target, prop) {
+      const target = currentRoom().db;
+      const value = target[prop];
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  }
+);
 
 module.exports = {
   db,
+  mainDb,
   getGameState,
   updateGameState,
+  getMainRoom,
+  findRoom,
+  createRoom,
+  runInRoom,
+  currentRoom,
 };
 
+// The Final Jeopardy clue and answer are read separately (see server.js): this row is
+// broadcast to every screen, including player phones.
 function getGameState() {
-  return db
+  const state = db
     .prepare(
       `SELECT id, status, current_question_id, current_category, current_points, current_is_placeholder,
               current_clue_text, current_answer_text,
               turn_player_id,
               buzzer_locked, last_buzz_player_id, last_buzz_time,
-              question_reading
+              last_buzz_press_time, last_buzz_latency_ms, last_buzz_offset_ms,
+              seed_pack_key, fill_pack_key,
+              question_reading,
+              current_is_daily_double, daily_double_wager, daily_double_max_wager,
+              final_stage, final_category, final_reveal_player_id,
+              current_round_id, team_mode,
+              clue_opened_at, clue_deadline, answer_deadline,
+              clue_seconds, answer_seconds, timeout_action,
+              early_buzz_lockout_ms, typed_answers, typed_response_id, typed_response,
+              typed_verdict, mc_mode, mc_choice_count
        FROM game_state WHERE id = 1`
     )
     .get();
+  // Screens count down against server_time so their own clocks don't matter.
+  return { ...state, server_time: new Date().toISOString() };
 }
 
 function updateGameState(patch = {}) {
@@ -270,7 +843,13 @@ function updateGameState(patch = {}) {
 
 module.exports = {
   db,
+  mainDb,
   getGameState,
   updateGameState,
+  getMainRoom,
+  findRoom,
+  createRoom,
+  runInRoom,
+  currentRoom,
 };
 
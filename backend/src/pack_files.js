@@ -0,0 +1,144 @@
+// Reading and writing question pack files. A pack is CSV with a header row, or JSON (a
+// list of questions, or { name, questions }). Column and key names are matched loosely so
+// spreadsheets exported by hand still load; list columns (alternates, options) split on
+// "|" in CSV. Exports are JSON in the versioned pack format below, which reads back in.
+
+const PACK_FORMAT = 'metro-xmas-pack';
+const PACK_FORMAT_VERSION = 1;
+const PACK_META_FIELDS = ['name', 'description', 'author', 'year', 'audience'];
+
+const FIELD_ALIASES = {
+  category: ['category', 'cat'],
+  points: ['points', 'value', 'pts'],
+  questionText: ['questiontext', 'question', 'clue', 'cluetext'],
+  answer: ['answer', 'response'],
+  acceptedAnswers: ['acceptedanswers', 'accepted', 'alternates', 'alsoaccept'],
+  rejectedAnswers: ['rejectedanswers', 'rejected', 'donotaccept'],
+  type: ['type'],
+  options: ['options', 'choices'],
+  media: ['media', 'attachment'],
+};
+const LIST_FIELDS = ['acceptedAnswers', 'rejectedAnswers', 'options'];
+
+function fieldFor(key) {
+  const k = String(key || '').toLowerCase().replace(/[^a-z]/g, '');
+  return Object.keys(FIELD_ALIASES).find((field) => FIELD_ALIASES[field].includes(k)) || null;
+}
+
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && !field) {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function isBlank(cells) {
+  return !cells.some((cell) => cell.trim());
+}
+
+function fromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header || isBlank(header)) return { error: 'The header row is missing' };
+  const fields = header.map(fieldFor);
+  if (!fields.includes('questionText') || !fields.includes('answer')) {
+    return { error: 'The header row needs at least clue and answer columns' };
+  }
+  const records = [];
+  rows.forEach((cells, i) => {
+    if (isBlank(cells)) return;
+    const record = {};
+    fields.forEach((field, col) => {
+      if (!field) return;
+      const cell = (cells[col] || '').trim();
+      record[field] = LIST_FIELDS.includes(field)
+        ? cell.split('|').map((s) => s.trim()).filter(Boolean)
+        : cell;
+    });
+    // Row numbers as a spreadsheet shows them (the header is row 1).
+    records.push({ row: i + 2, fields: record });
+  });
+  return { records };
+}
+
+function fromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+  } catch {
+    return { error: 'The file is not valid JSON' };
+  }
+  if (data?.format === PACK_FORMAT && !(data.version <= PACK_FORMAT_VERSION)) {
+    return { error: `This pack file is version ${data.version}; this server reads up to ${PACK_FORMAT_VERSION}` };
+  }
+  const list = Array.isArray(data) ? data : data?.questions;
+  if (!Array.isArray(list)) return { error: 'Expected a list of questions or { "questions": [...] }' };
+  const meta = {};
+  for (const field of PACK_META_FIELDS) {
+    if (!Array.isArray(data) && data[field] !== undefined) meta[field] = data[field];
+  }
+  return {
+    meta,
+    records: list.map((item, i) => {
+      const record = {};
+      for (const [key, value] of Object.entries(item && typeof item === 'object' ? item : {})) {
+        const field = fieldFor(key);
+        if (field) record[field] = value;
+      }
+      return { row: i + 1, fields: record };
+    }),
+  };
+}
+
+// Parse an uploaded 'csv' or 'json' pack into { records: [{ row, fields }], meta? }, or
+// { error } when the file can't be read at all. Checking the rows is up to the caller.
+function parsePackFile(format, content) {
+  if (typeof content !== 'string' || !content.trim()) return { error: 'The file is empty' };
+  if (format === 'csv') return fromCsv(content);
+  if (format === 'json') return fromJson(content);
+  return { error: 'format must be csv or json' };
+}
+
+// A pack file: pack details, the categories in board order, and the questions (which may
+// carry their `author` and `media`).
+function buildPackFile({ meta, questions }) {
+  const file = { format: PACK_FORMAT, version: PACK_FORMAT_VERSION, exportedAt: new Date().toISOString() };
+  for (const field of PACK_META_FIELDS) file[field] = meta[field] ?? null;
+  file.categories = [...new Set(questions.map((q) => q.category))];
+  file.questions = questions;
+  return file;
+}
+
+module.exports = { PACK_FORMAT, PACK_FORMAT_VERSION, parseCsv, parsePackFile, buildPackFile };
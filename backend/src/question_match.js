@@ -0,0 +1,107 @@
+// Near-duplicate detection for submitted questions. Guests tend to send in the same
+// clue worded differently ("What color is Rudolph's nose?" / "Rudolph's nose is what
+// color?"), so clues are compared as bags of content words, allowing small spelling
+// differences, alongside plain edit distance. Matching answers lower the bar.
+
+const { normalizeAnswer, gradeAnswer, similarity } = require('./answer_match');
+
+const STOPWORDS = new Set(
+  (
+    'a an and are as at be by did do does for from had has have he her his how in is it its ' +
+    'of on or she that the their these this those to was were what when where which who ' +
+    'whom whose why with'
+  ).split(' ')
+);
+// A clue this close is a duplicate whatever the answer; with the same answer, less will do.
+const SAME_CLUE = 0.8;
+const SAME_ANSWER_CLUE = 0.5;
+
+function clueWords(text) {
+  const words = normalizeAnswer(text, { response: true })
+    .split(' ')
+    .filter((w) => w && !STOPWORDS.has(w))
+    .map((w) => (w.length > 3 && w.endsWith('s') ? w.slice(0, -1) : w));
+  return [...new Set(words)];
+}
+
+function sameWord(a, b) {
+  return a === b || (Math.min(a.length, b.length) >= 5 && similarity(a, b) >= 0.8);
+}
+
+// 1 = the same clue, 0 = nothing in common. Word overlap (order-free, typo-tolerant),
+// or edit distance over the whole normalized clue when that is near-identical; short
+// clues share too many letters for a middling edit distance to mean anything.
+function clueSimilarity(a, b) {
+  const wordsA = clueWords(a);
+  const wordsB = clueWords(b);
+  let score = 0;
+  if (wordsA.length && wordsB.length) {
+    const [fewer, more] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+    const shared = fewer.filter((w) => more.some((m) => sameWord(w, m))).length;
+    score = shared / (wordsA.length + wordsB.length - shared);
+  }
+  const textA = normalizeAnswer(a, { response: true });
+  const textB = normalizeAnswer(b, { response: true });
+  // Edit distance can't beat the length ratio, so skip it when that's already too low.
+  if (Math.min(textA.length, textB.length) >= SAME_CLUE * Math.max(textA.length, textB.length)) {
+    const close = similarity(textA, textB);
+    if (close >= SAME_CLUE) score = Math.max(score, close);
+  }
+  return score;
+}
+
+function answersMatch(a, b) {
+  return (
+    gradeAnswer(a.answer, b.answer, { accepted: b.acceptedAnswers || [] }).correct ||
+    gradeAnswer(b.answer, a.answer, { accepted: a.acceptedAnswers || [] }).correct
+  );
+}
+
+// Returns { score, sameAnswer } when two questions look like the same one, otherwise null.
+function duplicateMatch(a, b) {
+  const score = clueSimilarity(a.questionText, b.questionText);
+  if (score < SAME_ANSWER_CLUE) return null;
+  const sameAnswer = answersMatch(a, b);
+  if (score < SAME_CLUE && !sameAnswer) return null;
+  return { score: Math.round(score * 100) / 100, sameAnswer };
+}
+
+// Every question in `pool` that looks like `candidate`, best match first.
+function findDuplicates(candidate, pool) {
+  return pool
+    .filter((q) => q.id !== candidate.id)
+    .map((q) => ({ question: q, match: duplicateMatch(candidate, q) }))
+    .filter(({ match }) => match)
+    .map(({ question, match }) => ({ id: question.id, ...match }))
+    .sort((x, y) => y.score - x.score);
+}
+
+// Group likely duplicates (anything matching any member joins the group) as
+// [{ ids, score }]. `skip(a, b)` leaves a pair unlinked.
+function groupDuplicates(questions, { skip = () => false } = {}) {
+  const parent = questions.map((_, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  const best = new Map();
+  for (let i = 0; i < questions.length; i++) {
+    for (let j = i + 1; j < questions.length; j++) {
+      if (skip(questions[i], questions[j])) continue;
+      const match = duplicateMatch(questions[i], questions[j]);
+      if (!match) continue;
+      const [ri, rj] = [root(i), root(j)];
+      const score = Math.max(match.score, best.get(ri) || 0, best.get(rj) || 0);
+      parent[rj] = ri;
+      best.set(ri, score);
+    }
+  }
+  const groups = new Map();
+  questions.forEach((q, i) => {
+    const r = root(i);
+    if (!groups.has(r)) groups.set(r, []);
+    groups.get(r).push(q.id);
+  });
+  return [...groups.entries()]
+    .filter(([, ids]) => ids.length > 1)
+    .map(([r, ids]) => ({ ids, score: best.get(r) }));
+}
+
+module.exports = { clueSimilarity, duplicateMatch, findDuplicates, groupDuplicates };
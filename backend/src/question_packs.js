@@ -0,0 +1,244 @@
+// The question pack library. Packs live in the main database, so every room can seed
+// from them: the bundled pack files are copied in on first run, and the host adds more
+// by importing files or building them in /admin.
+
+const { v4: uuidv4 } = require('uuid');
+const { mainDb } = require('./db');
+
+const PACK_COLUMNS = `p.key, p.name, p.description, p.author, p.year, p.audience, p.source,
+                      p.created_at AS createdAt, p.updated_at AS updatedAt,
+                      (SELECT COUNT(*) FROM question_pack_questions q WHERE q.pack_key = p.key) AS count`;
+
+const QUESTION_COLUMNS = `q.category, q.points, q.question_text AS questionText, q.answer,
+                          q.accepted_answers_json AS acceptedAnswersJson,
+                          q.rejected_answers_json AS rejectedAnswersJson, q.type,
+                          q.options_json AS optionsJson,
+                          m.kind AS mediaKind, m.mime AS mediaMime, m.bytes AS mediaBytes`;
+const QUESTION_FROM = `question_pack_questions q LEFT JOIN question_pack_media m ON m.question_id = q.id`;
+
+function parseList(json) {
+  try {
+    const list = JSON.parse(json || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function mapQuestion({
+  acceptedAnswersJson,
+  rejectedAnswersJson,
+  optionsJson,
+  mediaKind,
+  mediaMime,
+  mediaBytes,
+  mediaData,
+  ...q
+}) {
+  const media = mediaKind ? { kind: mediaKind, mime: mediaMime, bytes: mediaBytes } : null;
+  if (media && mediaData) media.data = mediaData;
+  return {
+    ...q,
+    acceptedAnswers: parseList(acceptedAnswersJson),
+    rejectedAnswers: parseList(rejectedAnswersJson),
+    options: parseList(optionsJson),
+    media,
+  };
+}
+
+function packExists(key) {
+  return !!mainDb.prepare('SELECT 1 FROM question_packs WHERE key = ?').get(key);
+}
+
+// A slug of the name, with a number added when it's taken.
+function uniquePackKey(name) {
+  const base =
+    String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40) || 'pack';
+  let key = base;
+  for (let n = 2; packExists(key); n++) key = `${base}-${n}`;
+  return key;
+}
+
+function insertQuestions(key, questions) {
+  const insert = mainDb.prepare(
+    `INSERT INTO question_pack_questions (id, pack_key, position, category, points, question_text,
+       answer, accepted_answers_json, rejected_answers_json, type, options_json)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  const insertMedia = mainDb.prepare(
+    'INSERT INTO question_pack_media (question_id, kind, mime, data, bytes) VALUES (?, ?, ?, ?, ?)'
+  );
+  questions.forEach((q, i) => {
+    const id = uuidv4();
+    insert.run(
+      id,
+      key,
+      i,
+      q.category,
+      q.points,
+      q.questionText,
+      q.answer,
+      q.acceptedAnswers?.length ? JSON.stringify(q.acceptedAnswers) : null,
+      q.rejectedAnswers?.length ? JSON.stringify(q.rejectedAnswers) : null,
+      q.type || 'standard',
+      q.options?.length ? JSON.stringify(q.options) : null
+    );
+    if (q.media?.data) insertMedia.run(id, q.media.kind, q.media.mime, q.media.data, q.media.data.length);
+  });
+}
+
+function deleteQuestions(key) {
+  mainDb
+    .prepare(
+      'DELETE FROM question_pack_media WHERE question_id IN (SELECT id FROM question_pack_questions WHERE pack_key = ?)'
+    )
+    .run(key);
+  mainDb.prepare('DELETE FROM question_pack_questions WHERE pack_key = ?').run(key);
+}
+
+// Oldest first, so the bundled packs lead the list.
+function listQuestionPacks() {
+  return mainDb
+    .prepare(`SELECT ${PACK_COLUMNS} FROM question_packs p ORDER BY p.created_at ASC, p.rowid ASC`)
+    .all();
+}
+
+// The pack's questions in the bundled files' shape (null for an unknown pack). withMedia
+// includes the attachments' data.
+function getPackQuestions(key, { withMedia = false } = {}) {
+  if (!key || !packExists(key)) return null;
+  return mainDb
+    .prepare(
+      `SELECT ${QUESTION_COLUMNS}${withMedia ? ', m.data AS mediaData' : ''}
+       FROM ${QUESTION_FROM} WHERE q.pack_key = ? ORDER BY q.position ASC`
+    )
+    .all(key)
+    .map(mapQuestion);
+}
+
+function getQuestionPack(key) {
+  const pack = mainDb.prepare(`SELECT ${PACK_COLUMNS} FROM question_packs p WHERE p.key = ?`).get(key);
+  return pack ? { ...pack, questions: getPackQuestions(key) } : null;
+}
+
+// The first question for a tile in the first of `keys` that has one, or null.
+function findPackQuestion(keys, category, points) {
+  const stmt = mainDb.prepare(
+    `SELECT ${QUESTION_COLUMNS} FROM ${QUESTION_FROM}
+     WHERE q.pack_key = ? AND LOWER(TRIM(q.category)) = ? AND q.points = ?
+     ORDER BY q.position ASC LIMIT 1`
+  );
+  const cat = String(category).trim().toLowerCase();
+  for (const key of keys) {
+    const row = stmt.get(key, cat, points);
+    if (row) return mapQuestion(row);
+  }
+  return null;
+}
+
+// Save a pack and its (already validated) questions in one transaction. `key` is only
+// given for bundled packs; others get one from the name. Returns the pack summary.
+function createQuestionPack({ key = null, meta, source, questions = [] }) {
+  const now = new Date().toISOString();
+  const packKey = mainDb.transaction(() => {
+    const k = key || uniquePackKey(meta.name);
+    mainDb
+      .prepare(
+        `INSERT INTO question_packs (key, name, description, author, year, audience, source,
+           created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        k,
+        meta.name,
+        meta.description ?? null,
+        meta.author ?? null,
+        meta.year ?? null,
+        meta.audience ?? null,
+        source,
+        now,
+        now
+      );
+    insertQuestions(k, questions);
+    return k;
+  })();
+  return listQuestionPacks().find((p) => p.key === packKey);
+}
+
+function clueKey(category, points, questionText) {
+  return `${String(category).trim().toLowerCase()}|${points}|${questionText}`;
+}
+
+// The pack's attachments by tile and clue text.
+function packMediaByClue(key) {
+  const rows = mainDb
+    .prepare(
+      `SELECT q.category, q.points, q.question_text AS questionText, m.kind, m.mime, m.data
+       FROM question_pack_questions q JOIN question_pack_media m ON m.question_id = q.id
+       WHERE q.pack_key = ?`
+    )
+    .all(key);
+  return new Map(rows.map((r) => [clueKey(r.category, r.points, r.questionText), r]));
+}
+
+// Change the fields present in `meta` and, when given, replace the questions. A question
+// whose media is undefined keeps the attachment of the old row with the same tile and
+// clue. Returns the pack summary, or null if it's gone.
+function updateQuestionPack(key, meta, questions) {
+  if (!packExists(key)) return null;
+  mainDb.transaction(() => {
+    const sets = Object.keys(meta).map((k) => `${k} = @${k}`);
+    mainDb
+      .prepare(`UPDATE question_packs SET ${[...sets, 'updated_at = @updated_at'].join(', ')} WHERE key = @key`)
+      .run({ ...meta, updated_at: new Date().toISOString(), key });
+    if (questions) {
+      const kept = packMediaByClue(key);
+      deleteQuestions(key);
+      insertQuestions(
+        key,
+        questions.map((q) =>
+          q.media === undefined
+            ? { ...q, media: kept.get(clueKey(q.category, q.points, q.questionText)) || null }
+            : q
+        )
+      );
+    }
+  })();
+  return listQuestionPacks().find((p) => p.key === key);
+}
+
+function deleteQuestionPack(key) {
+  if (!packExists(key)) return false;
+  mainDb.transaction(() => {
+    deleteQuestions(key);
+    mainDb.prepare('DELETE FROM question_packs WHERE key = ?').run(key);
+  })();
+  return true;
+}
+
+// Copy each bundled pack ({ key, meta, questions }) into the library the first time the
+// server sees it.
+function importBundledPacks(bundles) {
+  for (const bundle of bundles) {
+    if (mainDb.prepare('SELECT 1 FROM bundled_pack_imports WHERE key = ?').get(bundle.key)) continue;
+    if (!packExists(bundle.key)) createQuestionPack({ ...bundle, source: 'bundled' });
+    mainDb
+      .prepare('INSERT INTO bundled_pack_imports (key, imported_at) VALUES (?, ?)')
+      .run(bundle.key, new Date().toISOString());
+  }
+}
+
+module.exports = {
+  listQuestionPacks,
+  getQuestionPack,
+  getPackQuestions,
+  findPackQuestion,
+  createQuestionPack,
+  updateQuestionPack,
+  deleteQuestionPack,
+  importBundledPacks,
+};
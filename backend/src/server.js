@@ -1,9 +1,50 @@
 const express = require('express');
 const cors = require('cors');
 const http = require('http');
+const crypto = require('crypto');
 const { Server: SocketIOServer } = require('socket.io');
 const { v4: uuidv4 } = require('uuid');
-const { db, getGameState, updateGameState } = require('./db');
+const {
+  db,
+  getGameState,
+  updateGameState,
+  getMainRoom,
+  findRoom,
+  createRoom,
+  runInRoom,
+  currentRoom,
+} = require('./db');
+const { gradeAnswer, normalizeAnswer } = require('./answer_match');
+const { findDuplicates, groupDuplicates } = require('./question_match');
+const { planBoard } = require('./board_builder');
+const { parsePackFile, buildPackFile } = require('./pack_files');
+const {
+  listQuestionPacks,
+  getQuestionPack,
+  getPackQuestions,
+  findPackQuestion,
+  createQuestionPack,
+  updateQuestionPack,
+  deleteQuestionPack,
+  importBundledPacks,
+} = require('./question_packs');
+const {
+  isPasscodeSet,
+  checkPasscode,
+  setPasscode,
+  createSession,
+  isValidSession,
+  endSession,
+} = require('./admin_auth');
+const {
+  openCluePlay,
+  markReadingDone,
+  recordBuzz,
+  recordJudgment,
+  closeCluePlay,
+  listCluePlays,
+  clueStats,
+} = require('./clue_plays');
 const defaultQuestions = require('./default_questions.json');
 let holidayPack2025 = null;
 try {
@@ -13,13 +54,113 @@ try {
   holidayPack2025 = null;
 }
 
-const QUESTION_PACKS = {
-  classic: defaultQuestions,
-  holiday2025: Array.isArray(holidayPack2025) ? holidayPack2025 : null,
-};
+// Copied into the pack library the first time the server runs (see importBundledPacks).
+const BUNDLED_PACKS = [
+  {
+    key: 'holiday2025',
+    meta: {
+      name: 'Holiday 2025',
+      description: 'The 2025 party mix: Old Farts, Long Strange Trip, Gaming, Pop Culture and Random Shit.',
+      author: 'House',
+      year: 2025,
+      audience: 'adults',
+    },
+    questions: holidayPack2025,
+  },
+  {
+    key: 'classic',
+    meta: {
+      name: 'Classic',
+      description: "90s movies, Disney & Pixar, TV catchphrases, music, video games and holiday pop culture.",
+      author: 'House',
+      year: null,
+      audience: 'family',
+    },
+    questions: defaultQuestions,
+  },
+].filter((bundle) => Array.isArray(bundle.questions));
+
+// New games seed from this pack unless the host picks another.
+const DEFAULT_SEED_PACK = 'holiday2025';
+
+// Sockets join their room's channel; broadcasts only reach screens in the current room.
+function roomChannel(code) {
+  return `room:${code}`;
+}
+
+// Screens (TV, admin, host) and player phones also get their own channels in the room,
+// because they receive different versions of the questions and game state.
+function getIo(req, role = null) {
+  const io = req.app.get('io');
+  if (!io) return null;
+  const channel = roomChannel(currentRoom().code);
+  return io.to(role ? `${channel}:${role}` : channel);
+}
+
+function clientRole(value) {
+  return value === 'screen' ? 'screen' : 'player';
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : '';
+}
+
+// Until a passcode is set (first launch) the host pages stay open so one can be chosen.
+function isAdminToken(token) {
+  return !isPasscodeSet() || isValidSession(token);
+}
+
+function isAdmin(req) {
+  return isAdminToken(bearerToken(req));
+}
+
+// An actual host login; open first-launch mode doesn't count.
+function isHostSession(token) {
+  return isPasscodeSet() && isValidSession(token);
+}
+
+function requireAdmin(req, res, next) {
+  if (isAdmin(req)) return next();
+  logEvent(req, 'admin_denied', `Blocked ${req.method} ${req.originalUrl.split('?')[0]} (host login required)`, {
+    ip: req.ip,
+  });
+  res.status(401).json({ error: 'Host login required' });
+}
+
+// Asking for the screen view only works with a host login, even before a passcode is set.
+function requestRole(req) {
+  return clientRole(req.get('x-client-role')) === 'screen' && isHostSession(bearerToken(req))
+    ? 'screen'
+    : 'player';
+}
+
+// A request-shaped view of a socket message, so socket handlers run the same checks as
+// the REST routes: host login from the handshake, device token from the message.
+function socketRequest(socket, { deviceToken } = {}) {
+  const { role, adminToken } = socket.handshake.auth || {};
+  const headers = {
+    authorization: adminToken ? `Bearer ${adminToken}` : '',
+    'x-client-role': role || '',
+    'x-player-token': typeof deviceToken === 'string' ? deviceToken : '',
+  };
+  return { app, ip: socket.handshake.address, get: (name) => headers[name.toLowerCase()] || '' };
+}
+
+// Screens keep their role only as long as their host login: after a logout or a passcode
+// change they are told so and disconnected, in every room (the page reloads to log in).
+function dropRevokedScreens() {
+  const io = app.get('io');
+  if (!io) return;
+  for (const socket of io.of('/').sockets.values()) {
+    if (socket.data.role !== 'screen' || isHostSession(socket.handshake.auth?.adminToken)) continue;
+    socket.emit('auth:revoked');
+    socket.disconnect(true);
+  }
+}
 
-function getIo(req) {
-  return req.app.get('io') || null;
+function publicRoom(room) {
+  return { code: room.code, name: room.name, createdAt: room.createdAt };
 }
 
 function emit(io, event, payload) {
@@ -27,10 +168,22 @@ function emit(io, event, payload) {
   io.emit(event, payload);
 }
 
+function emitQuestions(req) {
+  const questions = listQuestions();
+  emit(getIo(req, 'screen'), 'questions:updated', questions);
+  emit(getIo(req, 'player'), 'questions:updated', playerQuestions(questions));
+}
+
+function emitGameState(req, state) {
+  emit(getIo(req, 'screen'), 'game:state', state);
+  emit(getIo(req, 'player'), 'game:state', playerGameState(state));
+}
+
 function listBuzzQueue() {
   return db
     .prepare(
       `SELECT b.id, b.player_id AS playerId, b.buzz_time AS buzzTime,
+              b.latency_ms AS latencyMs, b.offset_ms AS offsetMs,
               p.name AS playerName, p.slug AS playerSlug,
               CASE WHEN p.photo_url IS NULL OR p.photo_url = '' THEN 0 ELSE 1 END AS hasPhoto
        FROM buzz_queue b
@@ -46,25 +199,60 @@ function emitBuzzQueue(req) {
 
 function clearBuzzQueue() {
   db.prepare('DELETE FROM buzz_queue').run();
+  db.prepare('DELETE FROM team_buzzes').run();
+  db.prepare('DELETE FROM buzz_lockouts').run();
+  db.prepare('DELETE FROM mc_choices').run();
+}
+
+// Milliseconds left on a player's early-buzz lockout for this clue (0 if none).
+function lockoutRemainingMs(playerId) {
+  const row = db
+    .prepare('SELECT locked_until AS lockedUntil FROM buzz_lockouts WHERE player_id = ?')
+    .get(playerId);
+  if (!row) return 0;
+  return Math.max(0, Date.parse(row.lockedUntil) - Date.now());
+}
+
+// Phones sync their clock over the socket ('clock:sync') and send the tap time with the
+// buzz, so a slow connection doesn't cost anyone the clue. A press may count as at most
+// BUZZ_FAIRNESS_MS earlier than it arrived; a bad clock (or a fib) can't jump further.
+const BUZZ_FAIRNESS_MS = 300;
+
+// { pressTime, latencyMs, offsetMs } for a buzz that arrived at `arrivedMs`. Without sync
+// data (REST-only clients) the press time is the arrival time.
+function buzzPress(body, arrivedMs) {
+  const pressedAt = Number(body?.pressedAt);
+  const offsetMs = Number(body?.clockOffsetMs);
+  if (!Number.isFinite(pressedAt) || !Number.isFinite(offsetMs)) {
+    return { pressTime: new Date(arrivedMs).toISOString(), latencyMs: null, offsetMs: null };
+  }
+  const corrected = Math.round(pressedAt + offsetMs);
+  const pressMs = Math.min(arrivedMs, Math.max(arrivedMs - BUZZ_FAIRNESS_MS, corrected));
+  return {
+    pressTime: new Date(pressMs).toISOString(),
+    latencyMs: arrivedMs - corrected,
+    offsetMs: Math.round(offsetMs),
+  };
 }
 
-function enqueueBuzz(playerId, buzzTime) {
+function enqueueBuzz(playerId, press) {
   const exists = db
     .prepare('SELECT 1 FROM buzz_queue WHERE player_id = ?')
     .get(playerId);
   if (exists) return { queued: false, reason: 'already_queued' };
 
   db.prepare(
-    `INSERT INTO buzz_queue (id, player_id, buzz_time, created_at)
-     VALUES (?, ?, ?, ?)`
-  ).run(uuidv4(), playerId, buzzTime, new Date().toISOString());
+    `INSERT INTO buzz_queue (id, player_id, buzz_time, latency_ms, offset_ms, created_at)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  ).run(uuidv4(), playerId, press.pressTime, press.latencyMs, press.offsetMs, new Date().toISOString());
   return { queued: true };
 }
 
 function dequeueNextBuzz() {
   const next = db
     .prepare(
-      `SELECT id, player_id AS playerId, buzz_time AS buzzTime
+      `SELECT id, player_id AS playerId, buzz_time AS buzzTime,
+              latency_ms AS latencyMs, offset_ms AS offsetMs
        FROM buzz_queue
        ORDER BY buzz_time ASC
        LIMIT 1`
@@ -78,7 +266,7 @@ function dequeueNextBuzz() {
 function listPlayers() {
   return db
     .prepare(
-      `SELECT id, name, slug, score,
+      `SELECT id, name, slug, score, team_id AS teamId,
               CASE WHEN photo_url IS NULL OR photo_url = '' THEN 0 ELSE 1 END AS hasPhoto,
               created_at AS createdAt
        FROM players ORDER BY created_at DESC`
@@ -86,19 +274,655 @@ function listPlayers() {
     .all();
 }
 
+const TEAM_COLORS = ['#e53935', '#1e88e5', '#43a047', '#fdd835', '#8e24aa', '#fb8c00'];
+
+function listTeams() {
+  const teams = db
+    .prepare(
+      `SELECT id, name, color, score, created_at AS createdAt
+       FROM teams ORDER BY created_at ASC`
+    )
+    .all();
+  const members = db
+    .prepare(
+      `SELECT id, name, slug, team_id AS teamId,
+              CASE WHEN photo_url IS NULL OR photo_url = '' THEN 0 ELSE 1 END AS hasPhoto
+       FROM players WHERE team_id IS NOT NULL ORDER BY created_at ASC`
+    )
+    .all();
+  return teams.map((t) => ({
+    ...t,
+    members: members.filter((m) => m.teamId === t.id).map(({ teamId, ...m }) => m),
+  }));
+}
+
+function emitTeams(req) {
+  emit(getIo(req), 'teams:updated', listTeams());
+}
+
+function normalizeTeamColor(color) {
+  const c = String(color || '').trim();
+  return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(c) ? c.toLowerCase() : null;
+}
+
+// In team mode a player's points belong to their team; players without a team score alone.
+function scoringTeamId(playerId, state = getGameState()) {
+  if (!state.team_mode) return null;
+  const row = db
+    .prepare('SELECT t.id FROM players p JOIN teams t ON t.id = p.team_id WHERE p.id = ?')
+    .get(playerId);
+  return row ? row.id : null;
+}
+
+function scoreFor(playerId) {
+  const teamId = scoringTeamId(playerId);
+  const row = teamId
+    ? db.prepare('SELECT score FROM teams WHERE id = ?').get(teamId)
+    : db.prepare('SELECT score FROM players WHERE id = ?').get(playerId);
+  return row?.score || 0;
+}
+
+function addScore(playerId, delta) {
+  const teamId = scoringTeamId(playerId);
+  if (teamId) {
+    db.prepare('UPDATE teams SET score = score + ? WHERE id = ?').run(delta, teamId);
+  } else {
+    db.prepare('UPDATE players SET score = score + ? WHERE id = ?').run(delta, playerId);
+  }
+  return teamId;
+}
+
+const MAX_ANSWER_LIST = 20;
+
+// Alternates arrive as an array (or one per line); blanks and repeats are dropped.
+// Returns null when the input isn't a list.
+function normalizeAnswerList(value) {
+  if (value === null || value === undefined) return [];
+  const items = typeof value === 'string' ? value.split('\n') : value;
+  if (!Array.isArray(items)) return null;
+  const out = [];
+  for (const item of items) {
+    if (typeof item !== 'string') return null;
+    const text = item.trim().slice(0, 200);
+    if (text && !out.some((o) => o.toLowerCase() === text.toLowerCase())) out.push(text);
+  }
+  return out.slice(0, MAX_ANSWER_LIST);
+}
+
+function parseAnswerList(json) {
+  try {
+    const list = JSON.parse(json || '[]');
+    return Array.isArray(list) ? list.filter((a) => typeof a === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+function mapQuestionRow(row) {
+  if (!row) return row;
+  const {
+    acceptedAnswersJson,
+    rejectedAnswersJson,
+    optionsJson,
+    mediaKind,
+    mediaMime,
+    mediaBytes,
+    mediaUpdatedAt,
+    ...rest
+  } = row;
+  if ('mediaKind' in row) {
+    rest.media = mediaKind
+      ? { kind: mediaKind, mime: mediaMime, bytes: mediaBytes, updatedAt: mediaUpdatedAt }
+      : null;
+  }
+  return {
+    ...rest,
+    type: rest.type || 'standard',
+    options: parseAnswerList(optionsJson),
+    acceptedAnswers: parseAnswerList(acceptedAnswersJson),
+    rejectedAnswers: parseAnswerList(rejectedAnswersJson),
+  };
+}
+
+// Pull both lists out of a request body as column values ready to store.
+// Returns { error } when either list is malformed; absent lists are left out.
+function answerListUpdates({ acceptedAnswers, rejectedAnswers }) {
+  const updates = {};
+  for (const [column, value] of [
+    ['accepted_answers_json', acceptedAnswers],
+    ['rejected_answers_json', rejectedAnswers],
+  ]) {
+    if (value === undefined) continue;
+    const list = normalizeAnswerList(value);
+    if (!list) return { error: 'acceptedAnswers and rejectedAnswers must be lists of strings' };
+    updates[column] = list.length ? JSON.stringify(list) : null;
+  }
+  return { updates };
+}
+
+const QUESTION_TYPES = ['standard', 'multiple_choice'];
+const MC_MODES = ['buzz', 'everyone'];
+const OPTION_LETTERS = 'ABCDEF';
+
+// Multiple-choice questions need 2-6 distinct options, one of which is the answer.
+// Returns { updates } with the type/options columns (empty when neither was sent),
+// or { error }.
+function questionTypeUpdates({ type, options }, answer) {
+  if (type === undefined && options === undefined) return { updates: {} };
+  const t = type || 'standard';
+  if (!QUESTION_TYPES.includes(t)) {
+    return { error: `type must be one of: ${QUESTION_TYPES.join(', ')}` };
+  }
+  if (t === 'standard') return { updates: { type: t, options_json: null } };
+  const list = normalizeAnswerList(options);
+  if (!list || list.length < 2 || list.length > OPTION_LETTERS.length) {
+    return { error: 'Multiple-choice questions need 2-6 options' };
+  }
+  const expected = String(answer || '').trim().toLowerCase();
+  if (!list.some((o) => o.toLowerCase() === expected)) {
+    return { error: 'The answer must be one of the options' };
+  }
+  return { updates: { type: t, options_json: JSON.stringify(list) } };
+}
+
+// Question fields the host and submitters can edit, by request field name.
+const QUESTION_EDIT_COLUMNS = {
+  questionText: 'question_text',
+  answer: 'answer',
+  category: 'category',
+  points: 'points',
+};
+
+function getQuestionForEdit(id) {
+  return db
+    .prepare(
+      `SELECT id, player_id AS playerId, question_text, answer, category, points, type,
+              options_json AS optionsJson, accepted_answers_json, rejected_answers_json,
+              status, review_note, selected_for_game AS selectedForGame, used_in_game AS usedInGame
+       FROM questions WHERE id = ?`
+    )
+    .get(id);
+}
+
+// Validate an edit to `question` from the given fields (absent ones are left alone).
+// Returns { updates, changes } with only what actually changed, or { error }.
+function questionEdit(question, fields) {
+  const next = {};
+  for (const key of ['questionText', 'answer']) {
+    if (fields[key] === undefined) continue;
+    const text = String(fields[key] ?? '').trim();
+    if (!text) return { error: `${key} cannot be empty` };
+    next[QUESTION_EDIT_COLUMNS[key]] = text;
+  }
+  if (fields.category !== undefined) {
+    next.category = fields.category ? String(fields.category).trim() : null;
+  }
+  if (fields.points !== undefined) {
+    next.points = Number.isFinite(fields.points) ? Math.trunc(fields.points) : null;
+  }
+  // A multiple-choice answer has to stay one of the options.
+  if (next.answer !== undefined && question.type === 'multiple_choice') {
+    const typed = questionTypeUpdates(
+      { type: 'multiple_choice', options: parseAnswerList(question.optionsJson) },
+      next.answer
+    );
+    if (typed.error) return { error: typed.error };
+  }
+
+  const updates = {};
+  const changes = {};
+  for (const [key, column] of Object.entries(QUESTION_EDIT_COLUMNS)) {
+    if (!(column in next) || next[column] === question[column]) continue;
+    updates[column] = next[column];
+    changes[key] = { from: question[column], to: next[column] };
+  }
+  return { updates, changes };
+}
+
+// Turn answerListUpdates() columns into an edit of `question`, keeping only the lists that
+// changed. Revisions show each list joined up, like a merge does.
+function answerListEdit(question, lists) {
+  const updates = {};
+  const changes = {};
+  for (const [key, column] of [
+    ['acceptedAnswers', 'accepted_answers_json'],
+    ['rejectedAnswers', 'rejected_answers_json'],
+  ]) {
+    if (!(column in lists) || lists[column] === question[column]) continue;
+    updates[column] = lists[column];
+    changes[key] = {
+      from: parseAnswerList(question[column]).join(', ') || null,
+      to: parseAnswerList(lists[column]).join(', ') || null,
+    };
+  }
+  return { updates, changes };
+}
+
+// Revision changes for questionTypeUpdates() columns, with options joined up like the
+// answer lists.
+function questionTypeChanges(question, typed) {
+  const changes = {};
+  const type = question.type || 'standard';
+  if ('type' in typed && typed.type !== type) changes.type = { from: type, to: typed.type };
+  if ('options_json' in typed && typed.options_json !== question.optionsJson) {
+    changes.options = {
+      from: parseAnswerList(question.optionsJson).join(', ') || null,
+      to: parseAnswerList(typed.options_json).join(', ') || null,
+    };
+  }
+  return changes;
+}
+
+// An edited submission goes back to the host for another look.
+function resubmitEdit(question, edit) {
+  if (question.status === 'pending') return;
+  Object.assign(edit.updates, { status: 'pending', review_note: null, reviewed_at: null });
+  if (!question.usedInGame) edit.updates.selected_for_game = 0;
+  edit.changes.status = { from: question.status, to: 'pending' };
+}
+
+// Moderation: player submissions start pending. Only approved questions go on the board;
+// rejected ones and ones sent back for revision carry the host's reason.
+const QUESTION_STATUSES = ['pending', 'approved', 'rejected', 'needs_revision'];
+const REVIEW_NOTE_MAX = 500;
+
+// Move a question to `status` and record the review. Leaving "approved" also takes it off
+// the board (unless it has already been played).
+function setQuestionStatus(req, question, status, reviewNote, attribution) {
+  const note = reviewNote ? String(reviewNote).trim().slice(0, REVIEW_NOTE_MAX) : null;
+  const deselect = status !== 'approved' && !question.usedInGame;
+  db.prepare(
+    `UPDATE questions SET status = ?, review_note = ?, reviewed_at = ?,
+       selected_for_game = CASE WHEN ? THEN 0 ELSE selected_for_game END
+     WHERE id = ?`
+  ).run(status, note, new Date().toISOString(), deselect ? 1 : 0, question.id);
+  const changes = { status: { from: question.status, to: status } };
+  if ((question.review_note || null) !== note) changes.reviewNote = { from: question.review_note, to: note };
+  recordQuestionRevision(question.id, { ...attribution, action: 'review', changes });
+  logEvent(req, 'question_reviewed', `${attribution.editorName} marked a question ${status.replace('_', ' ')}`, {
+    questionId: question.id,
+    status,
+  });
+}
+
+// Near-duplicates are looked for among everything still in play (rejected questions,
+// including ones merged away, are left out). Pack questions aren't compared with each
+// other, and pairs the host has dismissed stay apart.
+const DUPLICATE_REASON = 'Merged with a similar question';
+
+function duplicatePairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+function listDuplicateGroups() {
+  const questions = listQuestions().filter((q) => q.status !== 'rejected');
+  const dismissed = new Set(
+    db
+      .prepare('SELECT question_a AS a, question_b AS b FROM question_duplicate_dismissals')
+      .all()
+      .map(({ a, b }) => duplicatePairKey(a, b))
+  );
+  const byId = new Map(questions.map((q) => [q.id, q]));
+  return groupDuplicates(questions, {
+    skip: (a, b) =>
+      (a.playerSlug === 'house' && b.playerSlug === 'house') || dismissed.has(duplicatePairKey(a.id, b.id)),
+  }).map(({ ids, score }) => ({
+    score,
+    questions: ids.map((id) => byId.get(id)).sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+  }));
+}
+
+// What the submitting phone is told. Other guests' clues stay hidden, so it only says
+// whose question this resembles.
+function duplicateWarning(duplicates, pool, playerId) {
+  if (!duplicates.length) return null;
+  const owners = new Set(duplicates.map((d) => pool.find((q) => q.id === d.id)?.playerId));
+  if (owners.size === 1 && owners.has(playerId)) {
+    return 'You already sent in a question very like this one.';
+  }
+  return 'Someone already sent in a very similar question. The host may merge them.';
+}
+
+// Fold `merged` into `keep`: their answers become accepted alternates on the kept
+// question, and they are rejected with a reason their submitters can see.
+function mergeDuplicateQuestions(req, keep, merged) {
+  const row = db.prepare('SELECT accepted_answers_json AS json FROM questions WHERE id = ?').get(keep.id);
+  const before = parseAnswerList(row.json);
+  const accepted = [...before];
+  const known = new Set([keep.answer, ...before].map((a) => normalizeAnswer(a)));
+  for (const m of merged) {
+    const other = db.prepare('SELECT accepted_answers_json AS json FROM questions WHERE id = ?').get(m.id);
+    for (const answer of [m.answer, ...parseAnswerList(other.json)]) {
+      const key = normalizeAnswer(answer);
+      if (!key || known.has(key)) continue;
+      known.add(key);
+      accepted.push(answer);
+    }
+  }
+  const host = { editor: 'host', editorName: 'Host' };
+  const changes = { merged: { from: null, to: merged.map((m) => m.question_text).join(' | ') } };
+  if (accepted.length !== before.length) {
+    db.prepare('UPDATE questions SET accepted_answers_json = ? WHERE id = ?').run(
+      JSON.stringify(accepted),
+      keep.id
+    );
+    changes.acceptedAnswers = { from: before.join(', ') || null, to: accepted.join(', ') };
+  }
+  recordQuestionRevision(keep.id, { ...host, action: 'merge', changes });
+  for (const m of merged) setQuestionStatus(req, m, 'rejected', DUPLICATE_REASON, host);
+  logEvent(req, 'questions_merged', `Host merged ${merged.length + 1} similar questions`, {
+    questionId: keep.id,
+    mergedIds: merged.map((m) => m.id),
+  });
+}
+
+// editor is 'host' or 'submitter' (with playerId/editorName).
+function recordQuestionRevision(questionId, { action = 'edit', editor, playerId = null, editorName, changes }) {
+  db.prepare(
+    `INSERT INTO question_revisions (id, question_id, action, editor, player_id, editor_name,
+       changes_json, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    uuidv4(),
+    questionId,
+    action,
+    editor,
+    playerId,
+    editorName || null,
+    JSON.stringify(changes),
+    new Date().toISOString()
+  );
+}
+
+function listQuestionRevisions(questionId) {
+  return db
+    .prepare(
+      `SELECT id, question_id AS questionId, action, editor, player_id AS playerId,
+              editor_name AS editorName, changes_json AS changesJson, created_at AS createdAt
+       FROM question_revisions WHERE question_id = ?
+       ORDER BY created_at DESC, rowid DESC`
+    )
+    .all(questionId)
+    .map(({ changesJson, ...rev }) => ({ ...rev, changes: JSON.parse(changesJson || '{}') }));
+}
+
+// Apply a validated edit, record who made it, and push the new questions out.
+function saveQuestionEdit(req, question, edit, attribution) {
+  const sets = Object.keys(edit.updates).map((k) => `${k}=@${k}`).join(', ');
+  db.prepare(`UPDATE questions SET ${sets} WHERE id = @id`).run({ ...edit.updates, id: question.id });
+  recordQuestionRevision(question.id, { ...attribution, changes: edit.changes });
+  emitQuestions(req);
+  emitBoard(req);
+  logEvent(req, 'question_edited', `${attribution.editorName} edited a ${question.category || 'question'} clue`, {
+    questionId: question.id,
+    fields: Object.keys(edit.changes),
+  });
+  return listQuestions().find((q) => q.id === question.id);
+}
+
+const MAX_PACK_ROWS = 1000;
+
+// Check one row of an uploaded pack. Returns { question, errors, warnings } with the
+// question in the bundled pack files' shape. A row with options but no type is multiple
+// choice. Embedded attachments ({ dataUrl }) come along; referenced ones ({ url }) are
+// left behind with a warning.
+function validatePackRow(fields) {
+  const text = (v) => (typeof v === 'string' || typeof v === 'number' ? String(v).trim() : '');
+  const category = text(fields.category);
+  const questionText = text(fields.questionText);
+  const answer = text(fields.answer);
+  const points = Number(text(fields.points));
+  const errors = [];
+  if (!category) errors.push('Category is missing');
+  if (!Number.isInteger(points) || points <= 0) errors.push('Points must be a whole number above 0');
+  if (!questionText) errors.push('Clue is missing');
+  if (!answer) errors.push('Answer is missing');
+  const accepted = normalizeAnswerList(fields.acceptedAnswers);
+  const rejected = normalizeAnswerList(fields.rejectedAnswers);
+  if (!accepted || !rejected) errors.push('Alternates must be lists of text');
+  const { options } = fields;
+  const type = text(fields.type) || (Array.isArray(options) && options.length ? 'multiple_choice' : undefined);
+  const typed = questionTypeUpdates({ type, options }, answer);
+  if (typed.error) errors.push(typed.error);
+  const warnings = [];
+  let media = null;
+  if (fields.media?.dataUrl) {
+    const decoded = decodeMediaDataUrl(fields.media.dataUrl);
+    if (decoded.error) errors.push(`Attachment: ${decoded.error}`);
+    else media = { kind: decoded.kind, mime: decoded.mime, bytes: decoded.buf.length, data: decoded.buf };
+  } else if (fields.media?.url) {
+    warnings.push('The attachment is only linked, so it was not copied');
+  }
+  return {
+    errors,
+    warnings,
+    question: {
+      category,
+      points,
+      questionText,
+      answer,
+      acceptedAnswers: accepted || [],
+      rejectedAnswers: rejected || [],
+      type: typed.updates?.type || 'standard',
+      options: parseAnswerList(typed.updates?.options_json),
+      media,
+    },
+  };
+}
+
+// Check every row of a pack. Rows that land on a tile an earlier row already took are
+// flagged but still import.
+function checkPackRecords(records) {
+  const tiles = new Map();
+  const rows = records.map(({ row, fields }) => {
+    const { question, errors, warnings } = validatePackRow(fields);
+    if (!errors.length) {
+      const tile = `${question.category.toLowerCase()}|${question.points}`;
+      if (tiles.has(tile)) {
+        warnings.push(`Same tile as row ${tiles.get(tile)} (${question.category} for ${question.points})`);
+      } else {
+        tiles.set(tile, row);
+      }
+    }
+    return { row, question, errors, warnings };
+  });
+  return {
+    total: rows.length,
+    valid: rows.filter((r) => !r.errors.length).length,
+    collisions: rows.filter((r) => r.warnings.length).length,
+    rows,
+  };
+}
+
+// Parse and check an uploaded pack without saving it. Returns { error } when the file
+// itself can't be used.
+function previewPackUpload({ format, content, name }) {
+  const parsed = parsePackFile(format, content);
+  if (parsed.error) return { error: parsed.error };
+  if (!parsed.records.length) return { error: 'The file has no questions' };
+  if (parsed.records.length > MAX_PACK_ROWS) {
+    return { error: `Packs are limited to ${MAX_PACK_ROWS} questions` };
+  }
+  return {
+    name: (typeof name === 'string' && name.trim()) || parsed.meta?.name || '',
+    meta: parsed.meta || {},
+    ...checkPackRecords(parsed.records),
+  };
+}
+
+// Previews go back to the browser without attachment data.
+function publicPreview({ rows, ...preview }) {
+  return {
+    ...preview,
+    rows: rows.map((r) => ({
+      ...r,
+      question: { ...r.question, media: r.question.media && { ...r.question.media, data: undefined } },
+    })),
+  };
+}
+
+// The same check for questions sent as a list (packs built or edited in /admin).
+function previewPackList({ questions, name }) {
+  if (!Array.isArray(questions)) return { error: 'questions must be a list' };
+  if (questions.length > MAX_PACK_ROWS) return { error: `Packs are limited to ${MAX_PACK_ROWS} questions` };
+  return {
+    name: typeof name === 'string' ? name.trim() : '',
+    ...checkPackRecords(
+      questions.map((fields, i) => ({ row: i + 1, fields: fields && typeof fields === 'object' ? fields : {} }))
+    ),
+  };
+}
+
+const PACK_AUDIENCES = ['kids', 'family', 'teens', 'adults'];
+
+// Pack metadata from a request body as column values. Returns { meta } with the fields
+// that were sent, or { error }. New packs must have a name.
+function packMetaUpdates(body, { requireName = false } = {}) {
+  const text = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+  const meta = {};
+  if (body.name !== undefined || requireName) {
+    meta.name = text(body.name, 80);
+    if (!meta.name) return { error: 'Give the pack a name' };
+  }
+  if (body.description !== undefined) meta.description = text(body.description, 500);
+  if (body.author !== undefined) meta.author = text(body.author, 80);
+  if (body.year !== undefined) {
+    const year = body.year === null || body.year === '' ? null : Number(body.year);
+    if (year !== null && (!Number.isInteger(year) || year < 1900 || year > 2100)) {
+      return { error: 'year must be between 1900 and 2100' };
+    }
+    meta.year = year;
+  }
+  if (body.audience !== undefined) {
+    if (body.audience && !PACK_AUDIENCES.includes(body.audience)) {
+      return { error: `audience must be one of: ${PACK_AUDIENCES.join(', ')}` };
+    }
+    meta.audience = body.audience || null;
+  }
+  return { meta };
+}
+
+// Bundled rows that don't pass the checks (none should) are left out rather than
+// stopping the server.
+importBundledPacks(
+  BUNDLED_PACKS.map((bundle) => ({
+    ...bundle,
+    questions: checkPackRecords(bundle.questions.map((fields, i) => ({ row: i + 1, fields })))
+      .rows.filter((r) => !r.errors.length)
+      .map((r) => r.question),
+  }))
+);
+
+// Pack entries may carry alternates and options too; malformed ones are dropped
+// (the question stays standard) rather than failing the seed.
+function packQuestionColumns(q) {
+  const accepted = normalizeAnswerList(q.acceptedAnswers) || [];
+  const rejected = normalizeAnswerList(q.rejectedAnswers) || [];
+  const typed = questionTypeUpdates(q, q.answer);
+  return {
+    accepted_answers_json: accepted.length ? JSON.stringify(accepted) : null,
+    rejected_answers_json: rejected.length ? JSON.stringify(rejected) : null,
+    type: typed.updates?.type || 'standard',
+    options_json: typed.updates?.options_json || null,
+  };
+}
+
+// The current clue's options and correct index, or null when it isn't multiple choice.
+function currentChoices(state) {
+  if (!state.current_question_id) return null;
+  const q = db
+    .prepare('SELECT answer, type, options_json AS optionsJson FROM questions WHERE id = ?')
+    .get(state.current_question_id);
+  if (!q || q.type !== 'multiple_choice') return null;
+  const options = parseAnswerList(q.optionsJson);
+  if (options.length < 2) return null;
+  const answer = String(q.answer || '').trim().toLowerCase();
+  return { options, correctIndex: options.findIndex((o) => o.toLowerCase() === answer) };
+}
+
+// Everyone locks in a letter instead of buzzing (Daily Doubles stay with the picker).
+function everyoneAnswers(state) {
+  return state.mc_mode === 'everyone' && !state.current_is_daily_double && !!currentChoices(state);
+}
+
+// A letter ("b") or a 0-based index; -1 when it doesn't name an option.
+function parseChoice(choice, options) {
+  const index =
+    typeof choice === 'string' ? OPTION_LETTERS.indexOf(choice.trim().toUpperCase()) : choice;
+  return Number.isInteger(index) && index >= 0 && index < options.length ? index : -1;
+}
+
+function choiceLabel(index, options) {
+  return `${OPTION_LETTERS[index]}. ${options[index]}`;
+}
+
 function listQuestions(selected) {
   let query = `SELECT q.id, q.player_id AS playerId, q.question_text AS questionText,
-                      q.answer, q.category, q.points, q.selected_for_game AS selectedForGame,
+                      q.answer, q.type, q.options_json AS optionsJson,
+                      q.accepted_answers_json AS acceptedAnswersJson,
+                      q.rejected_answers_json AS rejectedAnswersJson,
+                      q.category, q.points, q.selected_for_game AS selectedForGame,
                       q.used_in_game AS usedInGame,
+                      ${QUESTION_ROUND_SQL} AS roundId,
+                      q.status, q.review_note AS reviewNote, q.reviewed_at AS reviewedAt,
                       q.created_at AS createdAt,
-                      p.name AS playerName, p.slug AS playerSlug
+                      p.name AS playerName, p.slug AS playerSlug,
+                      m.kind AS mediaKind, m.mime AS mediaMime, m.bytes AS mediaBytes,
+                      m.updated_at AS mediaUpdatedAt
                FROM questions q
-               JOIN players p ON p.id = q.player_id`;
+               JOIN players p ON p.id = q.player_id
+               LEFT JOIN question_media m ON m.question_id = q.id`;
 
   if (selected === true) query += ' WHERE q.selected_for_game = 1';
   if (selected === false) query += ' WHERE q.selected_for_game = 0';
   query += ' ORDER BY q.created_at DESC';
-  return db.prepare(query).all();
+  return db.prepare(query).all().map(mapQuestionRow);
+}
+
+// A clue is shown once it has been played, except a Daily Double still waiting on its wager.
+function clueRevealed(q, state) {
+  const hiddenDailyDouble =
+    q.id === state.current_question_id &&
+    !!state.current_is_daily_double &&
+    state.daily_double_wager == null;
+  return !!q.usedInGame && !hiddenDailyDouble;
+}
+
+// What player phones may see of the board: tile metadata, plus the clue once it has
+// been shown. Answers and the answer lists only go to screens.
+function playerQuestion(q, state) {
+  const revealed = clueRevealed(q, state);
+  return {
+    id: q.id,
+    playerId: q.playerId,
+    playerName: q.playerName,
+    playerSlug: q.playerSlug,
+    category: q.category,
+    points: q.points,
+    roundId: q.roundId,
+    selectedForGame: q.selectedForGame,
+    usedInGame: q.usedInGame,
+    type: q.type,
+    createdAt: q.createdAt,
+    questionText: revealed ? q.questionText : null,
+    options: revealed ? q.options : [],
+    media: revealed ? q.media : null,
+  };
+}
+
+function playerQuestions(questions = listQuestions(), state = getGameState()) {
+  return questions.map((q) => playerQuestion(q, state));
+}
+
+// Placeholder tiles keep their answer on the state row, and the typed-answer verdict
+// is only a suggestion for the host.
+function playerGameState(state) {
+  const { current_answer_text: _answer, typed_verdict: _verdict, ...visible } = state;
+  return visible;
+}
+
+function gameStateFor(req, state) {
+  return requestRole(req) === 'screen' ? state : playerGameState(state);
 }
 
 function listEvents(limit = 100) {
@@ -126,6 +950,58 @@ function listSfxMeta() {
     .all();
 }
 
+const MEDIA_KINDS = ['image', 'audio', 'video'];
+const MAX_MEDIA_BYTES = 8_000_000;
+
+// Check an attachment sent as a data URL. Returns { kind, mime, buf }, or { status, error }.
+function decodeMediaDataUrl(dataUrl) {
+  if (!dataUrl || typeof dataUrl !== 'string') {
+    return { status: 400, error: 'dataUrl is required' };
+  }
+  const m = dataUrl.match(/^data:([^;]+);base64,(.+)$/);
+  if (!m) return { status: 400, error: 'Invalid dataUrl' };
+  const mime = m[1].toLowerCase();
+  const kind = mime.split('/')[0];
+  if (!MEDIA_KINDS.includes(kind)) {
+    return { status: 400, error: 'File must be an image, audio clip or video' };
+  }
+  const buf = Buffer.from(m[2], 'base64');
+  if (!buf.length) return { status: 400, error: 'Invalid base64 data' };
+  if (buf.length > MAX_MEDIA_BYTES) {
+    return { status: 413, error: 'File too large (max ~8MB)' };
+  }
+  return { kind, mime, buf };
+}
+
+function mediaDataUrl(mime, data) {
+  return `data:${mime};base64,${Buffer.from(data).toString('base64')}`;
+}
+
+// Store an uploaded data URL as the question's attachment (replacing any previous one).
+// Returns { status, error } on failure.
+function saveQuestionMedia(questionId, dataUrl) {
+  const decoded = decodeMediaDataUrl(dataUrl);
+  if (decoded.error) return decoded;
+  const { kind, mime, buf } = decoded;
+
+  const updatedAt = new Date().toISOString();
+  db.prepare(
+    `INSERT INTO question_media (question_id, kind, mime, data, bytes, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(question_id) DO UPDATE SET kind=excluded.kind, mime=excluded.mime,
+       data=excluded.data, bytes=excluded.bytes, updated_at=excluded.updated_at`
+  ).run(questionId, kind, mime, buf, buf.length, updatedAt);
+  return { media: { kind, mime, bytes: buf.length, updatedAt } };
+}
+
+// Attachments go with their question. Call this before deleting questions, with the same
+// WHERE clause: the attachment's foreign key would refuse the delete otherwise.
+function deleteQuestionMedia(where = '1', ...params) {
+  db.prepare(`DELETE FROM question_media WHERE question_id IN (SELECT id FROM questions WHERE ${where})`).run(
+    ...params
+  );
+}
+
 function getSfxFile(name) {
   return db
     .prepare('SELECT name, mime, data, updated_at AS updatedAt FROM sfx_files WHERE name = ?')
@@ -165,29 +1041,390 @@ function logEvent(req, type, message, data = null) {
   return evt;
 }
 
+// The game's chosen seed pack, else the default one, else whatever the library has first.
+// Choices pointing at a pack that has since been deleted count as unset.
+function seedPackKey(state = getGameState()) {
+  const library = listQuestionPacks().map((p) => p.key);
+  return [state.seed_pack_key, DEFAULT_SEED_PACK].find((k) => k && library.includes(k)) || library[0] || null;
+}
+
+// Empty tiles come from the game's fill pack; with none chosen, from the seed pack and
+// then the rest of the library in order.
+function fillPackKeys(state = getGameState()) {
+  const library = listQuestionPacks().map((p) => p.key);
+  return library.includes(state.fill_pack_key)
+    ? [state.fill_pack_key]
+    : [...new Set([seedPackKey(state), ...library])].filter(Boolean);
+}
+
 function findDefaultQuestion(category, points) {
   if (!category || !Number.isFinite(points)) return null;
-  const cat = String(category).trim().toLowerCase();
-  const pts = Math.trunc(points);
-  const pool = QUESTION_PACKS.holiday2025 || defaultQuestions;
-  return (
-    pool.find(
-      (q) => String(q.category).trim().toLowerCase() === cat && q.points === pts
-    ) || null
-  );
+  return findPackQuestion(fillPackKeys(), category, Math.trunc(points));
 }
 
-function ensureSystemPlayer() {
-  const slug = 'house';
-  const existing = db
+const DEFAULT_POINT_LADDER = [200, 400, 600, 800, 1000];
+const MAX_BOARD_CATEGORIES = 12;
+
+// Questions without a round belong to the first board round.
+const QUESTION_ROUND_SQL = `COALESCE(q.round_id, (SELECT id FROM rounds WHERE kind = 'board' ORDER BY position ASC LIMIT 1))`;
+
+function parsePointLadder(json) {
+  try {
+    const values = JSON.parse(json || 'null');
+    if (Array.isArray(values) && values.length) return values;
+  } catch {
+    // fall through to the classic ladder
+  }
+  return DEFAULT_POINT_LADDER;
+}
+
+// 1–10 positive whole-number values, or null when invalid.
+function normalizePointLadder(values) {
+  if (!Array.isArray(values) || values.length < 1 || values.length > 10) return null;
+  const out = values.map((v) => Number(v));
+  if (!out.every((v) => Number.isFinite(v) && Math.trunc(v) > 0)) return null;
+  return out.map((v) => Math.trunc(v));
+}
+
+function parseCategoryOrder(json) {
+  try {
+    const order = JSON.parse(json || '[]');
+    return Array.isArray(order) ? order.filter((c) => typeof c === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+// Trimmed, de-duplicated (case-insensitively) category names, or null when invalid.
+function normalizeCategoryOrder(order) {
+  if (!Array.isArray(order)) return null;
+  const seen = new Set();
+  const out = [];
+  for (const c of order) {
+    if (typeof c !== 'string') return null;
+    const name = c.trim();
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    out.push(name);
+  }
+  return out.length > MAX_BOARD_CATEGORIES ? null : out;
+}
+
+function listRounds() {
+  return db
     .prepare(
-      `SELECT id, name, slug, score, photo_url AS photoUrl, created_at AS createdAt
-       FROM players WHERE slug = ?`
+      `SELECT r.id, r.position, r.name, r.kind, r.values_json AS valuesJson,
+              r.daily_doubles AS dailyDoubles, r.category_count AS categoryCount,
+              r.category_order_json AS categoryOrderJson,
+              (SELECT COUNT(1) FROM questions q WHERE ${QUESTION_ROUND_SQL} = r.id) AS questionCount
+       FROM rounds r
+       ORDER BY r.position ASC`
     )
-    .get(slug);
-  if (existing) return existing;
+    .all()
+    .map(({ valuesJson, categoryOrderJson, ...r }) => ({
+      ...r,
+      values: r.kind === 'board' ? parsePointLadder(valuesJson) : [],
+      categoryOrder: parseCategoryOrder(categoryOrderJson),
+    }));
+}
 
-  const player = {
+function getCurrentRound(state = getGameState()) {
+  const rounds = listRounds();
+  return (
+    rounds.find((r) => r.id === state.current_round_id) ||
+    rounds.find((r) => r.kind === 'board') ||
+    null
+  );
+}
+
+function nextRoundAfter(roundId) {
+  const rounds = listRounds();
+  const idx = rounds.findIndex((r) => r.id === roundId);
+  return idx >= 0 ? rounds[idx + 1] || null : null;
+}
+
+function emitRounds(req) {
+  emit(getIo(req), 'rounds:updated', listRounds());
+}
+
+// The grid every screen draws for a round: configured categories first (in order),
+// then the rest of the round's selected categories by size, capped at the category count.
+function getBoardLayout(round = getCurrentRound()) {
+  if (!round || round.kind !== 'board') {
+    return {
+      roundId: round?.id || null,
+      roundName: round?.name || null,
+      values: DEFAULT_POINT_LADDER,
+      categories: [],
+    };
+  }
+
+  const counts = db
+    .prepare(
+      `SELECT TRIM(q.category) AS category, COUNT(1) AS c
+       FROM questions q
+       WHERE q.selected_for_game = 1 AND q.category IS NOT NULL
+         AND TRIM(q.category) NOT IN ('', 'N/A', 'NA')
+         AND q.points IS NOT NULL AND ${QUESTION_ROUND_SQL} = ?
+       GROUP BY TRIM(q.category)
+       ORDER BY c DESC, category ASC`
+    )
+    .all(round.id);
+
+  const categories = [...round.categoryOrder];
+  const taken = new Set(categories.map((c) => c.toLowerCase()));
+  for (const { category } of counts) {
+    if (!taken.has(category.toLowerCase())) categories.push(category);
+    taken.add(category.toLowerCase());
+  }
+
+  return {
+    roundId: round.id,
+    roundName: round.name,
+    values: round.values,
+    categories: round.categoryCount ? categories.slice(0, round.categoryCount) : categories,
+  };
+}
+
+function emitBoard(req) {
+  emit(getIo(req), 'board:layout', getBoardLayout());
+}
+
+const DAILY_DOUBLE_MIN_WAGER = 5;
+
+// Secretly pick the Daily Double tiles for a round's board. Only the server knows
+// where they are until one is selected.
+function designateDailyDoubles(round, count = 1) {
+  if (!round) return [];
+  db.prepare('DELETE FROM daily_doubles WHERE round_id IS ?').run(round.id);
+  const n = Math.max(0, Math.trunc(Number(count) || 0));
+  if (!n) return [];
+
+  const shown = new Set(getBoardLayout(round).categories.map((c) => c.toLowerCase()));
+  const tiles = db
+    .prepare(
+      `SELECT DISTINCT TRIM(q.category) AS category, q.points
+       FROM questions q
+       WHERE q.selected_for_game = 1 AND q.category IS NOT NULL AND TRIM(q.category) != ''
+         AND q.points IS NOT NULL AND q.points > 0 AND ${QUESTION_ROUND_SQL} = ?`
+    )
+    .all(round.id)
+    // Off-grid tiles never show on the board.
+    .filter((t) => round.values.includes(t.points) && shown.has(t.category.toLowerCase()));
+  if (!tiles.length) return [];
+
+  // Like the show, keep Daily Doubles off the cheapest row when there is a choice.
+  const minPoints = Math.min(...tiles.map((t) => t.points));
+  const preferred = tiles.filter((t) => t.points > minPoints);
+  const pool = preferred.length >= n ? preferred : tiles;
+  for (let i = pool.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  const picked = pool.slice(0, n);
+
+  const insertStmt = db.prepare(
+    `INSERT INTO daily_doubles (id, round_id, category, points, created_at) VALUES (?, ?, ?, ?, ?)`
+  );
+  const now = new Date().toISOString();
+  for (const t of picked) insertStmt.run(uuidv4(), round.id, t.category, t.points, now);
+  return picked;
+}
+
+function isDailyDoubleTile(category, points, roundId) {
+  if (!category || !Number.isFinite(points)) return false;
+  return !!db
+    .prepare('SELECT 1 FROM daily_doubles WHERE round_id IS ? AND category = ? AND points = ?')
+    .get(roundId || null, String(category).trim(), Math.trunc(points));
+}
+
+// A player may always wager up to the top value on the round's board, even when
+// their score is lower (or negative).
+function dailyDoubleMaxWager(playerId, round = getCurrentRound()) {
+  const top = round && round.values.length ? Math.max(...round.values) : 1000;
+  return Math.max(scoreFor(playerId), top);
+}
+
+const TIMEOUT_ACTIONS = ['wrong', 'pass', 'off'];
+const clueTimers = new Map(); // room code -> pending deadline timer
+
+function deadlineIn(seconds) {
+  return new Date(Date.now() + Math.max(1, seconds || 10) * 1000).toISOString();
+}
+
+// Buzzing is open: nobody holds the buzzer, and the clue closes at clue_deadline.
+function clueWindowPatch(state) {
+  return {
+    clue_opened_at: new Date().toISOString(),
+    clue_deadline: deadlineIn(state.clue_seconds),
+    answer_deadline: null,
+    typed_response_id: null,
+    typed_response: null,
+    typed_verdict: null,
+    mc_choice_count: 0,
+  };
+}
+
+// Someone holds the buzzer and must answer by answer_deadline.
+function answerWindowPatch(state) {
+  return {
+    answer_deadline: deadlineIn(state.answer_seconds),
+    typed_response_id: null,
+    typed_response: null,
+    typed_verdict: null,
+    mc_choice_count: 0,
+  };
+}
+
+// One timer for whichever deadline is running. It re-reads the state when it fires,
+// so a stale timer never acts on a clue that has since moved on.
+function armClueTimer(req, state = getGameState()) {
+  const room = currentRoom();
+  clearTimeout(clueTimers.get(room.code));
+  clueTimers.delete(room.code);
+  if (state.timeout_action === 'off') return;
+  const due = Date.parse((state.buzzer_locked ? state.answer_deadline : state.clue_deadline) || '');
+  if (!Number.isFinite(due)) return;
+
+  const { app } = req;
+  const timer = setTimeout(
+    () => runInRoom(room, () => {
+      try {
+        onClueDeadline(app);
+      } catch (err) {
+        console.error('clue timer failed', err);
+      }
+    }),
+    Math.max(0, due - Date.now()) + 25
+  );
+  if (timer.unref) timer.unref();
+  clueTimers.set(room.code, timer);
+}
+
+function onClueDeadline(app) {
+  clueTimers.delete(currentRoom().code);
+  // Timer-driven changes go through the same helpers as routes.
+  const req = { app };
+  const state = getGameState();
+  const clueActive = !!state.current_question_id || !!state.current_is_placeholder;
+  if (state.status !== 'active' || !clueActive || state.timeout_action === 'off') return;
+
+  const now = Date.now();
+  if (state.buzzer_locked && state.last_buzz_player_id) {
+    const due = Date.parse(state.answer_deadline || '');
+    if (!Number.isFinite(due)) return;
+    if (due > now) return armClueTimer(req, state);
+    const p = db.prepare('SELECT name FROM players WHERE id = ?').get(state.last_buzz_player_id);
+    logEvent(req, 'answer_timeout', `Time's up for ${p?.name || state.last_buzz_player_id}`, {
+      playerId: state.last_buzz_player_id,
+    });
+    resolveClue(req, {
+      playerId: state.last_buzz_player_id,
+      correct: false,
+      penalize: state.timeout_action === 'wrong',
+    });
+  } else if (!state.buzzer_locked && !state.question_reading) {
+    const due = Date.parse(state.clue_deadline || '');
+    if (!Number.isFinite(due)) return;
+    if (due > now) return armClueTimer(req, state);
+    if (everyoneAnswers(state)) scoreEveryoneChoices(req);
+    else skipClue(req, { timedOut: true });
+  }
+}
+
+function getFinalRound() {
+  return db
+    .prepare(
+      `SELECT final_stage AS stage, final_category AS category, final_clue_text AS clueText,
+              final_answer_text AS answer, final_reveal_player_id AS revealPlayerId
+       FROM game_state WHERE id = 1`
+    )
+    .get();
+}
+
+// Final Jeopardy contestants in reveal order (lowest starting score first).
+function listFinalContestants() {
+  return db
+    .prepare(
+      `SELECT w.player_id AS playerId, p.name AS playerName, p.slug AS playerSlug,
+              CASE WHEN p.photo_url IS NULL OR p.photo_url = '' THEN 0 ELSE 1 END AS hasPhoto,
+              w.team_id AS teamId, t.name AS teamName, t.color AS teamColor,
+              w.starting_score AS startingScore, w.wager, w.wagered_at AS wageredAt,
+              r.response, r.correct, r.created_at AS respondedAt, r.judged_at AS judgedAt
+       FROM final_wagers w
+       JOIN players p ON p.id = w.player_id
+       LEFT JOIN teams t ON t.id = w.team_id
+       LEFT JOIN final_responses r ON r.player_id = w.player_id
+       ORDER BY w.starting_score ASC, p.created_at ASC`
+    )
+    .all();
+}
+
+// What every screen may see: wagers and responses stay secret until the host reveals them.
+function getFinalPublic() {
+  const final = getFinalRound();
+  if (!final || !final.stage) return { stage: null, contestants: [] };
+
+  const contestants = listFinalContestants().map((c) => {
+    const judged = !!c.judgedAt;
+    const revealed = judged || c.playerId === final.revealPlayerId;
+    return {
+      playerId: c.playerId,
+      playerName: c.playerName,
+      playerSlug: c.playerSlug,
+      hasPhoto: c.hasPhoto,
+      teamId: c.teamId,
+      teamName: c.teamName,
+      teamColor: c.teamColor,
+      startingScore: c.startingScore,
+      hasWagered: c.wager !== null,
+      hasResponded: c.response !== null,
+      revealed,
+      response: revealed ? c.response || '' : null,
+      wager: judged ? c.wager || 0 : null,
+      correct: judged ? c.correct : null,
+    };
+  });
+
+  return {
+    stage: final.stage,
+    category: final.category,
+    clueText: final.stage === 'wagering' ? null : final.clueText,
+    answer: final.stage === 'done' ? final.answer : null,
+    revealPlayerId: final.revealPlayerId,
+    contestants,
+  };
+}
+
+function getFinalAdmin() {
+  return { ...getFinalRound(), contestants: listFinalContestants() };
+}
+
+function emitFinal(req) {
+  emit(getIo(req), 'final:state', getFinalPublic());
+}
+
+function clearFinalRound() {
+  db.prepare('DELETE FROM final_responses').run();
+  db.prepare('DELETE FROM final_wagers').run();
+}
+
+function nextFinalRevealPlayerId() {
+  const next = listFinalContestants().find((c) => !c.judgedAt);
+  return next ? next.playerId : null;
+}
+
+function ensureSystemPlayer() {
+  const slug = 'house';
+  const existing = db
+    .prepare(
+      `SELECT id, name, slug, score, photo_url AS photoUrl, created_at AS createdAt
+       FROM players WHERE slug = ?`
+    )
+    .get(slug);
+  if (existing) return existing;
+
+  const player = {
     id: uuidv4(),
     name: 'House Questions',
     slug,
@@ -239,17 +1476,48 @@ function recordQuestionUsage(questionText, answer, category, points, gameNumber)
   }
 }
 
-function seedDefaultQuestions({ selectForGame = true, pack = 'holiday2025', gameNumber = null } = {}) {
+// Copy a library question (with its attachment) into the room as a house question.
+function insertHouseQuestion(system, q, { category, points, selected, roundId = null, now }) {
+  const id = uuidv4();
+  db.prepare(
+    `INSERT INTO questions (id, player_id, question_text, answer, accepted_answers_json, rejected_answers_json,
+                            type, options_json, category, points, round_id, selected_for_game, used_in_game,
+                            created_at)
+     VALUES (@id, @player_id, @question_text, @answer, @accepted_answers_json, @rejected_answers_json,
+             @type, @options_json, @category, @points, @round_id, @selected_for_game, 0, @created_at)`
+  ).run({
+    id,
+    player_id: system.id,
+    question_text: String(q.questionText).trim(),
+    answer: String(q.answer).trim(),
+    ...packQuestionColumns(q),
+    category,
+    points,
+    round_id: roundId,
+    selected_for_game: selected ? 1 : 0,
+    created_at: now,
+  });
+  if (q.media?.data) {
+    db.prepare(
+      `INSERT INTO question_media (question_id, kind, mime, data, bytes, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(id, q.media.kind, q.media.mime, q.media.data, q.media.bytes, now);
+  }
+  return id;
+}
+
+function seedDefaultQuestions({ selectForGame = true, pack = null, gameNumber = null } = {}) {
   const system = ensureSystemPlayer();
   let inserted = 0;
   let skipped = 0;
-  const pool = QUESTION_PACKS[pack] || QUESTION_PACKS.holiday2025 || defaultQuestions;
+  const packKey = pack || seedPackKey();
+  const pool = getPackQuestions(packKey, { withMedia: true }) || [];
   
   // Get or create game number
   const gameNum = gameNumber || getNextGameNumber();
   
-  // Store question set in game history
-  const questionSetJson = JSON.stringify(pool);
+  // Store question set in game history (attachments stay with the seeded questions)
+  const questionSetJson = JSON.stringify(pool.map(({ media: _media, ...q }) => q));
   const now = new Date().toISOString();
   db.prepare(
     `INSERT OR IGNORE INTO game_history (game_number, question_set_json, created_at)
@@ -260,10 +1528,6 @@ function seedDefaultQuestions({ selectForGame = true, pack = 'holiday2025', game
     `SELECT 1 FROM questions
      WHERE player_id = ? AND question_text = ? AND answer = ? AND category IS ? AND points IS ?`
   );
-  const insertStmt = db.prepare(
-    `INSERT INTO questions (id, player_id, question_text, answer, category, points, selected_for_game, used_in_game, created_at)
-     VALUES (@id, @player_id, @question_text, @answer, @category, @points, @selected_for_game, 0, @created_at)`
-  );
 
   const tx = db.transaction(() => {
     for (const q of pool) {
@@ -287,17 +1551,8 @@ function seedDefaultQuestions({ selectForGame = true, pack = 'holiday2025', game
         continue; // Skip duplicates
       }
 
-      insertStmt.run({
-        id: uuidv4(),
-        player_id: system.id,
-        question_text: qText,
-        answer: ans,
-        category: cat,
-        points: pts,
-        selected_for_game: selectForGame ? 1 : 0,
-        created_at: now,
-      });
-      
+      insertHouseQuestion(system, q, { category: cat, points: pts, selected: selectForGame, now });
+
       // Record question usage
       recordQuestionUsage(qText, ans, cat, pts, gameNum);
       inserted += 1;
@@ -305,7 +1560,7 @@ function seedDefaultQuestions({ selectForGame = true, pack = 'holiday2025', game
   });
   tx();
 
-  return { inserted, skipped, player: system, gameNumber: gameNum };
+  return { inserted, skipped, player: system, gameNumber: gameNum, pack: packKey };
 }
 
 function slugify(name) {
@@ -335,15 +1590,78 @@ function ensureUniqueSlug(baseSlug) {
 function findPlayerBySlug(slug) {
   return db
     .prepare(
-      `SELECT id, name, slug, score, photo_url AS photoUrl, created_at AS createdAt
+      `SELECT id, name, slug, score, team_id AS teamId, photo_url AS photoUrl,
+              created_at AS createdAt
        FROM players WHERE slug = ?`
     )
     .get(slug);
 }
 
+// Player devices: registering hands the phone a token, and player actions must carry
+// it (X-Player-Token). Moving to a new phone creates a pending token the host approves.
+const DEVICE_ERROR = 'This device is not signed in as that player';
+
+function hashDeviceToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function issueDeviceToken(playerId, status) {
+  const token = crypto.randomBytes(24).toString('hex');
+  db.prepare(
+    `INSERT INTO player_devices (id, token_hash, player_id, status, created_at)
+     VALUES (?, ?, ?, ?, ?)`
+  ).run(uuidv4(), hashDeviceToken(token), playerId, status, new Date().toISOString());
+  return token;
+}
+
+function findDevice(req) {
+  const token = req.get('x-player-token');
+  if (!token) return null;
+  return db
+    .prepare('SELECT id, player_id AS playerId, status FROM player_devices WHERE token_hash = ?')
+    .get(hashDeviceToken(token));
+}
+
+// A host login can act for anyone; otherwise, passcode or not, only the player's own
+// active device can.
+function actsAsPlayer(req, playerId) {
+  if (isHostSession(bearerToken(req))) return true;
+  const device = findDevice(req);
+  return !!playerId && device?.status === 'active' && device.playerId === playerId;
+}
+
+function listDeviceRequests() {
+  return db
+    .prepare(
+      `SELECT d.id, d.player_id AS playerId, d.created_at AS createdAt,
+              p.name AS playerName, p.slug AS playerSlug
+       FROM player_devices d
+       JOIN players p ON p.id = d.player_id
+       WHERE d.status = 'pending'
+       ORDER BY d.created_at ASC`
+    )
+    .all();
+}
+
+function emitDeviceRequests(req) {
+  emit(getIo(req, 'screen'), 'devices:requests', listDeviceRequests());
+}
+
 const app = express();
-app.use(cors());
-app.use(express.json({ limit: '5mb' }));
+// Pack exports report their filename and skipped questions in headers.
+app.use(cors({ exposedHeaders: ['Content-Disposition', 'X-Pack-Skipped'] }));
+// Clue attachments (up to MAX_MEDIA_BYTES) arrive base64-encoded, so allow for the overhead.
+app.use(express.json({ limit: '12mb' }));
+
+// Pick the room from the join code (header for API calls, ?room= for media URLs).
+// Without one, requests go to the main room.
+app.use('/api', (req, res, next) => {
+  const code = req.get('x-room-code') || req.query.room;
+  const room = code ? findRoom(code) : getMainRoom();
+  if (!room) return res.status(404).json({ error: 'Room not found' });
+  req.room = room;
+  runInRoom(room, next);
+});
 
 const PORT = process.env.PORT || 4000;
 
@@ -351,6 +1669,65 @@ app.get('/api/health', (req, res) => {
   res.json({ ok: true, status: 'healthy' });
 });
 
+app.get('/api/room', (req, res) => {
+  res.json(publicRoom(req.room));
+});
+
+app.get('/api/rooms/:code', (req, res) => {
+  const room = findRoom(req.params.code);
+  if (!room) return res.status(404).json({ error: 'Room not found' });
+  res.json(publicRoom(room));
+});
+
+app.post('/api/rooms', requireAdmin, (req, res) => {
+  const name = String((req.body || {}).name || '').trim().slice(0, 60);
+  const room = createRoom(name);
+  res.status(201).json(publicRoom(room));
+});
+
+app.get('/api/auth/status', (req, res) => {
+  res.json({
+    passcodeSet: isPasscodeSet(),
+    fromEnv: !!process.env.ADMIN_PASSCODE,
+    authorized: isAdmin(req),
+  });
+});
+
+// First launch only: whoever opens /admin first picks the passcode.
+app.post('/api/auth/setup', (req, res) => {
+  if (isPasscodeSet()) return res.status(409).json({ error: 'A passcode is already set' });
+  const error = setPasscode((req.body || {}).passcode);
+  if (error) return res.status(400).json({ error });
+  logEvent(req, 'admin_passcode_set', 'Host passcode set', {});
+  res.status(201).json({ token: createSession() });
+});
+
+app.post('/api/auth/login', (req, res) => {
+  if (!isPasscodeSet()) return res.status(409).json({ error: 'No passcode set yet' });
+  if (!checkPasscode((req.body || {}).passcode)) {
+    logEvent(req, 'admin_login_failed', 'Wrong host passcode', { ip: req.ip });
+    return res.status(401).json({ error: 'Wrong passcode' });
+  }
+  res.json({ token: createSession() });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  endSession(bearerToken(req));
+  res.json({ ok: true });
+  dropRevokedScreens();
+});
+
+// Everything under /api/admin is for the host.
+app.use('/api/admin', requireAdmin);
+
+app.post('/api/admin/passcode', (req, res) => {
+  const error = setPasscode((req.body || {}).passcode);
+  if (error) return res.status(400).json({ error });
+  logEvent(req, 'admin_passcode_set', 'Host passcode changed', {});
+  res.json({ token: createSession() });
+  dropRevokedScreens();
+});
+
 app.get('/api/players', (req, res) => {
   res.json(listPlayers());
 });
@@ -397,6 +1774,7 @@ app.patch('/api/players/:slug', (req, res) => {
   if (!current) {
     return res.status(404).json({ error: 'Player not found' });
   }
+  if (!actsAsPlayer(req, current.id)) return res.status(403).json({ error: DEVICE_ERROR });
 
   const { name, photoUrl } = req.body || {};
   const updates = {};
@@ -425,10 +1803,13 @@ app.patch('/api/players/:slug', (req, res) => {
 });
 
 app.post('/api/players', (req, res) => {
-  const { name, photoUrl } = req.body || {};
+  const { name, photoUrl, teamId } = req.body || {};
   if (!name || typeof name !== 'string') {
     return res.status(400).json({ error: 'Name is required' });
   }
+  if (teamId && !db.prepare('SELECT 1 FROM teams WHERE id = ?').get(teamId)) {
+    return res.status(400).json({ error: 'Team not found' });
+  }
 
   const baseSlug = slugify(name);
   const slug = ensureUniqueSlug(baseSlug);
@@ -438,29 +1819,94 @@ app.post('/api/players', (req, res) => {
     name: name.trim(),
     slug,
     photo_url: photoUrl || null,
+    team_id: teamId || null,
     created_at: new Date().toISOString(),
   };
 
   db.prepare(
-    `INSERT INTO players (id, name, slug, photo_url, created_at)
-     VALUES (@id, @name, @slug, @photo_url, @created_at)`
+    `INSERT INTO players (id, name, slug, photo_url, team_id, created_at)
+     VALUES (@id, @name, @slug, @photo_url, @team_id, @created_at)`
   ).run(player);
 
   emit(getIo(req), 'players:updated', listPlayers());
+  if (player.team_id) emitTeams(req);
   res.status(201).json({
+    // Only ever sent here: the registering phone keeps it to act as this player.
+    deviceToken: issueDeviceToken(player.id, 'active'),
     id: player.id,
     name: player.name,
     slug: player.slug,
     photoUrl: player.photo_url,
+    teamId: player.team_id,
     createdAt: player.created_at,
   });
 });
 
+// Which player (if any) this device is signed in as, and whether it has to be.
+app.get('/api/players/:id/device', (req, res) => {
+  const device = findDevice(req);
+  const mine = device && device.playerId === req.params.id ? device.status : 'none';
+  res.json({ status: mine, required: !isAdmin(req) });
+});
+
+// "Move me to a new phone": the new phone gets a token that works once the host approves.
+app.post('/api/players/:id/device-requests', (req, res) => {
+  const player = db.prepare('SELECT id, name FROM players WHERE id = ?').get(req.params.id);
+  if (!player) return res.status(404).json({ error: 'Player not found' });
+  // One open request per player; asking again replaces it.
+  db.prepare("DELETE FROM player_devices WHERE player_id = ? AND status = 'pending'").run(player.id);
+  const token = issueDeviceToken(player.id, 'pending');
+  emitDeviceRequests(req);
+  logEvent(req, 'device_requested', `${player.name} asked to move to a new device`, {
+    playerId: player.id,
+  });
+  res.status(201).json({ deviceToken: token });
+});
+
+app.get('/api/admin/device-requests', (req, res) => {
+  res.json(listDeviceRequests());
+});
+
+app.post('/api/admin/device-requests/:id/approve', (req, res) => {
+  const request = db
+    .prepare("SELECT id, player_id AS playerId FROM player_devices WHERE id = ? AND status = 'pending'")
+    .get(req.params.id);
+  if (!request) return res.status(404).json({ error: 'Request not found' });
+  const player = db.prepare('SELECT name FROM players WHERE id = ?').get(request.playerId);
+  // The old phone stops working as soon as the new one is approved.
+  db.transaction(() => {
+    db.prepare('DELETE FROM player_devices WHERE player_id = ? AND id != ?').run(request.playerId, request.id);
+    db.prepare(
+      "UPDATE player_devices SET status = 'active', approved_at = ? WHERE id = ?"
+    ).run(new Date().toISOString(), request.id);
+  })();
+  emitDeviceRequests(req);
+  logEvent(req, 'device_moved', `${player?.name || request.playerId} moved to a new device`, {
+    playerId: request.playerId,
+  });
+  res.json({ ok: true });
+});
+
+app.delete('/api/admin/device-requests/:id', (req, res) => {
+  const info = db
+    .prepare("DELETE FROM player_devices WHERE id = ? AND status = 'pending'")
+    .run(req.params.id);
+  if (!info.changes) return res.status(404).json({ error: 'Request not found' });
+  emitDeviceRequests(req);
+  res.json({ ok: true });
+});
+
 app.get('/api/questions', (req, res) => {
   const { selected } = req.query;
   const sel =
     selected === 'true' ? true : selected === 'false' ? false : undefined;
-  res.json(listQuestions(sel));
+  const questions = listQuestions(sel);
+  if (requestRole(req) === 'screen') return res.json(questions);
+  // Submitters still see their own questions in full, from their own device.
+  const { playerId } = req.query;
+  const mine = !!playerId && actsAsPlayer(req, playerId);
+  const state = getGameState();
+  res.json(questions.map((q) => (mine && q.playerId === playerId ? q : playerQuestion(q, state))));
 });
 
 app.post('/api/questions', (req, res) => {
@@ -470,6 +1916,11 @@ app.post('/api/questions', (req, res) => {
       .status(400)
       .json({ error: 'playerId, questionText, and answer are required' });
   }
+  if (!actsAsPlayer(req, playerId)) return res.status(403).json({ error: DEVICE_ERROR });
+  const lists = answerListUpdates(req.body);
+  if (lists.error) return res.status(400).json({ error: lists.error });
+  const typed = questionTypeUpdates(req.body, answer);
+  if (typed.error) return res.status(400).json({ error: typed.error });
 
   const player = db
     .prepare('SELECT id FROM players WHERE id = ?')
@@ -485,27 +1936,230 @@ app.post('/api/questions', (req, res) => {
     answer: answer.trim(),
     category: category ? category.trim() : null,
     points: Number.isFinite(points) ? points : null,
+    accepted_answers_json: null,
+    rejected_answers_json: null,
+    type: 'standard',
+    options_json: null,
+    ...lists.updates,
+    ...typed.updates,
+    status: 'pending',
     created_at: new Date().toISOString(),
   };
 
   db.prepare(
-    `INSERT INTO questions (id, player_id, question_text, answer, category, points, created_at)
-     VALUES (@id, @player_id, @question_text, @answer, @category, @points, @created_at)`
+    `INSERT INTO questions (id, player_id, question_text, answer, accepted_answers_json,
+                            rejected_answers_json, type, options_json, category, points, status,
+                            created_at)
+     VALUES (@id, @player_id, @question_text, @answer, @accepted_answers_json,
+             @rejected_answers_json, @type, @options_json, @category, @points, @status,
+             @created_at)`
   ).run(question);
 
-  emit(getIo(req), 'questions:updated', listQuestions());
+  const pool = listQuestions().filter((q) => q.status !== 'rejected');
+  const duplicates = findDuplicates(
+    {
+      id: question.id,
+      questionText: question.question_text,
+      answer: question.answer,
+      acceptedAnswers: parseAnswerList(question.accepted_answers_json),
+    },
+    pool
+  );
+  if (duplicates.length) {
+    logEvent(req, 'question_possible_duplicate', 'A new question looks like one already submitted', {
+      questionId: question.id,
+      duplicateIds: duplicates.map((d) => d.id),
+    });
+  }
+
+  emitQuestions(req);
+  emitBoard(req);
   res.status(201).json({
     id: question.id,
     playerId: question.player_id,
     questionText: question.question_text,
     answer: question.answer,
+    type: question.type,
+    options: parseAnswerList(question.options_json),
+    acceptedAnswers: parseAnswerList(question.accepted_answers_json),
+    rejectedAnswers: parseAnswerList(question.rejected_answers_json),
     category: question.category,
     points: question.points,
     selectedForGame: 0,
+    status: question.status,
+    reviewNote: null,
     createdAt: question.created_at,
+    possibleDuplicates: duplicates.length,
+    duplicateWarning: duplicateWarning(duplicates, pool, playerId),
+  });
+});
+
+// Submitters manage the alternates on their own questions, under the same rules as
+// text edits (see submitterQuestion below).
+app.patch('/api/questions/:id/answers', (req, res) => {
+  const found = submitterQuestion(req);
+  if (found.error) return res.status(found.status).json({ error: found.error });
+  const lists = answerListUpdates(req.body);
+  if (lists.error) return res.status(400).json({ error: lists.error });
+  if (!Object.keys(lists.updates).length) {
+    return res.status(400).json({ error: 'No updates provided' });
+  }
+  const edit = answerListEdit(found.question, lists.updates);
+  if (!Object.keys(edit.changes).length) return res.status(400).json({ error: 'No changes' });
+  resubmitEdit(found.question, edit);
+  res.json(saveQuestionEdit(req, found.question, edit, found.attribution));
+});
+
+// Submitters can fix or withdraw their own questions until the game starts. Returns
+// { question, attribution }, or { status, error }.
+function submitterQuestion(req) {
+  const playerId = (req.body || {}).playerId || req.query.playerId;
+  if (!playerId) return { status: 400, error: 'playerId is required' };
+  if (!actsAsPlayer(req, playerId)) return { status: 403, error: DEVICE_ERROR };
+  const question = getQuestionForEdit(req.params.id);
+  if (!question) return { status: 404, error: 'Question not found' };
+  if (question.playerId !== playerId) {
+    return { status: 403, error: 'Only the submitter may edit this question' };
+  }
+  if (getGameState().status !== 'waiting') {
+    return { status: 409, error: 'Questions are locked once the game starts' };
+  }
+  const player = db.prepare('SELECT name FROM players WHERE id = ?').get(playerId);
+  return { question, attribution: { editor: 'submitter', playerId, editorName: player?.name } };
+}
+
+app.patch('/api/questions/:id', (req, res) => {
+  const found = submitterQuestion(req);
+  if (found.error) return res.status(found.status).json({ error: found.error });
+  const { questionText, answer, category } = req.body;
+  const { question } = found;
+  const edit = questionEdit(question, { questionText, answer, category });
+  if (edit.error) return res.status(400).json({ error: edit.error });
+  if (!Object.keys(edit.changes).length) return res.status(400).json({ error: 'No changes' });
+  resubmitEdit(question, edit);
+  res.json(saveQuestionEdit(req, question, edit, found.attribution));
+});
+
+app.delete('/api/questions/:id', (req, res) => {
+  const found = submitterQuestion(req);
+  if (found.error) return res.status(found.status).json({ error: found.error });
+  const { question, attribution } = found;
+  deleteQuestionMedia('id = ?', question.id);
+  db.prepare('DELETE FROM questions WHERE id = ?').run(question.id);
+  db.prepare('DELETE FROM question_audio WHERE question_id = ?').run(question.id);
+  const changes = {};
+  for (const [key, column] of Object.entries(QUESTION_EDIT_COLUMNS)) {
+    changes[key] = { from: question[column], to: null };
+  }
+  recordQuestionRevision(question.id, { ...attribution, action: 'withdraw', changes });
+  emitQuestions(req);
+  emitBoard(req);
+  logEvent(req, 'question_withdrawn', `${attribution.editorName} withdrew a question`, {
+    questionId: question.id,
   });
+  res.json({ ok: true });
+});
+
+// Streams a clue attachment, honoring Range requests so audio/video can seek.
+// Browsers load attachments by URL and can't send headers, so the host login and the
+// device token may come as ?token= and ?playerToken= instead.
+function mediaRequest(req) {
+  const headers = {
+    authorization: req.query.token ? `Bearer ${req.query.token}` : req.get('authorization'),
+    'x-player-token': req.query.playerToken || req.get('x-player-token'),
+  };
+  return { get: (name) => headers[name.toLowerCase()] || '' };
+}
+
+// An attachment is part of the clue: before the clue is shown, only the host and the
+// submitter may load it.
+app.get('/api/questions/:id/media', (req, res) => {
+  const row = db
+    .prepare('SELECT mime, data, bytes FROM question_media WHERE question_id = ?')
+    .get(req.params.id);
+  if (!row) return res.status(404).json({ error: 'Not found' });
+  const question = getQuestionForEdit(req.params.id);
+  if (!clueRevealed(question, getGameState()) && !actsAsPlayer(mediaRequest(req), question.playerId)) {
+    return res.status(403).json({ error: 'This clue has not been shown yet' });
+  }
+
+  res.setHeader('Content-Type', row.mime);
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', 'no-cache');
+  const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+  if (!range || (!range[1] && !range[2])) {
+    res.setHeader('Content-Length', row.bytes);
+    return res.send(row.data);
+  }
+  // "bytes=-500" means the last 500 bytes.
+  let start = range[1] ? Number(range[1]) : Math.max(0, row.bytes - Number(range[2]));
+  let end = range[1] && range[2] ? Number(range[2]) : row.bytes - 1;
+  end = Math.min(end, row.bytes - 1);
+  if (start > end || start >= row.bytes) {
+    res.setHeader('Content-Range', `bytes */${row.bytes}`);
+    return res.status(416).end();
+  }
+  res.status(206);
+  res.setHeader('Content-Range', `bytes ${start}-${end}/${row.bytes}`);
+  res.setHeader('Content-Length', end - start + 1);
+  res.end(row.data.subarray(start, end + 1));
+});
+
+function questionMediaRoute(req, res, found = null) {
+  const { id } = req.params;
+  const question = found ? found.question : db.prepare('SELECT id FROM questions WHERE id = ?').get(id);
+  if (!question) return res.status(404).json({ error: 'Question not found' });
+  const before = db.prepare('SELECT kind FROM question_media WHERE question_id = ?').get(id);
+
+  let media = null;
+  if (req.method === 'DELETE') {
+    db.prepare('DELETE FROM question_media WHERE question_id = ?').run(id);
+  } else {
+    const result = saveQuestionMedia(id, (req.body || {}).dataUrl);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    media = result.media;
+  }
+
+  // A new attachment is an edit like any other: recorded, and a submitter's is reviewed
+  // again.
+  if (before || media) {
+    const edit = { updates: {}, changes: { media: { from: before?.kind || null, to: media?.kind || null } } };
+    if (found) resubmitEdit(question, edit);
+    const sets = Object.keys(edit.updates).map((k) => `${k}=@${k}`).join(', ');
+    if (sets) db.prepare(`UPDATE questions SET ${sets} WHERE id = @id`).run({ ...edit.updates, id });
+    const attribution = found ? found.attribution : { editor: 'host', editorName: 'Host' };
+    recordQuestionRevision(id, { ...attribution, changes: edit.changes });
+    emitBoard(req);
+  }
+
+  emitQuestions(req);
+  logEvent(
+    req,
+    media ? 'media_uploaded' : 'media_removed',
+    media ? `Attached ${media.kind} to a question` : 'Removed a question attachment',
+    { questionId: id, kind: media?.kind, bytes: media?.bytes }
+  );
+  res.json({ id, media });
+}
+
+// Submitters attach media to their own questions until the game starts; the host can
+// attach to any.
+app.post('/api/questions/:id/media', (req, res) => {
+  const found = submitterQuestion(req);
+  if (found.error) return res.status(found.status).json({ error: found.error });
+  questionMediaRoute(req, res, found);
 });
 
+app.delete('/api/questions/:id/media', (req, res) => {
+  const found = submitterQuestion(req);
+  if (found.error) return res.status(found.status).json({ error: found.error });
+  questionMediaRoute(req, res, found);
+});
+
+app.post('/api/admin/questions/:id/media', (req, res) => questionMediaRoute(req, res));
+
+app.delete('/api/admin/questions/:id/media', (req, res) => questionMediaRoute(req, res));
+
 app.post('/api/admin/questions/:id/select', (req, res) => {
   const { id } = req.params;
   const { selected } = req.body || {};
@@ -513,73 +2167,533 @@ app.post('/api/admin/questions/:id/select', (req, res) => {
     return res.status(400).json({ error: 'selected must be boolean' });
   }
 
-  const info = db
-    .prepare('UPDATE questions SET selected_for_game = ? WHERE id = ?')
-    .run(selected ? 1 : 0, id);
-
-  if (info.changes === 0) {
+  const question = getQuestionForEdit(id);
+  if (!question) {
     return res.status(404).json({ error: 'Question not found' });
   }
+  // Putting a pending question on the board approves it; turned-down ones need a review first.
+  if (selected && (question.status === 'rejected' || question.status === 'needs_revision')) {
+    return res.status(409).json({ error: 'Only approved questions can go on the board' });
+  }
+  if (selected && question.status === 'pending') {
+    setQuestionStatus(req, question, 'approved', null, { editor: 'host', editorName: 'Host' });
+  }
+  db.prepare('UPDATE questions SET selected_for_game = ? WHERE id = ?').run(selected ? 1 : 0, id);
 
-  emit(getIo(req), 'questions:updated', listQuestions());
+  emitQuestions(req);
+  emitBoard(req);
   res.json({ id, selectedForGame: selected });
 });
 
 app.post('/api/admin/seed-defaults', (req, res) => {
   const { selectForGame, pack } = req.body || {};
+  if (pack && !getPackQuestions(pack)) return res.status(404).json({ error: 'Question pack not found' });
   const result = seedDefaultQuestions({
     selectForGame: selectForGame === undefined ? true : !!selectForGame,
-    pack: pack || 'holiday2025',
+    pack: pack || null,
   });
   emit(getIo(req), 'players:updated', listPlayers());
-  emit(getIo(req), 'questions:updated', listQuestions());
+  emitQuestions(req);
+  emitBoard(req);
   logEvent(req, 'seed_defaults', `Seeded default questions (+${result.inserted}, skipped ${result.skipped || 0})`, {
     inserted: result.inserted,
     skipped: result.skipped || 0,
     gameNumber: result.gameNumber,
     selectForGame: selectForGame === undefined ? true : !!selectForGame,
-    pack: pack || 'holiday2025',
+    pack: result.pack,
   });
   res.json(result);
 });
 
 app.get('/api/admin/question-packs', (req, res) => {
-  res.json(
-    Object.keys(QUESTION_PACKS).map((k) => ({
-      key: k,
-      count: Array.isArray(QUESTION_PACKS[k]) ? QUESTION_PACKS[k].length : 0,
-    }))
-  );
+  res.json(listQuestionPacks());
 });
 
-app.post('/api/admin/reset-for-new-game', (req, res) => {
-  // Keep players/photos, but reset everything else.
-  db.prepare('UPDATE players SET score = 0').run();
-  db.prepare('DELETE FROM questions').run();
-  clearBuzzQueue();
+app.get('/api/admin/question-packs/:key', (req, res) => {
+  const pack = getQuestionPack(req.params.key);
+  if (!pack) return res.status(404).json({ error: 'Question pack not found' });
+  res.json(pack);
+});
 
-  const state = updateGameState({
-    status: 'waiting',
-    current_question_id: null,
-    current_category: null,
-    current_points: null,
-    current_is_placeholder: 0,
-    current_clue_text: null,
-    current_answer_text: null,
-    turn_player_id: null,
-    buzzer_locked: 0,
-    last_buzz_player_id: null,
-    last_buzz_time: null,
-  });
+// Uploads send the file's text as { format: 'csv' | 'json', content, name }.
+app.post('/api/admin/question-packs/preview', (req, res) => {
+  const preview = previewPackUpload(req.body || {});
+  if (preview.error) return res.status(400).json({ error: preview.error });
+  res.json(publicPreview(preview));
+});
 
-  emit(getIo(req), 'players:updated', listPlayers());
-  emit(getIo(req), 'questions:updated', listQuestions());
-  emit(getIo(req), 'game:state', state);
-  emitBuzzQueue(req);
+// A new pack from an uploaded file ({ format, content }) or a list of questions, plus
+// its metadata. All-or-nothing: any row with an error refuses the whole pack.
+app.post('/api/admin/question-packs', (req, res) => {
+  const body = req.body || {};
+  const upload = body.content !== undefined;
+  const preview = upload ? previewPackUpload(body) : previewPackList(body);
+  if (preview.error) return res.status(400).json({ error: preview.error });
+  // Details sent with the upload win over the ones inside the file.
+  const sent = Object.fromEntries(Object.entries(body).filter(([, v]) => v !== undefined && v !== ''));
+  const { meta, error } = packMetaUpdates({ ...preview.meta, ...sent, name: preview.name }, { requireName: true });
+  if (error) return res.status(400).json({ error, preview: publicPreview(preview) });
+  if (preview.valid < preview.total) {
+    return res.status(400).json({ error: 'Fix the rows with errors first', preview: publicPreview(preview) });
+  }
+  const pack = createQuestionPack({
+    meta,
+    source: upload ? 'upload' : 'custom',
+    questions: preview.rows.map((r) => r.question),
+  });
+  logEvent(req, 'pack_imported', `Added the ${pack.name} pack (${pack.count} questions)`, {
+    key: pack.key,
+    count: pack.count,
+  });
+  res.status(201).json(pack);
+});
+
+// Metadata changes, and optionally a full replacement list of questions. Rows sent
+// without attachment data (as GET returns them) keep their attachment; `media: null`
+// removes it.
+app.patch('/api/admin/question-packs/:key', (req, res) => {
+  const body = req.body || {};
+  const { meta, error } = packMetaUpdates(body);
+  if (error) return res.status(400).json({ error });
+  let questions;
+  if (body.questions !== undefined) {
+    const preview = previewPackList(body);
+    if (preview.error) return res.status(400).json({ error: preview.error });
+    if (preview.valid < preview.total) {
+      return res.status(400).json({ error: 'Fix the rows with errors first', preview: publicPreview(preview) });
+    }
+    questions = preview.rows.map((r, i) =>
+      r.question.media || body.questions[i]?.media === null ? r.question : { ...r.question, media: undefined }
+    );
+  }
+  if (!Object.keys(meta).length && !questions) return res.status(400).json({ error: 'No updates provided' });
+  const pack = updateQuestionPack(req.params.key, meta, questions);
+  if (!pack) return res.status(404).json({ error: 'Question pack not found' });
+  logEvent(req, 'pack_updated', `Updated the ${pack.name} pack`, { key: pack.key });
+  res.json(pack);
+});
+
+// Questions already seeded into a game stay; this game stops pointing at the pack.
+app.delete('/api/admin/question-packs/:key', (req, res) => {
+  const { key } = req.params;
+  if (!deleteQuestionPack(key)) return res.status(404).json({ error: 'Question pack not found' });
+  const state0 = getGameState();
+  const patch = {};
+  if (state0.seed_pack_key === key) patch.seed_pack_key = null;
+  if (state0.fill_pack_key === key) patch.fill_pack_key = null;
+  if (Object.keys(patch).length) emitGameState(req, updateGameState(patch));
+  logEvent(req, 'pack_deleted', `Deleted the ${key} pack`, { key });
+  res.json({ ok: true });
+});
+
+const EXPORT_MEDIA_MODES = ['embed', 'none'];
+
+// This room's questions for export, filtered like the Questions panel: by board selection,
+// whether they were played, moderation status (approved unless asked) and author
+// (player ids or slugs, comma-separated; "house" for pack questions).
+function exportableQuestions(query) {
+  const flag = (value) => (value === undefined ? null : value === '1' || value === 'true');
+  const selected = flag(query.selected);
+  const played = flag(query.played);
+  const status = query.status || 'approved';
+  const authors = query.author ? String(query.author).split(',').map((a) => a.trim()) : null;
+  return listQuestions().filter(
+    (q) =>
+      (selected === null || !!q.selectedForGame === selected) &&
+      (played === null || !!q.usedInGame === played) &&
+      (status === 'any' || (q.status || 'approved') === status) &&
+      (!authors || authors.includes(q.playerId) || authors.includes(q.playerSlug))
+  );
+}
+
+function exportMedia(q, mode) {
+  if (!q.media || mode === 'none') return null;
+  const { kind, mime } = q.media;
+  const row = db.prepare('SELECT data FROM question_media WHERE question_id = ?').get(q.id);
+  return row ? { kind, mime, dataUrl: mediaDataUrl(mime, row.data) } : null;
+}
+
+function exportQuestion(q, { author = null, media = null } = {}) {
+  return {
+    category: q.category,
+    points: q.points,
+    questionText: q.questionText,
+    answer: q.answer,
+    acceptedAnswers: q.acceptedAnswers || [],
+    rejectedAnswers: q.rejectedAnswers || [],
+    type: q.type || 'standard',
+    options: q.options || [],
+    author,
+    media,
+  };
+}
+
+// A pack file (see buildPackFile) from a library pack (?pack=), a past game's question
+// set (?game=), or this room's questions (see exportableQuestions). media is embed (the
+// default) or none.
+// name, description, year and audience override the file's details. Questions missing a
+// category or points can't be imported, so they are left out and counted in X-Pack-Skipped.
+app.get('/api/admin/export-pack', (req, res) => {
+  const { pack: packKey, game } = req.query;
+  const mode = req.query.media || 'embed';
+  if (!EXPORT_MEDIA_MODES.includes(mode)) {
+    return res.status(400).json({ error: `media must be one of: ${EXPORT_MEDIA_MODES.join(', ')}` });
+  }
+  let meta;
+  let questions;
+  if (packKey) {
+    const pack = getQuestionPack(packKey);
+    if (!pack) return res.status(404).json({ error: 'Question pack not found' });
+    meta = pack;
+    questions = getPackQuestions(packKey, { withMedia: mode !== 'none' }).map((q) => {
+      const media = q.media?.data
+        ? { kind: q.media.kind, mime: q.media.mime, dataUrl: mediaDataUrl(q.media.mime, q.media.data) }
+        : null;
+      return exportQuestion(q, { author: pack.author, media });
+    });
+  } else if (game !== undefined) {
+    const history = db
+      .prepare('SELECT question_set_json AS json, created_at AS createdAt FROM game_history WHERE game_number = ?')
+      .get(parseInt(game, 10));
+    if (!history) return res.status(404).json({ error: 'Game not found in history' });
+    meta = { name: `Game ${game}`, year: new Date(history.createdAt).getFullYear() };
+    questions = JSON.parse(history.json).map((q) => exportQuestion(q));
+  } else {
+    const picked = exportableQuestions(req.query);
+    const authors = [...new Set(picked.map((q) => q.playerName))];
+    meta = {
+      name: currentRoom().name,
+      author: authors.join(', ').slice(0, 80) || null,
+      year: new Date().getFullYear(),
+    };
+    questions = picked.map((q) => exportQuestion(q, { author: q.playerName, media: exportMedia(q, mode) }));
+  }
+  const { name, description, year, audience } = req.query;
+  const { meta: overrides, error } = packMetaUpdates({ name, description, year, audience });
+  if (error) return res.status(400).json({ error });
+  const complete = questions.filter((q) => q.category && Number.isFinite(q.points) && q.questionText && q.answer);
+  const file = buildPackFile({ meta: { ...meta, ...overrides }, questions: complete });
+  const filename = String(file.name || 'pack').replace(/[^A-Za-z0-9._-]+/g, '-');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+  res.setHeader('X-Pack-Skipped', String(questions.length - complete.length));
+  res.json(file);
+});
+
+// Which library packs this game seeds from and fills empty tiles from; null goes back
+// to the defaults.
+app.patch('/api/admin/game-packs', (req, res) => {
+  const { seedPack, fillPack } = req.body || {};
+  const library = listQuestionPacks().map((p) => p.key);
+  const patch = {};
+  for (const [column, key] of [
+    ['seed_pack_key', seedPack],
+    ['fill_pack_key', fillPack],
+  ]) {
+    if (key === undefined) continue;
+    if (key !== null && !library.includes(key)) {
+      return res.status(404).json({ error: 'Question pack not found' });
+    }
+    patch[column] = key;
+  }
+  if (!Object.keys(patch).length) return res.status(400).json({ error: 'No updates provided' });
+  const state = updateGameState(patch);
+  emitGameState(req, state);
+  logEvent(req, 'game_packs', 'Question packs for this game changed', {
+    seedPack: state.seed_pack_key,
+    fillPack: state.fill_pack_key,
+  });
+  res.json(state);
+});
+
+app.post('/api/admin/reset-for-new-game', (req, res) => {
+  // Keep players/photos, but reset everything else.
+  db.prepare('UPDATE players SET score = 0').run();
+  db.prepare('UPDATE teams SET score = 0').run();
+  deleteQuestionMedia();
+  db.prepare('DELETE FROM questions').run();
+  db.prepare('DELETE FROM daily_doubles').run();
+  db.prepare('DELETE FROM clue_responses').run();
+  clearFinalRound();
+  clearBuzzQueue();
+
+  const state = updateGameState({
+    status: 'waiting',
+    current_question_id: null,
+    current_category: null,
+    current_points: null,
+    current_is_placeholder: 0,
+    current_clue_text: null,
+    current_answer_text: null,
+    turn_player_id: null,
+    final_stage: null,
+    final_category: null,
+    final_clue_text: null,
+    final_answer_text: null,
+    final_reveal_player_id: null,
+    current_round_id: null,
+    buzzer_locked: 0,
+    last_buzz_player_id: null,
+    last_buzz_time: null,
+    current_is_daily_double: 0,
+    daily_double_wager: null,
+    daily_double_max_wager: null,
+    clue_opened_at: null,
+    clue_deadline: null,
+    answer_deadline: null,
+    typed_response_id: null,
+    typed_response: null,
+    typed_verdict: null,
+    mc_choice_count: 0,
+  });
+
+  emit(getIo(req), 'players:updated', listPlayers());
+  emitTeams(req);
+  emitQuestions(req);
+  emitBoard(req);
+  emitGameState(req, state);
+  emitBuzzQueue(req);
+  emitFinal(req);
   logEvent(req, 'reset_new_game', 'Reset questions + scores (kept players/photos)', {});
   res.json({ ok: true, state });
 });
 
+app.get('/api/teams', (req, res) => {
+  res.json(listTeams());
+});
+
+app.post('/api/admin/teams', (req, res) => {
+  const { name, color } = req.body || {};
+  const teamName = typeof name === 'string' ? name.trim() : '';
+  if (!teamName) return res.status(400).json({ error: 'name is required' });
+  if (db.prepare('SELECT 1 FROM teams WHERE LOWER(name) = LOWER(?)').get(teamName)) {
+    return res.status(409).json({ error: 'A team with that name already exists' });
+  }
+  let teamColor = TEAM_COLORS[db.prepare('SELECT COUNT(1) AS c FROM teams').get().c % TEAM_COLORS.length];
+  if (color !== undefined && color !== null && color !== '') {
+    teamColor = normalizeTeamColor(color);
+    if (!teamColor) return res.status(400).json({ error: 'color must be a hex color like #1e88e5' });
+  }
+
+  const team = {
+    id: uuidv4(),
+    name: teamName,
+    color: teamColor,
+    created_at: new Date().toISOString(),
+  };
+  db.prepare(
+    `INSERT INTO teams (id, name, color, score, created_at)
+     VALUES (@id, @name, @color, 0, @created_at)`
+  ).run(team);
+
+  emitTeams(req);
+  logEvent(req, 'team_created', `Team ${team.name} created`, { teamId: team.id, teamName: team.name });
+  res.status(201).json(listTeams().find((t) => t.id === team.id));
+});
+
+app.patch('/api/admin/teams/:id', (req, res) => {
+  const { id } = req.params;
+  const team = db.prepare('SELECT id, name FROM teams WHERE id = ?').get(id);
+  if (!team) return res.status(404).json({ error: 'Team not found' });
+
+  const { name, color } = req.body || {};
+  const updates = {};
+  if (name !== undefined) {
+    const teamName = typeof name === 'string' ? name.trim() : '';
+    if (!teamName) return res.status(400).json({ error: 'name cannot be empty' });
+    if (db.prepare('SELECT 1 FROM teams WHERE LOWER(name) = LOWER(?) AND id != ?').get(teamName, id)) {
+      return res.status(409).json({ error: 'A team with that name already exists' });
+    }
+    updates.name = teamName;
+  }
+  if (color !== undefined) {
+    const teamColor = normalizeTeamColor(color);
+    if (!teamColor) return res.status(400).json({ error: 'color must be a hex color like #1e88e5' });
+    updates.color = teamColor;
+  }
+  if (!Object.keys(updates).length) {
+    return res.status(400).json({ error: 'No updates provided' });
+  }
+
+  const sets = Object.keys(updates).map((k) => `${k}=@${k}`).join(', ');
+  db.prepare(`UPDATE teams SET ${sets} WHERE id = @id`).run({ ...updates, id });
+
+  emitTeams(req);
+  res.json(listTeams().find((t) => t.id === id));
+});
+
+app.delete('/api/admin/teams/:id', (req, res) => {
+  const { id } = req.params;
+  const team = db.prepare('SELECT id, name FROM teams WHERE id = ?').get(id);
+  if (!team) return res.status(404).json({ error: 'Team not found' });
+
+  const tx = db.transaction(() => {
+    db.prepare('UPDATE players SET team_id = NULL WHERE team_id = ?').run(id);
+    db.prepare('DELETE FROM team_buzzes WHERE team_id = ?').run(id);
+    db.prepare('DELETE FROM teams WHERE id = ?').run(id);
+  });
+  tx();
+
+  emit(getIo(req), 'players:updated', listPlayers());
+  emitTeams(req);
+  logEvent(req, 'team_deleted', `Team ${team.name} deleted`, { teamId: id, teamName: team.name });
+  res.json({ ok: true });
+});
+
+app.post('/api/admin/players/:id/team', (req, res) => {
+  const { id } = req.params;
+  const { teamId } = req.body || {};
+
+  const player = db.prepare('SELECT id, name FROM players WHERE id = ?').get(id);
+  if (!player) return res.status(404).json({ error: 'Player not found' });
+  const team = teamId ? db.prepare('SELECT id, name FROM teams WHERE id = ?').get(teamId) : null;
+  if (teamId && !team) return res.status(400).json({ error: 'Team not found' });
+
+  db.prepare('UPDATE players SET team_id = ? WHERE id = ?').run(team ? team.id : null, id);
+
+  emit(getIo(req), 'players:updated', listPlayers());
+  emitTeams(req);
+  logEvent(
+    req,
+    'team_assigned',
+    team ? `${player.name} joined ${team.name}` : `${player.name} left their team`,
+    { playerId: id, playerName: player.name, teamId: team ? team.id : null }
+  );
+  res.json({ playerId: id, teamId: team ? team.id : null });
+});
+
+app.post('/api/admin/teams/:id/score', (req, res) => {
+  const { id } = req.params;
+  const { delta, score } = req.body || {};
+
+  const team = db.prepare('SELECT id, name FROM teams WHERE id = ?').get(id);
+  if (!team) return res.status(404).json({ error: 'Team not found' });
+
+  let newScore;
+  let appliedDelta = 0;
+
+  if (score !== undefined && score !== null) {
+    const s = Number(score);
+    if (!Number.isFinite(s)) return res.status(400).json({ error: 'score must be a number' });
+    newScore = Math.trunc(s);
+    db.prepare('UPDATE teams SET score = ? WHERE id = ?').run(newScore, id);
+  } else {
+    const d = Number(delta);
+    if (!Number.isFinite(d)) return res.status(400).json({ error: 'delta must be a number' });
+    appliedDelta = Math.trunc(d);
+    db.prepare('UPDATE teams SET score = score + ? WHERE id = ?').run(appliedDelta, id);
+    newScore = db.prepare('SELECT score FROM teams WHERE id = ?').get(id).score;
+  }
+
+  emitTeams(req);
+  logEvent(
+    req,
+    'score_adjust',
+    `Admin adjusted team ${team.name}: ${appliedDelta ? (appliedDelta > 0 ? '+' : '') + appliedDelta : 'set'} → ${newScore}`,
+    { teamId: id, teamName: team.name, delta: appliedDelta, score: newScore }
+  );
+  res.json({ teamId: id, score: newScore });
+});
+
+app.post('/api/admin/team-mode', (req, res) => {
+  const { enabled } = req.body || {};
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be boolean' });
+  }
+  const state0 = getGameState();
+  if (state0.current_question_id || state0.current_is_placeholder) {
+    return res.status(409).json({ error: 'Resolve the current clue first' });
+  }
+
+  const state = updateGameState({ team_mode: enabled ? 1 : 0 });
+  emitGameState(req, state);
+  logEvent(req, 'team_mode', enabled ? 'Team play on' : 'Team play off', { enabled });
+  res.json(state);
+});
+
+app.post('/api/admin/typed-answers', (req, res) => {
+  const { enabled } = req.body || {};
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be boolean' });
+  }
+
+  const state = updateGameState({ typed_answers: enabled ? 1 : 0 });
+  emitGameState(req, state);
+  logEvent(
+    req,
+    'typed_answers',
+    enabled ? 'Typed answers on' : 'Typed answers off',
+    { enabled }
+  );
+  res.json(state);
+});
+
+app.post('/api/admin/mc-mode', (req, res) => {
+  const { mode } = req.body || {};
+  if (!MC_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${MC_MODES.join(', ')}` });
+  }
+  const state0 = getGameState();
+  if (state0.current_question_id || state0.current_is_placeholder) {
+    return res.status(409).json({ error: 'Resolve the current clue first' });
+  }
+
+  const state = updateGameState({ mc_mode: mode });
+  emitGameState(req, state);
+  logEvent(
+    req,
+    'mc_mode',
+    mode === 'everyone' ? 'Multiple choice: everyone answers' : 'Multiple choice: buzz in to answer',
+    { mode }
+  );
+  res.json(state);
+});
+
+app.patch('/api/admin/timers', (req, res) => {
+  const { clueSeconds, answerSeconds, timeoutAction, earlyBuzzLockoutMs } = req.body || {};
+  const patch = {};
+  for (const [key, value] of [
+    ['clue_seconds', clueSeconds],
+    ['answer_seconds', answerSeconds],
+  ]) {
+    if (value === undefined) continue;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1 || n > 120) {
+      return res.status(400).json({ error: 'Timer lengths must be 1-120 seconds' });
+    }
+    patch[key] = n;
+  }
+  if (timeoutAction !== undefined) {
+    if (!TIMEOUT_ACTIONS.includes(timeoutAction)) {
+      return res
+        .status(400)
+        .json({ error: `timeoutAction must be one of: ${TIMEOUT_ACTIONS.join(', ')}` });
+    }
+    patch.timeout_action = timeoutAction;
+  }
+  if (earlyBuzzLockoutMs !== undefined) {
+    const ms = Number(earlyBuzzLockoutMs);
+    if (!Number.isInteger(ms) || ms < 0 || ms > 5000) {
+      return res.status(400).json({ error: 'earlyBuzzLockoutMs must be 0-5000' });
+    }
+    patch.early_buzz_lockout_ms = ms;
+  }
+  if (!Object.keys(patch).length) {
+    return res.status(400).json({ error: 'No updates provided' });
+  }
+
+  // New lengths apply from the next deadline; a running clock keeps its deadline.
+  const state = updateGameState(patch);
+  emitGameState(req, state);
+  armClueTimer(req, state);
+  logEvent(req, 'timers_updated', 'Clue timers updated', {
+    clueSeconds: state.clue_seconds,
+    answerSeconds: state.answer_seconds,
+    timeoutAction: state.timeout_action,
+    earlyBuzzLockoutMs: state.early_buzz_lockout_ms,
+  });
+  res.json(state);
+});
+
 app.post('/api/admin/set-turn', (req, res) => {
   const { playerId } = req.body || {};
   if (!playerId) return res.status(400).json({ error: 'playerId is required' });
@@ -588,7 +2702,7 @@ app.post('/api/admin/set-turn', (req, res) => {
   if (!exists) return res.status(404).json({ error: 'Player not found' });
 
   const state = updateGameState({ turn_player_id: playerId });
-  emit(getIo(req), 'game:state', state);
+  emitGameState(req, state);
   const p = db.prepare('SELECT name, slug FROM players WHERE id = ?').get(playerId);
   logEvent(req, 'turn_set', `Turn set to ${p?.name || playerId}`, { playerId, playerName: p?.name });
   res.json(state);
@@ -788,11 +2902,14 @@ app.post('/api/admin/game-history/:gameNumber/load', (req, res) => {
   const now = new Date().toISOString();
   
   // Clear existing questions
+  deleteQuestionMedia('player_id = ?', system.id);
   db.prepare('DELETE FROM questions WHERE player_id = ?').run(system.id);
   
   const insertStmt = db.prepare(
-    `INSERT INTO questions (id, player_id, question_text, answer, category, points, selected_for_game, used_in_game, created_at)
-     VALUES (@id, @player_id, @question_text, @answer, @category, @points, @selected_for_game, 0, @created_at)`
+    `INSERT INTO questions (id, player_id, question_text, answer, accepted_answers_json, rejected_answers_json,
+                            type, options_json, category, points, selected_for_game, used_in_game, created_at)
+     VALUES (@id, @player_id, @question_text, @answer, @accepted_answers_json, @rejected_answers_json,
+             @type, @options_json, @category, @points, @selected_for_game, 0, @created_at)`
   );
 
   const tx = db.transaction(() => {
@@ -808,6 +2925,7 @@ app.post('/api/admin/game-history/:gameNumber/load', (req, res) => {
         player_id: system.id,
         question_text: qText,
         answer: ans,
+        ...packQuestionColumns(q),
         category: cat,
         points: pts,
         selected_for_game: 1,
@@ -819,7 +2937,8 @@ app.post('/api/admin/game-history/:gameNumber/load', (req, res) => {
   });
   tx();
 
-  emit(getIo(req), 'questions:updated', listQuestions());
+  emitQuestions(req);
+  emitBoard(req);
   res.json({ ok: true, gameNumber: gameNum, loaded: questionSet.length });
 });
 
@@ -874,27 +2993,47 @@ app.delete('/api/admin/players/:id', (req, res) => {
     .get(id);
   if (!player) return res.status(404).json({ error: 'Player not found' });
 
-  // Remove their questions and any queued buzzes
-  db.prepare('DELETE FROM questions WHERE player_id = ?').run(id);
-  db.prepare('DELETE FROM buzz_queue WHERE player_id = ?').run(id);
-
-  // Clear game state references if needed
-  const state = getGameState();
-  const patch = {};
-  if (state.turn_player_id === id) patch.turn_player_id = null;
-  if (state.last_buzz_player_id === id) {
-    patch.buzzer_locked = 0;
-    patch.last_buzz_player_id = null;
-    patch.last_buzz_time = null;
-  }
-  const updatedState = Object.keys(patch).length ? updateGameState(patch) : state;
+  // Everything that points at the player goes with them (foreign keys refuse otherwise).
+  const updatedState = db.transaction(() => {
+    // Remove their questions, any queued buzzes, lockouts, typed answers and choices, and
+    // their Final Jeopardy wager and response
+    deleteQuestionMedia('player_id = ?', id);
+    db.prepare('DELETE FROM questions WHERE player_id = ?').run(id);
+    db.prepare('DELETE FROM buzz_queue WHERE player_id = ?').run(id);
+    db.prepare('DELETE FROM team_buzzes WHERE player_id = ?').run(id);
+    db.prepare('DELETE FROM buzz_lockouts WHERE player_id = ?').run(id);
+    db.prepare('DELETE FROM clue_responses WHERE player_id = ?').run(id);
+    db.prepare('DELETE FROM mc_choices WHERE player_id = ?').run(id);
+    db.prepare('DELETE FROM player_devices WHERE player_id = ?').run(id);
+    db.prepare('DELETE FROM final_wagers WHERE player_id = ?').run(id);
+    db.prepare('DELETE FROM final_responses WHERE player_id = ?').run(id);
+
+    // Clear game state references if needed
+    const state = getGameState();
+    const patch = {};
+    if (state.turn_player_id === id) patch.turn_player_id = null;
+    if (state.last_buzz_player_id === id) {
+      patch.buzzer_locked = 0;
+      patch.last_buzz_player_id = null;
+      patch.last_buzz_time = null;
+      patch.answer_deadline = null;
+      patch.typed_response_id = null;
+      patch.typed_response = null;
+      patch.typed_verdict = null;
+    }
+    if (state.final_reveal_player_id === id) patch.final_reveal_player_id = null;
+    const next = Object.keys(patch).length ? updateGameState(patch) : state;
 
-  // Finally delete player
-  db.prepare('DELETE FROM players WHERE id = ?').run(id);
+    // Finally delete player
+    db.prepare('DELETE FROM players WHERE id = ?').run(id);
+    return next;
+  })();
 
   emit(getIo(req), 'players:updated', listPlayers());
-  emit(getIo(req), 'questions:updated', listQuestions());
-  emit(getIo(req), 'game:state', updatedState);
+  emitTeams(req);
+  emitQuestions(req);
+  emitBoard(req);
+  emitGameState(req, updatedState);
   emitBuzzQueue(req);
   logEvent(req, 'player_deleted', `Admin deleted player ${player.name}`, {
     playerId: id,
@@ -905,14 +3044,98 @@ app.delete('/api/admin/players/:id', (req, res) => {
   res.json({ ok: true });
 });
 
+app.get('/api/admin/clue-plays', (req, res) => {
+  res.json(listCluePlays(req.query.limit));
+});
+
+app.get('/api/admin/clue-stats', (req, res) => {
+  res.json(clueStats());
+});
+
 app.get('/api/admin/events', (req, res) => {
   const limit = req.query.limit;
   res.json(listEvents(limit));
 });
 
+// Full edit of a question's clue, answer, category and points.
+app.patch('/api/admin/questions/:id', (req, res) => {
+  const question = getQuestionForEdit(req.params.id);
+  if (!question) return res.status(404).json({ error: 'Question not found' });
+  const { questionText, answer, category, points } = req.body || {};
+  const edit = questionEdit(question, { questionText, answer, category, points });
+  if (edit.error) return res.status(400).json({ error: edit.error });
+  if (!Object.keys(edit.changes).length) return res.status(400).json({ error: 'No changes' });
+  res.json(saveQuestionEdit(req, question, edit, { editor: 'host', editorName: 'Host' }));
+});
+
+// status: approved | rejected | needs_revision; the last two need a reason for the submitter.
+app.post('/api/admin/questions/:id/review', (req, res) => {
+  const { status, reason } = req.body || {};
+  if (!QUESTION_STATUSES.includes(status) || status === 'pending') {
+    return res.status(400).json({ error: 'status must be approved, rejected or needs_revision' });
+  }
+  const note = typeof reason === 'string' ? reason.trim() : '';
+  if (status !== 'approved' && !note) {
+    return res.status(400).json({ error: 'Give the submitter a reason' });
+  }
+  const question = getQuestionForEdit(req.params.id);
+  if (!question) return res.status(404).json({ error: 'Question not found' });
+  setQuestionStatus(req, question, status, note, { editor: 'host', editorName: 'Host' });
+  emitQuestions(req);
+  emitBoard(req);
+  res.json(listQuestions().find((q) => q.id === question.id));
+});
+
+app.get('/api/admin/duplicates', (req, res) => {
+  res.json(listDuplicateGroups());
+});
+
+// Keep one question of a duplicate group and merge the rest into it.
+app.post('/api/admin/duplicates/merge', (req, res) => {
+  const { keepId, mergeIds } = req.body || {};
+  if (!keepId || !Array.isArray(mergeIds) || !mergeIds.length || mergeIds.includes(keepId)) {
+    return res.status(400).json({ error: 'keepId and a list of other mergeIds are required' });
+  }
+  const keep = getQuestionForEdit(keepId);
+  const merged = [...new Set(mergeIds)].map((id) => getQuestionForEdit(id));
+  if (!keep || merged.some((m) => !m)) return res.status(404).json({ error: 'Question not found' });
+  if ([keep, ...merged].some((q) => q.status === 'rejected')) {
+    return res.status(409).json({ error: 'Rejected questions cannot be merged' });
+  }
+  db.transaction(() => mergeDuplicateQuestions(req, keep, merged))();
+  emitQuestions(req);
+  emitBoard(req);
+  res.json({ kept: listQuestions().find((q) => q.id === keep.id), mergedIds: merged.map((m) => m.id) });
+});
+
+// The host says these aren't duplicates; they won't be grouped together again.
+app.post('/api/admin/duplicates/dismiss', (req, res) => {
+  const { questionIds } = req.body || {};
+  const ids = Array.isArray(questionIds) ? [...new Set(questionIds.filter((id) => typeof id === 'string'))] : [];
+  if (ids.length < 2) return res.status(400).json({ error: 'questionIds needs at least two questions' });
+  const insert = db.prepare(
+    `INSERT OR IGNORE INTO question_duplicate_dismissals (question_a, question_b, created_at)
+     VALUES (?, ?, ?)`
+  );
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const [a, b] = ids[i] < ids[j] ? [ids[i], ids[j]] : [ids[j], ids[i]];
+        insert.run(a, b, now);
+      }
+    }
+  })();
+  res.json({ ok: true });
+});
+
+app.get('/api/admin/questions/:id/revisions', (req, res) => {
+  res.json(listQuestionRevisions(req.params.id));
+});
+
 app.patch('/api/admin/questions/:id/meta', (req, res) => {
   const { id } = req.params;
-  const { category, points } = req.body || {};
+  const { category, points, roundId } = req.body || {};
 
   const updates = {};
   if (category !== undefined) {
@@ -921,6 +3144,26 @@ app.patch('/api/admin/questions/:id/meta', (req, res) => {
   if (points !== undefined) {
     updates.points = Number.isFinite(points) ? Math.trunc(points) : null;
   }
+  if (roundId !== undefined) {
+    if (roundId && !listRounds().some((r) => r.id === roundId && r.kind === 'board')) {
+      return res.status(400).json({ error: 'roundId must be a board round' });
+    }
+    updates.round_id = roundId || null;
+  }
+  const lists = answerListUpdates(req.body || {});
+  if (lists.error) return res.status(400).json({ error: lists.error });
+  Object.assign(updates, lists.updates);
+  const current = getQuestionForEdit(id);
+  const typed = questionTypeUpdates(req.body || {}, current?.answer);
+  if (current && typed.error) return res.status(400).json({ error: typed.error });
+  Object.assign(updates, typed.updates || {});
+  const changes = current
+    ? {
+        ...questionEdit(current, { category, points }).changes,
+        ...answerListEdit(current, lists.updates).changes,
+        ...questionTypeChanges(current, typed.updates || {}),
+      }
+    : {};
 
   if (!Object.keys(updates).length) {
     return res.status(400).json({ error: 'No updates provided' });
@@ -935,33 +3178,46 @@ app.patch('/api/admin/questions/:id/meta', (req, res) => {
   if (info.changes === 0) {
     return res.status(404).json({ error: 'Question not found' });
   }
+  if (Object.keys(changes).length) {
+    recordQuestionRevision(id, { editor: 'host', editorName: 'Host', changes });
+  }
 
   const row = db
     .prepare(
-      `SELECT id, category, points, selected_for_game AS selectedForGame, used_in_game AS usedInGame
-       FROM questions WHERE id = ?`
+      `SELECT q.id, q.category, q.points, q.selected_for_game AS selectedForGame,
+              q.used_in_game AS usedInGame, ${QUESTION_ROUND_SQL} AS roundId,
+              q.type, q.options_json AS optionsJson,
+              q.accepted_answers_json AS acceptedAnswersJson,
+              q.rejected_answers_json AS rejectedAnswersJson
+       FROM questions q WHERE q.id = ?`
     )
     .get(id);
-  emit(getIo(req), 'questions:updated', listQuestions());
-  res.json(row);
+  emitQuestions(req);
+  emitBoard(req);
+  emitRounds(req);
+  res.json(mapQuestionRow(row));
 });
 
 app.patch('/api/admin/questions/:id/points', (req, res) => {
   const { id } = req.params;
   const { points } = req.body || {};
   const val = Number.isFinite(points) ? Math.trunc(points) : null;
-  const info = db
-    .prepare('UPDATE questions SET points = ? WHERE id = ?')
-    .run(val, id);
-  if (info.changes === 0) {
-    return res.status(404).json({ error: 'Question not found' });
+  const current = getQuestionForEdit(id);
+  if (!current) return res.status(404).json({ error: 'Question not found' });
+  db.prepare('UPDATE questions SET points = ? WHERE id = ?').run(val, id);
+  const { changes } = questionEdit(current, { points: val });
+  if (Object.keys(changes).length) {
+    recordQuestionRevision(id, { editor: 'host', editorName: 'Host', changes });
   }
-  emit(getIo(req), 'questions:updated', listQuestions());
+  emitQuestions(req);
+  emitBoard(req);
   res.json({ id, points: val });
 });
 
 app.post('/api/game/select-card', (req, res) => {
   const { questionId, category, points, force, pickerPlayerId } = req.body || {};
+  // Forcing a pick (the /host board) is a host override.
+  if (force && !isAdmin(req)) return requireAdmin(req, res);
   const pts = Number.isFinite(points) ? Math.trunc(points) : null;
   const cat = category ? String(category).trim() : null;
   const state0 = getGameState();
@@ -977,6 +3233,7 @@ app.post('/api/game/select-card', (req, res) => {
     if (!pickerPlayerId || pickerPlayerId !== state0.turn_player_id) {
       return res.status(403).json({ error: 'Not your turn' });
     }
+    if (!actsAsPlayer(req, pickerPlayerId)) return res.status(403).json({ error: DEVICE_ERROR });
   }
 
   // Allow selecting an empty tile (no questionId). This sets a placeholder tile.
@@ -995,128 +3252,858 @@ app.post('/api/game/select-card', (req, res) => {
       buzzer_locked: 0,
       last_buzz_player_id: null,
       last_buzz_time: null,
+      current_is_daily_double: 0,
+      daily_double_wager: null,
+      daily_double_max_wager: null,
+      ...clueWindowPatch(state0),
     });
-    emit(getIo(req), 'game:state', state);
+    openCluePlay({
+      roundId: state0.current_round_id,
+      category: cat,
+      points: pts,
+      clueText: clue,
+      answer,
+      placeholder: true,
+      pickedBy: pickerPlayerId || state0.turn_player_id || null,
+      readingEndedAt: state.question_reading ? null : state.clue_opened_at,
+    });
+    emitGameState(req, state);
     emitBuzzQueue(req);
+    armClueTimer(req, state);
     logEvent(req, 'card_selected', `Selected ${cat || 'Unknown'} $${pts || ''} (default/NA)`, {
       category: cat,
       points: pts,
       placeholder: true,
     });
-    return res.json(state);
+    return res.json(gameStateFor(req, state));
   }
 
   const q = db
     .prepare(
-      `SELECT id, category, points, selected_for_game AS selectedForGame, used_in_game AS usedInGame
-       FROM questions WHERE id = ?`
+      `SELECT q.id, q.category, q.points, q.question_text AS questionText, q.answer,
+              q.selected_for_game AS selectedForGame,
+              q.used_in_game AS usedInGame, ${QUESTION_ROUND_SQL} AS roundId
+       FROM questions q WHERE q.id = ?`
     )
     .get(questionId);
   if (!q) return res.status(404).json({ error: 'Question not found' });
 
+  const round = getCurrentRound(state0);
   if (!force) {
     if (!q.selectedForGame) return res.status(400).json({ error: 'Question not selected' });
     if (q.usedInGame) return res.status(409).json({ error: 'Card already used' });
+    if (round && q.roundId !== round.id) {
+      return res.status(400).json({ error: 'Question is not on the current board' });
+    }
   }
 
   db.prepare('UPDATE questions SET used_in_game = 1 WHERE id = ?').run(questionId);
   clearBuzzQueue();
 
-  const state = updateGameState({
-    current_question_id: questionId,
-    current_category: q.category || cat,
-    current_points: Number.isFinite(q.points) ? q.points : pts,
-    current_is_placeholder: 0,
-    current_clue_text: null,
-    current_answer_text: null,
-    buzzer_locked: 0,
-    last_buzz_player_id: null,
-    last_buzz_time: null,
-    question_reading: 1, // Mark question as being read
-  });
-  emit(getIo(req), 'questions:updated', listQuestions());
-  emit(getIo(req), 'game:state', state);
-  emitBuzzQueue(req);
-  logEvent(req, 'card_selected', `Selected ${state.current_category || 'Unknown'} $${state.current_points || ''}`, {
-    questionId,
-    category: state.current_category,
-    points: state.current_points,
-    placeholder: false,
+  const tileCategory = q.category || cat;
+  const tilePoints = Number.isFinite(q.points) ? q.points : pts;
+  // Daily Doubles need someone holding the turn: that player wagers and answers alone.
+  const dailyDouble =
+    !!state0.turn_player_id && isDailyDoubleTile(tileCategory, tilePoints, round?.id);
+
+  const state = updateGameState({
+    current_question_id: questionId,
+    current_category: tileCategory,
+    current_points: tilePoints,
+    current_is_placeholder: 0,
+    current_clue_text: null,
+    current_answer_text: null,
+    buzzer_locked: dailyDouble ? 1 : 0,
+    last_buzz_player_id: null,
+    last_buzz_time: null,
+    // Daily Double clues are read once the wager is locked in.
+    question_reading: dailyDouble ? 0 : 1, // Mark question as being read
+    current_is_daily_double: dailyDouble ? 1 : 0,
+    daily_double_wager: null,
+    daily_double_max_wager: dailyDouble ? dailyDoubleMaxWager(state0.turn_player_id, round) : null,
+    // The clue window starts once the question has been read.
+    clue_opened_at: null,
+    clue_deadline: null,
+    answer_deadline: null,
+    typed_response_id: null,
+    typed_response: null,
+    typed_verdict: null,
+    mc_choice_count: 0,
+  });
+  openCluePlay({
+    roundId: q.roundId || null,
+    questionId,
+    category: tileCategory,
+    points: tilePoints,
+    clueText: q.questionText,
+    answer: q.answer,
+    dailyDouble,
+    pickedBy: pickerPlayerId || state0.turn_player_id || null,
+  });
+  armClueTimer(req, state);
+  emitQuestions(req);
+  emitBoard(req);
+  emitGameState(req, state);
+  emitBuzzQueue(req);
+  logEvent(req, 'card_selected', `Selected ${state.current_category || 'Unknown'} $${state.current_points || ''}`, {
+    questionId,
+    category: state.current_category,
+    points: state.current_points,
+    placeholder: false,
+  });
+  if (dailyDouble) {
+    const p = db.prepare('SELECT name FROM players WHERE id = ?').get(state0.turn_player_id);
+    logEvent(req, 'daily_double', `Daily Double! ${p?.name || state0.turn_player_id} is wagering`, {
+      playerId: state0.turn_player_id,
+      playerName: p?.name,
+      category: state.current_category,
+      points: state.current_points,
+    });
+  }
+  res.json(gameStateFor(req, state));
+});
+
+app.post('/api/game/reset-board', requireAdmin, (req, res) => {
+  const round = getCurrentRound();
+  db.prepare(
+    `UPDATE questions SET used_in_game = 0
+     WHERE id IN (SELECT q.id FROM questions q WHERE ${QUESTION_ROUND_SQL} IS ?)`
+  ).run(round ? round.id : null);
+  const state = updateGameState({
+    current_question_id: null,
+    current_category: null,
+    current_points: null,
+    current_is_placeholder: 0,
+    current_clue_text: null,
+    current_answer_text: null,
+    // keep turn_player_id as-is
+    buzzer_locked: 0,
+    last_buzz_player_id: null,
+    last_buzz_time: null,
+    current_is_daily_double: 0,
+    daily_double_wager: null,
+    daily_double_max_wager: null,
+    clue_opened_at: null,
+    clue_deadline: null,
+    answer_deadline: null,
+    typed_response_id: null,
+    typed_response: null,
+    typed_verdict: null,
+    mc_choice_count: 0,
+  });
+  emitQuestions(req);
+  emitBoard(req);
+  emitGameState(req, state);
+  res.json(gameStateFor(req, state));
+});
+
+app.get('/api/game/state', (req, res) => {
+  res.json(gameStateFor(req, getGameState()));
+});
+
+app.post('/api/game/start', requireAdmin, (req, res) => {
+  const { dailyDoubles } = req.body || {};
+  // If there are no selected questions yet, seed defaults and select them.
+  const selectedCount = db
+    .prepare('SELECT COUNT(1) AS c FROM questions WHERE selected_for_game = 1')
+    .get().c;
+  if (!selectedCount) {
+    seedDefaultQuestions({ selectForGame: true });
+  }
+
+  // New game: reset board so no tiles start as "used".
+  db.prepare('UPDATE questions SET used_in_game = 0').run();
+  // Every game starts on the first board round; its config decides the Daily Double count.
+  const firstRound = listRounds().find((r) => r.kind === 'board') || null;
+  db.prepare('DELETE FROM daily_doubles').run();
+  const dailyDoubleTiles = designateDailyDoubles(
+    firstRound,
+    dailyDoubles === undefined ? firstRound?.dailyDoubles : dailyDoubles
+  );
+
+  const state = updateGameState({
+    status: 'active',
+    current_question_id: null,
+    current_category: null,
+    current_points: null,
+    current_is_placeholder: 0,
+    current_clue_text: null,
+    current_answer_text: null,
+    turn_player_id: null,
+    final_stage: null,
+    final_category: null,
+    final_clue_text: null,
+    final_answer_text: null,
+    final_reveal_player_id: null,
+    current_round_id: firstRound ? firstRound.id : null,
+    buzzer_locked: 0,
+    last_buzz_player_id: null,
+    last_buzz_time: null,
+    current_is_daily_double: 0,
+    daily_double_wager: null,
+    daily_double_max_wager: null,
+    clue_opened_at: null,
+    clue_deadline: null,
+    answer_deadline: null,
+    typed_response_id: null,
+    typed_response: null,
+    typed_verdict: null,
+    mc_choice_count: 0,
+  });
+  clearBuzzQueue();
+  clearFinalRound();
+  emit(getIo(req), 'players:updated', listPlayers());
+  emitQuestions(req);
+  emitBoard(req);
+  emitGameState(req, state);
+  emitBuzzQueue(req);
+  emitFinal(req);
+  // Only the count is logged: events are broadcast, and the tiles must stay secret.
+  logEvent(req, 'game_started', 'Game started', { dailyDoubles: dailyDoubleTiles.length });
+  logEvent(req, 'board_reset', 'Board reset (all tiles unused)', {});
+  res.json(gameStateFor(req, state));
+});
+
+app.post('/api/game/end', requireAdmin, (req, res) => {
+  const state = updateGameState({
+    status: 'ended',
+    buzzer_locked: 1,
+  });
+  clearBuzzQueue();
+  emitGameState(req, state);
+  emitBuzzQueue(req);
+  logEvent(req, 'game_ended', 'Game ended', {});
+  res.json(gameStateFor(req, state));
+});
+
+app.get('/api/rounds', (req, res) => {
+  res.json(listRounds());
+});
+
+app.get('/api/board', (req, res) => {
+  const { roundId } = req.query;
+  if (!roundId) return res.json(getBoardLayout());
+  const round = listRounds().find((r) => r.id === roundId);
+  if (!round) return res.status(404).json({ error: 'Round not found' });
+  res.json(getBoardLayout(round));
+});
+
+app.post('/api/admin/rounds', (req, res) => {
+  const { name, kind, values, dailyDoubles } = req.body || {};
+  const roundName = typeof name === 'string' ? name.trim() : '';
+  if (!roundName) return res.status(400).json({ error: 'name is required' });
+  const roundKind = kind === 'final' ? 'final' : 'board';
+
+  let ladder = null;
+  if (roundKind === 'board') {
+    ladder = values === undefined ? DEFAULT_POINT_LADDER : normalizePointLadder(values);
+    if (!ladder) {
+      return res.status(400).json({ error: 'values must be 1-10 positive numbers' });
+    }
+  }
+
+  const position = (db.prepare('SELECT MAX(position) AS m FROM rounds').get().m || 0) + 1;
+  const id = uuidv4();
+  db.prepare(
+    `INSERT INTO rounds (id, position, name, kind, values_json, daily_doubles, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    id,
+    position,
+    roundName,
+    roundKind,
+    ladder ? JSON.stringify(ladder) : null,
+    roundKind === 'board' ? Math.max(0, Math.trunc(Number(dailyDoubles) || 0)) : 0,
+    new Date().toISOString()
+  );
+
+  emitRounds(req);
+  emitBoard(req);
+  res.status(201).json(listRounds().find((r) => r.id === id));
+});
+
+app.patch('/api/admin/rounds/:id', (req, res) => {
+  const { id } = req.params;
+  const round = listRounds().find((r) => r.id === id);
+  if (!round) return res.status(404).json({ error: 'Round not found' });
+
+  const { name, values, dailyDoubles, position, categoryCount, categoryOrder } = req.body || {};
+  const updates = {};
+  if (name !== undefined) {
+    const roundName = typeof name === 'string' ? name.trim() : '';
+    if (!roundName) return res.status(400).json({ error: 'name cannot be empty' });
+    updates.name = roundName;
+  }
+  if (values !== undefined && round.kind === 'board') {
+    const ladder = normalizePointLadder(values);
+    if (!ladder) return res.status(400).json({ error: 'values must be 1-10 positive numbers' });
+    updates.values_json = JSON.stringify(ladder);
+  }
+  if (dailyDoubles !== undefined && round.kind === 'board') {
+    updates.daily_doubles = Math.max(0, Math.trunc(Number(dailyDoubles) || 0));
+  }
+  if (position !== undefined) {
+    if (!Number.isFinite(position)) return res.status(400).json({ error: 'position must be a number' });
+    updates.position = Math.trunc(position);
+  }
+  if (categoryCount !== undefined && round.kind === 'board') {
+    const n = categoryCount === null || categoryCount === '' ? null : Number(categoryCount);
+    if (n !== null && !(Number.isInteger(n) && n >= 1 && n <= MAX_BOARD_CATEGORIES)) {
+      return res
+        .status(400)
+        .json({ error: `categoryCount must be 1-${MAX_BOARD_CATEGORIES} (or null for all)` });
+    }
+    updates.category_count = n;
+  }
+  if (categoryOrder !== undefined && round.kind === 'board') {
+    const order = normalizeCategoryOrder(categoryOrder || []);
+    if (!order) {
+      return res
+        .status(400)
+        .json({ error: `categoryOrder must be up to ${MAX_BOARD_CATEGORIES} category names` });
+    }
+    updates.category_order_json = order.length ? JSON.stringify(order) : null;
+  }
+  if (!Object.keys(updates).length) {
+    return res.status(400).json({ error: 'No updates provided' });
+  }
+
+  const sets = Object.keys(updates).map((k) => `${k}=@${k}`).join(', ');
+  db.prepare(`UPDATE rounds SET ${sets} WHERE id = @id`).run({ ...updates, id });
+
+  emitRounds(req);
+  emitQuestions(req);
+  emitBoard(req);
+  res.json(listRounds().find((r) => r.id === id));
+});
+
+app.delete('/api/admin/rounds/:id', (req, res) => {
+  const { id } = req.params;
+  const round = listRounds().find((r) => r.id === id);
+  if (!round) return res.status(404).json({ error: 'Round not found' });
+
+  const state = getGameState();
+  if (state.status !== 'waiting' && state.current_round_id === id) {
+    return res.status(409).json({ error: 'Cannot delete the round being played' });
+  }
+
+  const tx = db.transaction(() => {
+    // Its questions fall back to the first board round.
+    db.prepare('UPDATE questions SET round_id = NULL WHERE round_id = ?').run(id);
+    db.prepare('DELETE FROM daily_doubles WHERE round_id = ?').run(id);
+    db.prepare('DELETE FROM rounds WHERE id = ?').run(id);
+  });
+  tx();
+
+  emitRounds(req);
+  emitQuestions(req);
+  emitBoard(req);
+  res.json({ ok: true });
+});
+
+// Board builder. The preview plans a full grid for a round from the approved questions;
+// the host locks the tiles they like, re-rolls the rest, then commits the plan.
+const BOARD_BUILDER_CATEGORIES = 6;
+
+function boardRound(roundId) {
+  const round = roundId ? listRounds().find((r) => r.id === roundId) : getCurrentRound();
+  return round && round.kind === 'board' ? round : null;
+}
+
+// What the builder may use for a round: approved questions that haven't been played and
+// aren't on another round's board, split into guests' and the house's. Library questions
+// join the house ones unless the room already has them or an earlier game used them.
+function boardBuildPool(round) {
+  const questions = listQuestions().filter(
+    (q) =>
+      (q.status || 'approved') === 'approved' &&
+      !q.usedInGame &&
+      !(q.selectedForGame && q.roundId !== round.id) &&
+      q.category &&
+      !['N/A', 'NA'].includes(q.category.trim())
+  );
+  const isHouse = (q) => q.playerSlug === 'house';
+  const seen = new Set(listQuestions().filter(isHouse).map((q) => `${q.questionText}|${q.answer}`));
+  const library = [];
+  const packNames = new Map(listQuestionPacks().map((p) => [p.key, p.name]));
+  for (const key of fillPackKeys()) {
+    (getPackQuestions(key) || []).forEach((q, position) => {
+      const text = `${q.questionText}|${q.answer}`;
+      if (seen.has(text) || checkQuestionUsed(q.questionText, q.answer, q.category, q.points)) return;
+      seen.add(text);
+      library.push({ ...q, pack: { key, position, name: packNames.get(key) }, playerId: null });
+    });
+  }
+  return {
+    pool: questions.filter((q) => !isHouse(q)),
+    house: [...questions.filter(isHouse), ...library],
+  };
+}
+
+// Tiles sent back by the admin ({ category, points, questionId } or { ..., pack: { key,
+// position } }) matched against the pool. Returns { tiles } with each tile's question
+// and source, or { error }.
+function resolveBoardTiles(round, tiles, { pool, house }) {
+  if (!Array.isArray(tiles)) return { error: 'tiles must be a list' };
+  const resolved = [];
+  const seenTiles = new Set();
+  const seenQuestions = new Set();
+  for (const tile of tiles) {
+    const category = typeof tile?.category === 'string' ? tile.category.trim() : '';
+    const points = Number(tile?.points);
+    if (!category || !round.values.includes(points)) {
+      return { error: `Each tile needs a category and one of the round's values (${round.values.join(', ')})` };
+    }
+    const tileKey = `${category.toLowerCase()}|${points}`;
+    if (seenTiles.has(tileKey)) return { error: `${category} for ${points} is listed twice` };
+    seenTiles.add(tileKey);
+    if (!tile.questionId && !tile.pack) continue;
+    const validRef = tile.questionId
+      ? typeof tile.questionId === 'string'
+      : typeof tile.pack === 'object' && typeof tile.pack.key === 'string' && Number.isInteger(tile.pack.position);
+    if (!validRef) return { error: 'A tile question needs a questionId or a pack { key, position }' };
+    const ref = tile.questionId || `${tile.pack.key}#${tile.pack.position}`;
+    const match = (q) =>
+      tile.questionId ? q.id === tile.questionId : q.pack?.key === tile.pack.key && q.pack.position === tile.pack.position;
+    const fromPool = pool.find(match);
+    const question = fromPool || house.find(match);
+    if (!question || seenQuestions.has(ref)) {
+      return { error: 'Some of these questions are no longer available; build the board again' };
+    }
+    seenQuestions.add(ref);
+    resolved.push({ category, points, source: fromPool ? 'pool' : 'house', question });
+  }
+  return { tiles: resolved };
+}
+
+function plannedQuestion(q) {
+  return {
+    id: q.id || null,
+    pack: q.pack || null,
+    questionText: q.questionText,
+    answer: q.answer,
+    category: q.category,
+    points: q.points,
+    playerId: q.playerId,
+    playerName: q.playerName || q.pack?.name || null,
+    hasMedia: !!q.media,
+  };
+}
+
+app.post('/api/admin/board/build', (req, res) => {
+  const { roundId, categoryCount, locks } = req.body || {};
+  const round = boardRound(roundId);
+  if (!round) return res.status(400).json({ error: 'roundId must be a board round' });
+  const count = Number(categoryCount ?? round.categoryCount ?? BOARD_BUILDER_CATEGORIES);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_BOARD_CATEGORIES) {
+    return res.status(400).json({ error: `categoryCount must be 1-${MAX_BOARD_CATEGORIES}` });
+  }
+  const candidates = boardBuildPool(round);
+  const locked = resolveBoardTiles(round, locks || [], candidates);
+  if (locked.error) return res.status(400).json({ error: locked.error });
+  const plan = planBoard({
+    ...candidates,
+    values: round.values,
+    categoryCount: count,
+    order: round.categoryOrder,
+    locks: locked.tiles,
+  });
+  const filled = plan.tiles.filter((t) => t.question);
+  res.json({
+    roundId: round.id,
+    roundName: round.name,
+    values: round.values,
+    categories: plan.categories,
+    tiles: plan.tiles.map((t) => ({ ...t, question: t.question && plannedQuestion(t.question) })),
+    filled: filled.length,
+    fromHouse: filled.filter((t) => t.source === 'house').length,
+    empty: plan.tiles.length - filled.length,
+    authors: new Set(filled.filter((t) => t.source === 'pool').map((t) => t.question.playerId)).size,
+  });
+});
+
+// Put a previewed board in place: its questions move to their tiles (recorded as host
+// edits when that changes their category or points), library ones are copied in as house
+// questions, the round's other unplayed questions come off the board, and the columns
+// keep the preview's order.
+app.post('/api/admin/board/build/commit', (req, res) => {
+  const { roundId, categories, tiles } = req.body || {};
+  const round = boardRound(roundId);
+  if (!round) return res.status(400).json({ error: 'roundId must be a board round' });
+  const state = getGameState();
+  if (state.status !== 'waiting' && state.current_round_id === round.id) {
+    return res.status(409).json({ error: 'Cannot rebuild the round being played' });
+  }
+  const order = normalizeCategoryOrder(categories || []);
+  if (!order || !order.length) {
+    return res.status(400).json({ error: `categories must be 1-${MAX_BOARD_CATEGORIES} category names` });
+  }
+  const resolved = resolveBoardTiles(round, tiles, boardBuildPool(round));
+  if (resolved.error) return res.status(400).json({ error: resolved.error });
+  const columns = new Map(order.map((c) => [c.toLowerCase(), c]));
+  if (resolved.tiles.some((t) => !columns.has(t.category.toLowerCase()))) {
+    return res.status(400).json({ error: 'Every tile must be in one of the categories' });
+  }
+
+  let system = null;
+  db.transaction(() => {
+    const now = new Date().toISOString();
+    const planned = new Set(resolved.tiles.map((t) => t.question.id).filter(Boolean));
+    const deselect = db.prepare('UPDATE questions SET selected_for_game = 0 WHERE id = ?');
+    for (const q of listQuestions(true)) {
+      if (q.roundId === round.id && !q.usedInGame && !planned.has(q.id)) deselect.run(q.id);
+    }
+    const packQuestions = new Map();
+    for (const tile of resolved.tiles) {
+      const category = columns.get(tile.category.toLowerCase());
+      if (tile.question.pack) {
+        const { key, position } = tile.question.pack;
+        if (!packQuestions.has(key)) packQuestions.set(key, getPackQuestions(key, { withMedia: true }));
+        system = system || ensureSystemPlayer();
+        insertHouseQuestion(system, packQuestions.get(key)[position], {
+          category,
+          points: tile.points,
+          selected: true,
+          roundId: round.id,
+          now,
+        });
+        continue;
+      }
+      const question = getQuestionForEdit(tile.question.id);
+      const edit = questionEdit(question, { category, points: tile.points });
+      db.prepare(
+        'UPDATE questions SET category = ?, points = ?, round_id = ?, selected_for_game = 1 WHERE id = ?'
+      ).run(category, tile.points, round.id, question.id);
+      if (Object.keys(edit.changes).length) {
+        recordQuestionRevision(question.id, { editor: 'host', editorName: 'Host', changes: edit.changes });
+      }
+    }
+    // A capped board still shows every built column.
+    db.prepare('UPDATE rounds SET category_order_json = ?, category_count = ? WHERE id = ?').run(
+      JSON.stringify(order),
+      round.categoryCount && Math.max(round.categoryCount, order.length),
+      round.id
+    );
+  })();
+
+  const fromHouse = resolved.tiles.filter((t) => t.source === 'house').length;
+  if (system) emit(getIo(req), 'players:updated', listPlayers());
+  emitRounds(req);
+  emitQuestions(req);
+  emitBoard(req);
+  logEvent(req, 'board_built', `Built the ${round.name} board (${resolved.tiles.length} questions)`, {
+    roundId: round.id,
+    placed: resolved.tiles.length,
+    fromHouse,
+  });
+  res.json({
+    round: listRounds().find((r) => r.id === round.id),
+    placed: resolved.tiles.length,
+    fromHouse,
+  });
+});
+
+app.post('/api/admin/rounds/advance', (req, res) => {
+  const state0 = getGameState();
+  if (state0.status !== 'active') {
+    return res.status(400).json({ error: 'Rounds only advance during an active game' });
+  }
+  if (state0.current_question_id || state0.current_is_placeholder) {
+    return res.status(409).json({ error: 'Resolve the current clue first' });
+  }
+
+  const current = getCurrentRound(state0);
+  const next = current ? nextRoundAfter(current.id) : null;
+  if (!next) return res.status(400).json({ error: 'This is the last round' });
+
+  if (next.kind === 'final') {
+    const result = startFinalJeopardy(req, req.body || {});
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    emitRounds(req);
+    return res.json({ ...result, round: next });
+  }
+
+  // Fresh board: only this round's tiles become available again.
+  db.prepare(
+    `UPDATE questions SET used_in_game = 0
+     WHERE id IN (SELECT q.id FROM questions q WHERE ${QUESTION_ROUND_SQL} = ?)`
+  ).run(next.id);
+  const dailyDoubleTiles = designateDailyDoubles(next, next.dailyDoubles);
+  clearBuzzQueue();
+
+  const state = updateGameState({
+    current_round_id: next.id,
+    buzzer_locked: 0,
+    last_buzz_player_id: null,
+    last_buzz_time: null,
+    current_is_daily_double: 0,
+    daily_double_wager: null,
+    daily_double_max_wager: null,
+    clue_opened_at: null,
+    clue_deadline: null,
+    answer_deadline: null,
+    typed_response_id: null,
+    typed_response: null,
+    typed_verdict: null,
+    mc_choice_count: 0,
+  });
+  emitQuestions(req);
+  emitBoard(req);
+  emitGameState(req, state);
+  emitRounds(req);
+  emitBuzzQueue(req);
+  logEvent(req, 'round_advanced', `Now playing ${next.name}`, {
+    roundId: next.id,
+    roundName: next.name,
+    dailyDoubles: dailyDoubleTiles.length,
+  });
+  res.json({ state, round: next });
+});
+
+app.get('/api/game/final', (req, res) => {
+  res.json(getFinalPublic());
+});
+
+app.get('/api/admin/final', (req, res) => {
+  res.json(getFinalAdmin());
+});
+
+// Shared by the Final Jeopardy panel and "advance round" when the next round is the final.
+// Returns { status, error } on failure.
+function startFinalJeopardy(req, { category, clueText, answer } = {}) {
+  const cat = typeof category === 'string' ? category.trim() : '';
+  const clue = typeof clueText === 'string' ? clueText.trim() : '';
+  const ans = typeof answer === 'string' ? answer.trim() : '';
+  if (!cat || !clue || !ans) {
+    return { status: 400, error: 'category, clueText, and answer are required' };
+  }
+
+  const state0 = getGameState();
+  if (state0.status !== 'active') {
+    return { status: 400, error: 'Final Jeopardy starts from an active game' };
+  }
+  if (state0.current_question_id || state0.current_is_placeholder) {
+    return { status: 409, error: 'Resolve the current clue first' };
+  }
+
+  // Only players in the black get to play Final Jeopardy. In team mode each team's
+  // first member answers for the whole team.
+  const eligible = state0.team_mode
+    ? db
+        .prepare(
+          `SELECT p.id, t.id AS teamId, COALESCE(t.score, p.score) AS score
+           FROM players p
+           LEFT JOIN teams t ON t.id = p.team_id
+           WHERE COALESCE(t.score, p.score) > 0
+             AND (t.id IS NULL OR p.id = (
+               SELECT m.id FROM players m WHERE m.team_id = t.id ORDER BY m.created_at ASC LIMIT 1
+             ))`
+        )
+        .all()
+    : db.prepare('SELECT id, NULL AS teamId, score FROM players WHERE score > 0').all();
+  const now = new Date().toISOString();
+  const insertStmt = db.prepare(
+    `INSERT INTO final_wagers (player_id, team_id, starting_score, wager, wagered_at, created_at)
+     VALUES (?, ?, ?, NULL, NULL, ?)`
+  );
+  const tx = db.transaction(() => {
+    clearFinalRound();
+    for (const p of eligible) insertStmt.run(p.id, p.teamId, p.score, now);
+  });
+  tx();
+  clearBuzzQueue();
+
+  const current = getCurrentRound(state0);
+  const finalRound = listRounds().find(
+    (r) => r.kind === 'final' && (!current || r.position > current.position)
+  );
+  const state = updateGameState({
+    status: 'final',
+    current_round_id: finalRound ? finalRound.id : state0.current_round_id,
+    final_stage: 'wagering',
+    final_category: cat,
+    final_clue_text: clue,
+    final_answer_text: ans,
+    final_reveal_player_id: null,
+    buzzer_locked: 1,
+    last_buzz_player_id: null,
+    last_buzz_time: null,
+  });
+  emitGameState(req, state);
+  emitBuzzQueue(req);
+  emitFinal(req);
+  logEvent(req, 'final_started', `Final Jeopardy: ${cat} (${eligible.length} players)`, {
+    category: cat,
+    players: eligible.length,
+  });
+  return { state, final: getFinalAdmin() };
+}
+
+app.post('/api/admin/final/start', (req, res) => {
+  const result = startFinalJeopardy(req, req.body || {});
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json(result);
+});
+
+app.post('/api/game/final/wager', (req, res) => {
+  const { playerId, wager } = req.body || {};
+  if (!playerId) return res.status(400).json({ error: 'playerId is required' });
+  if (!actsAsPlayer(req, playerId)) return res.status(403).json({ error: DEVICE_ERROR });
+
+  const final = getFinalRound();
+  if (getGameState().status !== 'final' || final.stage !== 'wagering') {
+    return res.status(400).json({ error: 'Wagers are closed' });
+  }
+
+  const entry = db
+    .prepare('SELECT starting_score AS startingScore FROM final_wagers WHERE player_id = ?')
+    .get(playerId);
+  if (!entry) {
+    return res.status(403).json({ error: 'Only players with a positive score play Final Jeopardy' });
+  }
+
+  const w = Number(wager);
+  if (!Number.isFinite(w) || Math.trunc(w) < 0 || Math.trunc(w) > entry.startingScore) {
+    return res.status(400).json({ error: `Wager must be between 0 and ${entry.startingScore}` });
+  }
+
+  db.prepare('UPDATE final_wagers SET wager = ?, wagered_at = ? WHERE player_id = ?').run(
+    Math.trunc(w),
+    new Date().toISOString(),
+    playerId
+  );
+  const p = db.prepare('SELECT name FROM players WHERE id = ?').get(playerId);
+  emitFinal(req);
+  // The amount stays out of the (broadcast) event log.
+  logEvent(req, 'final_wager', `${p?.name || playerId} locked in a Final Jeopardy wager`, {
+    playerId,
+    playerName: p?.name,
+  });
+  res.json({ ok: true, wager: Math.trunc(w) });
+});
+
+app.post('/api/admin/final/reveal-clue', (req, res) => {
+  const final = getFinalRound();
+  if (getGameState().status !== 'final' || final.stage !== 'wagering') {
+    return res.status(400).json({ error: 'Final Jeopardy is not taking wagers' });
+  }
+
+  const missing = listFinalContestants().filter((c) => c.wager === null).length;
+  const state = updateGameState({ final_stage: 'answering' });
+  emitGameState(req, state);
+  emitFinal(req);
+  logEvent(
+    req,
+    'final_clue_revealed',
+    `Final Jeopardy clue revealed${missing ? ` (${missing} without a wager, counted as $0)` : ''}`,
+    { missingWagers: missing }
+  );
+  res.json({ state, final: getFinalAdmin() });
+});
+
+app.post('/api/game/final/response', (req, res) => {
+  const { playerId, response } = req.body || {};
+  if (!playerId) return res.status(400).json({ error: 'playerId is required' });
+  if (!actsAsPlayer(req, playerId)) return res.status(403).json({ error: DEVICE_ERROR });
+  const text = typeof response === 'string' ? response.trim().slice(0, 200) : '';
+  if (!text) return res.status(400).json({ error: 'response is required' });
+
+  const final = getFinalRound();
+  if (getGameState().status !== 'final' || final.stage !== 'answering') {
+    return res.status(400).json({ error: 'Responses are closed' });
+  }
+
+  const entry = db.prepare('SELECT 1 FROM final_wagers WHERE player_id = ?').get(playerId);
+  if (!entry) {
+    return res.status(403).json({ error: 'Only players with a positive score play Final Jeopardy' });
+  }
+
+  db.prepare(
+    `INSERT INTO final_responses (player_id, response, correct, judged_at, created_at)
+     VALUES (?, ?, NULL, NULL, ?)
+     ON CONFLICT(player_id) DO UPDATE SET response=excluded.response, created_at=excluded.created_at`
+  ).run(playerId, text, new Date().toISOString());
+  const p = db.prepare('SELECT name FROM players WHERE id = ?').get(playerId);
+  emitFinal(req);
+  logEvent(req, 'final_response', `${p?.name || playerId} submitted a Final Jeopardy response`, {
+    playerId,
+    playerName: p?.name,
   });
-  res.json(state);
+  res.json({ ok: true });
 });
 
-app.post('/api/game/reset-board', (req, res) => {
-  db.prepare('UPDATE questions SET used_in_game = 0').run();
+app.post('/api/admin/final/lock', (req, res) => {
+  const final = getFinalRound();
+  if (getGameState().status !== 'final' || final.stage !== 'answering') {
+    return res.status(400).json({ error: 'Final Jeopardy is not taking responses' });
+  }
+
+  const revealId = nextFinalRevealPlayerId();
   const state = updateGameState({
-    current_question_id: null,
-    current_category: null,
-    current_points: null,
-    current_is_placeholder: 0,
-    current_clue_text: null,
-    current_answer_text: null,
-    // keep turn_player_id as-is
-    buzzer_locked: 0,
-    last_buzz_player_id: null,
-    last_buzz_time: null,
+    final_stage: revealId ? 'judging' : 'done',
+    final_reveal_player_id: revealId,
   });
-  emit(getIo(req), 'questions:updated', listQuestions());
-  emit(getIo(req), 'game:state', state);
-  res.json(state);
+  emitGameState(req, state);
+  emitFinal(req);
+  logEvent(req, 'final_locked', 'Final Jeopardy responses locked', {});
+  res.json({ state, final: getFinalAdmin() });
 });
 
-app.get('/api/game/state', (req, res) => {
-  res.json(getGameState());
-});
+app.post('/api/admin/final/judge', (req, res) => {
+  const { playerId, correct } = req.body || {};
+  if (typeof correct !== 'boolean') {
+    return res.status(400).json({ error: 'correct must be boolean' });
+  }
 
-app.post('/api/game/start', (req, res) => {
-  // If there are no selected questions yet, seed defaults and select them.
-  const selectedCount = db
-    .prepare('SELECT COUNT(1) AS c FROM questions WHERE selected_for_game = 1')
-    .get().c;
-  if (!selectedCount) {
-    seedDefaultQuestions({ selectForGame: true });
+  const final = getFinalRound();
+  if (getGameState().status !== 'final' || final.stage !== 'judging') {
+    return res.status(400).json({ error: 'Final Jeopardy is not being judged' });
+  }
+  const target = playerId || final.revealPlayerId;
+  if (target !== final.revealPlayerId) {
+    return res.status(409).json({ error: 'Judge responses in reveal order' });
   }
 
-  // New game: reset board so no tiles start as "used".
-  db.prepare('UPDATE questions SET used_in_game = 0').run();
+  const contestant = listFinalContestants().find((c) => c.playerId === target);
+  if (!contestant) return res.status(404).json({ error: 'Player not found' });
 
-  const state = updateGameState({
-    status: 'active',
-    current_question_id: null,
-    current_category: null,
-    current_points: null,
-    current_is_placeholder: 0,
-    current_clue_text: null,
-    current_answer_text: null,
-    turn_player_id: null,
-    buzzer_locked: 0,
-    last_buzz_player_id: null,
-    last_buzz_time: null,
+  const wager = contestant.wager || 0;
+  const delta = correct ? wager : -wager;
+  const now = new Date().toISOString();
+  const tx = db.transaction(() => {
+    if (contestant.teamId) {
+      db.prepare('UPDATE teams SET score = score + ? WHERE id = ?').run(delta, contestant.teamId);
+    } else {
+      db.prepare('UPDATE players SET score = score + ? WHERE id = ?').run(delta, target);
+    }
+    // Players who never answered still get judged (as a blank response).
+    db.prepare(
+      `INSERT INTO final_responses (player_id, response, correct, judged_at, created_at)
+       VALUES (@playerId, '', @correct, @now, @now)
+       ON CONFLICT(player_id) DO UPDATE SET correct=excluded.correct, judged_at=excluded.judged_at`
+    ).run({ playerId: target, correct: correct ? 1 : 0, now });
   });
-  clearBuzzQueue();
-  emit(getIo(req), 'players:updated', listPlayers());
-  emit(getIo(req), 'questions:updated', listQuestions());
-  emit(getIo(req), 'game:state', state);
-  emitBuzzQueue(req);
-  logEvent(req, 'game_started', 'Game started', {});
-  logEvent(req, 'board_reset', 'Board reset (all tiles unused)', {});
-  res.json(state);
-});
+  tx();
 
-app.post('/api/game/end', (req, res) => {
+  const next = nextFinalRevealPlayerId();
   const state = updateGameState({
-    status: 'ended',
-    buzzer_locked: 1,
+    final_stage: next ? 'judging' : 'done',
+    final_reveal_player_id: next,
   });
-  clearBuzzQueue();
-  emit(getIo(req), 'game:state', state);
-  emitBuzzQueue(req);
-  logEvent(req, 'game_ended', 'Game ended', {});
-  res.json(state);
+  emit(getIo(req), 'players:updated', listPlayers());
+  emitTeams(req);
+  emitGameState(req, state);
+  emitFinal(req);
+  logEvent(
+    req,
+    correct ? 'final_correct' : 'final_wrong',
+    `Final Jeopardy ${correct ? 'correct' : 'wrong'}: ${contestant.playerName} (${delta >= 0 ? '+' : ''}${delta} pts)`,
+    { playerId: target, playerName: contestant.playerName, wager, delta }
+  );
+  res.json({ state, final: getFinalAdmin() });
 });
 
-app.post('/api/game/reset', (req, res) => {
+app.post('/api/game/reset', requireAdmin, (req, res) => {
   const state = updateGameState({
     status: 'waiting',
     current_question_id: null,
@@ -1126,18 +4113,37 @@ app.post('/api/game/reset', (req, res) => {
     current_clue_text: null,
     current_answer_text: null,
     turn_player_id: null,
+    final_stage: null,
+    final_category: null,
+    final_clue_text: null,
+    final_answer_text: null,
+    final_reveal_player_id: null,
+    current_round_id: null,
     buzzer_locked: 0,
     last_buzz_player_id: null,
     last_buzz_time: null,
+    current_is_daily_double: 0,
+    daily_double_wager: null,
+    daily_double_max_wager: null,
+    clue_opened_at: null,
+    clue_deadline: null,
+    answer_deadline: null,
+    typed_response_id: null,
+    typed_response: null,
+    typed_verdict: null,
+    mc_choice_count: 0,
   });
   clearBuzzQueue();
-  emit(getIo(req), 'game:state', state);
+  clearFinalRound();
+  emitGameState(req, state);
+  emitBoard(req);
   emitBuzzQueue(req);
+  emitFinal(req);
   logEvent(req, 'game_reset', 'Game reset', {});
-  res.json(state);
+  res.json(gameStateFor(req, state));
 });
 
-app.post('/api/game/current-question', (req, res) => {
+app.post('/api/game/current-question', requireAdmin, (req, res) => {
   const { questionId } = req.body || {};
   if (!questionId) {
     return res.status(400).json({ error: 'questionId is required' });
@@ -1151,99 +4157,442 @@ app.post('/api/game/current-question', (req, res) => {
   }
 
   const state = updateGameState({ current_question_id: questionId });
-  emit(getIo(req), 'game:state', state);
-  res.json(state);
+  emitGameState(req, state);
+  res.json(gameStateFor(req, state));
 });
 
-app.post('/api/game/unlock-buzzer', (req, res) => {
+app.post('/api/game/unlock-buzzer', requireAdmin, (req, res) => {
+  const state0 = getGameState();
+  const clueActive = !!state0.current_question_id || !!state0.current_is_placeholder;
   const state = updateGameState({
     buzzer_locked: 0,
     last_buzz_player_id: null,
     last_buzz_time: null,
+    ...(clueActive ? clueWindowPatch(state0) : {}),
   });
   clearBuzzQueue();
-  emit(getIo(req), 'game:state', state);
+  emitGameState(req, state);
+  armClueTimer(req, state);
   emitBuzzQueue(req);
-  res.json(state);
+  res.json(gameStateFor(req, state));
 });
 
-app.post('/api/game/set-question-reading', (req, res) => {
+app.post('/api/game/set-question-reading', requireAdmin, (req, res) => {
   const { reading } = req.body || {};
   if (typeof reading !== 'boolean') {
     return res.status(400).json({ error: 'reading must be boolean' });
   }
-  const state = updateGameState({ question_reading: reading ? 1 : 0 });
-  emit(getIo(req), 'game:state', state);
-  res.json(state);
+  const state0 = getGameState();
+  const clueActive = !!state0.current_question_id || !!state0.current_is_placeholder;
+  const patch = { question_reading: reading ? 1 : 0 };
+  // The clock is paused while the clue is read and restarts when reading ends.
+  if (reading) {
+    Object.assign(patch, { clue_opened_at: null, clue_deadline: null });
+  } else if (clueActive && !state0.buzzer_locked && state0.question_reading) {
+    Object.assign(patch, clueWindowPatch(state0));
+    markReadingDone(patch.clue_opened_at);
+  }
+  const state = updateGameState(patch);
+  emitGameState(req, state);
+  armClueTimer(req, state);
+  res.json(gameStateFor(req, state));
 });
 
-app.post('/api/game/buzz', (req, res) => {
-  const { playerId } = req.body || {};
+app.post('/api/game/daily-double/wager', (req, res) => {
+  const { playerId, wager } = req.body || {};
   if (!playerId) {
     return res.status(400).json({ error: 'playerId is required' });
   }
+  if (!actsAsPlayer(req, playerId)) return res.status(403).json({ error: DEVICE_ERROR });
+
+  const state = getGameState();
+  if (!state.current_is_daily_double) {
+    return res.status(400).json({ error: 'No Daily Double in play' });
+  }
+  if (state.daily_double_wager !== null && state.daily_double_wager !== undefined) {
+    return res.status(409).json({ error: 'Wager already locked in' });
+  }
+  if (playerId !== state.turn_player_id) {
+    return res.status(403).json({ error: 'Only the player who found the Daily Double may wager' });
+  }
+
+  const w = Number(wager);
+  const max = state.daily_double_max_wager || dailyDoubleMaxWager(playerId);
+  if (!Number.isFinite(w) || Math.trunc(w) < DAILY_DOUBLE_MIN_WAGER || Math.trunc(w) > max) {
+    return res
+      .status(400)
+      .json({ error: `Wager must be between ${DAILY_DOUBLE_MIN_WAGER} and ${max}` });
+  }
+
+  const player = db.prepare('SELECT id, name FROM players WHERE id = ?').get(playerId);
+  const updated = updateGameState({
+    daily_double_wager: Math.trunc(w),
+    // The picker is now "buzzed in" so the host can mark their response.
+    buzzer_locked: 1,
+    last_buzz_player_id: playerId,
+    last_buzz_time: new Date().toISOString(),
+    ...answerWindowPatch(state),
+  });
+  emitGameState(req, updated);
+  // The clue is now public, so phones can show it.
+  emitQuestions(req);
+  armClueTimer(req, updated);
+  logEvent(req, 'daily_double_wager', `${player?.name || playerId} wagered $${Math.trunc(w)} on the Daily Double`, {
+    playerId,
+    playerName: player?.name,
+    wager: Math.trunc(w),
+  });
+  res.json(gameStateFor(req, updated));
+});
+
+// Buzz in for body.playerId, over REST or the socket's 'buzz' event; returns { status, body }.
+// Optional body fields pressedAt (phone clock, ms) and clockOffsetMs (from 'clock:sync')
+// order buzzes by when they were pressed rather than when they arrived.
+function buzzIn(req, body, arrivedMs = Date.now()) {
+  const { playerId } = body || {};
+  if (!playerId) {
+    return { status: 400, body: { error: 'playerId is required' } };
+  }
+  if (!actsAsPlayer(req, playerId)) return { status: 403, body: { error: DEVICE_ERROR } };
 
   const player = db
     .prepare('SELECT id, name FROM players WHERE id = ?')
     .get(playerId);
   if (!player) {
-    return res.status(404).json({ error: 'Player not found' });
+    return { status: 404, body: { error: 'Player not found' } };
   }
 
   const state = getGameState();
   if (state.status !== 'active') {
-    return res.status(400).json({ error: 'Game is not active' });
+    return { status: 400, body: { error: 'Game is not active' } };
   }
 
   const clueActive = !!state.current_question_id || !!state.current_is_placeholder;
   if (!clueActive) {
-    return res.status(400).json({ error: 'No active clue' });
+    return { status: 400, body: { error: 'No active clue' } };
   }
 
-  // Disable buzzer until question has been read
+  if (state.current_is_daily_double) {
+    return { status: 400, body: { error: 'Daily Double: only the picking player may answer' } };
+  }
+
+  if (everyoneAnswers(state)) {
+    return { status: 400, body: { error: 'Everyone answers this one: pick a letter' } };
+  }
+
+  // Disable buzzer until question has been read. With the lockout rule on, jumping the
+  // gun also locks the player out for a moment; repeat taps don't extend it.
+  const lockedMs = lockoutRemainingMs(playerId);
+  if (lockedMs > 0) {
+    return { status: 409, body: { error: 'Locked out for buzzing early', lockoutMs: lockedMs } };
+  }
   if (state.question_reading) {
-    return res.status(400).json({ error: 'Question is still being read' });
+    const lockoutMs = state.early_buzz_lockout_ms || 0;
+    if (!lockoutMs) {
+      return { status: 400, body: { error: 'Question is still being read' } };
+    }
+    const now = new Date();
+    db.prepare(
+      `INSERT OR REPLACE INTO buzz_lockouts (player_id, locked_until, created_at)
+       VALUES (?, ?, ?)`
+    ).run(playerId, new Date(now.getTime() + lockoutMs).toISOString(), now.toISOString());
+    recordBuzz(playerId, { pressTime: now.toISOString(), early: true });
+    logEvent(req, 'buzz_lockout', `${player.name} buzzed early and is locked out`, {
+      playerId,
+      playerName: player.name,
+      lockoutMs,
+    });
+    return { status: 409, body: { error: 'Locked out for buzzing early', lockoutMs } };
   }
 
-  const now = new Date().toISOString();
+  // Team play: one buzz per team per clue (the buzzer themself may still re-tap).
+  const teamId = scoringTeamId(playerId, state);
+  if (teamId) {
+    const prior = db
+      .prepare('SELECT player_id AS playerId FROM team_buzzes WHERE team_id = ?')
+      .get(teamId);
+    const stillUp =
+      state.last_buzz_player_id === playerId ||
+      !!db.prepare('SELECT 1 FROM buzz_queue WHERE player_id = ?').get(playerId);
+    if (prior && !(prior.playerId === playerId && stillUp)) {
+      return { status: 409, body: { error: 'Your team already buzzed on this clue' } };
+    }
+  }
+  const recordTeamBuzz = () => {
+    if (!teamId) return;
+    db.prepare(
+      'INSERT OR IGNORE INTO team_buzzes (team_id, player_id, created_at) VALUES (?, ?, ?)'
+    ).run(teamId, playerId, new Date().toISOString());
+  };
+
+  const now = new Date(arrivedMs).toISOString();
+  const press = buzzPress(body, arrivedMs);
+  const pressState = {
+    last_buzz_press_time: press.pressTime,
+    last_buzz_latency_ms: press.latencyMs,
+    last_buzz_offset_ms: press.offsetMs,
+  };
+  const pressLog = { pressTime: press.pressTime, latencyMs: press.latencyMs, offsetMs: press.offsetMs };
 
   // If already locked (someone is currently up), queue this buzz.
   if (state.buzzer_locked) {
     // don't allow the current responder to queue themselves
     if (state.last_buzz_player_id === playerId) {
-      return res.json({ ok: true, queued: false, reason: 'already_current' });
+      return { status: 200, body: { ok: true, queued: false, reason: 'already_current' } };
+    }
+
+    // Fairness window: this tap was pressed before the current holder's, which only got
+    // here first over the network. The press clamp keeps this within BUZZ_FAIRNESS_MS of
+    // the lock, and it never happens once the holder has answered.
+    const holderPressMs = Date.parse(state.last_buzz_press_time || '');
+    const alreadyQueued = !!db.prepare('SELECT 1 FROM buzz_queue WHERE player_id = ?').get(playerId);
+    if (
+      state.last_buzz_player_id &&
+      holderPressMs &&
+      Date.parse(press.pressTime) < holderPressMs &&
+      !state.typed_response_id &&
+      !alreadyQueued
+    ) {
+      const holderId = state.last_buzz_player_id;
+      enqueueBuzz(holderId, {
+        pressTime: state.last_buzz_press_time,
+        latencyMs: state.last_buzz_latency_ms,
+        offsetMs: state.last_buzz_offset_ms,
+      });
+      recordTeamBuzz();
+      recordBuzz(playerId, press);
+      const updated = updateGameState({
+        last_buzz_player_id: playerId,
+        last_buzz_time: now,
+        ...pressState,
+        ...answerWindowPatch(state),
+      });
+      emitGameState(req, updated);
+      armClueTimer(req, updated);
+      emitBuzzQueue(req);
+      const holder = db.prepare('SELECT name FROM players WHERE id = ?').get(holderId);
+      logEvent(
+        req,
+        'buzz_reordered',
+        `${player.name} pressed ${holderPressMs - Date.parse(press.pressTime)}ms before ${holder?.name || holderId} and takes the buzz`,
+        { playerId, playerName: player.name, displacedPlayerId: holderId, ...pressLog }
+      );
+      return { status: 200, body: { ok: true, queued: false, state: gameStateFor(req, updated) } };
+    }
+
+    const r = enqueueBuzz(playerId, press);
+    if (r.queued) {
+      recordTeamBuzz();
+      recordBuzz(playerId, press);
     }
-    const r = enqueueBuzz(playerId, now);
-    const queue = listBuzzQueue();
+    const position = listBuzzQueue().findIndex((b) => b.playerId === playerId) + 1;
     emitBuzzQueue(req);
     if (r.queued) {
       logEvent(req, 'buzz_queued', `${player.name} queued to buzz`, {
         playerId,
         playerName: player.name,
-        position: queue.length,
+        position,
+        ...pressLog,
       });
     }
-    return res.json({ ok: true, queued: r.queued, reason: r.reason || null, position: queue.length });
+    return { status: 200, body: { ok: true, queued: r.queued, reason: r.reason || null, position } };
   }
 
-  // First buzz wins the lock
+  // First buzz wins the lock (until a faster press shows up within the fairness window)
+  recordTeamBuzz();
+  recordBuzz(playerId, press);
   const updated = updateGameState({
     buzzer_locked: 1,
     last_buzz_player_id: playerId,
     last_buzz_time: now,
+    ...pressState,
+    ...answerWindowPatch(state),
   });
 
-  emit(getIo(req), 'game:state', updated);
+  emitGameState(req, updated);
+  armClueTimer(req, updated);
   emitBuzzQueue(req);
-  logEvent(req, 'buzz', `${player.name} buzzed first`, { playerId, playerName: player.name });
-  res.json({ ok: true, queued: false, state: updated });
+  logEvent(req, 'buzz', `${player.name} buzzed first`, { playerId, playerName: player.name, ...pressLog });
+  return { status: 200, body: { ok: true, queued: false, state: gameStateFor(req, updated) } };
+}
+
+app.post('/api/game/buzz', (req, res) => {
+  const { status, body } = buzzIn(req, req.body);
+  res.status(status).json(body);
 });
 
-app.post('/api/admin/skip-current', (req, res) => {
+// Typed-answer mode: whoever holds the clue types a response, and the server pre-fills a
+// verdict for the host to confirm or override. Multiple-choice clues take a `choice`
+// letter instead, whatever the typed-answer setting.
+app.post('/api/game/answer', (req, res) => {
+  const { playerId, response, choice } = req.body || {};
+  if (!playerId) return res.status(400).json({ error: 'playerId is required' });
+  if (!actsAsPlayer(req, playerId)) return res.status(403).json({ error: DEVICE_ERROR });
+
   const state = getGameState();
-  if (!state.current_question_id && !state.current_is_placeholder) {
-    return res.status(400).json({ error: 'No current question' });
+  const choices = currentChoices(state);
+  if (!choices && !state.typed_answers) {
+    return res.status(400).json({ error: 'Typed answers are off; answer out loud' });
+  }
+  // The buzzed-in player, or the Daily Double picker once their wager is in.
+  if (!state.buzzer_locked || state.last_buzz_player_id !== playerId) {
+    return res.status(403).json({ error: 'Only the player who buzzed in may answer' });
+  }
+  if (state.typed_response_id) {
+    return res.status(409).json({ error: 'Response already submitted' });
+  }
+
+  let text;
+  let correct;
+  let score;
+  if (choices) {
+    const index = parseChoice(choice, choices.options);
+    if (index < 0) return res.status(400).json({ error: 'choice must be one of the option letters' });
+    text = choiceLabel(index, choices.options);
+    correct = index === choices.correctIndex;
+    score = correct ? 1 : 0;
+  } else {
+    text = typeof response === 'string' ? response.trim().slice(0, 200) : '';
+    if (!text) return res.status(400).json({ error: 'response is required' });
+    // Placeholder tiles come from the default pack, which may list alternates too.
+    let source = findDefaultQuestion(state.current_category, state.current_points) || {};
+    let expected = state.current_answer_text || '';
+    if (state.current_question_id) {
+      const q = listQuestions().find((row) => row.id === state.current_question_id);
+      if (q) source = q;
+      if (q?.answer) expected = q.answer;
+    }
+    ({ correct, score } = gradeAnswer(text, expected, {
+      accepted: normalizeAnswerList(source.acceptedAnswers) || [],
+      rejected: normalizeAnswerList(source.rejectedAnswers) || [],
+    }));
+  }
+
+  const id = uuidv4();
+  db.prepare(
+    `INSERT INTO clue_responses (id, question_id, category, points, player_id, response,
+       suggested_correct, match_score, correct, judged_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NULL, NULL, ?)`
+  ).run(
+    id,
+    state.current_question_id || null,
+    state.current_category || null,
+    state.current_points ?? null,
+    playerId,
+    text,
+    correct ? 1 : 0,
+    score,
+    new Date().toISOString()
+  );
+
+  // The clock stops once an answer is in; the host makes the call.
+  const updated = updateGameState({
+    typed_response_id: id,
+    typed_response: text,
+    typed_verdict: correct ? 1 : 0,
+    answer_deadline: null,
+  });
+  emitGameState(req, updated);
+  armClueTimer(req, updated);
+  const p = db.prepare('SELECT name FROM players WHERE id = ?').get(playerId);
+  logEvent(req, 'typed_response', `${p?.name || playerId} answered "${text}"`, {
+    playerId,
+    playerName: p?.name,
+    response: text,
+  });
+  res.json({ ok: true, state: gameStateFor(req, updated) });
+});
+
+// Everyone-answers mode: each phone locks in one letter (one per team in team play).
+app.post('/api/game/mc-choice', (req, res) => {
+  const { playerId, choice } = req.body || {};
+  if (!playerId) return res.status(400).json({ error: 'playerId is required' });
+  if (!actsAsPlayer(req, playerId)) return res.status(403).json({ error: DEVICE_ERROR });
+  const player = db.prepare('SELECT id, name FROM players WHERE id = ?').get(playerId);
+  if (!player) return res.status(404).json({ error: 'Player not found' });
+
+  const state = getGameState();
+  if (state.status !== 'active' || !everyoneAnswers(state)) {
+    return res.status(400).json({ error: 'No everyone-answers clue is open' });
+  }
+  if (state.question_reading) {
+    return res.status(400).json({ error: 'Question is still being read' });
   }
+  const { options } = currentChoices(state);
+  const index = parseChoice(choice, options);
+  if (index < 0) return res.status(400).json({ error: 'choice must be one of the option letters' });
+
+  if (db.prepare('SELECT 1 FROM mc_choices WHERE player_id = ?').get(playerId)) {
+    return res.status(409).json({ error: 'Already locked in' });
+  }
+  const teamId = scoringTeamId(playerId, state);
+  if (teamId) {
+    const teammate = db
+      .prepare(
+        `SELECT 1 FROM mc_choices c JOIN players p ON p.id = c.player_id
+         WHERE p.team_id = ?`
+      )
+      .get(teamId);
+    if (teammate) return res.status(409).json({ error: 'Your team already locked in' });
+  }
+
+  db.prepare('INSERT INTO mc_choices (player_id, choice, created_at) VALUES (?, ?, ?)').run(
+    playerId,
+    index,
+    new Date().toISOString()
+  );
+  const count = db.prepare('SELECT COUNT(*) AS n FROM mc_choices').get().n;
+  const updated = updateGameState({ mc_choice_count: count });
+  emitGameState(req, updated);
+  // The letter stays secret until the clue is scored.
+  logEvent(req, 'mc_choice', `${player.name} locked in`, { playerId, playerName: player.name });
+  res.json({ ok: true, state: gameStateFor(req, updated) });
+});
+
+// Score every locked-in choice at once and close the clue. Right answers earn the clue
+// value; wrong ones cost nothing, since everyone has to answer. Returns { status, error }
+// on failure.
+function scoreEveryoneChoices(req) {
+  const state = getGameState();
+  const choices = everyoneAnswers(state) ? currentChoices(state) : null;
+  if (!choices) return { status: 400, error: 'No everyone-answers clue is open' };
+
+  const question = db
+    .prepare('SELECT points FROM questions WHERE id = ?')
+    .get(state.current_question_id);
+  const points = Number.isFinite(question?.points) ? question.points : state.current_points || 0;
+  const picks = db
+    .prepare('SELECT player_id AS playerId, choice FROM mc_choices ORDER BY created_at ASC')
+    .all();
+  const now = new Date().toISOString();
+  const insertResponse = db.prepare(
+    `INSERT INTO clue_responses (id, question_id, category, points, player_id, response,
+       suggested_correct, match_score, correct, judged_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NULL, ?, ?, ?)`
+  );
+  const results = [];
+  db.transaction(() => {
+    for (const pick of picks) {
+      const correct = pick.choice === choices.correctIndex;
+      const teamId = correct ? addScore(pick.playerId, points) : scoringTeamId(pick.playerId, state);
+      insertResponse.run(
+        uuidv4(),
+        state.current_question_id,
+        state.current_category || null,
+        points,
+        pick.playerId,
+        choiceLabel(pick.choice, choices.options),
+        correct ? 1 : 0,
+        correct ? 1 : 0,
+        now,
+        now
+      );
+      recordJudgment(pick.playerId, { correct, scoreDelta: correct ? points : 0, teamId });
+      results.push({ playerId: pick.playerId, teamId, choice: OPTION_LETTERS[pick.choice], correct });
+    }
+  })();
+  const winnerIds = results.filter((r) => r.correct).map((r) => r.playerId);
+  closeCluePlay(winnerIds.length ? 'correct' : 'stumped', winnerIds.length === 1 ? winnerIds[0] : null);
 
   clearBuzzQueue();
   const updatedState = updateGameState({
@@ -1256,41 +4605,128 @@ app.post('/api/admin/skip-current', (req, res) => {
     buzzer_locked: 0,
     last_buzz_player_id: null,
     last_buzz_time: null,
+    current_is_daily_double: 0,
+    daily_double_wager: null,
+    daily_double_max_wager: null,
+    clue_opened_at: null,
+    clue_deadline: null,
+    answer_deadline: null,
+    typed_response_id: null,
+    typed_response: null,
+    typed_verdict: null,
+    mc_choice_count: 0,
     // Keep the same turn player so they can pick again
   });
-  emit(getIo(req), 'game:state', updatedState);
+
+  emit(getIo(req), 'players:updated', listPlayers());
+  emitTeams(req);
+  emitGameState(req, updatedState);
   emitBuzzQueue(req);
-  logEvent(req, 'question_skipped', 'Question skipped (no one knew the answer)', {});
-  res.json(updatedState);
+  armClueTimer(req, updatedState);
+  const winners = results.filter((r) => r.correct).length;
+  logEvent(
+    req,
+    'mc_scored',
+    `${winners} of ${results.length} picked ${choiceLabel(choices.correctIndex, choices.options)} (+${points} pts)`,
+    { questionId: state.current_question_id, points, results }
+  );
+  return { state: updatedState, results, teams: listTeams() };
+}
+
+app.post('/api/admin/mc/score', (req, res) => {
+  const result = scoreEveryoneChoices(req);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json(result);
 });
 
-app.post('/api/admin/resolve-current', (req, res) => {
-  const { playerId, correct } = req.body || {};
-  if (!playerId || typeof correct !== 'boolean') {
-    return res.status(400).json({ error: 'playerId and correct are required' });
+// Close the current clue with no score change (host skip, or nobody buzzed in time).
+function skipClue(req, { timedOut = false } = {}) {
+  clearBuzzQueue();
+  closeCluePlay(timedOut ? 'timed_out' : 'skipped');
+  const updatedState = updateGameState({
+    current_question_id: null,
+    current_category: null,
+    current_points: null,
+    current_is_placeholder: 0,
+    current_clue_text: null,
+    current_answer_text: null,
+    buzzer_locked: 0,
+    last_buzz_player_id: null,
+    last_buzz_time: null,
+    current_is_daily_double: 0,
+    daily_double_wager: null,
+    daily_double_max_wager: null,
+    clue_opened_at: null,
+    clue_deadline: null,
+    answer_deadline: null,
+    typed_response_id: null,
+    typed_response: null,
+    typed_verdict: null,
+    mc_choice_count: 0,
+    // Keep the same turn player so they can pick again
+  });
+  emitGameState(req, updatedState);
+  emitBuzzQueue(req);
+  armClueTimer(req, updatedState);
+  if (timedOut) {
+    logEvent(req, 'clue_timeout', "Time's up: nobody buzzed in", {});
+  } else {
+    logEvent(req, 'question_skipped', 'Question skipped (no one knew the answer)', {});
   }
+  return updatedState;
+}
 
+app.post('/api/admin/skip-current', (req, res) => {
   const state = getGameState();
   if (!state.current_question_id && !state.current_is_placeholder) {
     return res.status(400).json({ error: 'No current question' });
   }
+  res.json(skipClue(req));
+});
+
+// Score the responder and move the clue on: a correct answer closes it; a wrong one
+// hands it to the next queued buzz or reopens buzzing. Timeouts in "pass" mode skip
+// the penalty. Returns { status, error } on failure.
+function resolveClue(req, { playerId, correct, penalize = true }) {
+  const state = getGameState();
+  if (!state.current_question_id && !state.current_is_placeholder) {
+    return { status: 400, error: 'No current question' };
+  }
 
   let delta = 0;
-  if (state.current_is_placeholder) {
+  if (state.current_is_daily_double) {
+    if (state.daily_double_wager === null || state.daily_double_wager === undefined) {
+      return { status: 400, error: 'Daily Double wager has not been entered' };
+    }
+    delta = state.daily_double_wager;
+  } else if (state.current_is_placeholder) {
     delta = Number.isFinite(state.current_points) ? state.current_points : 0;
   } else {
     const question = db
       .prepare('SELECT id, points FROM questions WHERE id = ?')
       .get(state.current_question_id);
     if (!question) {
-      return res.status(404).json({ error: 'Question not found' });
+      return { status: 404, error: 'Question not found' };
     }
     delta = Number.isFinite(question.points) ? question.points : 0;
   }
+  if (!correct && !penalize) delta = 0;
+
+  // The host's call (confirming or overriding the suggestion) is stored with the response.
+  if (state.typed_response_id) {
+    db.prepare('UPDATE clue_responses SET correct = ?, judged_at = ? WHERE id = ?').run(
+      correct ? 1 : 0,
+      new Date().toISOString(),
+      state.typed_response_id
+    );
+  }
 
   let updatedState;
+  let teamId = null;
   if (correct) {
-    db.prepare('UPDATE players SET score = score + ? WHERE id = ?').run(delta, playerId);
+    teamId = addScore(playerId, delta);
+    recordJudgment(playerId, { correct: true, scoreDelta: delta, teamId });
+    closeCluePlay('correct', playerId);
     clearBuzzQueue();
     updatedState = updateGameState({
       current_question_id: null,
@@ -1304,13 +4740,23 @@ app.post('/api/admin/resolve-current', (req, res) => {
       buzzer_locked: 0,
       last_buzz_player_id: null,
       last_buzz_time: null,
+      current_is_daily_double: 0,
+      daily_double_wager: null,
+      daily_double_max_wager: null,
+      clue_opened_at: null,
+      clue_deadline: null,
+      answer_deadline: null,
+      typed_response_id: null,
+      typed_response: null,
+      typed_verdict: null,
+      mc_choice_count: 0,
     });
   } else {
     // Jeopardy rule: incorrect response loses the clue value.
-    if (delta) {
-      db.prepare('UPDATE players SET score = score - ? WHERE id = ?').run(delta, playerId);
-    }
-    const next = dequeueNextBuzz();
+    if (delta) teamId = addScore(playerId, -delta);
+    recordJudgment(playerId, { correct: false, scoreDelta: -delta, teamId });
+    // Daily Doubles never go to the buzz queue.
+    const next = state.current_is_daily_double ? null : dequeueNextBuzz();
     if (next) {
       const nextNow = new Date().toISOString();
       updatedState = updateGameState({
@@ -1324,9 +4770,38 @@ app.post('/api/admin/resolve-current', (req, res) => {
         buzzer_locked: 1,
         last_buzz_player_id: next.playerId,
         last_buzz_time: nextNow, // give next player a fresh 30s window
+        last_buzz_press_time: next.buzzTime,
+        last_buzz_latency_ms: next.latencyMs,
+        last_buzz_offset_ms: next.offsetMs,
+        ...answerWindowPatch(state),
       });
       const p = db.prepare('SELECT name FROM players WHERE id = ?').get(next.playerId);
       logEvent(req, 'buzz_advance', `Next up: ${p?.name || next.playerId}`, { playerId: next.playerId, playerName: p?.name });
+    } else if (state.current_is_daily_double) {
+      // A missed Daily Double closes the clue; the picker keeps control of the board.
+      closeCluePlay('stumped');
+      clearBuzzQueue();
+      updatedState = updateGameState({
+        current_question_id: null,
+        current_category: null,
+        current_points: null,
+        current_is_placeholder: 0,
+        current_clue_text: null,
+        current_answer_text: null,
+        buzzer_locked: 0,
+        last_buzz_player_id: null,
+        last_buzz_time: null,
+        current_is_daily_double: 0,
+        daily_double_wager: null,
+        daily_double_max_wager: null,
+        clue_opened_at: null,
+        clue_deadline: null,
+        answer_deadline: null,
+        typed_response_id: null,
+        typed_response: null,
+        typed_verdict: null,
+        mc_choice_count: 0,
+      });
     } else {
       updatedState = updateGameState({
         // keep current clue active, but reopen buzzing
@@ -1339,6 +4814,7 @@ app.post('/api/admin/resolve-current', (req, res) => {
         buzzer_locked: 0,
         last_buzz_player_id: null,
         last_buzz_time: null,
+        ...clueWindowPatch(state),
       });
     }
   }
@@ -1352,23 +4828,38 @@ app.post('/api/admin/resolve-current', (req, res) => {
 
   // Realtime updates
   emit(getIo(req), 'players:updated', listPlayers());
-  emit(getIo(req), 'game:state', updatedState);
+  emitTeams(req);
+  emitGameState(req, updatedState);
   emitBuzzQueue(req);
+  armClueTimer(req, updatedState);
   logEvent(
     req,
     correct ? 'marked_correct' : 'marked_wrong',
     `${correct ? 'Correct' : 'Wrong'}: player ${playerId} (${delta >= 0 ? '+' : ''}${delta} pts)`,
     {
       playerId,
+      teamId,
       delta: correct ? delta : -delta,
       questionId: state.current_question_id,
       category: state.current_category,
       points: state.current_points,
       placeholder: !!state.current_is_placeholder,
+      dailyDouble: !!state.current_is_daily_double,
     }
   );
 
-  res.json({ state: updatedState, scores });
+  return { state: updatedState, scores, teams: listTeams() };
+}
+
+app.post('/api/admin/resolve-current', (req, res) => {
+  const { playerId, correct } = req.body || {};
+  if (!playerId || typeof correct !== 'boolean') {
+    return res.status(400).json({ error: 'playerId and correct are required' });
+  }
+
+  const result = resolveClue(req, { playerId, correct });
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json(result);
 });
 
 app.use((req, res) => {
@@ -1380,21 +4871,84 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
-if (require.main === module) {
-  const httpServer = http.createServer(app);
-  const io = new SocketIOServer(httpServer, {
-    cors: { origin: '*' },
-  });
-  app.set('io', io);
-
-  io.on('connection', (socket) => {
-    socket.emit('players:updated', listPlayers());
+function sendInitialState(socket, role) {
+  socket.emit('room:joined', publicRoom(currentRoom()));
+  socket.emit('players:updated', listPlayers());
+  socket.emit('teams:updated', listTeams());
+  if (role === 'screen') {
     socket.emit('questions:updated', listQuestions());
     socket.emit('game:state', getGameState());
-    socket.emit('events:init', listEvents(100));
-    socket.emit('buzz:queue', listBuzzQueue());
-    socket.emit('sfx:meta', listSfxMeta());
+  } else {
+    socket.emit('questions:updated', playerQuestions());
+    socket.emit('game:state', playerGameState(getGameState()));
+  }
+  socket.emit('events:init', listEvents(100));
+  socket.emit('buzz:queue', listBuzzQueue());
+  socket.emit('final:state', getFinalPublic());
+  socket.emit('rounds:updated', listRounds());
+  socket.emit('board:layout', getBoardLayout());
+  socket.emit('sfx:meta', listSfxMeta());
+  if (role === 'screen') socket.emit('devices:requests', listDeviceRequests());
+}
+
+// Socket wiring: each connection joins its room's channels (screens and players apart)
+// and gets the current state; phones also sync their clock and buzz over the socket.
+function attachSockets(io) {
+  app.set('io', io);
+  io.on('connection', (socket) => {
+    const code = socket.handshake.auth?.room || socket.handshake.query?.room;
+    const room = code ? findRoom(code) : getMainRoom();
+    if (!room) {
+      socket.emit('room:missing', { code });
+      socket.disconnect(true);
+      return;
+    }
+    const { role: wanted, adminToken } = socket.handshake.auth || {};
+    const role = clientRole(wanted) === 'screen' && isHostSession(adminToken) ? 'screen' : 'player';
+    socket.data.role = role;
+    if (clientRole(wanted) === 'screen' && adminToken && role !== 'screen') {
+      runInRoom(room, () =>
+        logEvent({ app }, 'admin_denied', 'Screen connection with an invalid host login', {
+          ip: socket.handshake.address,
+        })
+      );
+    }
+    // Clock sync for buzz timing: the phone sends its clock and gets ours straight back,
+    // then works out the offset from the round trip.
+    socket.on('clock:sync', (clientTime, ack) => {
+      if (typeof ack === 'function') ack({ clientTime, serverTime: Date.now() });
+    });
+    // Buzzing over the open socket skips an HTTP round trip. Same payload and checks as
+    // POST /api/game/buzz (plus the device token); the ack is the route's response body,
+    // or { ok: false, status, error } when the buzz is refused.
+    socket.on('buzz', (payload, ack) => {
+      const arrivedMs = Date.now();
+      const reply = typeof ack === 'function' ? ack : () => {};
+      const body = payload && typeof payload === 'object' ? payload : {};
+      runInRoom(room, () => {
+        try {
+          const { status, body: result } = buzzIn(socketRequest(socket, body), body, arrivedMs);
+          reply(status === 200 ? result : { ok: false, status, ...result });
+        } catch (err) {
+          console.error('socket buzz failed', err);
+          reply({ ok: false, status: 500, error: 'Could not buzz' });
+        }
+      });
+    });
+    socket.join(roomChannel(room.code));
+    socket.join(`${roomChannel(room.code)}:${role}`);
+    runInRoom(room, () => sendInitialState(socket, role));
   });
+  return io;
+}
+
+if (require.main === module) {
+  const httpServer = http.createServer(app);
+  attachSockets(
+    new SocketIOServer(httpServer, {
+      cors: { origin: '*' },
+    })
+  );
 
   httpServer.listen(PORT, () => {
     console.log(`Server listening on http://localhost:${PORT}`);
@@ -1402,4 +4956,4 @@ if (require.main === module) {
 }
 
 module.exports = app;
-
+module.exports.attachSockets = attachSockets;
@@ -9,9 +9,24 @@ process.env.DB_PATH = path.join(process.cwd(), 'tests', 'tmp.db');
 const tmpDir = path.join(process.cwd(), 'tests');
 if (!fs.existsSync(tmpDir)) fs.mkdirSync(tmpDir, { recursive: true });
 if (fs.existsSync(process.env.DB_PATH)) fs.rmSync(process.env.DB_PATH);
+fs.rmSync(path.join(tmpDir, 'rooms'), { recursive: true, force: true });
 
 const app = require('../src/server');
 
+// Only a host login gets the screen view, so checks of it log in for that one request and
+// leave the suite open (no passcode) again.
+async function asScreen(req) {
+  const { mainDb } = require('../src/db');
+  const { setPasscode, createSession } = require('../src/admin_auth');
+  setPasscode('screenview');
+  try {
+    return await req.set('X-Client-Role', 'screen').set('Authorization', `Bearer ${createSession()}`);
+  } finally {
+    mainDb.prepare('DELETE FROM admin_auth').run();
+    mainDb.prepare('DELETE FROM admin_sessions').run();
+  }
+}
+
 describe('API smoke tests', () => {
   let player;
 
@@ -36,6 +51,7 @@ describe('API smoke tests', () => {
   it('creates a question for the player', async () => {
     const res = await request(app)
       .post('/api/questions')
+      .set('X-Player-Token', player.deviceToken)
       .send({
         playerId: player.id,
         questionText: 'What is Xmas?',
@@ -50,17 +66,19 @@ describe('API smoke tests', () => {
   });
 
   it('lists questions with player slug', async () => {
-    const res = await request(app).get('/api/questions').expect(200);
+    const res = await asScreen(request(app).get('/api/questions').expect(200));
     const q = res.body[0];
     expect(q.playerSlug).toBe('johndoe');
     expect(q.questionText).toBe('What is Xmas?');
   });
 
   it('selecting an empty board tile loads a default question when available', async () => {
-    const res = await request(app)
-      .post('/api/game/select-card')
-      .send({ category: 'Disney & Pixar', points: 200 })
-      .expect(200);
+    const res = await asScreen(
+      request(app)
+        .post('/api/game/select-card')
+        .send({ category: 'Disney & Pixar', points: 200 })
+        .expect(200)
+    );
 
     expect(res.body.current_is_placeholder).toBe(1);
     expect(res.body.current_category).toBe('Disney & Pixar');
@@ -96,14 +114,1936 @@ describe('API smoke tests', () => {
     // Jane tries to pick -> 403
     await request(app)
       .post('/api/game/select-card')
+      .set('X-Player-Token', p2.body.deviceToken)
       .send({ category: 'Disney & Pixar', points: 200, pickerPlayerId: p2.body.id })
       .expect(403);
 
     // John can pick -> 200
     await request(app)
       .post('/api/game/select-card')
+      .set('X-Player-Token', player.deviceToken)
       .send({ category: 'Disney & Pixar', points: 200, pickerPlayerId: player.id })
       .expect(200);
   });
 });
 
+describe('Daily Double', () => {
+  it('only the turn player wagers, nobody buzzes, and the wager is scored', async () => {
+    const { db } = require('../src/db');
+    const picker = await request(app).post('/api/players').send({ name: 'Dee Dee' }).expect(201);
+    const other = await request(app).post('/api/players').send({ name: 'Buzz Lightyear' }).expect(201);
+
+    await request(app).post('/api/game/reset').send({}).expect(200);
+    await request(app).post('/api/game/start').send({ dailyDoubles: 1 }).expect(200);
+    await request(app).post('/api/admin/set-turn').send({ playerId: picker.body.id }).expect(200);
+
+    const dd = db.prepare('SELECT category, points FROM daily_doubles').get();
+    expect(dd).toBeTruthy();
+    const q = db
+      .prepare(
+        'SELECT id FROM questions WHERE selected_for_game = 1 AND TRIM(category) = ? AND points = ?'
+      )
+      .get(dd.category, dd.points);
+
+    const sel = await request(app)
+      .post('/api/game/select-card')
+      .set('X-Player-Token', picker.body.deviceToken)
+      .send({ questionId: q.id, pickerPlayerId: picker.body.id })
+      .expect(200);
+    expect(sel.body.current_is_daily_double).toBe(1);
+    expect(sel.body.daily_double_max_wager).toBeGreaterThanOrEqual(1000);
+
+    // No buzzing, and only the picker may wager (within limits).
+    await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', other.body.deviceToken)
+      .send({ playerId: other.body.id })
+      .expect(400);
+    await request(app)
+      .post('/api/game/daily-double/wager')
+      .set('X-Player-Token', other.body.deviceToken)
+      .send({ playerId: other.body.id, wager: 500 })
+      .expect(403);
+    await request(app)
+      .post('/api/game/daily-double/wager')
+      .set('X-Player-Token', picker.body.deviceToken)
+      .send({ playerId: picker.body.id, wager: 999999 })
+      .expect(400);
+    const w = await request(app)
+      .post('/api/game/daily-double/wager')
+      .set('X-Player-Token', picker.body.deviceToken)
+      .send({ playerId: picker.body.id, wager: 750 })
+      .expect(200);
+    expect(w.body.last_buzz_player_id).toBe(picker.body.id);
+
+    const r = await request(app)
+      .post('/api/admin/resolve-current')
+      .send({ playerId: picker.body.id, correct: true })
+      .expect(200);
+    expect(r.body.scores.find((p) => p.id === picker.body.id).score).toBe(750);
+    expect(r.body.state.current_is_daily_double).toBe(0);
+    expect(r.body.state.turn_player_id).toBe(picker.body.id);
+  });
+});
+
+describe('Final Jeopardy', () => {
+  it('collects secret wagers and responses, then judges in ascending score order', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    await request(app).post('/api/game/start').send({}).expect(200);
+
+    const leader = await request(app).post('/api/players').send({ name: 'Final Leader' }).expect(201);
+    const trailer = await request(app).post('/api/players').send({ name: 'Final Trailer' }).expect(201);
+    const broke = await request(app).post('/api/players').send({ name: 'Final Broke' }).expect(201);
+    await request(app).post(`/api/admin/players/${leader.body.id}/score`).send({ score: 1000 }).expect(200);
+    await request(app).post(`/api/admin/players/${trailer.body.id}/score`).send({ score: 400 }).expect(200);
+
+    await request(app).post('/api/admin/final/start').send({ category: 'Winter' }).expect(400);
+    const started = await request(app)
+      .post('/api/admin/final/start')
+      .send({ category: 'Winter', clueText: 'It falls in flakes', answer: 'Snow' })
+      .expect(200);
+    expect(started.body.state.status).toBe('final');
+    expect(started.body.final.contestants.map((c) => c.playerId)).toEqual([
+      trailer.body.id,
+      leader.body.id,
+    ]);
+
+    await request(app)
+      .post('/api/game/final/wager')
+      .set('X-Player-Token', broke.body.deviceToken)
+      .send({ playerId: broke.body.id, wager: 0 })
+      .expect(403);
+    await request(app)
+      .post('/api/game/final/wager')
+      .set('X-Player-Token', leader.body.deviceToken)
+      .send({ playerId: leader.body.id, wager: 2000 })
+      .expect(400);
+    await request(app)
+      .post('/api/game/final/wager')
+      .set('X-Player-Token', leader.body.deviceToken)
+      .send({ playerId: leader.body.id, wager: 500 })
+      .expect(200);
+    await request(app)
+      .post('/api/game/final/wager')
+      .set('X-Player-Token', trailer.body.deviceToken)
+      .send({ playerId: trailer.body.id, wager: 400 })
+      .expect(200);
+
+    // Wagers and the clue stay hidden from the public view.
+    const pub = await request(app).get('/api/game/final').expect(200);
+    expect(pub.body.clueText).toBeNull();
+    expect(pub.body.contestants.every((c) => c.hasWagered && c.wager === null)).toBe(true);
+
+    await request(app)
+      .post('/api/game/final/response')
+      .set('X-Player-Token', leader.body.deviceToken)
+      .send({ playerId: leader.body.id, response: 'Snow' })
+      .expect(400);
+    await request(app).post('/api/admin/final/reveal-clue').send({}).expect(200);
+    await request(app)
+      .post('/api/game/final/response')
+      .set('X-Player-Token', leader.body.deviceToken)
+      .send({ playerId: leader.body.id, response: 'What is rain?' })
+      .expect(200);
+    await request(app)
+      .post('/api/game/final/response')
+      .set('X-Player-Token', trailer.body.deviceToken)
+      .send({ playerId: trailer.body.id, response: 'What is snow?' })
+      .expect(200);
+
+    const locked = await request(app).post('/api/admin/final/lock').send({}).expect(200);
+    expect(locked.body.state.final_stage).toBe('judging');
+    expect(locked.body.state.final_reveal_player_id).toBe(trailer.body.id);
+
+    await request(app)
+      .post('/api/admin/final/judge')
+      .send({ playerId: leader.body.id, correct: true })
+      .expect(409);
+    await request(app).post('/api/admin/final/judge').send({ correct: true }).expect(200);
+    const done = await request(app).post('/api/admin/final/judge').send({ correct: false }).expect(200);
+    expect(done.body.state.final_stage).toBe('done');
+
+    const players = await request(app).get('/api/players').expect(200);
+    expect(players.body.find((p) => p.id === trailer.body.id).score).toBe(800);
+    expect(players.body.find((p) => p.id === leader.body.id).score).toBe(500);
+
+    const ended = await request(app).post('/api/game/end').send({}).expect(200);
+    expect(ended.body.status).toBe('ended');
+
+    // A player with a wager and a response can still be removed.
+    await request(app).delete(`/api/admin/players/${leader.body.id}`).expect(200);
+    const after = await request(app).get('/api/players').expect(200);
+    expect(after.body.some((p) => p.id === leader.body.id)).toBe(false);
+  });
+});
+
+describe('Rounds', () => {
+  it('plays the Jeopardy board, then Double Jeopardy, then Final Jeopardy', async () => {
+    const rounds = await request(app).get('/api/rounds').expect(200);
+    expect(rounds.body.map((r) => r.id)).toEqual(['jeopardy', 'double-jeopardy', 'final-jeopardy']);
+    expect(rounds.body[1].values).toEqual([400, 800, 1200, 1600, 2000]);
+
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const author = await request(app).post('/api/players').send({ name: 'Round Robin' }).expect(201);
+    const q = await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({
+        playerId: author.body.id,
+        questionText: 'Double the fun',
+        answer: 'Two',
+        category: 'Doubles',
+        points: 400,
+      })
+      .expect(201);
+    await request(app)
+      .patch(`/api/admin/questions/${q.body.id}/meta`)
+      .send({ roundId: 'final-jeopardy' })
+      .expect(400);
+    await request(app)
+      .patch(`/api/admin/questions/${q.body.id}/meta`)
+      .send({ roundId: 'double-jeopardy' })
+      .expect(200);
+    await request(app)
+      .post(`/api/admin/questions/${q.body.id}/select`)
+      .send({ selected: true })
+      .expect(200);
+
+    const started = await request(app).post('/api/game/start').send({ dailyDoubles: 0 }).expect(200);
+    expect(started.body.current_round_id).toBe('jeopardy');
+
+    await request(app)
+      .post('/api/game/select-card')
+      .send({ questionId: q.body.id })
+      .expect(400);
+
+    const dj = await request(app).post('/api/admin/rounds/advance').send({}).expect(200);
+    expect(dj.body.state.current_round_id).toBe('double-jeopardy');
+    await request(app).post('/api/game/select-card').send({ questionId: q.body.id }).expect(200);
+
+    // Can't leave the board with a clue still open.
+    await request(app).post('/api/admin/rounds/advance').send({}).expect(409);
+    await request(app).post('/api/admin/skip-current').send({}).expect(200);
+
+    await request(app).post('/api/admin/rounds/advance').send({}).expect(400);
+    const final = await request(app)
+      .post('/api/admin/rounds/advance')
+      .send({ category: 'Numbers', clueText: 'Half of four', answer: 'Two' })
+      .expect(200);
+    expect(final.body.state.status).toBe('final');
+    expect(final.body.state.current_round_id).toBe('final-jeopardy');
+  });
+});
+
+describe('Board layout', () => {
+  it('serves the configured category order, count, and point ladder', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const author = await request(app).post('/api/players').send({ name: 'Grid Maker' }).expect(201);
+    for (const category of ['Carols', 'Cookies', 'Cookies', 'Elves']) {
+      const q = await request(app)
+        .post('/api/questions')
+        .set('X-Player-Token', author.body.deviceToken)
+        .send({ playerId: author.body.id, questionText: 'Q', answer: 'A', category, points: 100 })
+        .expect(201);
+      await request(app)
+        .post(`/api/admin/questions/${q.body.id}/select`)
+        .send({ selected: true })
+        .expect(200);
+    }
+
+    const auto = await request(app).get('/api/board').expect(200);
+    expect(auto.body.roundId).toBe('jeopardy');
+    expect(auto.body.categories).toEqual(['Cookies', 'Carols', 'Elves']);
+
+    await request(app)
+      .patch('/api/admin/rounds/jeopardy')
+      .send({ categoryCount: 20 })
+      .expect(400);
+    await request(app)
+      .patch('/api/admin/rounds/jeopardy')
+      .send({ values: [100, 200, 300, 400, 500], categoryCount: 2, categoryOrder: ['Elves'] })
+      .expect(200);
+
+    const board = await request(app).get('/api/board').expect(200);
+    expect(board.body.values).toEqual([100, 200, 300, 400, 500]);
+    expect(board.body.categories).toEqual(['Elves', 'Cookies']);
+
+    await request(app)
+      .patch('/api/admin/rounds/jeopardy')
+      .send({ values: [200, 400, 600, 800, 1000], categoryCount: null, categoryOrder: [] })
+      .expect(200);
+  });
+});
+
+describe('Teams', () => {
+  it('lets one player per team buzz and scores the team', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const elves = await request(app)
+      .post('/api/admin/teams')
+      .send({ name: 'Elves', color: '#43a047' })
+      .expect(201);
+    const reindeer = await request(app).post('/api/admin/teams').send({ name: 'Reindeer' }).expect(201);
+    await request(app).post('/api/admin/teams').send({ name: 'elves' }).expect(409);
+    await request(app).post('/api/admin/teams').send({ name: 'Gnomes', color: 'green' }).expect(400);
+
+    const buddy = await request(app)
+      .post('/api/players')
+      .send({ name: 'Buddy', teamId: elves.body.id })
+      .expect(201);
+    expect(buddy.body.teamId).toBe(elves.body.id);
+    const jovie = await request(app).post('/api/players').send({ name: 'Jovie' }).expect(201);
+    const rudolph = await request(app).post('/api/players').send({ name: 'Rudolph' }).expect(201);
+    await request(app)
+      .post(`/api/admin/players/${jovie.body.id}/team`)
+      .send({ teamId: elves.body.id })
+      .expect(200);
+    await request(app)
+      .post(`/api/admin/players/${rudolph.body.id}/team`)
+      .send({ teamId: reindeer.body.id })
+      .expect(200);
+
+    const q = await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', rudolph.body.deviceToken)
+      .send({ playerId: rudolph.body.id, questionText: 'Q', answer: 'A', category: 'Team', points: 200 })
+      .expect(201);
+    await request(app)
+      .post(`/api/admin/questions/${q.body.id}/select`)
+      .send({ selected: true })
+      .expect(200);
+
+    await request(app).post('/api/game/start').send({ dailyDoubles: 0 }).expect(200);
+    const mode = await request(app).post('/api/admin/team-mode').send({ enabled: true }).expect(200);
+    expect(mode.body.team_mode).toBe(1);
+    await request(app).post('/api/game/select-card').send({ questionId: q.body.id }).expect(200);
+    await request(app).post('/api/game/set-question-reading').send({ reading: false }).expect(200);
+
+    await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', buddy.body.deviceToken)
+      .send({ playerId: buddy.body.id })
+      .expect(200);
+    await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', jovie.body.deviceToken)
+      .send({ playerId: jovie.body.id })
+      .expect(409);
+    const queued = await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', rudolph.body.deviceToken)
+      .send({ playerId: rudolph.body.id })
+      .expect(200);
+    expect(queued.body.queued).toBe(true);
+
+    const wrong = await request(app)
+      .post('/api/admin/resolve-current')
+      .send({ playerId: buddy.body.id, correct: false })
+      .expect(200);
+    expect(wrong.body.state.last_buzz_player_id).toBe(rudolph.body.id);
+    // The Elves already used their buzz on this clue.
+    await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', jovie.body.deviceToken)
+      .send({ playerId: jovie.body.id })
+      .expect(409);
+
+    const right = await request(app)
+      .post('/api/admin/resolve-current')
+      .send({ playerId: rudolph.body.id, correct: true })
+      .expect(200);
+    const teams = Object.fromEntries(right.body.teams.map((t) => [t.name, t]));
+    expect(teams.Elves.score).toBe(-200);
+    expect(teams.Reindeer.score).toBe(200);
+    expect(teams.Elves.members.map((m) => m.name)).toEqual(['Buddy', 'Jovie']);
+    expect(right.body.scores.find((p) => p.id === rudolph.body.id).score).toBe(0);
+
+    await request(app).post('/api/admin/team-mode').send({ enabled: false }).expect(200);
+  });
+
+  it('adjusts team scores and unassigns the players of a deleted team', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const tinsel = await request(app).post('/api/admin/teams').send({ name: 'Tinsel' }).expect(201);
+    const score = (body) => request(app).post(`/api/admin/teams/${tinsel.body.id}/score`).send(body);
+    expect((await score({ delta: 300 }).expect(200)).body).toEqual({ teamId: tinsel.body.id, score: 300 });
+    expect((await score({ delta: -100 }).expect(200)).body.score).toBe(200);
+    expect((await score({ score: 50 }).expect(200)).body.score).toBe(50);
+    await score({ delta: 'lots' }).expect(400);
+    await request(app).post('/api/admin/teams/nope/score').send({ delta: 100 }).expect(404);
+
+    const join = (name) => request(app).post('/api/players').send({ name, teamId: tinsel.body.id }).expect(201);
+    const holly = await join('Team Holly');
+    const ivy = await join('Team Ivy');
+    const q = await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', holly.body.deviceToken)
+      .send({ playerId: holly.body.id, questionText: 'Q', answer: 'A', category: 'Garland', points: 200 })
+      .expect(201);
+    await request(app).post(`/api/admin/questions/${q.body.id}/select`).send({ selected: true }).expect(200);
+    await request(app).post('/api/game/start').send({ dailyDoubles: 0 }).expect(200);
+    await request(app).post('/api/admin/team-mode').send({ enabled: true }).expect(200);
+    await request(app).post('/api/game/select-card').send({ questionId: q.body.id }).expect(200);
+    await request(app).post('/api/game/set-question-reading').send({ reading: false }).expect(200);
+    await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', holly.body.deviceToken)
+      .send({ playerId: holly.body.id })
+      .expect(200);
+
+    const { db } = require('../src/db');
+    const teamBuzzes = () =>
+      db.prepare('SELECT COUNT(*) AS n FROM team_buzzes WHERE team_id = ?').get(tinsel.body.id).n;
+    expect(teamBuzzes()).toBe(1);
+    await request(app).delete(`/api/admin/teams/${tinsel.body.id}`).expect(200);
+    await request(app).delete(`/api/admin/teams/${tinsel.body.id}`).expect(404);
+    expect(teamBuzzes()).toBe(0);
+    const players = await request(app).get('/api/players').expect(200);
+    const byId = Object.fromEntries(players.body.map((p) => [p.id, p]));
+    expect(byId[holly.body.id].teamId).toBeNull();
+    expect(byId[ivy.body.id].teamId).toBeNull();
+    const teams = await request(app).get('/api/teams').expect(200);
+    expect(teams.body.some((t) => t.id === tinsel.body.id)).toBe(false);
+
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    await request(app).post('/api/admin/team-mode').send({ enabled: false }).expect(200);
+  });
+});
+
+describe('Clue timers', () => {
+  it('marks a silent responder wrong and closes the clue when nobody else buzzes', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const slow = await request(app).post('/api/players').send({ name: 'Slowpoke' }).expect(201);
+    const q = await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', slow.body.deviceToken)
+      .send({ playerId: slow.body.id, questionText: 'Q', answer: 'A', category: 'Clock', points: 200 })
+      .expect(201);
+    await request(app)
+      .post(`/api/admin/questions/${q.body.id}/select`)
+      .send({ selected: true })
+      .expect(200);
+
+    await request(app).patch('/api/admin/timers').send({ timeoutAction: 'later' }).expect(400);
+    const timers = await request(app)
+      .patch('/api/admin/timers')
+      .send({ clueSeconds: 1, answerSeconds: 1, timeoutAction: 'wrong' })
+      .expect(200);
+    expect(timers.body.server_time).toBeTruthy();
+
+    await request(app).post('/api/game/start').send({ dailyDoubles: 0 }).expect(200);
+    const sel = await request(app).post('/api/game/select-card').send({ questionId: q.body.id }).expect(200);
+    // No clock while the clue is being read.
+    expect(sel.body.clue_deadline).toBeNull();
+    const open = await request(app)
+      .post('/api/game/set-question-reading')
+      .send({ reading: false })
+      .expect(200);
+    expect(Date.parse(open.body.clue_deadline)).toBeGreaterThan(Date.parse(open.body.clue_opened_at));
+
+    const buzz = await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', slow.body.deviceToken)
+      .send({ playerId: slow.body.id })
+      .expect(200);
+    expect(buzz.body.state.answer_deadline).toBeTruthy();
+
+    // Answer window runs out: wrong, buzzing reopens with a fresh clue window...
+    await new Promise((r) => setTimeout(r, 1200));
+    const reopened = await request(app).get('/api/game/state').expect(200);
+    expect(reopened.body.buzzer_locked).toBe(0);
+    expect(reopened.body.current_question_id).toBe(q.body.id);
+    const players = await request(app).get('/api/players').expect(200);
+    expect(players.body.find((p) => p.id === slow.body.id).score).toBe(-200);
+    const events = await request(app).get('/api/admin/events').expect(200);
+    expect(events.body.find((e) => e.type === 'answer_timeout').message).toBe("Time's up for Slowpoke");
+
+    // ...and then nobody buzzes, so the clue closes.
+    await new Promise((r) => setTimeout(r, 1200));
+    const closed = await request(app).get('/api/game/state').expect(200);
+    expect(closed.body.current_question_id).toBeNull();
+    expect(closed.body.clue_deadline).toBeNull();
+
+    await request(app)
+      .patch('/api/admin/timers')
+      .send({ clueSeconds: 10, answerSeconds: 10 })
+      .expect(200);
+  });
+});
+
+describe('Early-buzz lockout', () => {
+  it('locks out a player who buzzes while the clue is read', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const eager = await request(app).post('/api/players').send({ name: 'Eager' }).expect(201);
+    const calm = await request(app).post('/api/players').send({ name: 'Calm' }).expect(201);
+    const ids = [];
+    for (const points of [200, 400]) {
+      const q = await request(app)
+        .post('/api/questions')
+        .set('X-Player-Token', calm.body.deviceToken)
+        .send({ playerId: calm.body.id, questionText: 'Q', answer: 'A', category: 'Patience', points })
+        .expect(201);
+      await request(app)
+        .post(`/api/admin/questions/${q.body.id}/select`)
+        .send({ selected: true })
+        .expect(200);
+      ids.push(q.body.id);
+    }
+    await request(app).post('/api/game/start').send({ dailyDoubles: 0 }).expect(200);
+
+    // Off by default: early buzzes are just rejected.
+    await request(app).post('/api/game/select-card').send({ questionId: ids[0] }).expect(200);
+    await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', eager.body.deviceToken)
+      .send({ playerId: eager.body.id })
+      .expect(400);
+    await request(app).post('/api/admin/skip-current').send({}).expect(200);
+
+    await request(app).patch('/api/admin/timers').send({ earlyBuzzLockoutMs: 9000 }).expect(400);
+    await request(app).patch('/api/admin/timers').send({ earlyBuzzLockoutMs: 400 }).expect(200);
+    await request(app).post('/api/game/select-card').send({ questionId: ids[1] }).expect(200);
+    const early = await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', eager.body.deviceToken)
+      .send({ playerId: eager.body.id })
+      .expect(409);
+    expect(early.body.lockoutMs).toBe(400);
+    await request(app).post('/api/game/set-question-reading').send({ reading: false }).expect(200);
+
+    // Still locked after reading ends; the others can buzz.
+    await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', eager.body.deviceToken)
+      .send({ playerId: eager.body.id })
+      .expect(409);
+    const events = await request(app).get('/api/admin/events').expect(200);
+    expect(events.body.some((e) => e.type === 'buzz_lockout')).toBe(true);
+
+    await new Promise((r) => setTimeout(r, 450));
+    const late = await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', eager.body.deviceToken)
+      .send({ playerId: eager.body.id })
+      .expect(200);
+    expect(late.body.state.last_buzz_player_id).toBe(eager.body.id);
+
+    await request(app).patch('/api/admin/timers').send({ earlyBuzzLockoutMs: 0 }).expect(200);
+  });
+});
+
+describe('Typed answers', () => {
+  it('grades answers loosely', () => {
+    const { gradeAnswer } = require('../src/answer_match');
+    expect(gradeAnswer('What is frosty the snowman?', 'Frosty the Snowman').correct).toBe(true);
+    expect(gradeAnswer("who's bing crosby", 'Bing Crosby').correct).toBe(true);
+    expect(gradeAnswer('Rudolf', 'Rudolph (the Red-Nosed Reindeer)').correct).toBe(true);
+    expect(gradeAnswer('Santa', 'Saint Nick / Santa Claus').correct).toBe(true);
+    expect(gradeAnswer('Elf', 'Home Alone').correct).toBe(false);
+    expect(gradeAnswer('Grinch', 'How the Grinch Stole Christmas').correct).toBe(false);
+  });
+
+  it('suggests a verdict the host confirms, and stores the response', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const typist = await request(app).post('/api/players').send({ name: 'Typist' }).expect(201);
+    const other = await request(app).post('/api/players').send({ name: 'Other' }).expect(201);
+    const q = await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', other.body.deviceToken)
+      .send({
+        playerId: other.body.id,
+        questionText: 'This snowman came to life with an old silk hat',
+        answer: 'Frosty the Snowman',
+        category: 'Snow',
+        points: 400,
+      })
+      .expect(201);
+    await request(app)
+      .post(`/api/admin/questions/${q.body.id}/select`)
+      .send({ selected: true })
+      .expect(200);
+    await request(app).post('/api/game/start').send({ dailyDoubles: 0 }).expect(200);
+    await request(app).post('/api/game/select-card').send({ questionId: q.body.id }).expect(200);
+    await request(app).post('/api/game/set-question-reading').send({ reading: false }).expect(200);
+    await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', typist.body.deviceToken)
+      .send({ playerId: typist.body.id })
+      .expect(200);
+
+    await request(app)
+      .post('/api/game/answer')
+      .set('X-Player-Token', typist.body.deviceToken)
+      .send({ playerId: typist.body.id, response: 'frosty' })
+      .expect(400);
+    await request(app).post('/api/admin/typed-answers').send({ enabled: true }).expect(200);
+    await request(app)
+      .post('/api/game/answer')
+      .set('X-Player-Token', other.body.deviceToken)
+      .send({ playerId: other.body.id, response: 'frosty' })
+      .expect(403);
+    const answered = await request(app)
+      .post('/api/game/answer')
+      .set('X-Player-Token', typist.body.deviceToken)
+      .send({ playerId: typist.body.id, response: 'What is Frosty the Snowmen?' })
+      .expect(200);
+    expect(answered.body.state.typed_response).toBe('What is Frosty the Snowmen?');
+    expect(answered.body.state.typed_verdict).toBeUndefined();
+    const hostView = await asScreen(request(app).get('/api/game/state'));
+    expect(hostView.body.typed_verdict).toBe(1);
+    expect(answered.body.state.answer_deadline).toBeNull();
+    await request(app)
+      .post('/api/game/answer')
+      .set('X-Player-Token', typist.body.deviceToken)
+      .send({ playerId: typist.body.id, response: 'again' })
+      .expect(409);
+
+    // Host overrides the suggestion.
+    const resolved = await request(app)
+      .post('/api/admin/resolve-current')
+      .send({ playerId: typist.body.id, correct: false })
+      .expect(200);
+    expect(resolved.body.state.typed_response).toBeNull();
+
+    const { db } = require('../src/db');
+    const row = db
+      .prepare('SELECT response, suggested_correct, correct FROM clue_responses WHERE player_id = ?')
+      .get(typist.body.id);
+    expect(row).toEqual({ response: 'What is Frosty the Snowmen?', suggested_correct: 1, correct: 0 });
+
+    // Their typed answers go with them when the player is removed.
+    await request(app).delete(`/api/admin/players/${typist.body.id}`).expect(200);
+    expect(db.prepare('SELECT 1 FROM clue_responses WHERE player_id = ?').get(typist.body.id)).toBeUndefined();
+
+    await request(app).post('/api/admin/typed-answers').send({ enabled: false }).expect(200);
+  });
+});
+
+describe('Answer alternates', () => {
+  it('stores accepted and do-not-accept lists and uses them when grading', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const author = await request(app).post('/api/players').send({ name: 'Author' }).expect(201);
+    const stranger = await request(app).post('/api/players').send({ name: 'Stranger' }).expect(201);
+
+    await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({ playerId: author.body.id, questionText: 'Q', answer: 'A', acceptedAnswers: 'nope' })
+      .expect(201);
+    await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({ playerId: author.body.id, questionText: 'Q', answer: 'A', acceptedAnswers: [1] })
+      .expect(400);
+
+    const q = await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({
+        playerId: author.body.id,
+        questionText: 'This reindeer has a very shiny nose',
+        answer: 'Rudolph the Red-Nosed Reindeer',
+        acceptedAnswers: ['Rudolph', ' rudolph ', ''],
+        category: 'Reindeer',
+        points: 200,
+      })
+      .expect(201);
+    expect(q.body.acceptedAnswers).toEqual(['Rudolph']);
+    expect(q.body.rejectedAnswers).toEqual([]);
+
+    await request(app)
+      .patch(`/api/questions/${q.body.id}/answers`)
+      .set('X-Player-Token', stranger.body.deviceToken)
+      .send({ playerId: stranger.body.id, rejectedAnswers: ['Dasher'] })
+      .expect(403);
+    const own = await request(app)
+      .patch(`/api/questions/${q.body.id}/answers`)
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({ playerId: author.body.id, rejectedAnswers: ['Blitzen'] })
+      .expect(200);
+    expect(own.body.rejectedAnswers).toEqual(['Blitzen']);
+
+    const meta = await request(app)
+      .patch(`/api/admin/questions/${q.body.id}/meta`)
+      .send({ acceptedAnswers: ['Rudolph', 'Red-nosed reindeer'] })
+      .expect(200);
+    expect(meta.body.acceptedAnswers).toEqual(['Rudolph', 'Red-nosed reindeer']);
+    expect(meta.body.rejectedAnswers).toEqual(['Blitzen']);
+    const hostEdit = await request(app).get(`/api/admin/questions/${q.body.id}/revisions`).expect(200);
+    expect(hostEdit.body[0]).toMatchObject({
+      editor: 'host',
+      changes: { acceptedAnswers: { from: 'Rudolph', to: 'Rudolph, Red-nosed reindeer' } },
+    });
+
+    // Changing the lists of an approved question sends it back for review, with a revision.
+    await request(app)
+      .post(`/api/admin/questions/${q.body.id}/review`)
+      .send({ status: 'approved' })
+      .expect(200);
+    await request(app)
+      .patch(`/api/questions/${q.body.id}/answers`)
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({ playerId: author.body.id, rejectedAnswers: ['Blitzen'] })
+      .expect(400);
+    const resubmitted = await request(app)
+      .patch(`/api/questions/${q.body.id}/answers`)
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({ playerId: author.body.id, rejectedAnswers: ['Blitzen', 'Comet'] })
+      .expect(200);
+    expect(resubmitted.body.status).toBe('pending');
+    const revisions = await request(app).get(`/api/admin/questions/${q.body.id}/revisions`).expect(200);
+    expect(revisions.body[0].changes).toEqual({
+      rejectedAnswers: { from: 'Blitzen', to: 'Blitzen, Comet' },
+      status: { from: 'approved', to: 'pending' },
+    });
+
+    // Like text edits, the lists are locked once the game starts.
+    await request(app)
+      .post(`/api/admin/questions/${q.body.id}/review`)
+      .send({ status: 'approved' })
+      .expect(200);
+    await request(app).post(`/api/admin/questions/${q.body.id}/select`).send({ selected: true }).expect(200);
+    await request(app).post('/api/game/start').send({ dailyDoubles: 0 }).expect(200);
+    await request(app)
+      .patch(`/api/questions/${q.body.id}/answers`)
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({ playerId: author.body.id, acceptedAnswers: ['Rudy'] })
+      .expect(409);
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+
+    const { gradeAnswer } = require('../src/answer_match');
+    expect(gradeAnswer('Dasher', 'Rudolph', { accepted: ['Dasher'] }).correct).toBe(true);
+    expect(gradeAnswer('Blitzen', 'Blitzen the reindeer', { rejected: ['Blitzen'] }).correct).toBe(false);
+
+    // Pack entries carry their lists into the database.
+    await request(app).post('/api/admin/seed-defaults').send({ pack: 'classic' }).expect(200);
+    const all = await asScreen(request(app).get('/api/questions').expect(200));
+    const nemo = all.body.find((row) => row.answer === 'A clownfish');
+    expect(nemo.acceptedAnswers).toEqual(['Clown fish', 'Ocellaris clownfish']);
+    expect(nemo.rejectedAnswers).toEqual(['Goldfish']);
+  });
+});
+
+describe('Multiple choice', () => {
+  async function openChoiceClue(author, points) {
+    const q = await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', author.deviceToken)
+      .send({
+        playerId: author.id,
+        questionText: 'Which reindeer has a red nose?',
+        answer: 'Rudolph',
+        type: 'multiple_choice',
+        options: ['Dasher', 'Rudolph', 'Comet'],
+        category: 'Choices',
+        points,
+      })
+      .expect(201);
+    await request(app)
+      .post(`/api/admin/questions/${q.body.id}/select`)
+      .send({ selected: true })
+      .expect(200);
+    await request(app).post('/api/game/select-card').send({ questionId: q.body.id }).expect(200);
+    await request(app).post('/api/game/set-question-reading').send({ reading: false }).expect(200);
+    return q.body;
+  }
+
+  it('validates options and lets the buzzed-in player pick a letter', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const ann = await request(app).post('/api/players').send({ name: 'Ann' }).expect(201);
+    await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', ann.body.deviceToken)
+      .send({ playerId: ann.body.id, questionText: 'Q', answer: 'D', type: 'multiple_choice', options: ['A', 'B'] })
+      .expect(400);
+    await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', ann.body.deviceToken)
+      .send({ playerId: ann.body.id, questionText: 'Q', answer: 'A', type: 'multiple_choice', options: ['A'] })
+      .expect(400);
+
+    await request(app).post('/api/game/start').send({ dailyDoubles: 0 }).expect(200);
+    const q = await openChoiceClue(ann.body, 200);
+    expect(q.options).toEqual(['Dasher', 'Rudolph', 'Comet']);
+    expect(q.type).toBe('multiple_choice');
+
+    await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', ann.body.deviceToken)
+      .send({ playerId: ann.body.id })
+      .expect(200);
+    await request(app)
+      .post('/api/game/answer')
+      .set('X-Player-Token', ann.body.deviceToken)
+      .send({ playerId: ann.body.id, choice: 'Z' })
+      .expect(400);
+    const picked = await request(app)
+      .post('/api/game/answer')
+      .set('X-Player-Token', ann.body.deviceToken)
+      .send({ playerId: ann.body.id, choice: 'b' })
+      .expect(200);
+    expect(picked.body.state.typed_response).toBe('B. Rudolph');
+    const hostView = await asScreen(request(app).get('/api/game/state'));
+    expect(hostView.body.typed_verdict).toBe(1);
+    await request(app)
+      .post('/api/admin/resolve-current')
+      .send({ playerId: ann.body.id, correct: true })
+      .expect(200);
+  });
+
+  it('scores every locked-in choice at once in everyone-answers mode', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const right = await request(app).post('/api/players').send({ name: 'Righty' }).expect(201);
+    const wrong = await request(app).post('/api/players').send({ name: 'Wrongy' }).expect(201);
+    await request(app).post('/api/admin/mc-mode').send({ mode: 'nobody' }).expect(400);
+    await request(app).post('/api/admin/mc-mode').send({ mode: 'everyone' }).expect(200);
+    await request(app).post('/api/game/start').send({ dailyDoubles: 0 }).expect(200);
+    await openChoiceClue(right.body, 400);
+
+    await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', right.body.deviceToken)
+      .send({ playerId: right.body.id })
+      .expect(400);
+    await request(app)
+      .post('/api/game/mc-choice')
+      .set('X-Player-Token', right.body.deviceToken)
+      .send({ playerId: right.body.id, choice: 'B' })
+      .expect(200);
+    await request(app)
+      .post('/api/game/mc-choice')
+      .set('X-Player-Token', right.body.deviceToken)
+      .send({ playerId: right.body.id, choice: 'A' })
+      .expect(409);
+    const locked = await request(app)
+      .post('/api/game/mc-choice')
+      .set('X-Player-Token', wrong.body.deviceToken)
+      .send({ playerId: wrong.body.id, choice: 0 })
+      .expect(200);
+    expect(locked.body.state.mc_choice_count).toBe(2);
+
+    const scored = await request(app).post('/api/admin/mc/score').send({}).expect(200);
+    expect(scored.body.state.current_question_id).toBeNull();
+    expect(scored.body.results.map((r) => [r.choice, r.correct])).toEqual([
+      ['B', true],
+      ['A', false],
+    ]);
+    const players = await request(app).get('/api/players').expect(200);
+    expect(players.body.find((p) => p.id === right.body.id).score).toBe(400);
+    expect(players.body.find((p) => p.id === wrong.body.id).score).toBe(0);
+
+    await request(app).post('/api/admin/mc-mode').send({ mode: 'buzz' }).expect(200);
+  });
+});
+
+describe('Clue media', () => {
+  it('stores an attachment and streams it back with range support', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const owner = await request(app).post('/api/players').send({ name: 'Photog' }).expect(201);
+    const other = await request(app).post('/api/players').send({ name: 'Nosy' }).expect(201);
+    const q = await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', owner.body.deviceToken)
+      .send({ playerId: owner.body.id, questionText: 'Who is this baby?', answer: 'Me' })
+      .expect(201);
+
+    const bytes = Buffer.from('0123456789');
+    const dataUrl = `data:image/png;base64,${bytes.toString('base64')}`;
+    await request(app)
+      .post(`/api/questions/${q.body.id}/media`)
+      .set('X-Player-Token', other.body.deviceToken)
+      .send({ playerId: other.body.id, dataUrl })
+      .expect(403);
+    await request(app)
+      .post(`/api/questions/${q.body.id}/media`)
+      .set('X-Player-Token', owner.body.deviceToken)
+      .send({ playerId: owner.body.id, dataUrl: 'data:text/plain;base64,aGk=' })
+      .expect(400);
+    const saved = await request(app)
+      .post(`/api/questions/${q.body.id}/media`)
+      .set('X-Player-Token', owner.body.deviceToken)
+      .send({ playerId: owner.body.id, dataUrl })
+      .expect(200);
+    expect(saved.body.media).toMatchObject({ kind: 'image', mime: 'image/png', bytes: 10 });
+
+    const list = await asScreen(request(app).get('/api/questions').expect(200));
+    expect(list.body.find((row) => row.id === q.body.id).media.kind).toBe('image');
+
+    const full = await request(app)
+      .get(`/api/questions/${q.body.id}/media`)
+      .set('X-Player-Token', owner.body.deviceToken)
+      .expect(200);
+    expect(full.headers['content-type']).toBe('image/png');
+    expect(Buffer.compare(full.body, bytes)).toBe(0);
+    const part = await request(app)
+      .get(`/api/questions/${q.body.id}/media`)
+      .set('X-Player-Token', owner.body.deviceToken)
+      .set('Range', 'bytes=2-4')
+      .expect(206);
+    expect(part.headers['content-range']).toBe('bytes 2-4/10');
+    expect(part.body.toString()).toBe('234');
+
+    await request(app).delete(`/api/admin/questions/${q.body.id}/media`).expect(200);
+    await request(app)
+      .get(`/api/questions/${q.body.id}/media`)
+      .set('X-Player-Token', owner.body.deviceToken)
+      .expect(404);
+
+    // A submitter's attachment change on an approved question is reviewed again.
+    await request(app).post(`/api/admin/questions/${q.body.id}/review`).send({ status: 'approved' }).expect(200);
+    const reattached = await request(app)
+      .post(`/api/questions/${q.body.id}/media`)
+      .set('X-Player-Token', owner.body.deviceToken)
+      .send({ playerId: owner.body.id, dataUrl })
+      .expect(200);
+    expect(reattached.body.media.kind).toBe('image');
+    const mine = await request(app)
+      .get('/api/questions')
+      .set('X-Player-Token', owner.body.deviceToken)
+      .query({ playerId: owner.body.id })
+      .expect(200);
+    expect(mine.body.find((row) => row.id === q.body.id).status).toBe('pending');
+    const revisions = await request(app).get(`/api/admin/questions/${q.body.id}/revisions`).expect(200);
+    expect(revisions.body[0].changes).toEqual({
+      media: { from: null, to: 'image' },
+      status: { from: 'approved', to: 'pending' },
+    });
+    // The host's removal before that is in the history too.
+    expect(revisions.body[2]).toMatchObject({ editor: 'host', changes: { media: { from: 'image', to: null } } });
+
+    // And attachments are locked once the game starts.
+    await request(app).post(`/api/admin/questions/${q.body.id}/review`).send({ status: 'approved' }).expect(200);
+    await request(app).post(`/api/admin/questions/${q.body.id}/select`).send({ selected: true }).expect(200);
+    await request(app).post('/api/game/start').send({ dailyDoubles: 0 }).expect(200);
+    await request(app)
+      .post(`/api/questions/${q.body.id}/media`)
+      .set('X-Player-Token', owner.body.deviceToken)
+      .send({ playerId: owner.body.id, dataUrl })
+      .expect(409);
+    await request(app)
+      .delete(`/api/questions/${q.body.id}/media`)
+      .set('X-Player-Token', owner.body.deviceToken)
+      .query({ playerId: owner.body.id })
+      .expect(409);
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+  });
+
+  describe('with a host passcode', () => {
+    afterAll(() => {
+      const { mainDb } = require('../src/db');
+      mainDb.prepare('DELETE FROM admin_auth').run();
+      mainDb.prepare('DELETE FROM admin_sessions').run();
+    });
+
+    it('only serves an unplayed clue\'s attachment to the host and the submitter', async () => {
+      await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+      const setup = await request(app).post('/api/auth/setup').send({ passcode: 'snowglobe' }).expect(201);
+      const host = `Bearer ${setup.body.token}`;
+      const owner = await request(app).post('/api/players').send({ name: 'Songbird' }).expect(201);
+      const other = await request(app).post('/api/players').send({ name: 'Eavesdropper' }).expect(201);
+      const q = await request(app)
+        .post('/api/questions')
+        .set('X-Player-Token', owner.body.deviceToken)
+        .send({
+          playerId: owner.body.id,
+          questionText: 'Name this song',
+          answer: 'Jingle Bells',
+          category: 'Songs',
+          points: 200,
+        })
+        .expect(201);
+      await request(app)
+        .post(`/api/admin/questions/${q.body.id}/media`)
+        .set('Authorization', host)
+        .send({ dataUrl: `data:audio/mpeg;base64,${Buffer.from('jingle').toString('base64')}` })
+        .expect(200);
+      const media = `/api/questions/${q.body.id}/media`;
+
+      await request(app).get(media).expect(403);
+      await request(app).get(media).query({ playerToken: other.body.deviceToken }).expect(403);
+      await request(app).get(media).query({ playerToken: owner.body.deviceToken }).expect(200);
+      await request(app).get(media).set('X-Player-Token', owner.body.deviceToken).expect(200);
+      await request(app).get(media).query({ token: setup.body.token }).expect(200);
+
+      // Once the clue is on screen, everyone may load it.
+      const asHost = (path, body) => request(app).post(path).set('Authorization', host).send(body).expect(200);
+      await asHost(`/api/admin/questions/${q.body.id}/select`, { selected: true });
+      await asHost('/api/game/start', { dailyDoubles: 0 });
+      await asHost('/api/game/select-card', { questionId: q.body.id });
+      await request(app).get(media).expect(200);
+      await asHost('/api/admin/reset-for-new-game', {});
+    });
+  });
+});
+
+describe('Rooms', () => {
+  it('keeps players and game state separate per join code', async () => {
+    const main = await request(app).get('/api/room').expect(200);
+    const created = await request(app).post('/api/rooms').send({ name: 'Den' }).expect(201);
+    const { code } = created.body;
+    expect(code).toMatch(/^[A-Z2-9]{4}$/);
+    expect(code).not.toBe(main.body.code);
+    expect(created.body.name).toBe('Den');
+
+    const lookup = await request(app).get(`/api/rooms/${code.toLowerCase()}`).expect(200);
+    expect(lookup.body.code).toBe(code);
+    await request(app).get('/api/players').set('X-Room-Code', 'ZZZZZZ').expect(404);
+
+    const kid = await request(app)
+      .post('/api/players')
+      .set('X-Room-Code', code)
+      .send({ name: 'Den Kid' })
+      .expect(201);
+    const roomPlayers = await request(app).get('/api/players').set('X-Room-Code', code).expect(200);
+    expect(roomPlayers.body.map((p) => p.id)).toEqual([kid.body.id]);
+    const mainPlayers = await request(app).get('/api/players').expect(200);
+    expect(mainPlayers.body.some((p) => p.id === kid.body.id)).toBe(false);
+
+    await request(app)
+      .patch('/api/admin/timers')
+      .set('X-Room-Code', code)
+      .send({ clueSeconds: 42 })
+      .expect(200);
+    const roomState = await request(app).get(`/api/game/state?room=${code}`).expect(200);
+    expect(roomState.body.clue_seconds).toBe(42);
+    const mainState = await request(app).get('/api/game/state').expect(200);
+    expect(mainState.body.clue_seconds).not.toBe(42);
+  });
+});
+
+describe('Player payloads', () => {
+  it('keeps answers off player phones and shows clues once they are picked', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const author = await request(app).post('/api/players').send({ name: 'Quiz Writer' }).expect(201);
+    const q = await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({
+        playerId: author.body.id,
+        questionText: 'This reindeer leads the sleigh',
+        answer: 'Rudolph',
+        acceptedAnswers: ['Rudolf'],
+        category: 'Sleigh',
+        points: 200,
+      })
+      .expect(201);
+    await request(app)
+      .post(`/api/admin/questions/${q.body.id}/select`)
+      .send({ selected: true })
+      .expect(200);
+    await request(app).post('/api/game/start').send({ dailyDoubles: 0 }).expect(200);
+
+    const tile = async (query = '') => {
+      const res = await request(app).get(`/api/questions${query}`).expect(200);
+      return res.body.find((row) => row.id === q.body.id);
+    };
+    const before = await tile();
+    expect(before).toMatchObject({ category: 'Sleigh', points: 200, usedInGame: 0, questionText: null });
+    expect(before.answer).toBeUndefined();
+    expect(before.acceptedAnswers).toBeUndefined();
+    const own = await request(app)
+      .get('/api/questions')
+      .set('X-Player-Token', author.body.deviceToken)
+      .query({ playerId: author.body.id })
+      .expect(200);
+    expect(own.body.find((row) => row.id === q.body.id).answer).toBe('Rudolph');
+
+    await request(app).post('/api/game/select-card').send({ questionId: q.body.id }).expect(200);
+    const after = await tile();
+    expect(after.questionText).toBe('This reindeer leads the sleigh');
+    expect(after.answer).toBeUndefined();
+
+    const placeholder = await request(app)
+      .post('/api/game/select-card')
+      .send({ category: 'Nowhere', points: 400, force: true })
+      .expect(200);
+    expect(placeholder.body.current_clue_text).toBeTruthy();
+    expect(placeholder.body.current_answer_text).toBeUndefined();
+    const spoofed = await request(app).get('/api/game/state').set('X-Client-Role', 'screen');
+    expect(spoofed.body.current_answer_text).toBeUndefined();
+    const screen = await asScreen(request(app).get('/api/game/state'));
+    expect(screen.body.current_answer_text).toBeTruthy();
+  });
+});
+
+describe('Host login', () => {
+  afterAll(() => {
+    // Leave the host pages open again for the rest of the suite.
+    const { mainDb } = require('../src/db');
+    mainDb.prepare('DELETE FROM admin_auth').run();
+    mainDb.prepare('DELETE FROM admin_sessions').run();
+  });
+
+  it('locks host routes behind the passcode once one is set', async () => {
+    const open = await request(app).get('/api/auth/status').expect(200);
+    expect(open.body).toMatchObject({ passcodeSet: false, authorized: true });
+
+    await request(app).post('/api/auth/setup').send({ passcode: 'abc' }).expect(400);
+    const setup = await request(app).post('/api/auth/setup').send({ passcode: 'tinsel' }).expect(201);
+    await request(app).post('/api/auth/setup').send({ passcode: 'other' }).expect(409);
+    const auth = `Bearer ${setup.body.token}`;
+
+    await request(app).post('/api/game/start').send({}).expect(401);
+    await request(app).post('/api/game/set-question-reading').send({ reading: true }).expect(401);
+    await request(app).post('/api/rooms').send({ name: 'Sneaky' }).expect(401);
+    await request(app).delete('/api/admin/players/nobody').expect(401);
+    await request(app).get('/api/admin/events').set('Authorization', 'Bearer nope').expect(401);
+    await request(app).get('/api/admin/events').set('Authorization', auth).expect(200);
+
+    const author = await request(app).post('/api/players').send({ name: 'Peeker' }).expect(201);
+    await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({ playerId: author.body.id, questionText: 'Peek?', answer: 'No peeking' })
+      .expect(201);
+    const spoofed = await request(app).get('/api/questions').set('X-Client-Role', 'screen');
+    expect(spoofed.body.every((q) => q.answer === undefined)).toBe(true);
+    const screen = await request(app)
+      .get('/api/questions')
+      .set('X-Client-Role', 'screen')
+      .set('Authorization', auth);
+    expect(screen.body.some((q) => q.answer === 'No peeking')).toBe(true);
+
+    await request(app).post('/api/auth/login').send({ passcode: 'wrong' }).expect(401);
+    const login = await request(app).post('/api/auth/login').send({ passcode: 'tinsel' }).expect(200);
+    expect(login.body.token).toBeTruthy();
+
+    const events = await request(app).get('/api/admin/events').set('Authorization', auth).expect(200);
+    const types = events.body.map((e) => e.type);
+    expect(types).toContain('admin_login_failed');
+    expect(types).toContain('admin_denied');
+
+    await request(app).post('/api/auth/logout').set('Authorization', auth).expect(200);
+    const after = await request(app).get('/api/auth/status').set('Authorization', auth).expect(200);
+    expect(after.body).toMatchObject({ passcodeSet: true, authorized: false });
+  });
+});
+
+describe('Player devices', () => {
+  afterAll(() => {
+    const { mainDb } = require('../src/db');
+    mainDb.prepare('DELETE FROM admin_auth').run();
+    mainDb.prepare('DELETE FROM admin_sessions').run();
+  });
+
+  it('checks device tokens before any host passcode is set', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const holly = await request(app).post('/api/players').send({ name: 'Open Holly' }).expect(201);
+    const ivy = await request(app).post('/api/players').send({ name: 'Open Ivy' }).expect(201);
+    const q = await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', holly.body.deviceToken)
+      .send({ playerId: holly.body.id, questionText: 'Q', answer: 'A', category: 'Open', points: 200 })
+      .expect(201);
+    await request(app).post(`/api/admin/questions/${q.body.id}/select`).send({ selected: true }).expect(200);
+    await request(app).post('/api/game/start').send({ dailyDoubles: 0 }).expect(200);
+    await request(app).post('/api/game/select-card').send({ questionId: q.body.id }).expect(200);
+    await request(app).post('/api/game/set-question-reading').send({ reading: false }).expect(200);
+
+    await request(app).post('/api/game/buzz').send({ playerId: holly.body.id }).expect(403);
+    await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', ivy.body.deviceToken)
+      .send({ playerId: holly.body.id })
+      .expect(403);
+    await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', holly.body.deviceToken)
+      .send({ playerId: holly.body.id })
+      .expect(200);
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+  });
+
+  it('only lets the registered phone act as a player, and moves it on host approval', async () => {
+    const setup = await request(app).post('/api/auth/setup').send({ passcode: 'garland' }).expect(201);
+    const host = `Bearer ${setup.body.token}`;
+    const holly = await request(app).post('/api/players').send({ name: 'Holly' }).expect(201);
+    const ivy = await request(app).post('/api/players').send({ name: 'Ivy' }).expect(201);
+    expect(holly.body.deviceToken).toBeTruthy();
+    const oldPhone = holly.body.deviceToken;
+
+    await request(app).post('/api/game/buzz').send({ playerId: holly.body.id }).expect(403);
+    await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', ivy.body.deviceToken)
+      .send({ playerId: holly.body.id })
+      .expect(403);
+    await request(app)
+      .patch(`/api/players/${holly.body.slug}`)
+      .set('X-Player-Token', ivy.body.deviceToken)
+      .send({ photoUrl: 'https://example.com/x.png' })
+      .expect(403);
+    await request(app)
+      .patch(`/api/players/${holly.body.slug}`)
+      .set('X-Player-Token', oldPhone)
+      .send({ photoUrl: 'https://example.com/holly.png' })
+      .expect(200);
+
+    const ask = await request(app).post(`/api/players/${holly.body.id}/device-requests`).expect(201);
+    const newPhone = ask.body.deviceToken;
+    const pending = await request(app)
+      .get(`/api/players/${holly.body.id}/device`)
+      .set('X-Player-Token', newPhone)
+      .expect(200);
+    expect(pending.body).toEqual({ status: 'pending', required: true });
+    await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', newPhone)
+      .send({ playerId: holly.body.id, questionText: 'New phone?', answer: 'Yes' })
+      .expect(403);
+
+    const requests = await request(app).get('/api/admin/device-requests').set('Authorization', host).expect(200);
+    expect(requests.body.map((r) => r.playerName)).toEqual(['Holly']);
+    await request(app)
+      .post(`/api/admin/device-requests/${requests.body[0].id}/approve`)
+      .set('Authorization', host)
+      .expect(200);
+
+    await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', newPhone)
+      .send({ playerId: holly.body.id, questionText: 'New phone?', answer: 'Yes' })
+      .expect(201);
+    await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', oldPhone)
+      .send({ playerId: holly.body.id, questionText: 'Old phone?', answer: 'No' })
+      .expect(403);
+  });
+});
+
+describe('Synced buzzing', () => {
+  it('orders buzzes by corrected press time within the fairness window', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const far = await request(app).post('/api/players').send({ name: 'Far Away' }).expect(201);
+    const near = await request(app).post('/api/players').send({ name: 'Near By' }).expect(201);
+    const late = await request(app).post('/api/players').send({ name: 'Late' }).expect(201);
+    const q = await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', near.body.deviceToken)
+      .send({ playerId: near.body.id, questionText: 'Q', answer: 'A', category: 'Reflexes', points: 200 })
+      .expect(201);
+    await request(app).post(`/api/admin/questions/${q.body.id}/select`).send({ selected: true }).expect(200);
+    await request(app).post('/api/game/start').send({ dailyDoubles: 0 }).expect(200);
+    await request(app).post('/api/game/select-card').send({ questionId: q.body.id }).expect(200);
+    await request(app).post('/api/game/set-question-reading').send({ reading: false }).expect(200);
+
+    // Near By's tap arrives first, but Far Away's phone (clock 5s behind) pressed 150ms sooner.
+    const first = await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', near.body.deviceToken)
+      .send({ playerId: near.body.id })
+      .expect(200);
+    expect(first.body.state.last_buzz_player_id).toBe(near.body.id);
+    const pressedAt = Date.now() - 5000 - 150;
+    const swap = await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', far.body.deviceToken)
+      .send({ playerId: far.body.id, pressedAt, clockOffsetMs: 5000 })
+      .expect(200);
+    expect(swap.body.queued).toBe(false);
+
+    let state = await request(app).get('/api/game/state').set('X-Client-Role', 'screen').expect(200);
+    expect(state.body.last_buzz_player_id).toBe(far.body.id);
+    expect(state.body.last_buzz_offset_ms).toBe(5000);
+    expect(state.body.last_buzz_latency_ms).toBeGreaterThanOrEqual(150);
+
+    // A claimed press from far in the past is clamped to the window, so once that has
+    // passed it only queues.
+    await new Promise((r) => setTimeout(r, 350));
+    const clamped = await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', late.body.deviceToken)
+      .send({ playerId: late.body.id, pressedAt: Date.now() - 60000, clockOffsetMs: 0 })
+      .expect(200);
+    expect(clamped.body.queued).toBe(true);
+
+    const events = await request(app).get('/api/admin/events').expect(200);
+    expect(events.body.some((e) => e.type === 'buzz_reordered')).toBe(true);
+
+    // Near By kept their place at the front of the queue.
+    await request(app)
+      .post('/api/admin/resolve-current')
+      .send({ playerId: far.body.id, correct: false })
+      .expect(200);
+    state = await request(app).get('/api/game/state').set('X-Client-Role', 'screen').expect(200);
+    expect(state.body.last_buzz_player_id).toBe(near.body.id);
+    expect(state.body.last_buzz_latency_ms).toBeNull();
+  });
+});
+
+describe('Socket buzzing', () => {
+  let httpServer;
+  let io;
+  let url;
+  const clients = [];
+
+  beforeAll(async () => {
+    const { Server } = require('socket.io');
+    httpServer = require('http').createServer(app);
+    io = app.attachSockets(new Server(httpServer));
+    await new Promise((resolve) => httpServer.listen(0, resolve));
+    url = `http://localhost:${httpServer.address().port}`;
+  });
+
+  afterAll(async () => {
+    clients.forEach((c) => c.close());
+    app.set('io', null);
+    await new Promise((resolve) => io.close(resolve));
+    const { mainDb } = require('../src/db');
+    mainDb.prepare('DELETE FROM admin_auth').run();
+    mainDb.prepare('DELETE FROM admin_sessions').run();
+  });
+
+  const connect = async () => {
+    const { io: client } = require('socket.io-client');
+    const socket = client(url, { auth: { role: 'player' }, transports: ['websocket'] });
+    clients.push(socket);
+    await new Promise((resolve, reject) => {
+      socket.on('connect', resolve);
+      socket.on('connect_error', reject);
+    });
+    return socket;
+  };
+
+  it('syncs the clock and buzzes with the same checks and replies as the REST route', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const setup = await request(app).post('/api/auth/setup').send({ passcode: 'sleighbell' }).expect(201);
+    const asHost = (path, body) =>
+      request(app).post(path).set('Authorization', `Bearer ${setup.body.token}`).send(body).expect(200);
+    const holly = await request(app).post('/api/players').send({ name: 'Socket Holly' }).expect(201);
+    const ivy = await request(app).post('/api/players').send({ name: 'Socket Ivy' }).expect(201);
+    const q = await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', holly.body.deviceToken)
+      .send({ playerId: holly.body.id, questionText: 'Q', answer: 'A', category: 'Wires', points: 200 })
+      .expect(201);
+    await asHost(`/api/admin/questions/${q.body.id}/select`, { selected: true });
+    await asHost('/api/game/start', { dailyDoubles: 0 });
+
+    const socket = await connect();
+    const sync = await socket.emitWithAck('clock:sync', 12345);
+    expect(sync.clientTime).toBe(12345);
+    expect(Math.abs(sync.serverTime - Date.now())).toBeLessThan(5000);
+
+    const buzz = (player, deviceToken) => socket.emitWithAck('buzz', { playerId: player.body.id, deviceToken });
+    expect(await buzz(holly, holly.body.deviceToken)).toEqual({ ok: false, status: 400, error: 'No active clue' });
+
+    await asHost('/api/game/select-card', { questionId: q.body.id });
+    await asHost('/api/game/set-question-reading', { reading: false });
+    expect(await buzz(ivy)).toMatchObject({ ok: false, status: 403 });
+    expect(await buzz(ivy, holly.body.deviceToken)).toMatchObject({ ok: false, status: 403 });
+    expect(await buzz(ivy, 'not-a-token')).toMatchObject({ ok: false, status: 403 });
+
+    const first = await buzz(holly, holly.body.deviceToken);
+    expect(first).toMatchObject({ ok: true, queued: false, state: { last_buzz_player_id: holly.body.id } });
+
+    // A phone whose ack got lost retries over REST; the repeat buzz changes nothing.
+    const retry = await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', holly.body.deviceToken)
+      .send({ playerId: holly.body.id })
+      .expect(200);
+    expect(retry.body).toEqual({ ok: true, queued: false, reason: 'already_current' });
+
+    expect(await buzz(ivy, ivy.body.deviceToken)).toMatchObject({ ok: true, queued: true, position: 1 });
+    await asHost('/api/admin/reset-for-new-game', {});
+  });
+
+  it('gives the screen view only to a host login and drops it on logout', async () => {
+    const { mainDb } = require('../src/db');
+    mainDb.prepare('DELETE FROM admin_auth').run();
+    mainDb.prepare('DELETE FROM admin_sessions').run();
+    const { io: client } = require('socket.io-client');
+    const join = (auth) => {
+      const socket = client(url, { auth, transports: ['websocket'] });
+      clients.push(socket);
+      return new Promise((resolve) => socket.once('questions:updated', (questions) => resolve({ socket, questions })));
+    };
+    const author = await request(app).post('/api/players').send({ name: 'Socket Fir' }).expect(201);
+    const q = await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({ playerId: author.body.id, questionText: 'Q', answer: 'Spruce', category: 'Wires', points: 400 })
+      .expect(201);
+    await request(app).post(`/api/admin/questions/${q.body.id}/select`).send({ selected: true }).expect(200);
+
+    // No passcode yet: asking for the screen view isn't enough.
+    const spoofed = await join({ role: 'screen' });
+    expect(spoofed.questions.length).toBeGreaterThan(0);
+    expect(spoofed.questions.every((row) => row.answer === undefined)).toBe(true);
+
+    const setup = await request(app).post('/api/auth/setup').send({ passcode: 'nutcracker' }).expect(201);
+    const screen = await join({ role: 'screen', adminToken: setup.body.token });
+    expect(screen.questions.some((row) => row.answer === 'Spruce')).toBe(true);
+
+    const revoked = new Promise((resolve) => screen.socket.once('auth:revoked', resolve));
+    const dropped = new Promise((resolve) => screen.socket.once('disconnect', resolve));
+    await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${setup.body.token}`).expect(200);
+    await revoked;
+    expect(await dropped).toBe('io server disconnect');
+    expect(spoofed.socket.connected).toBe(true);
+  });
+});
+
+describe('Clue history', () => {
+  it('records picks, buzzes and judgments per clue and summarizes them', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const ann = await request(app).post('/api/players').send({ name: 'History Ann' }).expect(201);
+    const bob = await request(app).post('/api/players').send({ name: 'History Bob' }).expect(201);
+    const ids = [];
+    for (const points of [200, 400]) {
+      const q = await request(app)
+        .post('/api/questions')
+        .set('X-Player-Token', ann.body.deviceToken)
+        .send({ playerId: ann.body.id, questionText: `Clue ${points}`, answer: 'A', category: 'Archive', points })
+        .expect(201);
+      await request(app).post(`/api/admin/questions/${q.body.id}/select`).send({ selected: true }).expect(200);
+      ids.push(q.body.id);
+    }
+    await request(app).post('/api/game/start').send({ dailyDoubles: 0 }).expect(200);
+    await request(app).post('/api/admin/set-turn').send({ playerId: bob.body.id }).expect(200);
+
+    // Ann misses, Bob gets it.
+    await request(app)
+      .post('/api/game/select-card')
+      .set('X-Player-Token', bob.body.deviceToken)
+      .send({ questionId: ids[0], pickerPlayerId: bob.body.id })
+      .expect(200);
+    await request(app).post('/api/game/set-question-reading').send({ reading: false }).expect(200);
+    await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', ann.body.deviceToken)
+      .send({ playerId: ann.body.id })
+      .expect(200);
+    await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', bob.body.deviceToken)
+      .send({ playerId: bob.body.id })
+      .expect(200);
+    await request(app).post('/api/admin/resolve-current').send({ playerId: ann.body.id, correct: false }).expect(200);
+    await request(app).post('/api/admin/resolve-current').send({ playerId: bob.body.id, correct: true }).expect(200);
+
+    // Ann misses again and the host gives up on it.
+    await request(app)
+      .post('/api/game/select-card')
+      .set('X-Player-Token', bob.body.deviceToken)
+      .send({ questionId: ids[1], pickerPlayerId: bob.body.id })
+      .expect(200);
+    await request(app).post('/api/game/set-question-reading').send({ reading: false }).expect(200);
+    await request(app)
+      .post('/api/game/buzz')
+      .set('X-Player-Token', ann.body.deviceToken)
+      .send({ playerId: ann.body.id })
+      .expect(200);
+    await request(app).post('/api/admin/resolve-current').send({ playerId: ann.body.id, correct: false }).expect(200);
+    await request(app).post('/api/admin/skip-current').send({}).expect(200);
+
+    const plays = await request(app).get('/api/admin/clue-plays').expect(200);
+    const [stumper, won] = plays.body;
+    expect(won).toMatchObject({
+      questionId: ids[0],
+      clueText: 'Clue 200',
+      pickedByName: 'History Bob',
+      result: 'correct',
+      winnerName: 'History Bob',
+    });
+    expect(won.buzzes.map((b) => b.playerName)).toEqual(['History Ann', 'History Bob']);
+    expect(won.buzzes.every((b) => b.reactionMs >= 0)).toBe(true);
+    expect(won.judgments.map((j) => [j.playerName, j.correct, j.scoreDelta])).toEqual([
+      ['History Ann', false, -200],
+      ['History Bob', true, 200],
+    ]);
+    expect(stumper).toMatchObject({ questionId: ids[1], result: 'stumped', winnerPlayerId: null });
+
+    const stats = await request(app).get('/api/admin/clue-stats').expect(200);
+    expect(stats.body.stumpers[0]).toMatchObject({ id: stumper.id, wrongAnswers: 1 });
+    const annStats = stats.body.buzzers.find((b) => b.playerId === ann.body.id);
+    expect(annStats).toMatchObject({ buzzes: 2, correct: 0, wrong: 2 });
+    expect(stats.body.fastest).not.toBeNull();
+  });
+});
+
+describe('Question edits', () => {
+  it('lets the host and submitter edit text, keeps revisions, and locks at game start', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const author = await request(app).post('/api/players').send({ name: 'Typo Tim' }).expect(201);
+    const other = await request(app).post('/api/players').send({ name: 'Other Olga' }).expect(201);
+    const q = await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({ playerId: author.body.id, questionText: 'Rudolf has a red nose', answer: 'Rudolf', category: 'Reindeer' })
+      .expect(201);
+    const spare = await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({ playerId: author.body.id, questionText: 'Spare', answer: 'Spare' })
+      .expect(201);
+
+    await request(app)
+      .patch(`/api/questions/${q.body.id}`)
+      .set('X-Player-Token', other.body.deviceToken)
+      .send({ playerId: other.body.id, answer: 'Nope' })
+      .expect(403);
+    await request(app)
+      .patch(`/api/questions/${q.body.id}`)
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({ playerId: author.body.id, answer: '  ' })
+      .expect(400);
+    const mine = await request(app)
+      .patch(`/api/questions/${q.body.id}`)
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({ playerId: author.body.id, questionText: 'Rudolph has a red nose', answer: 'Rudolph' })
+      .expect(200);
+    expect(mine.body).toMatchObject({ questionText: 'Rudolph has a red nose', answer: 'Rudolph' });
+
+    const host = await request(app)
+      .patch(`/api/admin/questions/${q.body.id}`)
+      .send({ answer: 'Rudolph the Red-Nosed Reindeer', points: 400 })
+      .expect(200);
+    expect(host.body).toMatchObject({ answer: 'Rudolph the Red-Nosed Reindeer', points: 400 });
+    await request(app).patch(`/api/admin/questions/${q.body.id}/meta`).send({ category: 'Sleigh Team' }).expect(200);
+
+    const revisions = await request(app).get(`/api/admin/questions/${q.body.id}/revisions`).expect(200);
+    expect(revisions.body.map((r) => [r.editor, r.editorName, Object.keys(r.changes).sort()])).toEqual([
+      ['host', 'Host', ['category']],
+      ['host', 'Host', ['answer', 'points']],
+      ['submitter', 'Typo Tim', ['answer', 'questionText']],
+    ]);
+    expect(revisions.body[2].changes.answer).toEqual({ from: 'Rudolf', to: 'Rudolph' });
+
+    await request(app)
+      .delete(`/api/questions/${spare.body.id}`)
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({ playerId: author.body.id })
+      .expect(200);
+    const withdrawn = await request(app).get(`/api/admin/questions/${spare.body.id}/revisions`).expect(200);
+    expect(withdrawn.body[0]).toMatchObject({ action: 'withdraw', editorName: 'Typo Tim' });
+    const list = await request(app).get('/api/questions').set('X-Client-Role', 'screen').expect(200);
+    expect(list.body.some((x) => x.id === spare.body.id)).toBe(false);
+
+    await request(app).post(`/api/admin/questions/${q.body.id}/select`).send({ selected: true }).expect(200);
+    await request(app).post('/api/game/start').send({ dailyDoubles: 0 }).expect(200);
+    await request(app)
+      .patch(`/api/questions/${q.body.id}`)
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({ playerId: author.body.id, answer: 'Late fix' })
+      .expect(409);
+    await request(app)
+      .delete(`/api/questions/${q.body.id}`)
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({ playerId: author.body.id })
+      .expect(409);
+  });
+});
+
+describe('Moderation', () => {
+  it('starts submissions pending and lets the host approve, reject or send them back', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const author = await request(app).post('/api/players').send({ name: 'Mod Mia' }).expect(201);
+    const submit = (questionText) =>
+      request(app)
+        .post('/api/questions')
+        .set('X-Player-Token', author.body.deviceToken)
+        .send({ playerId: author.body.id, questionText, answer: 'A', category: 'Review', points: 200 })
+        .expect(201);
+    const good = await submit('Good one');
+    const bad = await submit('Bad one');
+    const vague = await submit('Vague one');
+    expect(good.body.status).toBe('pending');
+
+    await request(app).post(`/api/admin/questions/${bad.body.id}/review`).send({ status: 'rejected' }).expect(400);
+    await request(app)
+      .post(`/api/admin/questions/${bad.body.id}/review`)
+      .send({ status: 'rejected', reason: 'Duplicate of another clue' })
+      .expect(200);
+    await request(app)
+      .post(`/api/admin/questions/${vague.body.id}/review`)
+      .send({ status: 'needs_revision', reason: 'Which reindeer?' })
+      .expect(200);
+    await request(app).post(`/api/admin/questions/${good.body.id}/review`).send({ status: 'approved' }).expect(200);
+
+    // Turned-down questions stay off the board; pending ones are approved by selecting them.
+    await request(app).post(`/api/admin/questions/${bad.body.id}/select`).send({ selected: true }).expect(409);
+    await request(app).post(`/api/admin/questions/${good.body.id}/select`).send({ selected: true }).expect(200);
+
+    const own = await request(app)
+      .get('/api/questions')
+      .set('X-Player-Token', author.body.deviceToken)
+      .query({ playerId: author.body.id })
+      .expect(200);
+    const byId = Object.fromEntries(own.body.map((q) => [q.id, q]));
+    expect(byId[bad.body.id]).toMatchObject({ status: 'rejected', reviewNote: 'Duplicate of another clue' });
+    expect(byId[vague.body.id]).toMatchObject({ status: 'needs_revision', reviewNote: 'Which reindeer?' });
+    expect(byId[good.body.id]).toMatchObject({ status: 'approved', selectedForGame: 1 });
+
+    // Fixing a sent-back question resubmits it.
+    const fixed = await request(app)
+      .patch(`/api/questions/${vague.body.id}`)
+      .set('X-Player-Token', author.body.deviceToken)
+      .send({ playerId: author.body.id, questionText: 'This reindeer has a red nose' })
+      .expect(200);
+    expect(fixed.body).toMatchObject({ status: 'pending', reviewNote: null });
+    const history = await request(app).get(`/api/admin/questions/${vague.body.id}/revisions`).expect(200);
+    expect(history.body.map((r) => r.action)).toEqual(['edit', 'review']);
+  });
+});
+
+describe('Duplicate questions', () => {
+  it('warns on near-duplicate submissions and lets the host merge or dismiss them', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const submit = async (name, questionText, answer) => {
+      const player = await request(app).post('/api/players').send({ name }).expect(201);
+      const res = await request(app)
+        .post('/api/questions')
+        .set('X-Player-Token', player.body.deviceToken)
+        .send({ playerId: player.body.id, questionText, answer, category: 'Dupes', points: 100 })
+        .expect(201);
+      return { ...res.body, deviceToken: player.body.deviceToken };
+    };
+    const first = await submit('Dupe Dan', "What color is the Grinch's fur?", 'Green');
+    const second = await submit('Dupe Dee', "The Grinch's fur is what colour?", 'green!');
+    const third = await submit('Dupe Dot', 'What colour is the fur of the Grinch', 'Lime green');
+    const other = await submit('Dupe Dob', 'How many sizes did the Grinch heart grow?', 'Three');
+    expect(first).toMatchObject({ possibleDuplicates: 0, duplicateWarning: null });
+    expect(second.possibleDuplicates).toBe(1);
+    expect(second.duplicateWarning).toMatch(/similar question/);
+    expect(third.possibleDuplicates).toBe(2);
+    expect(other.duplicateWarning).toBeNull();
+
+    const groupOf = async (id) => {
+      const res = await request(app).get('/api/admin/duplicates').expect(200);
+      return res.body.find((g) => g.questions.some((q) => q.id === id));
+    };
+    const group = await groupOf(first.id);
+    expect(group.questions.map((q) => q.id)).toEqual([first.id, second.id, third.id]);
+
+    // The host says the third is a different question, then merges the other two.
+    await request(app)
+      .post('/api/admin/duplicates/dismiss')
+      .send({ questionIds: [first.id, third.id] })
+      .expect(200);
+    await request(app)
+      .post('/api/admin/duplicates/dismiss')
+      .send({ questionIds: [second.id, third.id] })
+      .expect(200);
+    expect((await groupOf(first.id)).questions.map((q) => q.id)).toEqual([first.id, second.id]);
+    expect(await groupOf(third.id)).toBeUndefined();
+
+    await request(app)
+      .post('/api/admin/duplicates/merge')
+      .send({ keepId: first.id, mergeIds: [first.id] })
+      .expect(400);
+    const merged = await request(app)
+      .post('/api/admin/duplicates/merge')
+      .send({ keepId: first.id, mergeIds: [second.id] })
+      .expect(200);
+    expect(merged.body.mergedIds).toEqual([second.id]);
+    expect(await groupOf(first.id)).toBeUndefined();
+
+    const own = await request(app)
+      .get('/api/questions')
+      .set('X-Player-Token', second.deviceToken)
+      .query({ playerId: second.playerId })
+      .expect(200);
+    expect(own.body.find((q) => q.id === second.id)).toMatchObject({ status: 'rejected', reviewNote: 'Merged with a similar question' });
+    const history = await request(app).get(`/api/admin/questions/${first.id}/revisions`).expect(200);
+    expect(history.body[0]).toMatchObject({ action: 'merge', editor: 'host' });
+  });
+});
+
+describe('Pack import', () => {
+  it('previews CSV rows with errors and tile collisions, then imports a seedable pack', async () => {
+    const header = 'Category,Points,Clue,Answer,Alternates,Options\n';
+    const broken = `${header}Cocoa,200,"Marshmallows, whipped cream or ""both""",Both,,\nCocoa,lots,Missing points,Yes,,\n`;
+    const preview = await request(app)
+      .post('/api/admin/question-packs/preview')
+      .send({ format: 'csv', content: broken, name: 'Cocoa Time' })
+      .expect(200);
+    expect(preview.body).toMatchObject({ name: 'Cocoa Time', total: 2, valid: 1 });
+    expect(preview.body.rows[0].question.questionText).toBe('Marshmallows, whipped cream or "both"');
+    expect(preview.body.rows[1]).toMatchObject({ row: 3, errors: ['Points must be a whole number above 0'] });
+    await request(app)
+      .post('/api/admin/question-packs')
+      .send({ format: 'csv', content: broken, name: 'Cocoa Time' })
+      .expect(400);
+
+    const csv =
+      `${header}Cocoa,200,Hot chocolate's Aztec root,Xocolatl,Chocolatl,\n` +
+      'Cocoa,200,Swiss cocoa brand,Swiss Miss,,\n' +
+      'Cocoa,400,Tiny floating treats,Marshmallows,,Marshmallows|Sprinkles|Ice\n';
+    const checked = await request(app)
+      .post('/api/admin/question-packs/preview')
+      .send({ format: 'csv', content: csv, name: 'Cocoa Time' })
+      .expect(200);
+    expect(checked.body).toMatchObject({ valid: 3, collisions: 1 });
+    expect(checked.body.rows[1].warnings[0]).toMatch(/Same tile as row 2/);
+    expect(checked.body.rows[2].question).toMatchObject({ type: 'multiple_choice', options: ['Marshmallows', 'Sprinkles', 'Ice'] });
+
+    const imported = await request(app)
+      .post('/api/admin/question-packs')
+      .send({ format: 'csv', content: csv, name: 'Cocoa Time' })
+      .expect(201);
+    expect(imported.body).toMatchObject({ key: 'cocoa-time', count: 3 });
+    const packs = await request(app).get('/api/admin/question-packs').expect(200);
+    expect(packs.body.find((p) => p.key === 'cocoa-time')).toMatchObject({ name: 'Cocoa Time', source: 'upload', count: 3 });
+
+    await request(app)
+      .post('/api/admin/question-packs')
+      .send({ format: 'json', content: JSON.stringify({ name: 'Cocoa Time', questions: [{ category: 'Mugs', points: 100, clue: 'Q', answer: 'A' }] }) })
+      .expect(201)
+      .expect((res) => expect(res.body.key).toBe('cocoa-time-2'));
+
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const seeded = await request(app).post('/api/admin/seed-defaults').send({ pack: 'cocoa-time' }).expect(200);
+    expect(seeded.body.inserted).toBe(3);
+    const questions = await request(app).get('/api/questions').expect(200);
+    expect(questions.body.filter((q) => q.category === 'Cocoa')).toHaveLength(3);
+  });
+});
+
+describe('Pack library', () => {
+  it('stores packs with metadata and picks the seed and fill packs per game', async () => {
+    const packs = await request(app).get('/api/admin/question-packs').expect(200);
+    expect(packs.body.slice(0, 2)).toMatchObject([
+      { key: 'holiday2025', source: 'bundled', year: 2025, count: 25 },
+      { key: 'classic', source: 'bundled', audience: 'family', count: 30 },
+    ]);
+
+    await request(app)
+      .post('/api/admin/question-packs')
+      .send({ name: 'Sleigh Bells', audience: 'everyone', questions: [] })
+      .expect(400);
+    const created = await request(app)
+      .post('/api/admin/question-packs')
+      .send({
+        name: 'Sleigh Bells',
+        description: 'Songs about sleighs',
+        author: 'Aunt Jo',
+        year: 2026,
+        audience: 'family',
+        questions: [
+          {
+            category: 'Carols',
+            points: 200,
+            questionText: 'Bells on bobtail ring',
+            answer: 'Jingle Bells',
+            media: { dataUrl: `data:image/png;base64,${Buffer.from('jingle').toString('base64')}` },
+          },
+        ],
+      })
+      .expect(201);
+    expect(created.body).toMatchObject({ key: 'sleigh-bells', source: 'custom', author: 'Aunt Jo', count: 1 });
+
+    const updated = await request(app)
+      .patch('/api/admin/question-packs/sleigh-bells')
+      .send({
+        year: null,
+        questions: [
+          { category: 'Carols', points: 200, questionText: 'Bells on bobtail ring', answer: 'Jingle Bells' },
+          { category: 'Carols', points: 400, questionText: 'Dashing through this', answer: 'The snow' },
+        ],
+      })
+      .expect(200);
+    expect(updated.body).toMatchObject({ year: null, author: 'Aunt Jo', count: 2 });
+    const full = await request(app).get('/api/admin/question-packs/sleigh-bells').expect(200);
+    expect(full.body.questions.map((q) => q.points)).toEqual([200, 400]);
+    // Rows sent back without attachment data keep their attachment; media: null drops it.
+    expect(full.body.questions.map((q) => q.media?.bytes ?? null)).toEqual([6, null]);
+    await request(app)
+      .patch('/api/admin/question-packs/sleigh-bells')
+      .send({ questions: [{ ...full.body.questions[0], media: null }, full.body.questions[1]] })
+      .expect(200);
+    const dropped = await request(app).get('/api/admin/question-packs/sleigh-bells').expect(200);
+    expect(dropped.body.questions.map((q) => q.media)).toEqual([null, null]);
+
+    // The fill pack answers empty tiles; the seed pack feeds seed-defaults.
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    await request(app).patch('/api/admin/game-packs').send({ fillPack: 'nope' }).expect(404);
+    await request(app)
+      .patch('/api/admin/game-packs')
+      .send({ seedPack: 'sleigh-bells', fillPack: 'sleigh-bells' })
+      .expect(200);
+    const tile = await request(app)
+      .post('/api/game/select-card')
+      .set('X-Client-Role', 'screen')
+      .send({ category: 'carols', points: 400, force: true })
+      .expect(200);
+    expect(tile.body.current_clue_text).toBe('Dashing through this');
+    await request(app).post('/api/game/reset').send({}).expect(200);
+    const seeded = await request(app).post('/api/admin/seed-defaults').send({}).expect(200);
+    expect(seeded.body).toMatchObject({ pack: 'sleigh-bells', inserted: 2 });
+
+    await request(app).delete('/api/admin/question-packs/sleigh-bells').expect(200);
+    await request(app).delete('/api/admin/question-packs/sleigh-bells').expect(404);
+    const state = await request(app).get('/api/game/state').expect(200);
+    expect(state.body).toMatchObject({ seed_pack_key: null, fill_pack_key: null });
+  });
+});
+
+describe('Pack export', () => {
+  it('exports a filtered, self-describing pack that imports back with its media', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const elf = await request(app).post('/api/players').send({ name: 'Export Elf' }).expect(201);
+    const imp = await request(app).post('/api/players').send({ name: 'Export Imp' }).expect(201);
+    const submit = async (player, questionText, answer, points) => {
+      const res = await request(app)
+        .post('/api/questions')
+        .set('X-Player-Token', player.deviceToken)
+        .send({ playerId: player.id, questionText, answer, category: 'Wrapping', points, acceptedAnswers: [`${answer}s`] })
+        .expect(201);
+      await request(app).post(`/api/admin/questions/${res.body.id}/select`).send({ selected: true }).expect(200);
+      return res.body;
+    };
+    const tape = await submit(elf.body, 'Sticky roll for paper', 'Tape', 200);
+    await submit(imp.body, 'Curly ribbon tool', 'Scissor', 400);
+    await request(app)
+      .post('/api/questions')
+      .set('X-Player-Token', imp.body.deviceToken)
+      .send({ playerId: imp.body.id, questionText: 'Not on the board', answer: 'Nope', category: 'Wrapping', points: 600 })
+      .expect(201);
+    const dataUrl = `data:image/png;base64,${Buffer.from('bow').toString('base64')}`;
+    await request(app).post(`/api/admin/questions/${tape.id}/media`).send({ dataUrl }).expect(200);
+
+    const res = await request(app)
+      .get('/api/admin/export-pack')
+      .query({ selected: 1, name: 'Wrap Party', audience: 'family' })
+      .expect(200);
+    expect(res.headers['content-disposition']).toContain('Wrap-Party.json');
+    const file = res.body;
+    expect(file).toMatchObject({ format: 'metro-xmas-pack', version: 1, name: 'Wrap Party', audience: 'family' });
+    expect(file.categories).toEqual(['Wrapping']);
+    expect(file.questions).toHaveLength(2);
+    const exportedTape = file.questions.find((q) => q.answer === 'Tape');
+    expect(exportedTape).toMatchObject({ author: 'Export Elf', acceptedAnswers: ['Tapes'], media: { kind: 'image', dataUrl } });
+
+    await request(app).get('/api/admin/export-pack').query({ media: 'link' }).expect(400);
+    const byAuthor = await request(app)
+      .get('/api/admin/export-pack')
+      .query({ author: elf.body.slug, media: 'none' })
+      .expect(200);
+    expect(byAuthor.body.questions).toHaveLength(1);
+    expect(byAuthor.body.questions[0].media).toBeNull();
+
+    // Round trip: import the file, export the library pack, and seed it with the attachment.
+    const imported = await request(app)
+      .post('/api/admin/question-packs')
+      .send({ format: 'json', content: JSON.stringify(file) })
+      .expect(201);
+    expect(imported.body).toMatchObject({ name: 'Wrap Party', audience: 'family', count: 2 });
+    const again = await request(app).get('/api/admin/export-pack').query({ pack: imported.body.key }).expect(200);
+    const strip = (q) => ({ ...q, author: undefined });
+    expect(again.body.questions.map(strip)).toEqual(file.questions.map(strip));
+
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    await request(app).post('/api/admin/seed-defaults').send({ pack: imported.body.key }).expect(200);
+    const seeded = await asScreen(request(app).get('/api/questions').expect(200));
+    expect(seeded.body.find((q) => q.answer === 'Tape').media).toMatchObject({ kind: 'image', bytes: 3 });
+
+    await request(app)
+      .post('/api/admin/question-packs/preview')
+      .send({ format: 'json', content: JSON.stringify({ ...file, version: 2 }) })
+      .expect(400);
+  });
+});
+
+describe('Board builder', () => {
+  it('previews a full board with locks and re-rolls, then commits it', async () => {
+    await request(app).post('/api/admin/reset-for-new-game').send({}).expect(200);
+    const rounds = await request(app).get('/api/rounds').expect(200);
+    const round = rounds.body.find((r) => r.kind === 'board');
+    const [holly, ivy, mistle] = await Promise.all(
+      ['Builder Holly', 'Builder Ivy', 'Builder Mistle'].map((name) =>
+        request(app).post('/api/players').send({ name }).expect(201)
+      )
+    );
+    const submit = async (player, category, points, answer, approve = true) => {
+      const res = await request(app)
+        .post('/api/questions')
+        .set('X-Player-Token', player.body.deviceToken)
+        .send({ playerId: player.body.id, questionText: `A ${category} clue about ${answer}`, answer, category, points })
+        .expect(201);
+      if (approve) {
+        await request(app).post(`/api/admin/questions/${res.body.id}/review`).send({ status: 'approved' }).expect(200);
+      }
+      return res.body;
+    };
+    // Two Carols questions want the same tile.
+    await submit(holly, 'Carols', 200, 'Silent Night');
+    await submit(ivy, 'Carols', 200, 'Jingle Bells');
+    await submit(mistle, 'Carols', 400, 'Deck the Halls');
+    await submit(holly, 'Carols', 600, 'Good King Wenceslas');
+    await submit(holly, 'Carols', 1000, 'Still pending', false);
+    await submit(ivy, 'Cookies', 200, 'Gingerbread');
+    await submit(mistle, 'Cookies', 800, 'Springerle');
+
+    const house = (category, points) => ({ category, points, questionText: `House ${category} ${points}`, answer: 'Yes' });
+    const pack = await request(app)
+      .post('/api/admin/question-packs')
+      .send({
+        name: 'Builder Fill',
+        questions: [
+          ...[200, 400, 600, 1000].map((p) => house('Cookies', p)),
+          ...[200, 400, 600, 800, 1000].map((p) => house('Snow', p)),
+        ],
+      })
+      .expect(201);
+    await request(app).patch('/api/admin/game-packs').send({ fillPack: pack.body.key }).expect(200);
+
+    const build = (locks) =>
+      request(app).post('/api/admin/board/build').send({ roundId: round.id, categoryCount: 3, locks }).expect(200);
+    const preview = await build();
+    expect(preview.body.categories).toEqual(['Carols', 'Cookies', 'Snow']);
+    expect(preview.body).toMatchObject({ filled: 14, fromHouse: 8, empty: 1, authors: 3 });
+    const tile = (plan, category, points) => plan.tiles.find((t) => t.category === category && t.points === points);
+    expect(tile(preview.body, 'Cookies', 200).question.answer).toBe('Gingerbread');
+    expect(tile(preview.body, 'Cookies', 400)).toMatchObject({ source: 'house', question: { pack: { key: pack.body.key } } });
+    const ids = preview.body.tiles.filter((t) => t.source === 'pool').map((t) => t.question.id);
+    expect(new Set(ids).size).toBe(6);
+    expect(preview.body.tiles.some((t) => t.question?.answer === 'Still pending')).toBe(false);
+
+    // Locked tiles stay put through a re-roll.
+    const locked = tile(preview.body, 'Carols', 200);
+    const reroll = await build([{ category: 'Carols', points: 200, questionId: locked.question.id }]);
+    expect(tile(reroll.body, 'Carols', 200)).toMatchObject({ locked: true, question: { id: locked.question.id } });
+    await request(app)
+      .post('/api/admin/board/build')
+      .send({ roundId: round.id, locks: [{ category: 'Carols', points: 300, questionId: locked.question.id }] })
+      .expect(400);
+    for (const pack of ['classic#1', 7, { key: 'classic', position: '1' }]) {
+      const bad = await request(app)
+        .post('/api/admin/board/build')
+        .send({ roundId: round.id, locks: [{ category: 'Carols', points: 200, pack }] })
+        .expect(400);
+      expect(bad.body.error).toMatch(/pack \{ key, position \}/);
+    }
+
+    const tiles = reroll.body.tiles.map((t) => ({
+      category: t.category,
+      points: t.points,
+      questionId: t.question?.id,
+      pack: t.question?.pack,
+    }));
+    const committed = await request(app)
+      .post('/api/admin/board/build/commit')
+      .send({ roundId: round.id, categories: reroll.body.categories, tiles })
+      .expect(200);
+    expect(committed.body).toMatchObject({ placed: 14, fromHouse: 8 });
+    const board = await request(app).get('/api/board').query({ roundId: round.id }).expect(200);
+    expect(board.body.categories).toEqual(['Carols', 'Cookies', 'Snow']);
+
+    const questions = await request(app).get('/api/questions').set('X-Client-Role', 'screen').expect(200);
+    const onBoard = questions.body.filter((q) => q.selectedForGame);
+    expect(onBoard).toHaveLength(14);
+    expect(new Set(onBoard.map((q) => `${q.category}|${q.points}`)).size).toBe(14);
+    // The Carols question that lost its tile moved and says so in its history.
+    const moved = onBoard.find((q) => q.category === 'Carols' && ![200, 400, 600].includes(q.points));
+    const revisions = await request(app).get(`/api/admin/questions/${moved.id}/revisions`).expect(200);
+    expect(revisions.body[0].changes.points).toEqual({ from: 200, to: moved.points });
+
+    // The library questions are in the room now, so the old plan can't be committed twice.
+    await request(app)
+      .post('/api/admin/board/build/commit')
+      .send({ roundId: round.id, categories: reroll.body.categories, tiles })
+      .expect(400);
+    await request(app).patch('/api/admin/game-packs').send({ fillPack: null }).expect(200);
+  });
+});
@@ -18,6 +18,279 @@ const PUBLIC_JOIN_URL = import.meta.env.VITE_PUBLIC_JOIN_URL;
 const SOCKET_URL =
   import.meta.env.VITE_SOCKET_URL ||
   `${window.location.protocol}//${window.location.hostname}:4000`;
+const DEFAULT_POINT_LADDER = [200, 400, 600, 800, 1000];
+const OPTION_LETTERS = 'ABCDEF';
+const ROOM_STORAGE_KEY = 'metro-xmas-room';
+const ADMIN_TOKEN_KEY = 'metro-xmas-admin-token';
+const PLAYER_TOKENS_KEY = 'metro-xmas-player-tokens';
+
+// The room this screen plays in: a ?room= code in the link (the TV's QR code has one)
+// wins, then the room this device joined last. No code means the server's main room.
+function initialRoomCode() {
+  const fromUrl = new URLSearchParams(window.location.search).get('room');
+  try {
+    if (fromUrl) localStorage.setItem(ROOM_STORAGE_KEY, fromUrl.trim().toUpperCase());
+    return localStorage.getItem(ROOM_STORAGE_KEY) || '';
+  } catch {
+    return (fromUrl || '').trim().toUpperCase();
+  }
+}
+
+const ROOM_CODE = initialRoomCode();
+if (ROOM_CODE) axios.defaults.headers.common['X-Room-Code'] = ROOM_CODE;
+
+// For URLs the browser loads itself (images, audio, fetch), which can't carry the header.
+function withRoom(url) {
+  if (!ROOM_CODE) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}room=${encodeURIComponent(ROOM_CODE)}`;
+}
+
+function storedAdminToken() {
+  try {
+    return localStorage.getItem(ADMIN_TOKEN_KEY) || '';
+  } catch {
+    return '';
+  }
+}
+
+// Host login token; sent on every API call and socket so host routes and the screen view work.
+const ADMIN_TOKEN = storedAdminToken();
+if (ADMIN_TOKEN) axios.defaults.headers.common.Authorization = `Bearer ${ADMIN_TOKEN}`;
+
+// Sockets only pick up a new login when they reconnect, so logging in/out reloads.
+function saveAdminToken(token) {
+  try {
+    if (token) localStorage.setItem(ADMIN_TOKEN_KEY, token);
+    else localStorage.removeItem(ADMIN_TOKEN_KEY);
+  } catch {
+    // private mode: nothing to remember
+  }
+  window.location.reload();
+}
+
+// Device tokens for the players registered on (or moved to) this phone, by player id.
+function loadPlayerTokens() {
+  try {
+    return JSON.parse(localStorage.getItem(PLAYER_TOKENS_KEY) || '{}') || {};
+  } catch {
+    return {};
+  }
+}
+
+function savePlayerToken(playerId, token) {
+  try {
+    localStorage.setItem(PLAYER_TOKENS_KEY, JSON.stringify({ ...loadPlayerTokens(), [playerId]: token }));
+  } catch {
+    // private mode: this phone won't be remembered
+  }
+}
+
+// Anything a player does carries their device token so nobody else can act as them.
+function playerRequest(playerId, config = {}) {
+  const token = loadPlayerTokens()[playerId];
+  if (!token) return config;
+  return { ...config, headers: { ...config.headers, 'X-Player-Token': token } };
+}
+
+// TV, admin and host screens ask for the full questions (with answers); everyone else
+// gets the player view, which only has tile info and clues that have been shown.
+const SCREEN_REQUEST = { headers: { 'X-Client-Role': 'screen' } };
+
+// Every hook on the page belongs to one room, so switching reloads.
+function switchRoom(code) {
+  try {
+    if (code) localStorage.setItem(ROOM_STORAGE_KEY, code);
+    else localStorage.removeItem(ROOM_STORAGE_KEY);
+  } catch {
+    // private mode: the room only lasts for this page
+  }
+  const url = new URL(window.location.href);
+  if (code) url.searchParams.set('room', code);
+  else url.searchParams.delete('room');
+  window.location.assign(url.toString());
+}
+
+// Board tiles match categories case-insensitively, like the server's layout.
+function tileKey(category, points) {
+  return `${String(category || '').trim().toLowerCase()}|${points}`;
+}
+
+// Remember how far this device's clock is from the server's so deadlines line up.
+function withClockOffset(state) {
+  if (!state?.server_time) return state || null;
+  return { ...state, clock_offset_ms: Date.parse(state.server_time) - Date.now() };
+}
+
+// Buzz timing: phones measure their clock against the server's over the socket and keep
+// the sample with the shortest round trip. Buzzes then carry the tap time, so the server
+// can order them by when they were pressed instead of when they arrived.
+const CLOCK_SYNC_SAMPLES = 5;
+const CLOCK_SYNC_EVERY_MS = 60000;
+const buzzClock = { offsetMs: null, roundTripMs: null };
+
+function startClockSync(socket) {
+  let stopped = false;
+  const sample = (left, best) => {
+    if (stopped) return;
+    const sentAt = Date.now();
+    socket.timeout(2000).emit('clock:sync', sentAt, (err, reply) => {
+      const receivedAt = Date.now();
+      let next = best;
+      if (!err && Number.isFinite(reply?.serverTime)) {
+        const roundTripMs = receivedAt - sentAt;
+        if (!best || roundTripMs < best.roundTripMs) {
+          next = { roundTripMs, offsetMs: Math.round(reply.serverTime - (sentAt + roundTripMs / 2)) };
+        }
+      }
+      if (left > 1) {
+        sample(left - 1, next);
+      } else if (next) {
+        Object.assign(buzzClock, next);
+      }
+    });
+  };
+  const run = () => sample(CLOCK_SYNC_SAMPLES, null);
+  socket.on('connect', run);
+  const timer = setInterval(run, CLOCK_SYNC_EVERY_MS);
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+    socket.off('connect', run);
+  };
+}
+
+// Extra buzz fields for the tap at `pressedAt` (this device's clock); none before a sync.
+function buzzTiming(pressedAt) {
+  if (buzzClock.offsetMs == null) return {};
+  return { pressedAt, clockOffsetMs: buzzClock.offsetMs };
+}
+
+// Buzz over the open socket when there is one, skipping an HTTP round trip; otherwise
+// (or if the socket doesn't answer in time) over REST. A refused buzz throws with
+// `response.data` either way, like an axios error. Retrying after a lost ack is safe:
+// the server ignores a repeat buzz and the press time is the same.
+const SOCKET_BUZZ_TIMEOUT_MS = 2500;
+
+async function sendBuzz(socket, payload) {
+  if (socket?.connected) {
+    let reply = null;
+    try {
+      const deviceToken = loadPlayerTokens()[payload.playerId];
+      reply = await socket.timeout(SOCKET_BUZZ_TIMEOUT_MS).emitWithAck('buzz', { ...payload, deviceToken });
+    } catch (err) {
+      console.warn('socket buzz timed out, retrying over HTTP', err?.message || err);
+    }
+    if (reply?.ok) return reply;
+    if (reply) {
+      const err = new Error(reply.error || 'Could not buzz');
+      err.response = { status: reply.status, data: reply };
+      throw err;
+    }
+  }
+  const { data } = await axios.post(`${API_BASE}/game/buzz`, payload, playerRequest(payload.playerId));
+  return data;
+}
+
+const REVISION_FIELD_LABELS = {
+  questionText: 'clue',
+  answer: 'answer',
+  category: 'category',
+  points: 'points',
+  status: 'status',
+  reviewNote: 'reason',
+  acceptedAnswers: 'also accept',
+  rejectedAnswers: 'do not accept',
+  merged: 'merged in',
+  media: 'attachment',
+  type: 'type',
+  options: 'options',
+};
+
+const QUESTION_STATUS_LABELS = {
+  pending: 'Pending review',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  needs_revision: 'Needs revision',
+};
+
+function QuestionStatus({ question }) {
+  const status = question.status || 'approved';
+  return <span className={`status-chip status-${status}`}>{QUESTION_STATUS_LABELS[status] || status}</span>;
+}
+
+// Who changed a question and how, newest first.
+function RevisionList({ revisions }) {
+  if (!revisions) return null;
+  if (!revisions.length) return <p className="muted">No edits yet.</p>;
+  return (
+    <ul className="list compact revisions">
+      {revisions.map((r) => (
+        <li key={r.id}>
+          <div>
+            <div className="muted">
+              {new Date(r.createdAt).toLocaleString()} · {r.editorName || r.editor}
+              {r.action === 'withdraw' ? ' withdrew it' : ''}
+              {r.action === 'review' ? ' reviewed it' : ''}
+              {r.action === 'merge' ? ' merged duplicates into it' : ''}
+            </div>
+            {r.action !== 'withdraw' &&
+              Object.entries(r.changes).map(([field, change]) => (
+                <div key={field}>
+                  {REVISION_FIELD_LABELS[field] || field}: <del>{String(change.from ?? '—')}</del> →{' '}
+                  <strong>{String(change.to ?? '—')}</strong>
+                </div>
+              ))}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+const PACK_AUDIENCE_LABELS = {
+  kids: 'Kids',
+  family: 'Family',
+  teens: 'Teens',
+  adults: 'Adults only',
+};
+
+const PACK_SOURCE_LABELS = {
+  bundled: 'built in',
+  upload: 'imported',
+  custom: 'made here',
+};
+
+// What an export can be made from; the first three filter this room's questions.
+const PACK_EXPORT_SOURCES = {
+  board: { label: 'Questions on the board', params: { selected: 1 } },
+  played: { label: 'Questions already played', params: { played: 1 } },
+  approved: { label: 'All approved questions', params: {} },
+  pack: { label: 'A library pack' },
+  game: { label: 'A past game' },
+};
+
+const CLUE_RESULT_LABELS = {
+  correct: 'Answered',
+  stumped: 'Stumped everyone',
+  timed_out: 'Nobody buzzed',
+  skipped: 'Skipped',
+  abandoned: 'Abandoned',
+};
+
+// "120 ms latency · clock +40 ms" for the host, or a note that the phone never synced.
+function buzzTimingLabel(latencyMs, offsetMs) {
+  if (latencyMs == null) return 'No clock sync (arrival time)';
+  const sign = offsetMs > 0 ? '+' : '';
+  return `${latencyMs} ms latency · clock ${sign}${offsetMs} ms`;
+}
+
+// Seconds left on the running clue/answer deadline, or null when no clock is running.
+function clueSecondsLeft(gameState, now) {
+  const deadline = gameState?.buzzer_locked ? gameState?.answer_deadline : gameState?.clue_deadline;
+  if (!deadline) return null;
+  const serverNow = now + (gameState.clock_offset_ms || 0);
+  return Math.max(0, Math.ceil((Date.parse(deadline) - serverNow) / 1000));
+}
 
 function useTTS() {
   const synthRef = useRef(null);
@@ -112,7 +385,7 @@ function useTTS() {
     
     try {
       // Use backend TTS for better quality
-      const response = await fetch(`${API_BASE}/tts/speak`, {
+      const response = await fetch(withRoom(`${API_BASE}/tts/speak`), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ text: text.trim() }),
@@ -191,7 +464,7 @@ function useSfx() {
 
   function srcFor(name) {
     const meta = metaRef.current?.[name];
-    if (meta?.updatedAt) return `/api/sfx/${name}?v=${encodeURIComponent(meta.updatedAt)}`;
+    if (meta?.updatedAt) return withRoom(`/api/sfx/${name}?v=${encodeURIComponent(meta.updatedAt)}`);
     if (name === 'countdown') return `/sfx/countdown.mp3`;
     if (name === 'timeout') return `/sfx/buzzer.wav`;
     return `/sfx/${name}.wav`;
@@ -414,10 +687,38 @@ async function downscaleImageFileToDataUrl(file, { maxSize = 360, quality = 0.72
   });
 }
 
+// Clue attachments: photos are shrunk for the TV, audio/video upload as-is.
+function mediaFileToDataUrl(file) {
+  return downscaleImageFileToDataUrl(file, { maxSize: 1600, quality: 0.85 });
+}
+
+// Until the clue is played only the host and the submitter may load its attachment, so
+// the URL carries whichever of their tokens this device has.
+function questionMediaSrc(q) {
+  if (!q?.media) return null;
+  const params = new URLSearchParams({ v: q.media.updatedAt || '' });
+  if (ADMIN_TOKEN) params.set('token', ADMIN_TOKEN);
+  const playerToken = loadPlayerTokens()[q.playerId];
+  if (playerToken) params.set('playerToken', playerToken);
+  return withRoom(`${API_BASE}/questions/${q.id}/media?${params}`);
+}
+
+function ClueMedia({ question, autoPlay = false, className = 'clue-media' }) {
+  const src = questionMediaSrc(question);
+  if (!src) return null;
+  if (question.media.kind === 'image') {
+    return <img className={className} src={src} alt="Clue attachment" />;
+  }
+  if (question.media.kind === 'audio') {
+    return <audio className={className} src={src} controls autoPlay={autoPlay} />;
+  }
+  return <video className={className} src={src} controls playsInline autoPlay={autoPlay} />;
+}
+
 function playerPhotoSrc(p) {
   if (!p) return null;
   if (p.photoUrl && typeof p.photoUrl === 'string') return p.photoUrl;
-  if (p.hasPhoto) return `${API_BASE}/players/${p.id}/photo`;
+  if (p.hasPhoto) return withRoom(`${API_BASE}/players/${p.id}/photo`);
   return null;
 }
 
@@ -430,15 +731,22 @@ function useToast() {
   return { toast, showToast };
 }
 
-function useGameData(showToast, { enableSfx = false } = {}) {
+function useGameData(showToast, { enableSfx = false, role = 'player' } = {}) {
   const [players, setPlayers] = useState([]);
+  const [teams, setTeams] = useState([]);
   const [questions, setQuestions] = useState([]);
   const [gameState, setGameState] = useState(null);
   const [events, setEvents] = useState([]);
   const [buzzQueue, setBuzzQueue] = useState([]);
+  const [finalRound, setFinalRound] = useState(null);
+  const [rounds, setRounds] = useState([]);
+  const [boardLayout, setBoardLayout] = useState(null);
+  const [room, setRoom] = useState(null);
+  const [deviceRequests, setDeviceRequests] = useState([]);
   const [busy, setBusy] = useState(false);
   const sfx = useSfx();
   const lastBuzzRef = useRef({ playerId: null, time: null });
+  const socketRef = useRef(null);
   const [soundReady, setSoundReady] = useState(false);
   const [sfxMeta, setSfxMeta] = useState([]);
 
@@ -457,14 +765,45 @@ function useGameData(showToast, { enableSfx = false } = {}) {
     setPlayers(data);
   }
 
+  async function refreshTeams() {
+    const { data } = await axios.get(`${API_BASE}/teams`);
+    setTeams(Array.isArray(data) ? data : []);
+  }
+
   async function refreshQuestions() {
-    const { data } = await axios.get(`${API_BASE}/questions`);
+    const { data } = await axios.get(`${API_BASE}/questions`, role === 'screen' ? SCREEN_REQUEST : {});
     setQuestions(data);
   }
 
   async function refreshState() {
-    const { data } = await axios.get(`${API_BASE}/game/state`);
-    setGameState(data);
+    const { data } = await axios.get(`${API_BASE}/game/state`, role === 'screen' ? SCREEN_REQUEST : {});
+    setGameState(withClockOffset(data));
+  }
+
+  async function refreshFinal() {
+    const { data } = await axios.get(`${API_BASE}/game/final`);
+    setFinalRound(data);
+  }
+
+  async function refreshRounds() {
+    const { data } = await axios.get(`${API_BASE}/rounds`);
+    setRounds(Array.isArray(data) ? data : []);
+  }
+
+  async function refreshBoardLayout() {
+    const { data } = await axios.get(`${API_BASE}/board`);
+    setBoardLayout(data || null);
+  }
+
+  async function refreshRoom() {
+    try {
+      const { data } = await axios.get(`${API_BASE}/room`);
+      setRoom(data);
+    } catch (err) {
+      // The saved room was deleted (or mistyped): fall back to the main room.
+      if (err.response?.status === 404 && ROOM_CODE) switchRoom('');
+      else throw err;
+    }
   }
 
   useEffect(() => {
@@ -475,13 +814,19 @@ function useGameData(showToast, { enableSfx = false } = {}) {
     const socket = ioClient(SOCKET_URL, {
       path: '/socket.io',
       transports: ['websocket', 'polling'],
+      auth: { room: ROOM_CODE, role, adminToken: ADMIN_TOKEN },
     });
+    socketRef.current = socket;
 
+    socket.on('room:joined', (r) => setRoom(r || null));
+    // Our host login was revoked; reloading drops it and shows the login form.
+    socket.on('auth:revoked', () => window.location.reload());
     socket.on('players:updated', (p) => setPlayers(Array.isArray(p) ? p : []));
+    socket.on('teams:updated', (t) => setTeams(Array.isArray(t) ? t : []));
     socket.on('questions:updated', (q) =>
       setQuestions(Array.isArray(q) ? q : [])
     );
-    socket.on('game:state', (s) => setGameState(s || null));
+    socket.on('game:state', (s) => setGameState(withClockOffset(s)));
     socket.on('events:init', (evts) => setEvents(Array.isArray(evts) ? evts : []));
     socket.on('events:new', (evt) => {
       if (!evt) return;
@@ -490,10 +835,14 @@ function useGameData(showToast, { enableSfx = false } = {}) {
     socket.on('events:new', (evt) => {
       if (!evt?.type) return;
       if (!enableSfx) return;
-      if (evt.type === 'marked_correct') sfx.correct();
-      if (evt.type === 'marked_wrong') sfx.wrong();
+      if (evt.type === 'marked_correct' || evt.type === 'final_correct') sfx.correct();
+      if (evt.type === 'marked_wrong' || evt.type === 'final_wrong') sfx.wrong();
     });
     socket.on('buzz:queue', (q) => setBuzzQueue(Array.isArray(q) ? q : []));
+    socket.on('devices:requests', (r) => setDeviceRequests(Array.isArray(r) ? r : []));
+    socket.on('final:state', (f) => setFinalRound(f || null));
+    socket.on('rounds:updated', (r) => setRounds(Array.isArray(r) ? r : []));
+    socket.on('board:layout', (b) => setBoardLayout(b || null));
     socket.on('sfx:meta', (m) => {
       const list = Array.isArray(m) ? m : [];
       setSfxMeta(list);
@@ -503,11 +852,14 @@ function useGameData(showToast, { enableSfx = false } = {}) {
     socket.on('connect_error', (err) => {
       console.warn('socket connect_error', err?.message || err);
     });
+    const stopClockSync = startClockSync(socket);
 
     return () => {
+      stopClockSync();
       socket.disconnect();
+      if (socketRef.current === socket) socketRef.current = null;
     };
-  }, []);
+  }, [role]);
 
   // TV-only: unlock audio on first user gesture
   useEffect(() => {
@@ -536,13 +888,23 @@ function useGameData(showToast, { enableSfx = false } = {}) {
     const t = gameState.last_buzz_time;
     if (locked && pid && (pid !== lastBuzzRef.current.playerId || t !== lastBuzzRef.current.time)) {
       lastBuzzRef.current = { playerId: pid, time: t };
-      sfx.buzz();
+      // Daily Double responders never buzz in, so stay quiet when their wager locks.
+      if (!gameState.current_is_daily_double) sfx.buzz();
     }
   }, [enableSfx, gameState?.buzzer_locked, gameState?.last_buzz_player_id, gameState?.last_buzz_time]);
 
   async function refreshAll() {
     try {
-      await Promise.all([refreshPlayers(), refreshQuestions(), refreshState()]);
+      await Promise.all([
+        refreshRoom(),
+        refreshPlayers(),
+        refreshTeams(),
+        refreshQuestions(),
+        refreshState(),
+        refreshFinal(),
+        refreshRounds(),
+        refreshBoardLayout(),
+      ]);
     } catch (err) {
       console.error(err);
     }
@@ -586,10 +948,10 @@ function useGameData(showToast, { enableSfx = false } = {}) {
     }
   }
 
-  async function startGame() {
+  async function startGame(options = {}) {
     setBusy(true);
     try {
-      await axios.post(`${API_BASE}/game/start`);
+      await axios.post(`${API_BASE}/game/start`, options);
       await refreshState();
       showToast('Game started');
     } catch (err) {
@@ -642,11 +1004,11 @@ function useGameData(showToast, { enableSfx = false } = {}) {
     }
   }
 
-  async function buzz(playerId) {
+  async function buzz(playerId, pressedAt = Date.now()) {
     if (!playerId) return;
     setBusy(true);
     try {
-      const { data } = await axios.post(`${API_BASE}/game/buzz`, { playerId });
+      const data = await sendBuzz(socketRef.current, { playerId, ...buzzTiming(pressedAt) });
       await refreshState();
       if (data?.queued) {
         showToast(`Queued (${data.position || 0})`);
@@ -664,11 +1026,15 @@ function useGameData(showToast, { enableSfx = false } = {}) {
   }
 
   return {
+    room,
+    deviceRequests,
     players,
+    teams,
     questions,
     gameState,
     events,
     buzzQueue,
+    finalRound,
     soundReady,
     enableSoundNow,
     sfxMeta,
@@ -676,8 +1042,13 @@ function useGameData(showToast, { enableSfx = false } = {}) {
     busy,
     setBusy,
     refreshPlayers,
+    refreshTeams,
     refreshQuestions,
     refreshState,
+    refreshFinal,
+    rounds,
+    refreshRounds,
+    boardLayout,
     setCurrentQuestion,
     selectCard,
     startGame,
@@ -688,11 +1059,84 @@ function useGameData(showToast, { enableSfx = false } = {}) {
   };
 }
 
-function WinnersView({ players, sfxPlayer, soundReady }) {
-  const winners = useMemo(() => {
-    const sorted = [...players].sort((a, b) => (b.score || 0) - (a.score || 0));
-    return sorted;
-  }, [players]);
+// Ranked scoreboard entries. In team play each team is one entry (players without a
+// team still score on their own); otherwise every player is their own entry.
+function buildStandings(players, teams = [], teamMode = false) {
+  const solo = (p) => ({ id: p.id, name: p.name, score: p.score || 0, members: [p] });
+  if (!teamMode || !teams.length) {
+    return players.map(solo).sort((a, b) => b.score - a.score);
+  }
+  const byId = new Map(players.map((p) => [p.id, p]));
+  const teamIds = new Set(teams.map((t) => t.id));
+  return [
+    ...teams.map((t) => ({
+      id: t.id,
+      name: t.name,
+      color: t.color,
+      score: t.score || 0,
+      isTeam: true,
+      members: t.members.map((m) => byId.get(m.id) || m),
+    })),
+    ...players.filter((p) => !teamIds.has(p.teamId)).map(solo),
+  ].sort((a, b) => b.score - a.score);
+}
+
+// Alternates are edited one per line.
+function linesToList(text) {
+  return String(text || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+// Accepted / do-not-accept lists shown next to an answer for the host.
+function AnswerLists({ question }) {
+  const accepted = question?.acceptedAnswers || [];
+  const rejected = question?.rejectedAnswers || [];
+  if (!accepted.length && !rejected.length) return null;
+  return (
+    <span className="answer-lists">
+      {accepted.length > 0 && <span>Also accept: {accepted.join(' · ')}</span>}
+      {rejected.length > 0 && <span className="reject">Don't accept: {rejected.join(' · ')}</span>}
+    </span>
+  );
+}
+
+// Lettered options for a multiple-choice question.
+function ChoiceList({ options, className = 'choice-list' }) {
+  if (!options?.length) return null;
+  return (
+    <ol className={className}>
+      {options.map((option, i) => (
+        <li key={i}>
+          <span className="choice-letter">{OPTION_LETTERS[i]}</span> {option}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function MemberAvatars({ members, className = 'avatar' }) {
+  return (
+    <span className="member-avatars">
+      {members.map((m) =>
+        playerPhotoSrc(m) ? (
+          <img key={m.id} className={className} src={playerPhotoSrc(m)} alt={m.name} title={m.name} />
+        ) : (
+          <span key={m.id} className={`${className} fallback`} title={m.name}>
+            {m.name.slice(0, 2).toUpperCase()}
+          </span>
+        )
+      )}
+    </span>
+  );
+}
+
+function WinnersView({ players, teams, teamMode, sfxPlayer, soundReady }) {
+  const winners = useMemo(
+    () => buildStandings(players, teams, teamMode),
+    [players, teams, teamMode]
+  );
 
   const topScore = winners[0]?.score || 0;
   const champions = winners.filter((p) => (p.score || 0) === topScore && topScore > 0);
@@ -727,14 +1171,12 @@ function WinnersView({ players, sfxPlayer, soundReady }) {
             </h2>
             <div className="champions-list">
               {champions.map((p) => (
-                <div key={p.id} className="champion-card">
-                  {playerPhotoSrc(p) ? (
-                    <img className="champion-avatar" src={playerPhotoSrc(p)} alt={p.name} />
-                  ) : (
-                    <div className="champion-avatar fallback">
-                      {p.name.slice(0, 2).toUpperCase()}
-                    </div>
-                  )}
+                <div
+                  key={p.id}
+                  className="champion-card"
+                  style={p.color ? { borderColor: p.color } : undefined}
+                >
+                  <MemberAvatars members={p.members} className="champion-avatar" />
                   <div className="champion-info">
                     <div className="champion-name">{p.name}</div>
                     <div className="champion-score">${topScore.toLocaleString()}</div>
@@ -751,16 +1193,14 @@ function WinnersView({ players, sfxPlayer, soundReady }) {
           {winners.map((p, idx) => {
             const isChampion = (p.score || 0) === topScore && topScore > 0;
             return (
-              <div key={p.id} className={`leaderboard-item ${isChampion ? 'champion' : ''}`}>
+              <div
+                key={p.id}
+                className={`leaderboard-item ${isChampion ? 'champion' : ''}`}
+                style={p.color ? { borderLeft: `6px solid ${p.color}` } : undefined}
+              >
                 <div className="leaderboard-rank">#{idx + 1}</div>
                 <div className="leaderboard-player">
-                  {playerPhotoSrc(p) ? (
-                    <img className="leaderboard-avatar" src={playerPhotoSrc(p)} alt={p.name} />
-                  ) : (
-                    <div className="leaderboard-avatar fallback">
-                      {p.name.slice(0, 2).toUpperCase()}
-                    </div>
-                  )}
+                  <MemberAvatars members={p.members} className="leaderboard-avatar" />
                   <span className="leaderboard-name">{p.name}</span>
                 </div>
                 <div className="leaderboard-score">${(p.score || 0).toLocaleString()}</div>
@@ -773,13 +1213,101 @@ function WinnersView({ players, sfxPlayer, soundReady }) {
   );
 }
 
-function TvView({ players, questions, gameState, soundReady, enableSoundNow, sfxPlayer }) {
+function FinalJeopardyView({ finalRound, sfxPlayer, soundReady }) {
+  const stage = finalRound?.stage || 'wagering';
+  const contestants = finalRound?.contestants || [];
+
+  // Think music while responses are being written.
+  useEffect(() => {
+    if (!soundReady || !sfxPlayer) return;
+    if (stage !== 'answering') return;
+    sfxPlayer.startCountdown?.();
+    return () => {
+      sfxPlayer.stopCountdown?.();
+    };
+  }, [stage, soundReady, sfxPlayer]);
+
+  return (
+    <div className="jeopardy-screen">
+      <div className="final-view">
+        <div className="final-title">Final Jeopardy</div>
+        <div className="final-category">{finalRound?.category || ''}</div>
+
+        {stage === 'wagering' && <div className="final-hint">Players: lock in your wagers!</div>}
+        {stage !== 'wagering' && finalRound?.clueText && (
+          <div className="final-clue">{finalRound.clueText}</div>
+        )}
+        {stage === 'done' && finalRound?.answer && (
+          <div className="final-hint">
+            Correct response: <strong>{finalRound.answer}</strong>
+          </div>
+        )}
+
+        <div className="final-contestants">
+          {contestants.map((c) => {
+            const photo = c.hasPhoto ? withRoom(`${API_BASE}/players/${c.playerId}/photo`) : null;
+            const isRevealing = c.playerId === finalRound?.revealPlayerId;
+            return (
+              <div
+                key={c.playerId}
+                className={`final-contestant ${isRevealing ? 'active' : ''} ${
+                  c.correct === 1 ? 'correct' : c.correct === 0 ? 'wrong' : ''
+                }`}
+              >
+                {photo ? (
+                  <img className="avatar big" src={photo} alt={c.playerName} />
+                ) : (
+                  <div className="avatar fallback big">
+                    {(c.playerName || '??').slice(0, 2).toUpperCase()}
+                  </div>
+                )}
+                <div className="final-name">
+                  {c.teamName ? `${c.teamName} (${c.playerName})` : c.playerName}
+                </div>
+                {stage === 'wagering' && (
+                  <div className="muted">{c.hasWagered ? 'Wager locked ✓' : 'Wagering…'}</div>
+                )}
+                {stage === 'answering' && (
+                  <div className="muted">{c.hasResponded ? 'Response in ✓' : 'Writing…'}</div>
+                )}
+                {c.revealed && <div className="final-response">{c.response || '(no response)'}</div>}
+                {c.wager !== null && c.wager !== undefined && (
+                  <div className="final-wager">
+                    {c.correct ? '+' : '−'}${c.wager.toLocaleString()}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          {contestants.length === 0 && (
+            <div className="muted">Nobody finished in the black — no Final Jeopardy contestants.</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function TvView({
+  room,
+  players,
+  teams,
+  questions,
+  gameState,
+  finalRound,
+  boardLayout,
+  soundReady,
+  enableSoundNow,
+  sfxPlayer,
+}) {
+  const roomCode = room?.code;
   const registrationLink = useMemo(() => {
     const base = PUBLIC_JOIN_URL || window.location.origin;
     const url = new URL('/register', base);
     url.searchParams.set('mode', 'player');
+    if (roomCode) url.searchParams.set('room', roomCode);
     return url.toString();
-  }, []);
+  }, [roomCode]);
 
   // When game is ended, show winners
   if (gameState?.status === 'ended') {
@@ -797,7 +1325,33 @@ function TvView({ players, questions, gameState, soundReady, enableSoundNow, sfx
       </div>
           </div>
         )}
-        <WinnersView players={players} sfxPlayer={sfxPlayer} soundReady={soundReady} />
+        <WinnersView
+          players={players}
+          teams={teams}
+          teamMode={!!gameState?.team_mode}
+          sfxPlayer={sfxPlayer}
+          soundReady={soundReady}
+        />
+      </>
+    );
+  }
+
+  if (gameState?.status === 'final') {
+    return (
+      <>
+        {!soundReady && (
+          <div className="sound-gate">
+            <div className="sound-gate-card">
+              <h2>Tap to enable sound</h2>
+              <p>This TV needs one click/tap before it can play the think music.</p>
+              <p className="muted">(Browser autoplay rule — once enabled, you're set.)</p>
+              <button className="sound-gate-btn" onClick={enableSoundNow}>
+                Enable Sound
+              </button>
+            </div>
+          </div>
+        )}
+        <FinalJeopardyView finalRound={finalRound} sfxPlayer={sfxPlayer} soundReady={soundReady} />
       </>
     );
   }
@@ -824,6 +1378,8 @@ function TvView({ players, questions, gameState, soundReady, enableSoundNow, sfx
           players={players}
           questions={questions}
           gameState={gameState}
+          teams={teams}
+          layout={boardLayout}
           // TV is display-only; picking is done by the current player's phone (or /host).
           selectCard={async () => {}}
           interactive={false}
@@ -845,6 +1401,11 @@ function TvView({ players, questions, gameState, soundReady, enableSoundNow, sfx
       <div className="tv-grid">
         <div className="qr-card">
           <QRCodeSVG value={registrationLink} size={240} />
+          {roomCode && (
+            <p className="room-code">
+              Room code <strong>{roomCode}</strong>
+            </p>
+          )}
           <p className="muted">{registrationLink}</p>
         </div>
         <div className="status-card">
@@ -890,11 +1451,11 @@ function TvView({ players, questions, gameState, soundReady, enableSoundNow, sfx
   );
 }
 
-function PlayerPortal({ refreshPlayers, showToast }) {
+function PlayerPortal({ teams, refreshPlayers, showToast }) {
   const navigate = useNavigate();
   const location = useLocation();
   const [busy, setBusy] = useState(false);
-  const [playerForm, setPlayerForm] = useState({ name: '', photoUrl: '' });
+  const [playerForm, setPlayerForm] = useState({ name: '', photoUrl: '', teamId: '' });
   const [photoFile, setPhotoFile] = useState(null);
 
   useEffect(() => {
@@ -915,8 +1476,10 @@ function PlayerPortal({ refreshPlayers, showToast }) {
       const { data } = await axios.post(`${API_BASE}/players`, {
         name: playerForm.name.trim(),
         photoUrl: photo,
+        teamId: playerForm.teamId || null,
       });
-      setPlayerForm({ name: '', photoUrl: '' });
+      savePlayerToken(data.id, data.deviceToken);
+      setPlayerForm({ name: '', photoUrl: '', teamId: '' });
       setPhotoFile(null);
       await refreshPlayers();
       showToast('Player registered');
@@ -966,6 +1529,22 @@ function PlayerPortal({ refreshPlayers, showToast }) {
               onChange={(e) => setPhotoFile(e.target.files?.[0] || null)}
             />
           </label>
+          {teams.length > 0 && (
+            <label>
+              Team
+              <select
+                value={playerForm.teamId}
+                onChange={(e) => setPlayerForm({ ...playerForm, teamId: e.target.value })}
+              >
+                <option value="">No team</option>
+                {teams.map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {t.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
           <button type="submit" disabled={busy}>
             Register Player
         </button>
@@ -976,11 +1555,16 @@ function PlayerPortal({ refreshPlayers, showToast }) {
 }
 
 function AdminView({
+  deviceRequests = [],
   players,
+  teams,
   questions,
   gameState,
   events,
   buzzQueue,
+  finalRound,
+  rounds,
+  boardLayout,
   sfxMeta,
   refreshQuestions,
   refreshState,
@@ -999,6 +1583,34 @@ function AdminView({
   const [scorePlayerId, setScorePlayerId] = useState('');
   const [scoreDelta, setScoreDelta] = useState('');
   const [scoreSet, setScoreSet] = useState('');
+  const [roundDrafts, setRoundDrafts] = useState({});
+  const [boardBuild, setBoardBuild] = useState({ roundId: '', categoryCount: '' });
+  const [boardPlan, setBoardPlan] = useState(null);
+  const [teamForm, setTeamForm] = useState({ name: '', color: '#e53935' });
+  const [timerForm, setTimerForm] = useState({});
+  const [newRound, setNewRound] = useState({ name: '', kind: 'board', values: '' });
+  const [finalForm, setFinalForm] = useState({ category: '', clueText: '', answer: '' });
+  const [finalAdmin, setFinalAdmin] = useState(null);
+  const [textEdit, setTextEdit] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [revisions, setRevisions] = useState({});
+  const [clueStats, setClueStats] = useState(null);
+  const [cluePlays, setCluePlays] = useState([]);
+  const [duplicates, setDuplicates] = useState([]);
+  const [packs, setPacks] = useState([]);
+  const [packUpload, setPackUpload] = useState(null);
+  const [packPreview, setPackPreview] = useState(null);
+  const [packEdit, setPackEdit] = useState(null);
+  const [packQuestions, setPackQuestions] = useState({});
+  const [packExport, setPackExport] = useState({
+    source: 'board',
+    pack: '',
+    game: '',
+    author: '',
+    media: 'embed',
+    name: '',
+  });
+  const [keepIds, setKeepIds] = useState({});
   const adminTts = useTTS();
   const buzzedPlayer = useMemo(() => {
     if (!gameState?.last_buzz_player_id) return null;
@@ -1010,7 +1622,21 @@ function AdminView({
     return questions.find((q) => q.id === gameState.current_question_id) || null;
   }, [questions, gameState?.current_question_id]);
 
+  const statusCounts = useMemo(() => {
+    const counts = { pending: 0, approved: 0, needs_revision: 0, rejected: 0 };
+    for (const q of questions) counts[q.status || 'approved'] = (counts[q.status || 'approved'] || 0) + 1;
+    return counts;
+  }, [questions]);
+  const shownQuestions = statusFilter
+    ? questions.filter((q) => (q.status || 'approved') === statusFilter)
+    : questions;
+
   const clueActive = !!gameState?.current_question_id || !!gameState?.current_is_placeholder;
+  const everyoneAnswers =
+    clueActive &&
+    gameState?.mc_mode === 'everyone' &&
+    currentQuestion?.type === 'multiple_choice' &&
+    !gameState?.current_is_daily_double;
   const clueText =
     currentQuestion?.questionText || gameState?.current_clue_text || '';
   const answerText =
@@ -1021,96 +1647,658 @@ function AdminView({
     return players.find((p) => p.id === gameState.turn_player_id) || null;
   }, [players, gameState?.turn_player_id]);
 
-  async function toggleQuestionSelection(id, selected) {
-    setBusy(true);
-    try {
-      await axios.post(`${API_BASE}/admin/questions/${id}/select`, {
-        selected,
-      });
-      await refreshQuestions();
-      showToast(selected ? 'Question selected' : 'Question unselected');
-    } catch (err) {
-      console.error(err);
-      showToast('Could not update question', 'error');
-    } finally {
-      setBusy(false);
-    }
+  // The public final:state hides wagers/responses; the admin view fetches the full picture.
+  useEffect(() => {
+    if (gameState?.status !== 'final') return;
+    axios
+      .get(`${API_BASE}/admin/final`)
+      .then(({ data }) => setFinalAdmin(data))
+      .catch((err) => console.error(err));
+  }, [finalRound, gameState?.status]);
+
+  // Clue history only changes when a clue opens or closes.
+  const clueKey = `${gameState?.current_question_id || ''}|${gameState?.current_is_placeholder || 0}`;
+  useEffect(() => {
+    Promise.all([axios.get(`${API_BASE}/admin/clue-stats`), axios.get(`${API_BASE}/admin/clue-plays?limit=10`)])
+      .then(([statsRes, playsRes]) => {
+        setClueStats(statsRes.data);
+        setCluePlays(Array.isArray(playsRes.data) ? playsRes.data : []);
+      })
+      .catch((err) => console.error(err));
+  }, [clueKey]);
+
+  function loadPacks() {
+    return axios
+      .get(`${API_BASE}/admin/question-packs`)
+      .then(({ data }) => setPacks(Array.isArray(data) ? data : []))
+      .catch((err) => console.error(err));
   }
+  useEffect(() => {
+    loadPacks();
+  }, []);
 
-  async function setCurrentQuestion(id) {
+  // Duplicate groups change whenever a question is added, edited or reviewed.
+  useEffect(() => {
+    axios
+      .get(`${API_BASE}/admin/duplicates`)
+      .then(({ data }) => setDuplicates(Array.isArray(data) ? data : []))
+      .catch((err) => console.error(err));
+  }, [questions]);
+
+  async function finalAction(path, payload, message) {
     setBusy(true);
     try {
-      await axios.post(`${API_BASE}/game/current-question`, { questionId: id });
+      const { data } = await axios.post(`${API_BASE}/admin/final/${path}`, payload || {});
+      if (data?.final) setFinalAdmin(data.final);
       await refreshState();
-      showToast('Current question set');
+      showToast(message);
+      return true;
     } catch (err) {
       console.error(err);
-      showToast('Could not set question', 'error');
+      showToast(err.response?.data?.error || 'Final Jeopardy action failed', 'error');
+      return false;
     } finally {
       setBusy(false);
     }
   }
 
-  async function updateQuestionMeta(id, category, points) {
+  async function startFinal(e) {
+    e.preventDefault();
+    const ok = await finalAction('start', finalForm, 'Final Jeopardy started');
+    if (ok) setFinalForm({ category: '', clueText: '', answer: '' });
+  }
+
+  const currentRound = useMemo(
+    () => rounds.find((r) => r.id === gameState?.current_round_id) || null,
+    [rounds, gameState?.current_round_id]
+  );
+  const nextRound = useMemo(() => {
+    if (!currentRound) return null;
+    return rounds.find((r) => r.position > currentRound.position) || null;
+  }, [rounds, currentRound]);
+
+  function parseLadder(text) {
+    return String(text || '')
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map(Number);
+  }
+
+  function roundDraft(r) {
+    return {
+      name: r.name,
+      values: (r.values || []).join(', '),
+      dailyDoubles: String(r.dailyDoubles ?? 0),
+      categoryCount: r.categoryCount ? String(r.categoryCount) : '',
+      categoryOrder: (r.categoryOrder || []).join(', '),
+      ...roundDrafts[r.id],
+    };
+  }
+
+  async function roundAction(method, path, payload, message) {
     setBusy(true);
     try {
-      const payload = {
-        category: category === '' ? null : category,
-        points: points === '' ? null : Number(points),
-      };
-      await axios.patch(`${API_BASE}/admin/questions/${id}/meta`, payload);
-      await refreshQuestions();
-      showToast('Updated');
+      await axios[method](`${API_BASE}/admin/rounds${path}`, payload);
+      await Promise.all([refreshState(), refreshQuestions()]);
+      showToast(message);
+      return true;
     } catch (err) {
       console.error(err);
-      showToast('Could not update', 'error');
+      showToast(err.response?.data?.error || 'Could not update rounds', 'error');
+      return false;
     } finally {
       setBusy(false);
     }
   }
 
-  async function skipCurrent() {
-    if (!gameState?.current_question_id && !gameState?.current_is_placeholder) return;
+  async function saveRound(r) {
+    const d = roundDraft(r);
+    const payload = { name: d.name };
+    if (r.kind === 'board') {
+      payload.values = parseLadder(d.values);
+      payload.dailyDoubles = Number(d.dailyDoubles) || 0;
+      payload.categoryCount = d.categoryCount === '' ? null : Number(d.categoryCount);
+      payload.categoryOrder = d.categoryOrder
+        .split(',')
+        .map((c) => c.trim())
+        .filter(Boolean);
+    }
+    const ok = await roundAction('patch', `/${r.id}`, payload, 'Round saved');
+    if (ok) {
+      setRoundDrafts((prev) => {
+        const next = { ...prev };
+        delete next[r.id];
+        return next;
+      });
+    }
+  }
+
+  async function addRound(e) {
+    e.preventDefault();
+    const payload = { name: newRound.name, kind: newRound.kind };
+    if (newRound.kind === 'board' && newRound.values.trim()) {
+      payload.values = parseLadder(newRound.values);
+    }
+    const ok = await roundAction('post', '', payload, 'Round added');
+    if (ok) setNewRound({ name: '', kind: 'board', values: '' });
+  }
+
+  async function deleteRound(r) {
+    if (!window.confirm(`Delete ${r.name}? Its questions move to the first round.`)) return;
+    await roundAction('delete', `/${r.id}`, undefined, 'Round deleted');
+  }
+
+  async function advanceRound() {
+    await roundAction('post', '/advance', {}, `Now playing ${nextRound?.name || 'the next round'}`);
+  }
+
+  // How the server finds a planned tile's question again (room questions by id, library
+  // ones by pack and position).
+  function boardTileRef(tile) {
+    return {
+      category: tile.category,
+      points: tile.points,
+      questionId: tile.question?.id || undefined,
+      pack: tile.question?.pack ? { key: tile.question.pack.key, position: tile.question.pack.position } : undefined,
+    };
+  }
+
+  // A first build, or a re-roll that keeps the locked tiles.
+  async function buildBoard() {
+    const locks = (boardPlan?.tiles || []).filter((t) => t.locked && t.question).map(boardTileRef);
     setBusy(true);
     try {
-      await axios.post(`${API_BASE}/admin/skip-current`);
-      await Promise.all([refreshState(), refreshQuestions()]);
-      showToast('Question skipped');
+      const { data } = await axios.post(`${API_BASE}/admin/board/build`, {
+        roundId: boardBuild.roundId || boardPlan?.roundId || undefined,
+        categoryCount: boardBuild.categoryCount ? Number(boardBuild.categoryCount) : undefined,
+        locks,
+      });
+      setBoardPlan(data);
     } catch (err) {
       console.error(err);
-      showToast('Could not skip', 'error');
+      showToast(err.response?.data?.error || 'Could not build the board', 'error');
     } finally {
       setBusy(false);
     }
   }
 
-  async function resolveCurrent(correct) {
-    if (!gameState?.last_buzz_player_id) return;
+  function toggleTileLock(tile) {
+    setBoardPlan((prev) => ({
+      ...prev,
+      tiles: prev.tiles.map((t) => (t === tile ? { ...t, locked: !t.locked } : t)),
+    }));
+  }
+
+  async function commitBoard() {
+    if (
+      !window.confirm(
+        `Use this board for ${boardPlan.roundName}?\n\nThe round's other unplayed questions come off the board.`
+      )
+    ) {
+      return;
+    }
     setBusy(true);
     try {
-      await axios.post(`${API_BASE}/admin/resolve-current`, {
-        playerId: gameState.last_buzz_player_id,
-        correct,
+      const { data } = await axios.post(`${API_BASE}/admin/board/build/commit`, {
+        roundId: boardPlan.roundId,
+        categories: boardPlan.categories,
+        tiles: boardPlan.tiles.map(boardTileRef),
       });
+      setBoardPlan(null);
       await Promise.all([refreshState(), refreshQuestions()]);
-      showToast(correct ? 'Marked correct' : 'Marked wrong');
+      showToast(`Board built with ${data.placed} questions (${data.fromHouse} from the house)`);
     } catch (err) {
       console.error(err);
-      showToast('Could not resolve', 'error');
+      showToast(err.response?.data?.error || 'Could not build the board', 'error');
     } finally {
       setBusy(false);
     }
   }
 
-  async function seedDefaults() {
+  async function toggleQuestionSelection(id, selected) {
+    setBusy(true);
+    try {
+      await axios.post(`${API_BASE}/admin/questions/${id}/select`, {
+        selected,
+      });
+      await refreshQuestions();
+      showToast(selected ? 'Question selected' : 'Question unselected');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not update question', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function setCurrentQuestion(id) {
+    setBusy(true);
+    try {
+      await axios.post(`${API_BASE}/game/current-question`, { questionId: id });
+      await refreshState();
+      showToast('Current question set');
+    } catch (err) {
+      console.error(err);
+      showToast('Could not set question', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function updateQuestionMeta(id, category, points, roundId, accepted, rejected) {
+    setBusy(true);
+    try {
+      const payload = {
+        category: category === '' ? null : category,
+        points: points === '' ? null : Number(points),
+        roundId: roundId || null,
+        acceptedAnswers: linesToList(accepted),
+        rejectedAnswers: linesToList(rejected),
+      };
+      await axios.patch(`${API_BASE}/admin/questions/${id}/meta`, payload);
+      await refreshQuestions();
+      showToast('Updated');
+    } catch (err) {
+      console.error(err);
+      showToast('Could not update', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function saveQuestionText(e) {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await axios.patch(`${API_BASE}/admin/questions/${textEdit.id}`, {
+        questionText: textEdit.questionText,
+        answer: textEdit.answer,
+      });
+      if (revisions[textEdit.id]) await toggleRevisions(textEdit.id, true);
+      setTextEdit(null);
+      await refreshQuestions();
+      showToast('Question updated');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not update question', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function reviewQuestion(q, status) {
+    const reason = (draft[`${q.id}:reason`] ?? '').trim();
+    if (status !== 'approved' && !reason) {
+      showToast('Add a reason for the submitter first', 'error');
+      return;
+    }
+    setBusy(true);
+    try {
+      await axios.post(`${API_BASE}/admin/questions/${q.id}/review`, { status, reason });
+      const { [`${q.id}:reason`]: _sent, ...rest } = draft;
+      setDraft(rest);
+      if (revisions[q.id]) await toggleRevisions(q.id, true);
+      await refreshQuestions();
+      showToast(QUESTION_STATUS_LABELS[status]);
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not review question', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function toggleRevisions(id, reload = false) {
+    if (revisions[id] && !reload) {
+      const { [id]: _hidden, ...rest } = revisions;
+      setRevisions(rest);
+      return;
+    }
+    try {
+      const { data } = await axios.get(`${API_BASE}/admin/questions/${id}/revisions`);
+      setRevisions((prev) => ({ ...prev, [id]: Array.isArray(data) ? data : [] }));
+    } catch (err) {
+      console.error(err);
+      showToast('Could not load edit history', 'error');
+    }
+  }
+
+  // Groups are keyed by their oldest question, which is kept unless the host picks another.
+  async function mergeDuplicates(group) {
+    const ids = group.questions.map((q) => q.id);
+    const keepId = keepIds[ids[0]] || ids[0];
+    setBusy(true);
+    try {
+      await axios.post(`${API_BASE}/admin/duplicates/merge`, {
+        keepId,
+        mergeIds: ids.filter((id) => id !== keepId),
+      });
+      await refreshQuestions();
+      showToast('Questions merged');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not merge questions', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function dismissDuplicates(group) {
+    setBusy(true);
+    try {
+      await axios.post(`${API_BASE}/admin/duplicates/dismiss`, {
+        questionIds: group.questions.map((q) => q.id),
+      });
+      setDuplicates(duplicates.filter((g) => g !== group));
+      showToast('Marked as different questions');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not dismiss duplicates', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function discardDuplicate(q) {
+    setBusy(true);
+    try {
+      await axios.post(`${API_BASE}/admin/questions/${q.id}/review`, {
+        status: 'rejected',
+        reason: 'Duplicate of another question',
+      });
+      await refreshQuestions();
+      showToast('Duplicate discarded');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not discard question', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function answerDeviceRequest(id, approve) {
+    setBusy(true);
+    try {
+      if (approve) await axios.post(`${API_BASE}/admin/device-requests/${id}/approve`);
+      else await axios.delete(`${API_BASE}/admin/device-requests/${id}`);
+      showToast(approve ? 'Player moved to the new phone' : 'Request denied');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not update the request', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function uploadQuestionMedia(id, file) {
+    if (!file) return;
+    setBusy(true);
+    try {
+      const dataUrl = await mediaFileToDataUrl(file);
+      await axios.post(`${API_BASE}/admin/questions/${id}/media`, { dataUrl });
+      await refreshQuestions();
+      showToast('Attachment saved');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not upload attachment', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function removeQuestionMedia(id) {
+    setBusy(true);
+    try {
+      await axios.delete(`${API_BASE}/admin/questions/${id}/media`);
+      await refreshQuestions();
+      showToast('Attachment removed');
+    } catch (err) {
+      console.error(err);
+      showToast('Could not remove attachment', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function skipCurrent() {
+    if (!gameState?.current_question_id && !gameState?.current_is_placeholder) return;
+    setBusy(true);
+    try {
+      await axios.post(`${API_BASE}/admin/skip-current`);
+      await Promise.all([refreshState(), refreshQuestions()]);
+      showToast('Question skipped');
+    } catch (err) {
+      console.error(err);
+      showToast('Could not skip', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function setTypedAnswers(enabled) {
+    setBusy(true);
+    try {
+      await axios.post(`${API_BASE}/admin/typed-answers`, { enabled });
+      await refreshState();
+      showToast(enabled ? 'Typed answers on' : 'Typed answers off');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not change answer mode', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function setMcMode(mode) {
+    setBusy(true);
+    try {
+      await axios.post(`${API_BASE}/admin/mc-mode`, { mode });
+      await refreshState();
+      showToast(mode === 'everyone' ? 'Everyone answers multiple choice' : 'Buzz in for multiple choice');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not change multiple-choice mode', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function scoreEveryone() {
+    setBusy(true);
+    try {
+      await axios.post(`${API_BASE}/admin/mc/score`);
+      await Promise.all([refreshState(), refreshQuestions()]);
+      showToast('Choices scored');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not score choices', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function resolveCurrent(correct) {
+    if (!gameState?.last_buzz_player_id) return;
+    setBusy(true);
+    try {
+      await axios.post(`${API_BASE}/admin/resolve-current`, {
+        playerId: gameState.last_buzz_player_id,
+        correct,
+      });
+      await Promise.all([refreshState(), refreshQuestions()]);
+      showToast(correct ? 'Marked correct' : 'Marked wrong');
+    } catch (err) {
+      console.error(err);
+      showToast('Could not resolve', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function seedDefaults() {
+    setBusy(true);
+    try {
+      await axios.post(`${API_BASE}/admin/seed-defaults`, { selectForGame: true });
+      await refreshQuestions();
+      showToast('New question pack seeded');
+    } catch (err) {
+      console.error(err);
+      showToast('Could not add defaults', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function seedPack(pack) {
+    setBusy(true);
+    try {
+      const { data } = await axios.post(`${API_BASE}/admin/seed-defaults`, { selectForGame: true, pack: pack.key });
+      await refreshQuestions();
+      showToast(`Added ${data.inserted} questions from ${pack.name}`);
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not seed the pack', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // The file is read in the browser and sent as text; the server previews it first.
+  async function previewPackFile(file) {
+    if (!file) return;
+    const format = /\.json$/i.test(file.name) ? 'json' : 'csv';
+    const upload = { format, content: await file.text(), name: file.name.replace(/\.[^.]+$/, '') };
+    setPackUpload(upload);
+    setPackPreview(null);
+    try {
+      // Without a name, the preview reports the one inside the file (if any).
+      const { data } = await axios.post(`${API_BASE}/admin/question-packs/preview`, { ...upload, name: undefined });
+      setPackPreview(data);
+      setPackUpload({
+        ...upload,
+        name: data.name || upload.name,
+        author: data.meta?.author || '',
+        year: data.meta?.year ?? '',
+        audience: data.meta?.audience || '',
+      });
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not read the pack', 'error');
+    }
+  }
+
+  async function setGamePack(field, key) {
+    setBusy(true);
+    try {
+      await axios.patch(`${API_BASE}/admin/game-packs`, { [field]: key });
+      await refreshState();
+      showToast(key ? 'Pack chosen for this game' : 'Back to the default pack');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not choose the pack', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function togglePackQuestions(key) {
+    if (packQuestions[key]) {
+      const { [key]: _hidden, ...rest } = packQuestions;
+      setPackQuestions(rest);
+      return;
+    }
+    try {
+      const { data } = await axios.get(`${API_BASE}/admin/question-packs/${key}`);
+      setPackQuestions((prev) => ({ ...prev, [key]: data.questions || [] }));
+    } catch (err) {
+      console.error(err);
+      showToast('Could not load the pack', 'error');
+    }
+  }
+
+  async function savePackEdit(e) {
+    e.preventDefault();
+    const { key, ...meta } = packEdit;
+    setBusy(true);
+    try {
+      await axios.patch(`${API_BASE}/admin/question-packs/${key}`, { ...meta, audience: meta.audience || null });
+      setPackEdit(null);
+      await loadPacks();
+      showToast('Pack updated');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not update the pack', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function deletePack(pack) {
+    if (!window.confirm(`Delete the ${pack.name} pack?\n\nQuestions already on the board stay.`)) return;
+    setBusy(true);
+    try {
+      await axios.delete(`${API_BASE}/admin/question-packs/${pack.key}`);
+      await Promise.all([loadPacks(), refreshState()]);
+      showToast('Pack deleted');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not delete the pack', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // Fetched rather than linked so the admin password goes along; saved through a blob URL.
+  async function exportPack(e) {
+    e.preventDefault();
+    const { source, pack, game, author, media, name } = packExport;
+    const params = { media, name: name.trim() || undefined };
+    if (source === 'pack') params.pack = pack;
+    else if (source === 'game') params.game = game;
+    else Object.assign(params, PACK_EXPORT_SOURCES[source].params, { author: author || undefined });
+    setBusy(true);
+    try {
+      const res = await axios.get(`${API_BASE}/admin/export-pack`, { params, responseType: 'blob' });
+      const filename = /filename="([^"]+)"/.exec(res.headers['content-disposition'] || '')?.[1] || 'pack.json';
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+      const skipped = Number(res.headers['x-pack-skipped']) || 0;
+      showToast(skipped ? `Exported; ${skipped} questions without a tile were left out` : 'Pack exported');
+    } catch (err) {
+      console.error(err);
+      // Errors come back as a blob too.
+      let message = null;
+      try {
+        message = JSON.parse(await err.response.data.text()).error;
+      } catch {
+        // Not a JSON error (or no response at all).
+      }
+      showToast(message || 'Could not export the pack', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function importPack(e) {
+    e.preventDefault();
     setBusy(true);
     try {
-      await axios.post(`${API_BASE}/admin/seed-defaults`, { selectForGame: true, pack: 'holiday2025' });
-      await refreshQuestions();
-      showToast('New question pack seeded');
+      const { data } = await axios.post(`${API_BASE}/admin/question-packs`, {
+        ...packUpload,
+        audience: packUpload.audience || undefined,
+      });
+      setPackUpload(null);
+      setPackPreview(null);
+      await loadPacks();
+      showToast(`Imported ${data.name} (${data.count} questions)`);
     } catch (err) {
       console.error(err);
-      showToast('Could not add defaults', 'error');
+      if (err.response?.data?.preview) setPackPreview(err.response.data.preview);
+      showToast(err.response?.data?.error || 'Could not import the pack', 'error');
     } finally {
       setBusy(false);
     }
@@ -1150,7 +2338,89 @@ function AdminView({
   }
 
   const gameStatus = gameState?.status || 'unknown';
-  const gameRunning = gameStatus === 'active';
+  const gameRunning = gameStatus === 'active' || gameStatus === 'final';
+  const finalReveal = (finalAdmin?.contestants || []).find(
+    (c) => c.playerId === finalAdmin?.revealPlayerId
+  );
+
+  function scoreTargetPath(target) {
+    return target.startsWith('team:')
+      ? `/admin/teams/${target.slice(5)}/score`
+      : `/admin/players/${target}/score`;
+  }
+
+  async function teamAction(method, path, payload, message) {
+    setBusy(true);
+    try {
+      await axios[method](`${API_BASE}${path}`, payload);
+      showToast(message);
+      return true;
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not update teams', 'error');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function createTeam(e) {
+    e.preventDefault();
+    const ok = await teamAction('post', '/admin/teams', teamForm, 'Team created');
+    if (ok) setTeamForm({ name: '', color: teamForm.color });
+  }
+
+  async function deleteTeam(team) {
+    if (!window.confirm(`Delete team ${team.name}? Its players become teamless.`)) return;
+    await teamAction('delete', `/admin/teams/${team.id}`, undefined, 'Team deleted');
+  }
+
+  async function assignTeam(playerId, teamId) {
+    await teamAction(
+      'post',
+      `/admin/players/${playerId}/team`,
+      { teamId: teamId || null },
+      teamId ? 'Team assigned' : 'Removed from team'
+    );
+  }
+
+  async function setTeamMode(enabled) {
+    const ok = await teamAction(
+      'post',
+      '/admin/team-mode',
+      { enabled },
+      enabled ? 'Team play on' : 'Team play off'
+    );
+    if (ok) await refreshState();
+  }
+
+  const timerValues = {
+    clueSeconds: timerForm.clueSeconds ?? gameState?.clue_seconds ?? 10,
+    answerSeconds: timerForm.answerSeconds ?? gameState?.answer_seconds ?? 10,
+    timeoutAction: timerForm.timeoutAction ?? gameState?.timeout_action ?? 'wrong',
+    earlyBuzzLockoutMs: timerForm.earlyBuzzLockoutMs ?? gameState?.early_buzz_lockout_ms ?? 0,
+  };
+
+  async function saveTimers(e) {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await axios.patch(`${API_BASE}/admin/timers`, {
+        clueSeconds: Number(timerValues.clueSeconds),
+        answerSeconds: Number(timerValues.answerSeconds),
+        timeoutAction: timerValues.timeoutAction,
+        earlyBuzzLockoutMs: Number(timerValues.earlyBuzzLockoutMs),
+      });
+      setTimerForm({});
+      await refreshState();
+      showToast('Timers saved');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not save timers', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
 
   async function applyScoreDelta() {
     if (!scorePlayerId) return;
@@ -1158,7 +2428,7 @@ function AdminView({
     if (!Number.isFinite(d) || d === 0) return;
     setBusy(true);
     try {
-      await axios.post(`${API_BASE}/admin/players/${scorePlayerId}/score`, { delta: d });
+      await axios.post(`${API_BASE}${scoreTargetPath(scorePlayerId)}`, { delta: d });
       showToast('Score updated');
       setScoreDelta('');
     } catch (err) {
@@ -1175,7 +2445,7 @@ function AdminView({
     if (!Number.isFinite(s)) return;
     setBusy(true);
     try {
-      await axios.post(`${API_BASE}/admin/players/${scorePlayerId}/score`, { score: s });
+      await axios.post(`${API_BASE}${scoreTargetPath(scorePlayerId)}`, { score: s });
       showToast('Score set');
     } catch (err) {
       console.error(err);
@@ -1224,7 +2494,7 @@ function AdminView({
     try {
       const meta = (sfxMeta || []).find((m) => m.name === name);
       const url = meta?.updatedAt
-        ? `${API_BASE}/sfx/${name}?v=${encodeURIComponent(meta.updatedAt)}`
+        ? withRoom(`${API_BASE}/sfx/${name}?v=${encodeURIComponent(meta.updatedAt)}`)
         : `/sfx/${name}.wav`;
       const a = new Audio(url);
       a.volume = 1.0;
@@ -1265,10 +2535,15 @@ function AdminView({
         </div>
         <div className="button-row">
           {!gameRunning && (
-            <button onClick={startGame} disabled={busy}>
+            <button onClick={() => startGame()} disabled={busy}>
               Start Game
             </button>
           )}
+          {gameStatus === 'active' && nextRound?.kind === 'board' && (
+            <button onClick={advanceRound} disabled={busy || clueActive}>
+              Advance to {nextRound.name}
+            </button>
+          )}
           {gameRunning && (
             <button onClick={endGame} disabled={busy}>
               End Game
@@ -1291,8 +2566,25 @@ function AdminView({
               {gameStatus}
             </strong>
           </p>
+          {currentRound && (
+            <p>
+              Round: <strong>{currentRound.name}</strong>
+            </p>
+          )}
           <p>Buzzer locked: {gameState?.buzzer_locked ? 'Yes' : 'No'}</p>
           <p>Current question: {gameState?.current_question_id || 'Not selected'}</p>
+          {clueActive && gameState?.current_is_daily_double ? (
+            <p>
+              Daily Double:{' '}
+              <strong>
+                {gameState.daily_double_wager !== null && gameState.daily_double_wager !== undefined
+                  ? `$${gameState.daily_double_wager} wagered`
+                  : `waiting for ${turnPlayer?.name || 'the picker'} to wager (max $${
+                      gameState.daily_double_max_wager || '—'
+                    })`}
+              </strong>
+            </p>
+          ) : null}
           <p>
             Turn:{' '}
             {turnPlayer ? (
@@ -1309,6 +2601,24 @@ function AdminView({
                 ).toLocaleTimeString()}`
               : '—'}
           </p>
+          {everyoneAnswers ? (
+            <p>
+              Everyone answers: <strong>{gameState.mc_choice_count || 0}</strong> locked in
+            </p>
+          ) : null}
+          {clueActive && gameState?.typed_answers ? (
+            <p>
+              Typed response:{' '}
+              {gameState.typed_response_id ? (
+                <>
+                  <strong>“{gameState.typed_response}”</strong> — looks{' '}
+                  <strong>{gameState.typed_verdict ? 'correct' : 'wrong'}</strong>
+                </>
+              ) : (
+                <span className="muted">waiting…</span>
+              )}
+            </p>
+          ) : null}
           {clueActive && (
             <div className="button-row">
               {gameState?.last_buzz_player_id ? (
@@ -1321,12 +2631,23 @@ function AdminView({
                   </button>
                 </>
               ) : null}
+              {everyoneAnswers ? (
+                <button onClick={scoreEveryone} disabled={busy}>
+                  Reveal &amp; Score Choices
+                </button>
+              ) : null}
+              {gameState?.typed_response_id ? (
+                <button onClick={() => resolveCurrent(!!gameState.typed_verdict)} disabled={busy}>
+                  Confirm {gameState.typed_verdict ? 'Correct' : 'Wrong'}
+                </button>
+              ) : null}
               <button onClick={skipCurrent} disabled={busy} className="danger">
                 Skip Question (No One Knows)
               </button>
               {gameState?.last_buzz_player_id && (
                 <span className="muted" style={{ marginLeft: 8 }}>
-                  Answer: <strong>{answerText || '—'}</strong>
+                  Answer: <strong>{answerText || '—'}</strong>{' '}
+                  <AnswerLists question={currentQuestion} />
                 </span>
               )}
             </div>
@@ -1347,6 +2668,11 @@ function AdminView({
                   {p.name} ({p.score || 0})
                 </option>
               ))}
+              {teams.map((t) => (
+                <option key={t.id} value={`team:${t.id}`}>
+                  Team {t.name} ({t.score || 0})
+                </option>
+              ))}
             </select>
             <input
               type="number"
@@ -1403,12 +2729,445 @@ function AdminView({
         </div>
       </div>
 
+      <div className="panel">
+        <div className="panel-header">
+          <div>
+            <h2>Timers</h2>
+            <p>
+              The server runs the clock: the clue window opens after reading, and the buzzed
+              player gets the answer window.
+            </p>
+          </div>
+        </div>
+        <form className="chip-row" onSubmit={saveTimers}>
+          <label>
+            Clue seconds
+            <input
+              type="number"
+              min={1}
+              max={120}
+              value={timerValues.clueSeconds}
+              onChange={(e) => setTimerForm({ ...timerForm, clueSeconds: e.target.value })}
+            />
+          </label>
+          <label>
+            Answer seconds
+            <input
+              type="number"
+              min={1}
+              max={120}
+              value={timerValues.answerSeconds}
+              onChange={(e) => setTimerForm({ ...timerForm, answerSeconds: e.target.value })}
+            />
+          </label>
+          <label>
+            When answer time runs out
+            <select
+              value={timerValues.timeoutAction}
+              onChange={(e) => setTimerForm({ ...timerForm, timeoutAction: e.target.value })}
+            >
+              <option value="wrong">Mark wrong (deduct points)</option>
+              <option value="pass">Pass (no deduction)</option>
+              <option value="off">Do nothing (host decides)</option>
+            </select>
+          </label>
+          <label title="Buzzing while the clue is read locks the player out this long. 0 turns the rule off.">
+            Early-buzz lockout (ms)
+            <input
+              type="number"
+              min={0}
+              max={5000}
+              step={50}
+              value={timerValues.earlyBuzzLockoutMs}
+              onChange={(e) => setTimerForm({ ...timerForm, earlyBuzzLockoutMs: e.target.value })}
+            />
+          </label>
+          <button type="submit" disabled={busy}>
+            Save Timers
+          </button>
+        </form>
+        <label className="chip-row" style={{ marginTop: 12 }}>
+          <input
+            type="checkbox"
+            checked={!!gameState?.typed_answers}
+            onChange={(e) => setTypedAnswers(e.target.checked)}
+            disabled={busy}
+          />
+          Typed answers (the buzzed-in player types a response; the server suggests a verdict)
+        </label>
+        <label className="chip-row">
+          Multiple choice
+          <select
+            value={gameState?.mc_mode || 'buzz'}
+            onChange={(e) => setMcMode(e.target.value)}
+            disabled={busy || clueActive}
+          >
+            <option value="buzz">Buzz in, then pick a letter</option>
+            <option value="everyone">Everyone picks a letter</option>
+          </select>
+        </label>
+      </div>
+
+      <div className="panel">
+        <div className="panel-header">
+          <div>
+            <h2>Rounds</h2>
+            <p>
+              Point values (one per row), Daily Doubles, and categories for each board, played in
+              order.
+            </p>
+          </div>
+        </div>
+        {boardLayout?.roundId && (
+          <p className="muted">
+            {boardLayout.roundName} board: {boardLayout.categories.length} ×{' '}
+            {boardLayout.values.length} — {boardLayout.categories.join(' · ') || 'no categories yet'}
+          </p>
+        )}
+        <ul className="list compact">
+          {rounds.map((r) => {
+            const d = roundDraft(r);
+            const setField = (field, value) =>
+              setRoundDrafts((prev) => ({ ...prev, [r.id]: { ...prev[r.id], [field]: value } }));
+            return (
+              <li key={r.id} className="round-row">
+                <div className="chip-row">
+                  <input
+                    type="text"
+                    value={d.name}
+                    onChange={(e) => setField('name', e.target.value)}
+                    disabled={busy}
+                    style={{ width: 160 }}
+                  />
+                  {r.kind === 'board' ? (
+                    <>
+                      <input
+                        type="text"
+                        title="Point values, top row first"
+                        value={d.values}
+                        onChange={(e) => setField('values', e.target.value)}
+                        disabled={busy}
+                        style={{ width: 200 }}
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        max="5"
+                        title="Daily Doubles"
+                        value={d.dailyDoubles}
+                        onChange={(e) => setField('dailyDoubles', e.target.value)}
+                        disabled={busy}
+                        style={{ width: 64 }}
+                      />
+                      <input
+                        type="number"
+                        min="1"
+                        max="12"
+                        title="Categories on the board (blank = all)"
+                        placeholder="All"
+                        value={d.categoryCount}
+                        onChange={(e) => setField('categoryCount', e.target.value)}
+                        disabled={busy}
+                        style={{ width: 64 }}
+                      />
+                      <input
+                        type="text"
+                        title="Category order, left to right (comma separated); the rest follow"
+                        placeholder="Category order"
+                        value={d.categoryOrder}
+                        onChange={(e) => setField('categoryOrder', e.target.value)}
+                        disabled={busy}
+                        style={{ width: 240 }}
+                      />
+                      <span className="muted">
+                        {r.values.length} rows · {r.questionCount} questions
+                      </span>
+                    </>
+                  ) : (
+                    <span className="muted">Final Jeopardy</span>
+                  )}
+                  {currentRound?.id === r.id && <strong className="pill pill-active">now playing</strong>}
+                </div>
+                <div className="button-row">
+                  <button onClick={() => saveRound(r)} disabled={busy}>
+                    Save
+                  </button>
+                  <button
+                    className="danger"
+                    onClick={() => deleteRound(r)}
+                    disabled={busy || (gameRunning && currentRound?.id === r.id)}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+        <form className="chip-row" onSubmit={addRound} style={{ marginTop: 12 }}>
+          <input
+            type="text"
+            placeholder="New round name"
+            value={newRound.name}
+            onChange={(e) => setNewRound({ ...newRound, name: e.target.value })}
+            required
+          />
+          <select
+            value={newRound.kind}
+            onChange={(e) => setNewRound({ ...newRound, kind: e.target.value })}
+          >
+            <option value="board">Board</option>
+            <option value="final">Final Jeopardy</option>
+          </select>
+          {newRound.kind === 'board' && (
+            <input
+              type="text"
+              placeholder="200, 400, 600, 800, 1000"
+              value={newRound.values}
+              onChange={(e) => setNewRound({ ...newRound, values: e.target.value })}
+            />
+          )}
+          <button type="submit" disabled={busy}>
+            Add Round
+          </button>
+        </form>
+      </div>
+
+      <div className="panel">
+        <div className="panel-header">
+          <div>
+            <h2>Board Builder</h2>
+            <p>
+              Fill a round's board from the approved questions: the fullest categories first, one question
+              per tile, authors spread out, and house questions only in the gaps. Click a tile to lock it,
+              then re-roll the rest.
+            </p>
+          </div>
+        </div>
+        <div className="chip-row">
+          <select
+            value={boardBuild.roundId}
+            onChange={(e) => {
+              setBoardBuild({ ...boardBuild, roundId: e.target.value });
+              setBoardPlan(null);
+            }}
+            disabled={busy}
+          >
+            <option value="">Current round</option>
+            {rounds
+              .filter((r) => r.kind === 'board')
+              .map((r) => (
+                <option key={r.id} value={r.id}>
+                  {r.name}
+                </option>
+              ))}
+          </select>
+          <input
+            type="number"
+            min="1"
+            max="12"
+            title="Categories to build (blank = the round's setting, or 6)"
+            placeholder="Categories"
+            value={boardBuild.categoryCount}
+            onChange={(e) => setBoardBuild({ ...boardBuild, categoryCount: e.target.value })}
+            disabled={busy}
+            style={{ width: 110 }}
+          />
+          <button onClick={buildBoard} disabled={busy}>
+            {boardPlan ? 'Re-roll' : 'Build Board'}
+          </button>
+          {boardPlan && (
+            <>
+              <button onClick={commitBoard} disabled={busy || !boardPlan.filled}>
+                Use This Board
+              </button>
+              <button onClick={() => setBoardPlan(null)} disabled={busy}>
+                Cancel
+              </button>
+            </>
+          )}
+        </div>
+        {boardPlan && (
+          <>
+            <p className="muted">
+              {boardPlan.roundName}: {boardPlan.filled} tiles filled
+              {boardPlan.fromHouse ? ` (${boardPlan.fromHouse} from the house)` : ''}
+              {boardPlan.empty ? ` · ${boardPlan.empty} empty` : ''} · {boardPlan.authors} authors
+            </p>
+            <div
+              className="build-grid"
+              style={{ gridTemplateColumns: `repeat(${boardPlan.categories.length}, minmax(0, 1fr))` }}
+            >
+              {boardPlan.categories.map((category) => (
+                <div key={category} className="build-category">
+                  {category}
+                </div>
+              ))}
+              {boardPlan.values.map((points) =>
+                boardPlan.categories.map((category) => {
+                  const tile = boardPlan.tiles.find((t) => t.category === category && t.points === points);
+                  const q = tile?.question;
+                  return (
+                    <button
+                      key={`${category}|${points}`}
+                      className={`build-tile build-${tile?.source || 'empty'} ${tile?.locked ? 'locked' : ''}`}
+                      onClick={() => toggleTileLock(tile)}
+                      disabled={busy || !q}
+                      title={q ? `${q.questionText} — ${q.answer}` : 'Nothing left for this tile'}
+                    >
+                      <strong>
+                        {points}
+                        {tile?.locked ? ' · Locked' : ''}
+                      </strong>
+                      <span>{q ? q.answer : 'Empty'}</span>
+                      {q && (
+                        <span className="muted">
+                          {q.playerName || 'House'}
+                          {q.points !== points && q.points ? ` · was ${q.points}` : ''}
+                        </span>
+                      )}
+                    </button>
+                  );
+                })
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      {gameRunning && (
+        <div className={`panel ${finalReveal ? 'attention' : ''}`}>
+          <div className="panel-header">
+            <div>
+              <h2>Final Jeopardy</h2>
+              <p>
+                {gameStatus === 'final'
+                  ? `Stage: ${finalAdmin?.stage || '—'}`
+                  : 'Players with a positive score wager and answer from their phones.'}
+              </p>
+            </div>
+          </div>
+
+          {gameStatus === 'active' && (
+            <form className="form" onSubmit={startFinal}>
+              <label>
+                Category
+                <input
+                  type="text"
+                  value={finalForm.category}
+                  onChange={(e) => setFinalForm({ ...finalForm, category: e.target.value })}
+                  required
+                />
+              </label>
+              <label>
+                Clue
+                <textarea
+                  value={finalForm.clueText}
+                  onChange={(e) => setFinalForm({ ...finalForm, clueText: e.target.value })}
+                  required
+                />
+              </label>
+              <label>
+                Correct response
+                <input
+                  type="text"
+                  value={finalForm.answer}
+                  onChange={(e) => setFinalForm({ ...finalForm, answer: e.target.value })}
+                  required
+                />
+              </label>
+              <button type="submit" disabled={busy || clueActive}>
+                Start Final Jeopardy
+              </button>
+            </form>
+          )}
+
+          {gameStatus === 'final' && finalAdmin && (
+            <>
+              <div className="state-block">
+                <p>
+                  Category: <strong>{finalAdmin.category}</strong>
+                </p>
+                <p>Clue: {finalAdmin.clueText}</p>
+                <p>
+                  Correct response: <strong>{finalAdmin.answer}</strong>
+                </p>
+              </div>
+              <ul className="list compact" style={{ marginTop: 12 }}>
+                {finalAdmin.contestants.map((c) => (
+                  <li key={c.playerId}>
+                    <span>
+                      {c.playerName} <span className="muted">(${c.startingScore})</span>
+                    </span>
+                    <span className="muted">
+                      {c.wager !== null ? `wager $${c.wager}` : 'no wager'} ·{' '}
+                      {c.response !== null ? `"${c.response || '—'}"` : 'no response'}
+                      {c.judgedAt ? (c.correct ? ' ✓' : ' ✗') : ''}
+                    </span>
+                  </li>
+                ))}
+                {finalAdmin.contestants.length === 0 && (
+                  <li className="muted">No eligible players.</li>
+                )}
+              </ul>
+              <div className="button-row" style={{ marginTop: 12 }}>
+                {finalAdmin.stage === 'wagering' && (
+                  <button onClick={() => finalAction('reveal-clue', {}, 'Clue revealed')} disabled={busy}>
+                    Reveal Clue
+                  </button>
+                )}
+                {finalAdmin.stage === 'answering' && (
+                  <button onClick={() => finalAction('lock', {}, 'Responses locked')} disabled={busy}>
+                    Lock Responses
+                  </button>
+                )}
+                {finalAdmin.stage === 'done' && (
+                  <button onClick={endGame} disabled={busy}>
+                    Show Winners
+                  </button>
+                )}
+              </div>
+              {finalAdmin.stage === 'judging' && finalReveal && (
+                <div className="state-block" style={{ marginTop: 12 }}>
+                  <p className="muted">Now revealing</p>
+                  <p className="attention-name">{finalReveal.playerName}</p>
+                  <p>
+                    Response: <strong>{finalReveal.response || '(no response)'}</strong>
+                  </p>
+                  <p>
+                    Wager: <strong>${finalReveal.wager || 0}</strong>
+                  </p>
+                  <div className="button-row">
+                    <button
+                      onClick={() =>
+                        finalAction('judge', { playerId: finalReveal.playerId, correct: true }, 'Marked correct')
+                      }
+                      disabled={busy}
+                    >
+                      Correct
+                    </button>
+                    <button
+                      onClick={() =>
+                        finalAction('judge', { playerId: finalReveal.playerId, correct: false }, 'Marked wrong')
+                      }
+                      disabled={busy}
+                    >
+                      Wrong
+                    </button>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
       {gameState?.last_buzz_player_id && (
         <div className="panel attention">
           <div className="panel-header">
             <div>
               <h2>Buzzed In</h2>
-              <p>First buzz wins. Mark their answer.</p>
+              <p>Earliest press wins. Mark their answer.</p>
             </div>
           </div>
           {clueActive && (
@@ -1419,6 +3178,13 @@ function AdminView({
               <p className="muted" style={{ marginTop: 10 }}>
                 Correct answer: <strong>{answerText || '—'}</strong>
               </p>
+              <AnswerLists question={currentQuestion} />
+              {gameState?.typed_response_id ? (
+                <p style={{ marginTop: 6 }}>
+                  Typed: <strong>“{gameState.typed_response}”</strong> (server says{' '}
+                  {gameState.typed_verdict ? 'correct' : 'wrong'})
+                </p>
+              ) : null}
             </div>
           )}
           <div className="attention-row">
@@ -1437,6 +3203,11 @@ function AdminView({
                     ? new Date(gameState.last_buzz_time).toLocaleTimeString()
                     : ''}
                 </div>
+                {!gameState.current_is_daily_double && (
+                  <div className="muted buzz-timing">
+                    {buzzTimingLabel(gameState.last_buzz_latency_ms, gameState.last_buzz_offset_ms)}
+                  </div>
+                )}
               </div>
             </div>
             <div className="button-row">
@@ -1476,7 +3247,7 @@ function AdminView({
               <li key={b.id}>
                 <div className="person">
                   {b.hasPhoto ? (
-                    <img className="avatar" src={`${API_BASE}/players/${b.playerId}/photo`} alt={b.playerName} />
+                    <img className="avatar" src={withRoom(`${API_BASE}/players/${b.playerId}/photo`)} alt={b.playerName} />
                   ) : (
                     <div className="avatar fallback">
                       {(b.playerName || '??').slice(0, 2).toUpperCase()}
@@ -1486,6 +3257,7 @@ function AdminView({
                     {idx + 1}. {b.playerName || b.playerId}
                   </span>
                 </div>
+                <span className="muted buzz-timing">{buzzTimingLabel(b.latencyMs, b.offsetMs)}</span>
               </li>
             ))
           ) : (
@@ -1522,6 +3294,103 @@ function AdminView({
         </div>
       </div>
 
+      <div className="panel">
+        <div className="panel-header">
+          <div>
+            <h2>Clue Stats</h2>
+            <p>
+              {clueStats?.totals?.plays
+                ? `${clueStats.totals.plays} clues played: ${clueStats.totals.correct} answered, ${
+                    clueStats.totals.stumped
+                  } stumped everyone, ${clueStats.totals.timed_out} timed out, ${clueStats.totals.skipped} skipped.`
+                : 'Every clue played is recorded here.'}
+            </p>
+          </div>
+        </div>
+        {clueStats?.fastest && (
+          <p className="clue-stats-callout">
+            Fastest buzzer: <strong>{clueStats.fastest.playerName}</strong> ({clueStats.fastest.avgReactionMs} ms
+            average, best {clueStats.fastest.bestReactionMs} ms)
+          </p>
+        )}
+        <div className="clue-stats">
+          <div>
+            <h3>Buzzers</h3>
+            <ul className="list compact">
+              {clueStats?.buzzers?.length ? (
+                clueStats.buzzers.map((b) => (
+                  <li key={b.playerId}>
+                    <strong>{b.playerName}</strong>
+                    <span className="muted buzz-timing">
+                      {b.avgReactionMs != null ? `${b.avgReactionMs} ms avg · ` : ''}
+                      {b.correct} right · {b.wrong} wrong
+                      {b.earlyBuzzes ? ` · ${b.earlyBuzzes} early` : ''}
+                    </span>
+                  </li>
+                ))
+              ) : (
+                <li className="muted">No buzzes yet.</li>
+              )}
+            </ul>
+          </div>
+          <div>
+            <h3>Stumpers</h3>
+            <ul className="list compact">
+              {clueStats?.stumpers?.length ? (
+                clueStats.stumpers.map((c) => (
+                  <li key={c.id}>
+                    <div>
+                      <div className="muted">
+                        {c.category || 'Unknown'} ${c.points ?? ''} ·{' '}
+                        {c.wrongAnswers ? `${c.wrongAnswers} wrong` : 'nobody buzzed'}
+                      </div>
+                      <div>{c.clueText || '—'}</div>
+                      <div className="muted">Answer: {c.answer || '—'}</div>
+                    </div>
+                  </li>
+                ))
+              ) : (
+                <li className="muted">Nothing has stumped the room yet.</li>
+              )}
+            </ul>
+          </div>
+        </div>
+        <h3>Recent Clues</h3>
+        <ul className="list compact">
+          {cluePlays.length ? (
+            cluePlays.map((c) => (
+              <li key={c.id}>
+                <div>
+                  <div className="muted">
+                    {c.category || 'Unknown'} ${c.points ?? ''}
+                    {c.pickedByName ? ` · picked by ${c.pickedByName}` : ''}
+                    {c.dailyDouble ? ' · Daily Double' : ''}
+                  </div>
+                  <div>
+                    {c.result === 'correct' && c.winnerName
+                      ? `${c.winnerName} got it`
+                      : CLUE_RESULT_LABELS[c.result] || 'In play'}
+                    {c.judgments.length
+                      ? ` (${c.judgments
+                          .map((j) => `${j.playerName || '?'} ${j.scoreDelta >= 0 ? '+' : ''}${j.scoreDelta}`)
+                          .join(', ')})`
+                      : ''}
+                  </div>
+                </div>
+                <span className="muted buzz-timing">
+                  {c.buzzes
+                    .filter((b) => b.reactionMs != null)
+                    .map((b) => `${b.playerName || '?'} ${b.reactionMs} ms`)
+                    .join(' · ')}
+                </span>
+              </li>
+            ))
+          ) : (
+            <li className="muted">No clues played yet.</li>
+          )}
+        </ul>
+      </div>
+
       <div className="panel">
         <div className="panel-header">
           <div>
@@ -1555,6 +3424,88 @@ function AdminView({
         </div>
       </div>
 
+      {deviceRequests.length > 0 && (
+        <div className="panel">
+          <div className="panel-header">
+            <div>
+              <h2>Phone Moves</h2>
+              <p>Approving signs the player in on the new phone and signs out the old one.</p>
+            </div>
+          </div>
+          <ul className="list">
+            {deviceRequests.map((r) => (
+              <li key={r.id} className="chip-row">
+                <strong>{r.playerName}</strong>
+                <span className="muted">{new Date(r.createdAt).toLocaleTimeString()}</span>
+                <button onClick={() => answerDeviceRequest(r.id, true)} disabled={busy}>
+                  Approve
+                </button>
+                <button onClick={() => answerDeviceRequest(r.id, false)} disabled={busy}>
+                  Deny
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="panel">
+        <div className="panel-header">
+          <div>
+            <h2>Teams</h2>
+            <p>In team play, points go to the team and each team gets one buzz per clue.</p>
+          </div>
+        </div>
+        <label className="chip-row">
+          <input
+            type="checkbox"
+            checked={!!gameState?.team_mode}
+            onChange={(e) => setTeamMode(e.target.checked)}
+            disabled={busy || clueActive}
+          />
+          Team play
+        </label>
+        <ul className="list compact">
+          {teams.map((t) => (
+            <li key={t.id}>
+              <div className="person">
+                <span className="team-swatch" style={{ background: t.color || '#94a3b8' }} />
+                <strong>{t.name}</strong>
+                <MemberAvatars members={t.members} className="avatar tiny" />
+                <span className="muted">
+                  {t.members.map((m) => m.name).join(', ') || 'no players yet'}
+                </span>
+              </div>
+              <div className="button-row">
+                <span className="muted">{t.score || 0} pts</span>
+                <button className="danger" onClick={() => deleteTeam(t)} disabled={busy}>
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+          {teams.length === 0 && <li className="muted">No teams yet.</li>}
+        </ul>
+        <form className="chip-row" onSubmit={createTeam} style={{ marginTop: 12 }}>
+          <input
+            type="text"
+            placeholder="Team name"
+            value={teamForm.name}
+            onChange={(e) => setTeamForm({ ...teamForm, name: e.target.value })}
+            required
+          />
+          <input
+            type="color"
+            title="Team color"
+            value={teamForm.color}
+            onChange={(e) => setTeamForm({ ...teamForm, color: e.target.value })}
+          />
+          <button type="submit" disabled={busy}>
+            Add Team
+          </button>
+        </form>
+      </div>
+
       <div className="panel">
         <div className="panel-header">
           <div>
@@ -1578,6 +3529,20 @@ function AdminView({
                   <span>{p.name}</span>
                 </div>
                 <div className="button-row">
+                  {teams.length > 0 && (
+                    <select
+                      value={p.teamId || ''}
+                      onChange={(e) => assignTeam(p.id, e.target.value)}
+                      disabled={busy}
+                    >
+                      <option value="">No team</option>
+                      {teams.map((t) => (
+                        <option key={t.id} value={t.id}>
+                          {t.name}
+                        </option>
+                      ))}
+                    </select>
+                  )}
                   <span className="muted">{p.score || 0} pts</span>
                   <button className="danger" onClick={() => deletePlayer(p.id, p.name)} disabled={busy}>
                     Delete
@@ -1588,13 +3553,390 @@ function AdminView({
         </ul>
       </div>
 
+      <div className="panel">
+        <div className="panel-header">
+          <div>
+            <h2>Question Packs</h2>
+            <p>
+              Choose which pack seeds this game and which fills empty tiles, seed the board from any pack,
+              or import one from a CSV or JSON file.
+            </p>
+          </div>
+        </div>
+        <ul className="list pack-library">
+          {packs.map((pack) => {
+            const seeds = gameState?.seed_pack_key === pack.key;
+            const fills = gameState?.fill_pack_key === pack.key;
+            return (
+              <li key={pack.key}>
+                <div>
+                  {packEdit?.key === pack.key ? (
+                    <form className="form" onSubmit={savePackEdit}>
+                      <input
+                        type="text"
+                        value={packEdit.name}
+                        onChange={(e) => setPackEdit({ ...packEdit, name: e.target.value })}
+                        placeholder="Name"
+                      />
+                      <textarea
+                        rows={2}
+                        value={packEdit.description}
+                        onChange={(e) => setPackEdit({ ...packEdit, description: e.target.value })}
+                        placeholder="Description"
+                      />
+                      <div className="chip-row">
+                        <input
+                          type="text"
+                          value={packEdit.author}
+                          onChange={(e) => setPackEdit({ ...packEdit, author: e.target.value })}
+                          placeholder="Author"
+                        />
+                        <input
+                          type="number"
+                          value={packEdit.year}
+                          onChange={(e) => setPackEdit({ ...packEdit, year: e.target.value })}
+                          placeholder="Year"
+                        />
+                        <select
+                          value={packEdit.audience}
+                          onChange={(e) => setPackEdit({ ...packEdit, audience: e.target.value })}
+                        >
+                          <option value="">Any audience</option>
+                          {Object.entries(PACK_AUDIENCE_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="button-row">
+                        <button type="submit" disabled={busy}>
+                          Save Pack
+                        </button>
+                        <button type="button" onClick={() => setPackEdit(null)} disabled={busy}>
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  ) : (
+                    <>
+                      <p>
+                        <strong>{pack.name}</strong>{' '}
+                        {seeds && <span className="status-chip status-approved">Seeds this game</span>}{' '}
+                        {fills && <span className="status-chip status-needs_revision">Fills empty tiles</span>}
+                      </p>
+                      <p className="muted">
+                        {[
+                          pack.author,
+                          pack.year,
+                          PACK_AUDIENCE_LABELS[pack.audience],
+                          `${pack.count} questions`,
+                          PACK_SOURCE_LABELS[pack.source],
+                        ]
+                          .filter(Boolean)
+                          .join(' · ')}
+                      </p>
+                      {pack.description && <p>{pack.description}</p>}
+                    </>
+                  )}
+                  <div className="chip-row">
+                    <button onClick={() => seedPack(pack)} disabled={busy || !pack.count}>
+                      Seed
+                    </button>
+                    <button onClick={() => setGamePack('seedPack', seeds ? null : pack.key)} disabled={busy}>
+                      {seeds ? 'Stop Seeding From This' : 'Seed This Game'}
+                    </button>
+                    <button onClick={() => setGamePack('fillPack', fills ? null : pack.key)} disabled={busy}>
+                      {fills ? 'Stop Filling Tiles' : 'Fill Empty Tiles'}
+                    </button>
+                    <button onClick={() => togglePackQuestions(pack.key)} disabled={busy}>
+                      {packQuestions[pack.key] ? 'Hide Questions' : 'Questions'}
+                    </button>
+                    <button
+                      onClick={() =>
+                        setPackEdit({
+                          key: pack.key,
+                          name: pack.name,
+                          description: pack.description || '',
+                          author: pack.author || '',
+                          year: pack.year ?? '',
+                          audience: pack.audience || '',
+                        })
+                      }
+                      disabled={busy}
+                    >
+                      Edit
+                    </button>
+                    <button onClick={() => deletePack(pack)} disabled={busy}>
+                      Delete
+                    </button>
+                  </div>
+                  {packQuestions[pack.key] && (
+                    <ul className="list compact pack-preview">
+                      {packQuestions[pack.key].map((q, i) => (
+                        <li key={i}>
+                          <div>
+                            <div className="muted">
+                              {q.category} · {q.points}
+                            </div>
+                            <div>
+                              {q.questionText} <strong>{q.answer}</strong>
+                            </div>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+        <form className="form" onSubmit={importPack}>
+          <label>
+            Pack file (columns: category, points, clue, answer, alternates, options)
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={(e) => {
+                previewPackFile(e.target.files?.[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+          {packUpload && (
+            <>
+              <label>
+                Pack name
+                <input
+                  type="text"
+                  value={packUpload.name}
+                  onChange={(e) => setPackUpload({ ...packUpload, name: e.target.value })}
+                />
+              </label>
+              <div className="chip-row">
+                <input
+                  type="text"
+                  value={packUpload.author || ''}
+                  onChange={(e) => setPackUpload({ ...packUpload, author: e.target.value })}
+                  placeholder="Author"
+                />
+                <input
+                  type="number"
+                  value={packUpload.year || ''}
+                  onChange={(e) => setPackUpload({ ...packUpload, year: e.target.value })}
+                  placeholder="Year"
+                />
+                <select
+                  value={packUpload.audience || ''}
+                  onChange={(e) => setPackUpload({ ...packUpload, audience: e.target.value })}
+                >
+                  <option value="">Any audience</option>
+                  {Object.entries(PACK_AUDIENCE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </>
+          )}
+          {packPreview && (
+            <>
+              <p className="muted">
+                {packPreview.valid} of {packPreview.total} rows ready
+                {packPreview.collisions ? ` · ${packPreview.collisions} share a tile` : ''}
+              </p>
+              <ul className="list compact pack-preview">
+                {packPreview.rows.map((r) => (
+                  <li key={r.row} className={r.errors.length ? 'pack-row-error' : ''}>
+                    <div>
+                      <div className="muted">
+                        Row {r.row} · {r.question.category || '—'} · {r.question.points || '—'}
+                      </div>
+                      <div>
+                        {r.question.questionText || '—'} <strong>{r.question.answer}</strong>
+                      </div>
+                      {[...r.errors, ...r.warnings].map((message) => (
+                        <div key={message} className="pack-row-note">
+                          {message}
+                        </div>
+                      ))}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+              <div className="button-row">
+                <button
+                  type="submit"
+                  disabled={busy || !packUpload?.name.trim() || packPreview.valid < packPreview.total}
+                >
+                  Import {packPreview.total} Questions
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setPackUpload(null);
+                    setPackPreview(null);
+                  }}
+                  disabled={busy}
+                >
+                  Cancel
+                </button>
+              </div>
+            </>
+          )}
+        </form>
+        <form className="form pack-export" onSubmit={exportPack}>
+          <h3>Export</h3>
+          <div className="chip-row">
+            <select
+              value={packExport.source}
+              onChange={(e) => setPackExport({ ...packExport, source: e.target.value })}
+            >
+              {Object.entries(PACK_EXPORT_SOURCES).map(([value, { label }]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            {packExport.source === 'pack' && (
+              <select
+                value={packExport.pack}
+                onChange={(e) => setPackExport({ ...packExport, pack: e.target.value })}
+              >
+                <option value="">Choose a pack</option>
+                {packs.map((pack) => (
+                  <option key={pack.key} value={pack.key}>
+                    {pack.name}
+                  </option>
+                ))}
+              </select>
+            )}
+            {packExport.source === 'game' && (
+              <input
+                type="number"
+                min={1}
+                value={packExport.game}
+                onChange={(e) => setPackExport({ ...packExport, game: e.target.value })}
+                placeholder="Game number"
+              />
+            )}
+            {PACK_EXPORT_SOURCES[packExport.source].params && (
+              <select
+                value={packExport.author}
+                onChange={(e) => setPackExport({ ...packExport, author: e.target.value })}
+              >
+                <option value="">Everyone's questions</option>
+                {players.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+            )}
+            {packExport.source !== 'game' && (
+              <select
+                value={packExport.media}
+                onChange={(e) => setPackExport({ ...packExport, media: e.target.value })}
+              >
+                <option value="embed">Include attachments</option>
+                <option value="none">No attachments</option>
+              </select>
+            )}
+          </div>
+          <div className="button-row">
+            <input
+              type="text"
+              value={packExport.name}
+              onChange={(e) => setPackExport({ ...packExport, name: e.target.value })}
+              placeholder="Pack name (optional)"
+            />
+            <button
+              type="submit"
+              disabled={
+                busy ||
+                (packExport.source === 'pack' && !packExport.pack) ||
+                (packExport.source === 'game' && !packExport.game)
+              }
+            >
+              Download Pack
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {duplicates.length > 0 && (
+        <div className="panel">
+          <div className="panel-header">
+            <div>
+              <h2>Possible Duplicates</h2>
+              <p>Merging keeps the chosen question and adds the others' answers as alternates.</p>
+            </div>
+          </div>
+          <ul className="list duplicate-groups">
+            {duplicates.map((group) => {
+              const groupKey = group.questions[0].id;
+              const keepId = keepIds[groupKey] || groupKey;
+              return (
+                <li key={groupKey}>
+                  <div>
+                    <p className="muted">{Math.round(group.score * 100)}% alike</p>
+                    {group.questions.map((q) => (
+                      <label key={q.id} className="duplicate-option">
+                        <input
+                          type="radio"
+                          name={`keep-${groupKey}`}
+                          checked={keepId === q.id}
+                          onChange={() => setKeepIds({ ...keepIds, [groupKey]: q.id })}
+                        />
+                        <span>
+                          <strong>{q.questionText}</strong>
+                          <span className="muted">
+                            {' '}
+                            — {q.answer} · {q.playerName} <QuestionStatus question={q} />
+                          </span>
+                        </span>
+                        <button type="button" onClick={() => discardDuplicate(q)} disabled={busy}>
+                          Discard
+                        </button>
+                      </label>
+                    ))}
+                    <div className="button-row">
+                      <button onClick={() => mergeDuplicates(group)} disabled={busy}>
+                        Merge Into Selected
+                      </button>
+                      <button onClick={() => dismissDuplicates(group)} disabled={busy}>
+                        Not Duplicates
+                      </button>
+                    </div>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
       <div className="panel">
         <div className="panel-header">
           <div>
             <h2>Questions</h2>
-            <p>Select which questions make it to the board.</p>
+            <p>Review submissions and select which questions make it to the board.</p>
           </div>
         </div>
+        <div className="chip-row status-counts">
+          {Object.entries(statusCounts).map(([status, count]) => (
+            <button
+              key={status}
+              className={statusFilter === status ? 'active' : ''}
+              onClick={() => setStatusFilter(statusFilter === status ? '' : status)}
+            >
+              {QUESTION_STATUS_LABELS[status]}: {count}
+            </button>
+          ))}
+          <span className="muted">{questions.filter((q) => q.selectedForGame).length} on the board</span>
+        </div>
         {questions.length === 0 && (
           <div className="state-block">
             <p>No questions yet.</p>
@@ -1607,14 +3949,96 @@ function AdminView({
         )}
         <div className="list-card scroll">
           <ul className="list">
-            {questions.map((q) => (
+            {shownQuestions.map((q) => (
               <li key={q.id}>
                 <div>
                   <p className="muted">
-                    {q.category || 'No category'}
+                    {q.category || 'No category'} <QuestionStatus question={q} />
                   </p>
-                  <p className="question">{q.questionText}</p>
-                  <p className="muted">Answer: {q.answer}</p>
+                  {q.reviewNote && <p className="muted">Reason: {q.reviewNote}</p>}
+                  <div className="chip-row">
+                    <input
+                      type="text"
+                      placeholder="Reason (for reject / send back)"
+                      value={draft[`${q.id}:reason`] ?? ''}
+                      onChange={(e) => setDraft({ ...draft, [`${q.id}:reason`]: e.target.value })}
+                    />
+                    {q.status !== 'approved' && (
+                      <button onClick={() => reviewQuestion(q, 'approved')} disabled={busy}>
+                        Approve
+                      </button>
+                    )}
+                    <button onClick={() => reviewQuestion(q, 'needs_revision')} disabled={busy}>
+                      Send Back
+                    </button>
+                    <button onClick={() => reviewQuestion(q, 'rejected')} disabled={busy}>
+                      Reject
+                    </button>
+                  </div>
+                  {textEdit?.id === q.id ? (
+                    <form className="form" onSubmit={saveQuestionText}>
+                      <textarea
+                        rows={3}
+                        value={textEdit.questionText}
+                        onChange={(e) => setTextEdit({ ...textEdit, questionText: e.target.value })}
+                      />
+                      <input
+                        type="text"
+                        value={textEdit.answer}
+                        onChange={(e) => setTextEdit({ ...textEdit, answer: e.target.value })}
+                      />
+                      <div className="button-row">
+                        <button type="submit" disabled={busy}>
+                          Save Text
+                        </button>
+                        <button type="button" onClick={() => setTextEdit(null)} disabled={busy}>
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  ) : (
+                    <>
+                      <p className="question">{q.questionText}</p>
+                      <ChoiceList options={q.options} />
+                      <ClueMedia question={q} className="clue-media thumb" />
+                      <p className="muted">
+                        Answer: {q.answer} <AnswerLists question={q} />
+                      </p>
+                    </>
+                  )}
+                  <div className="chip-row">
+                    {textEdit?.id !== q.id && (
+                      <button
+                        onClick={() => setTextEdit({ id: q.id, questionText: q.questionText, answer: q.answer })}
+                        disabled={busy}
+                      >
+                        Edit Text
+                      </button>
+                    )}
+                    <button onClick={() => toggleRevisions(q.id)} disabled={busy}>
+                      {revisions[q.id] ? 'Hide History' : 'History'}
+                    </button>
+                  </div>
+                  <RevisionList revisions={revisions[q.id]} />
+                  <div className="chip-row">
+                    <label className="muted">
+                      {q.media ? 'Replace attachment' : 'Attach image/audio/video'}
+                      <input
+                        type="file"
+                        accept="image/*,audio/*,video/*"
+                        onChange={(e) => {
+                          uploadQuestionMedia(q.id, e.target.files?.[0]);
+                          e.target.value = '';
+                        }}
+                        disabled={busy}
+                      />
+                    </label>
+                    {q.media && (
+                      <button onClick={() => removeQuestionMedia(q.id)} disabled={busy}>
+                        Remove {q.media.kind}
+                      </button>
+                    )}
+                  </div>
                   <p className="muted">
                     Submitted by <Link to={`/${q.playerSlug}`}>{q.playerName}</Link>
                   </p>
@@ -1645,12 +4069,45 @@ function AdminView({
                       }
                       className="points-input"
                     />
+                    <select
+                      value={draft[`${q.id}:roundId`] ?? q.roundId ?? ''}
+                      onChange={(e) =>
+                        setDraft({ ...draft, [`${q.id}:roundId`]: e.target.value })
+                      }
+                    >
+                      {rounds
+                        .filter((r) => r.kind === 'board')
+                        .map((r) => (
+                          <option key={r.id} value={r.id}>
+                            {r.name}
+                          </option>
+                        ))}
+                    </select>
+                    <textarea
+                      rows={2}
+                      placeholder="Also accept (one per line)"
+                      value={draft[`${q.id}:accepted`] ?? (q.acceptedAnswers || []).join('\n')}
+                      onChange={(e) =>
+                        setDraft({ ...draft, [`${q.id}:accepted`]: e.target.value })
+                      }
+                    />
+                    <textarea
+                      rows={2}
+                      placeholder="Don't accept (one per line)"
+                      value={draft[`${q.id}:rejected`] ?? (q.rejectedAnswers || []).join('\n')}
+                      onChange={(e) =>
+                        setDraft({ ...draft, [`${q.id}:rejected`]: e.target.value })
+                      }
+                    />
                     <button
                       onClick={() =>
                         updateQuestionMeta(
                           q.id,
                           draft[`${q.id}:category`] ?? q.category ?? '',
-                          draft[`${q.id}:points`] ?? q.points ?? ''
+                          draft[`${q.id}:points`] ?? q.points ?? '',
+                          draft[`${q.id}:roundId`] ?? q.roundId ?? '',
+                          draft[`${q.id}:accepted`] ?? (q.acceptedAnswers || []).join('\n'),
+                          draft[`${q.id}:rejected`] ?? (q.rejectedAnswers || []).join('\n')
                         )
                       }
                       disabled={busy}
@@ -1664,6 +4121,7 @@ function AdminView({
                     <input
                       type="checkbox"
                       checked={!!q.selectedForGame}
+                      disabled={q.status === 'rejected' || q.status === 'needs_revision'}
                       onChange={(e) => toggleQuestionSelection(q.id, e.target.checked)}
                     />
                     Select
@@ -1759,7 +4217,70 @@ function AdminView({
   }
 }
 
-function PlayerProfile({ buzz, showToast }) {
+// Whether this phone may act as `player`. While a move is waiting for the host, it
+// checks back every few seconds.
+function usePlayerDevice(player, showToast) {
+  const [device, setDevice] = useState(null);
+  const [checks, setChecks] = useState(0);
+  const playerId = player?.id;
+
+  useEffect(() => {
+    if (!playerId) return undefined;
+    let cancelled = false;
+    let timer = null;
+    async function check() {
+      try {
+        const { data } = await axios.get(`${API_BASE}/players/${playerId}/device`, playerRequest(playerId));
+        if (cancelled) return;
+        setDevice(data);
+        if (data.status === 'pending') timer = setTimeout(check, 5000);
+      } catch (err) {
+        console.error(err);
+      }
+    }
+    check();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [playerId, checks]);
+
+  async function requestMove() {
+    try {
+      const { data } = await axios.post(`${API_BASE}/players/${playerId}/device-requests`);
+      savePlayerToken(playerId, data.deviceToken);
+      setChecks((n) => n + 1);
+      showToast('Asked the host to move you to this phone');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not send the request', 'error');
+    }
+  }
+
+  const blocked = !!device?.required && device.status !== 'active';
+  return { device, blocked, requestMove };
+}
+
+function DeviceClaim({ player, device, requestMove }) {
+  const pending = device?.status === 'pending';
+  return (
+    <div className="panel mobile-full device-claim">
+      <h2>{player.name}</h2>
+      {pending ? (
+        <p>Waiting for the host to approve this phone…</p>
+      ) : (
+        <>
+          <p>This phone isn't signed in as {player.name}. If your old phone died, ask the host to move you here.</p>
+          <button type="button" onClick={requestMove}>
+            Move Me to This Phone
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+function PlayerProfile({ buzz, gameState, showToast }) {
   const { slug } = useParams();
   const navigate = useNavigate();
   const [player, setPlayer] = useState(null);
@@ -1771,7 +4292,19 @@ function PlayerProfile({ buzz, showToast }) {
     questionText: '',
     answer: '',
     category: '',
+    accepted: '',
+    rejected: '',
+    type: 'standard',
+    options: '',
   });
+  const [mediaFile, setMediaFile] = useState(null);
+  const [duplicateWarning, setDuplicateWarning] = useState(null);
+  const [myQuestions, setMyQuestions] = useState([]);
+  const [listDrafts, setListDrafts] = useState({});
+  const [questionEdit, setQuestionEdit] = useState(null);
+  const { device, blocked, requestMove } = usePlayerDevice(player, showToast);
+  // Submitted questions can be fixed or withdrawn until the game starts.
+  const questionsOpen = !gameState || gameState.status === 'waiting';
 
   useEffect(() => {
     load();
@@ -1783,12 +4316,112 @@ function PlayerProfile({ buzz, showToast }) {
       setPlayer(data);
       setName(data.name || '');
       setPhotoUrl(data.photoUrl || '');
+      await loadMyQuestions(data.id);
     } catch (err) {
       console.error(err);
       showToast('Player not found', 'error');
     }
   }
 
+  async function loadMyQuestions(playerId) {
+    const { data } = await axios.get(`${API_BASE}/questions`, playerRequest(playerId, { params: { playerId } }));
+    setMyQuestions((Array.isArray(data) ? data : []).filter((q) => q.playerId === playerId));
+  }
+
+  async function attachMedia(questionId, file) {
+    const dataUrl = await mediaFileToDataUrl(file);
+    await axios.post(
+      `${API_BASE}/questions/${questionId}/media`,
+      { playerId: player.id, dataUrl },
+      playerRequest(player.id)
+    );
+  }
+
+  async function changeMedia(q, file) {
+    setBusy(true);
+    try {
+      if (file) {
+        await attachMedia(q.id, file);
+      } else {
+        await axios.delete(
+          `${API_BASE}/questions/${q.id}/media`,
+          playerRequest(player.id, { data: { playerId: player.id } })
+        );
+      }
+      await loadMyQuestions(player.id);
+      showToast(file ? 'Attachment saved' : 'Attachment removed');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not update attachment', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function saveQuestionEdit(e) {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await axios.patch(
+        `${API_BASE}/questions/${questionEdit.id}`,
+        {
+          playerId: player.id,
+          questionText: questionEdit.questionText,
+          answer: questionEdit.answer,
+          category: questionEdit.category.trim() || null,
+        },
+        playerRequest(player.id)
+      );
+      setQuestionEdit(null);
+      await loadMyQuestions(player.id);
+      showToast('Question updated');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not update question', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function withdrawQuestion(q) {
+    if (!window.confirm('Withdraw this question? It will be removed from the game.')) return;
+    setBusy(true);
+    try {
+      await axios.delete(
+        `${API_BASE}/questions/${q.id}`,
+        playerRequest(player.id, { data: { playerId: player.id } })
+      );
+      await loadMyQuestions(player.id);
+      showToast('Question withdrawn');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not withdraw question', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function saveAnswerLists(q) {
+    const d = listDrafts[q.id] || {};
+    setBusy(true);
+    try {
+      await axios.patch(`${API_BASE}/questions/${q.id}/answers`, {
+        playerId: player.id,
+        acceptedAnswers: linesToList(d.accepted ?? q.acceptedAnswers.join('\n')),
+        rejectedAnswers: linesToList(d.rejected ?? q.rejectedAnswers.join('\n')),
+      }, playerRequest(player.id));
+      const { [q.id]: _saved, ...rest } = listDrafts;
+      setListDrafts(rest);
+      await loadMyQuestions(player.id);
+      showToast('Answers updated');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not update answers', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
   async function saveProfile(e) {
     e.preventDefault();
     setBusy(true);
@@ -1798,10 +4431,11 @@ function PlayerProfile({ buzz, showToast }) {
         photo = await fileToDataUrl(photoFile);
       }
 
-      const { data } = await axios.patch(`${API_BASE}/players/${slug}`, {
-        name,
-        photoUrl: photo,
-      });
+      const { data } = await axios.patch(
+        `${API_BASE}/players/${slug}`,
+        { name, photoUrl: photo },
+        playerRequest(player.id)
+      );
       setPlayer(data);
       if (data.slug !== slug) {
         navigate(`/${data.slug}`, { replace: true });
@@ -1823,17 +4457,40 @@ function PlayerProfile({ buzz, showToast }) {
     }
     setBusy(true);
     try {
-      await axios.post(`${API_BASE}/questions`, {
+      const { data: created } = await axios.post(`${API_BASE}/questions`, {
         playerId: player.id,
         questionText: questionForm.questionText.trim(),
         answer: questionForm.answer.trim(),
         category: questionForm.category.trim() || null,
+        acceptedAnswers: linesToList(questionForm.accepted),
+        rejectedAnswers: linesToList(questionForm.rejected),
+        type: questionForm.type,
+        options: questionForm.type === 'multiple_choice' ? linesToList(questionForm.options) : undefined,
+      }, playerRequest(player.id));
+      if (mediaFile) {
+        try {
+          await attachMedia(created.id, mediaFile);
+        } catch (err) {
+          console.error(err);
+          showToast(err.response?.data?.error || 'Question added, but the attachment failed', 'error');
+        }
+        setMediaFile(null);
+      }
+      setQuestionForm({
+        questionText: '',
+        answer: '',
+        category: '',
+        accepted: '',
+        rejected: '',
+        type: questionForm.type,
+        options: '',
       });
-      setQuestionForm({ questionText: '', answer: '', category: '' });
-      showToast('Question added');
+      await loadMyQuestions(player.id);
+      setDuplicateWarning(created.duplicateWarning || null);
+      showToast(created.duplicateWarning || 'Question sent to the host for review');
     } catch (err) {
       console.error(err);
-      showToast('Could not submit question', 'error');
+      showToast(err.response?.data?.error || 'Could not submit question', 'error');
     } finally {
       setBusy(false);
     }
@@ -1847,6 +4504,8 @@ function PlayerProfile({ buzz, showToast }) {
     );
   }
 
+  if (blocked) return <DeviceClaim player={player} device={device} requestMove={requestMove} />;
+
   return (
     <section className="grid single mobile">
       <div className="panel">
@@ -1910,6 +4569,7 @@ function PlayerProfile({ buzz, showToast }) {
             <p>Questions are tied to your profile.</p>
           </div>
         </div>
+        {duplicateWarning && <p className="duplicate-warning">{duplicateWarning}</p>}
         <form className="form" onSubmit={handleQuestionSubmit}>
           <label>
             Question
@@ -1921,6 +4581,28 @@ function PlayerProfile({ buzz, showToast }) {
               required
             />
           </label>
+          <label>
+            Type
+            <select
+              value={questionForm.type}
+              onChange={(e) => setQuestionForm({ ...questionForm, type: e.target.value })}
+            >
+              <option value="standard">Standard</option>
+              <option value="multiple_choice">Multiple choice</option>
+            </select>
+          </label>
+          {questionForm.type === 'multiple_choice' && (
+            <label>
+              Options (one per line, 2–6, including the answer)
+              <textarea
+                rows={4}
+                value={questionForm.options}
+                onChange={(e) => setQuestionForm({ ...questionForm, options: e.target.value })}
+                placeholder={'Dasher\nRudolph\nComet'}
+                required
+              />
+            </label>
+          )}
           <label>
             Answer
             <input
@@ -1943,21 +4625,199 @@ function PlayerProfile({ buzz, showToast }) {
               />
             </label>
           </div>
+          <label>
+            Image, song clip or short video (optional)
+            <input
+              type="file"
+              accept="image/*,audio/*,video/*"
+              onChange={(e) => setMediaFile(e.target.files?.[0] || null)}
+            />
+          </label>
+          <div className="split">
+            <label>
+              Also accept (one per line)
+              <textarea
+                rows={2}
+                value={questionForm.accepted}
+                onChange={(e) => setQuestionForm({ ...questionForm, accepted: e.target.value })}
+                placeholder="Rudolph"
+              />
+            </label>
+            <label>
+              Don't accept (one per line)
+              <textarea
+                rows={2}
+                value={questionForm.rejected}
+                onChange={(e) => setQuestionForm({ ...questionForm, rejected: e.target.value })}
+                placeholder="Dasher"
+              />
+            </label>
+          </div>
           <button type="submit" disabled={busy}>
             Submit Question
           </button>
         </form>
       </div>
+
+      {myQuestions.length > 0 && (
+        <div className="panel">
+          <div className="panel-header">
+            <div>
+              <h2>Your Questions</h2>
+              <p>
+                {questionsOpen
+                  ? 'Fix or withdraw them until the game starts, and tell the host which other answers count.'
+                  : 'Tell the host which other answers count.'}
+              </p>
+            </div>
+          </div>
+          <ul className="list">
+            {myQuestions.map((q) => (
+              <li key={q.id}>
+                <div className="form">
+                  {questionEdit?.id === q.id ? (
+                    <form className="form" onSubmit={saveQuestionEdit}>
+                      <label>
+                        Question
+                        <textarea
+                          rows={3}
+                          value={questionEdit.questionText}
+                          onChange={(e) => setQuestionEdit({ ...questionEdit, questionText: e.target.value })}
+                        />
+                      </label>
+                      <label>
+                        Answer
+                        <input
+                          type="text"
+                          value={questionEdit.answer}
+                          onChange={(e) => setQuestionEdit({ ...questionEdit, answer: e.target.value })}
+                        />
+                      </label>
+                      <label>
+                        Category
+                        <input
+                          type="text"
+                          value={questionEdit.category}
+                          onChange={(e) => setQuestionEdit({ ...questionEdit, category: e.target.value })}
+                        />
+                      </label>
+                      <div className="button-row">
+                        <button type="submit" disabled={busy}>
+                          Save Question
+                        </button>
+                        <button type="button" onClick={() => setQuestionEdit(null)} disabled={busy}>
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  ) : (
+                    <>
+                      <p className="muted">
+                        <QuestionStatus question={q} />
+                      </p>
+                      {q.reviewNote && (q.status === 'rejected' || q.status === 'needs_revision') && (
+                        <p className="review-note">Host says: {q.reviewNote}</p>
+                      )}
+                      <p className="question">{q.questionText}</p>
+                      <ChoiceList options={q.options} />
+                      <ClueMedia question={q} className="clue-media thumb" />
+                      <p className="muted">Answer: {q.answer}</p>
+                      {questionsOpen && (
+                        <div className="button-row">
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setQuestionEdit({
+                                id: q.id,
+                                questionText: q.questionText,
+                                answer: q.answer,
+                                category: q.category || '',
+                              })
+                            }
+                            disabled={busy}
+                          >
+                            Edit
+                          </button>
+                          <button type="button" onClick={() => withdrawQuestion(q)} disabled={busy}>
+                            Withdraw
+                          </button>
+                        </div>
+                      )}
+                    </>
+                  )}
+                  {questionsOpen && (
+                    <>
+                      <div className="chip-row">
+                        <label className="muted">
+                          {q.media ? 'Replace attachment' : 'Attach image/audio/video'}
+                          <input
+                            type="file"
+                            accept="image/*,audio/*,video/*"
+                            onChange={(e) => {
+                              const file = e.target.files?.[0];
+                              e.target.value = '';
+                              if (file) changeMedia(q, file);
+                            }}
+                            disabled={busy}
+                          />
+                        </label>
+                        {q.media && (
+                          <button type="button" onClick={() => changeMedia(q, null)} disabled={busy}>
+                            Remove {q.media.kind}
+                          </button>
+                        )}
+                      </div>
+                      <div className="split">
+                        <label>
+                          Also accept
+                          <textarea
+                            rows={2}
+                            value={listDrafts[q.id]?.accepted ?? q.acceptedAnswers.join('\n')}
+                            onChange={(e) =>
+                              setListDrafts({
+                                ...listDrafts,
+                                [q.id]: { ...listDrafts[q.id], accepted: e.target.value },
+                              })
+                            }
+                          />
+                        </label>
+                        <label>
+                          Don't accept
+                          <textarea
+                            rows={2}
+                            value={listDrafts[q.id]?.rejected ?? q.rejectedAnswers.join('\n')}
+                            onChange={(e) =>
+                              setListDrafts({
+                                ...listDrafts,
+                                [q.id]: { ...listDrafts[q.id], rejected: e.target.value },
+                              })
+                            }
+                          />
+                        </label>
+                      </div>
+                      <button onClick={() => saveAnswerLists(q)} disabled={busy || !listDrafts[q.id]}>
+                        Save Answers
+                      </button>
+                    </>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </section>
   );
 }
 
-function HostBoard({ players, questions, gameState, selectCard }) {
+function HostBoard({ players, teams, questions, gameState, boardLayout, selectCard }) {
   return (
     <BoardView
       players={players}
+      teams={teams}
       questions={questions}
       gameState={gameState}
+      layout={boardLayout}
       selectCard={selectCard}
       forcePick={true}
       interactive={true}
@@ -1966,6 +4826,125 @@ function HostBoard({ players, questions, gameState, selectCard }) {
   );
 }
 
+function FinalJeopardyPhone({ player, finalRound, showToast }) {
+  const [busy, setBusy] = useState(false);
+  const [wager, setWager] = useState('');
+  const [response, setResponse] = useState('');
+  const stage = finalRound?.stage || null;
+  const me = (finalRound?.contestants || []).find((c) => c.playerId === player.id) || null;
+
+  async function submitWager(e) {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await axios.post(
+        `${API_BASE}/game/final/wager`,
+        { playerId: player.id, wager: Number(wager) },
+        playerRequest(player.id)
+      );
+      showToast('Wager locked in');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not lock in wager', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function submitResponse(e) {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await axios.post(
+        `${API_BASE}/game/final/response`,
+        { playerId: player.id, response: response.trim() },
+        playerRequest(player.id)
+      );
+      showToast('Response saved');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not save response', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="mobile-buzzer">
+      <div className="buzzer-header">
+        <p>{player.name}</p>
+        <Link className="pill-link" to={`/${player.slug}`}>
+          Profile
+        </Link>
+      </div>
+      <div className="daily-double-title">Final Jeopardy</div>
+      <div className="muted" style={{ color: 'rgba(255,255,255,0.8)' }}>
+        {finalRound?.category || ''}
+      </div>
+
+      {!me && (
+        <div className="muted" style={{ color: 'rgba(255,255,255,0.8)' }}>
+          You need a positive score to play Final Jeopardy. Watch the TV!
+        </div>
+      )}
+
+      {me && stage === 'wagering' && (
+        <>
+          <form className="wager-form" onSubmit={submitWager}>
+            <input
+              type="number"
+              inputMode="numeric"
+              min={0}
+              max={me.startingScore}
+              placeholder="Your wager"
+              value={wager}
+              onChange={(e) => setWager(e.target.value)}
+              required
+            />
+            <button type="submit" disabled={busy || wager === ''}>
+              {me.hasWagered ? 'Change Wager' : 'Lock In Wager'}
+            </button>
+          </form>
+          <div className="muted" style={{ color: 'rgba(255,255,255,0.8)' }}>
+            {me.hasWagered
+              ? 'Wager locked ✓ (you can change it until the clue is shown)'
+              : `Wager between $0 and $${me.startingScore}`}
+          </div>
+        </>
+      )}
+
+      {me && stage === 'answering' && (
+        <>
+          <div className="final-phone-clue">{finalRound?.clueText || ''}</div>
+          <form className="wager-form" onSubmit={submitResponse}>
+            <textarea
+              value={response}
+              onChange={(e) => setResponse(e.target.value)}
+              placeholder="What is…"
+              maxLength={200}
+              required
+            />
+            <button type="submit" disabled={busy || !response.trim()}>
+              {me.hasResponded ? 'Update Response' : 'Submit Response'}
+            </button>
+          </form>
+          {me.hasResponded && (
+            <div className="muted" style={{ color: 'rgba(255,255,255,0.8)' }}>
+              Response saved ✓ (you can update it until the host locks responses)
+            </div>
+          )}
+        </>
+      )}
+
+      {me && (stage === 'judging' || stage === 'done') && (
+        <div className="muted" style={{ color: 'rgba(255,255,255,0.8)' }}>
+          Responses are locked. Watch the TV for the reveal!
+        </div>
+      )}
+    </div>
+  );
+}
+
 function BuzzerOnly({ buzz, showToast }) {
   const { slug } = useParams();
   const [player, setPlayer] = useState(null);
@@ -1973,6 +4952,12 @@ function BuzzerOnly({ buzz, showToast }) {
   const [gameState, setGameState] = useState(null);
   const [questions, setQuestions] = useState([]);
   const [pressedKey, setPressedKey] = useState(null);
+  const [wager, setWager] = useState('');
+  const [typedAnswer, setTypedAnswer] = useState('');
+  const [lockedChoice, setLockedChoice] = useState(null);
+  const [finalRound, setFinalRound] = useState(null);
+  const [boardLayout, setBoardLayout] = useState(null);
+  const { device, blocked, requestMove } = usePlayerDevice(player, showToast);
 
   useEffect(() => {
     load();
@@ -1981,10 +4966,24 @@ function BuzzerOnly({ buzz, showToast }) {
   const clueKey = `${gameState?.current_question_id || ''}|${gameState?.current_is_placeholder || 0}|${
     gameState?.current_category || ''
   }|${gameState?.current_points || ''}`;
+  const [now, setNow] = useState(() => Date.now());
+  const [lockedUntil, setLockedUntil] = useState(0);
+  const lockoutRule = (gameState?.early_buzz_lockout_ms || 0) > 0;
+  const lockedOut = lockedUntil > now;
+  const clockRunning = !!(gameState?.buzzer_locked ? gameState?.answer_deadline : gameState?.clue_deadline);
+  const countdown = clueSecondsLeft(gameState, now);
+
+  useEffect(() => {
+    if (!clockRunning && !lockedUntil) return undefined;
+    const t = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(t);
+  }, [clockRunning, lockedUntil]);
 
   useEffect(() => {
     // New clue selected → re-enable buzzer for this phone.
     setPressedKey(null);
+    setLockedUntil(0);
+    setLockedChoice(null);
   }, [clueKey]);
 
   async function load() {
@@ -2001,12 +5000,16 @@ function BuzzerOnly({ buzz, showToast }) {
     // initial load
     (async () => {
       try {
-        const [stateRes, qRes] = await Promise.all([
+        const [stateRes, qRes, finalRes, boardRes] = await Promise.all([
           axios.get(`${API_BASE}/game/state`),
           axios.get(`${API_BASE}/questions`),
+          axios.get(`${API_BASE}/game/final`),
+          axios.get(`${API_BASE}/board`),
         ]);
-        setGameState(stateRes.data);
+        setGameState(withClockOffset(stateRes.data));
         setQuestions(qRes.data);
+        setFinalRound(finalRes.data);
+        setBoardLayout(boardRes.data);
       } catch (err) {
         console.error(err);
       }
@@ -2016,30 +5019,41 @@ function BuzzerOnly({ buzz, showToast }) {
     const socket = ioClient(SOCKET_URL, {
       path: '/socket.io',
       transports: ['websocket', 'polling'],
+      auth: { room: ROOM_CODE },
     });
     socket.on('questions:updated', (q) => setQuestions(Array.isArray(q) ? q : []));
-    socket.on('game:state', (s) => setGameState(s || null));
-    return () => socket.disconnect();
+    socket.on('game:state', (s) => setGameState(withClockOffset(s)));
+    socket.on('final:state', (f) => setFinalRound(f || null));
+    socket.on('board:layout', (b) => setBoardLayout(b || null));
+    const stopClockSync = startClockSync(socket);
+    return () => {
+      stopClockSync();
+      socket.disconnect();
+    };
   }, [slug]);
 
   async function handleBuzz() {
+    const pressedAt = Date.now();
     if (!player) return;
     // Disable immediately after first tap for this clue.
-    if (pressedKey === clueKey) return;
-    // Disable if question is still being read
-    if (gameState?.question_reading) {
+    if (pressedKey === clueKey || lockedOut) return;
+    // Disable if question is still being read (unless jumping the gun is penalized instead)
+    if (gameState?.question_reading && !lockoutRule) {
       showToast('Wait for the question to finish reading', 'info');
       return;
     }
     setPressedKey(clueKey);
     setBusy(true);
     try {
-      await buzz(player.id);
+      await buzz(player.id, pressedAt);
     } catch (err) {
       console.error(err);
       // if request failed, allow retry
       setPressedKey(null);
-      if (err.response?.data?.error) {
+      if (err.response?.data?.lockoutMs) {
+        setLockedUntil(Date.now() + err.response.data.lockoutMs);
+        setNow(Date.now());
+      } else if (err.response?.data?.error) {
         showToast(err.response.data.error, 'error');
       }
     } finally {
@@ -2047,6 +5061,63 @@ function BuzzerOnly({ buzz, showToast }) {
     }
   }
 
+  async function submitAnswer(e, choice) {
+    e.preventDefault();
+    if (!player) return;
+    setBusy(true);
+    try {
+      await axios.post(
+        `${API_BASE}/game/answer`,
+        choice ? { playerId: player.id, choice } : { playerId: player.id, response: typedAnswer },
+        playerRequest(player.id)
+      );
+      setTypedAnswer('');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not send answer', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function lockInChoice(letter) {
+    if (!player || lockedChoice) return;
+    setBusy(true);
+    try {
+      await axios.post(
+        `${API_BASE}/game/mc-choice`,
+        { playerId: player.id, choice: letter },
+        playerRequest(player.id)
+      );
+      setLockedChoice(letter);
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not lock in', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function submitWager(e) {
+    e.preventDefault();
+    if (!player) return;
+    setBusy(true);
+    try {
+      await axios.post(
+        `${API_BASE}/game/daily-double/wager`,
+        { playerId: player.id, wager: Number(wager) },
+        playerRequest(player.id)
+      );
+      setWager('');
+      showToast('Wager locked in');
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not lock in wager', 'error');
+    } finally {
+      setBusy(false);
+    }
+  }
+
   if (!player) {
     return (
       <div className="panel mobile-full">
@@ -2055,8 +5126,62 @@ function BuzzerOnly({ buzz, showToast }) {
     );
   }
 
+  if (blocked) return <DeviceClaim player={player} device={device} requestMove={requestMove} />;
+
+  if (gameState?.status === 'final') {
+    return <FinalJeopardyPhone player={player} finalRound={finalRound} showToast={showToast} />;
+  }
+
   const isMyTurn = !!gameState?.turn_player_id && gameState.turn_player_id === player.id;
+  const currentQuestion = questions.find((q) => q.id === gameState?.current_question_id) || null;
+  const choices = currentQuestion?.type === 'multiple_choice' ? currentQuestion.options : [];
+  const myAnswerTurn =
+    !!gameState?.buzzer_locked &&
+    gameState?.last_buzz_player_id === player.id &&
+    !gameState?.typed_response_id;
+  const mustType = myAnswerTurn && !!gameState?.typed_answers && !choices.length;
+  const everyoneAnswers =
+    choices.length > 0 && gameState?.mc_mode === 'everyone' && !gameState?.current_is_daily_double;
   const clueActive = !!gameState?.current_question_id || !!gameState?.current_is_placeholder;
+  const isDailyDouble = clueActive && !!gameState?.current_is_daily_double;
+  const wagerLocked =
+    gameState?.daily_double_wager !== null && gameState?.daily_double_wager !== undefined;
+
+  // Daily Double: the picker wagers from their phone; nobody else can buzz.
+  if (isDailyDouble && isMyTurn && !wagerLocked) {
+    return (
+      <div className="mobile-buzzer">
+        <div className="buzzer-header">
+          <p>{player.name}</p>
+          <Link className="pill-link" to={`/${player.slug}`}>
+            Profile
+          </Link>
+        </div>
+        <div className="daily-double-title">Daily Double!</div>
+        <div className="muted" style={{ color: 'rgba(255,255,255,0.8)' }}>
+          {gameState?.current_category || ''}
+        </div>
+        <form className="wager-form" onSubmit={submitWager}>
+          <input
+            type="number"
+            inputMode="numeric"
+            min={5}
+            max={gameState?.daily_double_max_wager || undefined}
+            placeholder="Your wager"
+            value={wager}
+            onChange={(e) => setWager(e.target.value)}
+            required
+          />
+          <button type="submit" disabled={busy || !wager}>
+            Lock In Wager
+          </button>
+        </form>
+        <div className="muted" style={{ color: 'rgba(255,255,255,0.8)' }}>
+          Wager between $5 and ${gameState?.daily_double_max_wager || '—'}
+        </div>
+      </div>
+    );
+  }
 
   // If it's your turn and there's no active clue, show a board picker instead of the buzzer.
   if (isMyTurn && !clueActive) {
@@ -2074,14 +5199,14 @@ function BuzzerOnly({ buzz, showToast }) {
           players={[player]}
           questions={questions}
           gameState={gameState}
+          layout={boardLayout}
           interactive={true}
           selectCard={async ({ questionId, category, points }) => {
-            await axios.post(`${API_BASE}/game/select-card`, {
-              questionId,
-              category,
-              points,
-              pickerPlayerId: player.id,
-            });
+            await axios.post(
+              `${API_BASE}/game/select-card`,
+              { questionId, category, points, pickerPlayerId: player.id },
+              playerRequest(player.id)
+            );
           }}
           pickerPlayerId={player.id}
           tvSound={false}
@@ -2099,27 +5224,95 @@ function BuzzerOnly({ buzz, showToast }) {
         </Link>
       </div>
       <div className="muted" style={{ color: 'rgba(255,255,255,0.8)' }}>
-        {gameState?.turn_player_id
+        {isDailyDouble
+          ? isMyTurn
+            ? `Daily Double — you wagered $${gameState.daily_double_wager}. ${
+                gameState?.typed_answers ? 'Type your answer!' : 'Answer out loud!'
+              }`
+            : 'Daily Double — only the picker answers this one'
+          : gameState?.turn_player_id
           ? isMyTurn
             ? 'Your turn to pick'
             : 'Wait for your turn'
           : 'Waiting for the host to set the first turn'}
       </div>
-      <button
-        className="buzzer-button"
-        onClick={handleBuzz}
-        disabled={busy || pressedKey === clueKey || gameState?.question_reading}
-      >
-        {gameState?.question_reading ? 'Reading...' : pressedKey === clueKey ? 'Buzzed' : 'Buzz'}
-      </button>
+      {countdown !== null && (
+        <div className={`clue-timer ${countdown === 0 ? 'done' : ''}`}>{countdown}s</div>
+      )}
+      {everyoneAnswers || (myAnswerTurn && choices.length > 0) ? (
+        <div className="choice-buttons">
+          {choices.map((option, i) => {
+            const letter = OPTION_LETTERS[i];
+            return (
+              <button
+                key={letter}
+                className={lockedChoice === letter ? 'picked' : ''}
+                disabled={busy || !!lockedChoice || (everyoneAnswers && !!gameState?.question_reading)}
+                onClick={(e) => (everyoneAnswers ? lockInChoice(letter) : submitAnswer(e, letter))}
+              >
+                <span className="choice-letter">{letter}</span> {option}
+              </button>
+            );
+          })}
+          {lockedChoice && (
+            <div className="muted" style={{ color: 'rgba(255,255,255,0.8)' }}>
+              Locked in {lockedChoice}. Waiting for everyone else…
+            </div>
+          )}
+        </div>
+      ) : mustType ? (
+        <form className="wager-form" onSubmit={submitAnswer}>
+          <input
+            type="text"
+            autoFocus
+            maxLength={200}
+            placeholder="What is…"
+            value={typedAnswer}
+            onChange={(e) => setTypedAnswer(e.target.value)}
+            required
+          />
+          <button type="submit" disabled={busy || !typedAnswer.trim()}>
+            Send Answer
+          </button>
+        </form>
+      ) : gameState?.typed_response_id && gameState?.last_buzz_player_id === player.id ? (
+        <div className="muted" style={{ color: 'rgba(255,255,255,0.8)' }}>
+          You answered “{gameState.typed_response}”. Waiting for the host…
+        </div>
+      ) : null}
+      {!everyoneAnswers && (
+        <button
+          className={`buzzer-button ${lockedOut ? 'locked-out' : ''}`}
+          onClick={handleBuzz}
+          disabled={
+            busy ||
+            pressedKey === clueKey ||
+            lockedOut ||
+            (gameState?.question_reading && !lockoutRule) ||
+            isDailyDouble
+          }
+        >
+          {isDailyDouble
+            ? 'Daily Double'
+            : lockedOut
+            ? 'Locked Out'
+            : gameState?.question_reading && !lockoutRule
+            ? 'Reading...'
+            : pressedKey === clueKey
+            ? 'Buzzed'
+            : 'Buzz'}
+        </button>
+      )}
     </div>
   );
 }
 
 function BoardView({
   players,
+  teams = [],
   questions,
   gameState,
+  layout = null,
   selectCard,
   forcePick = false,
   pickerPlayerId = null,
@@ -2127,8 +5320,6 @@ function BoardView({
   tvSound = false,
   sfxPlayer = null,
 }) {
-  const ANSWER_SECONDS_TOTAL = 10;
-  const money = [200, 400, 600, 800, 1000];
   const [naOpen, setNaOpen] = useState(false);
   const [naInfo, setNaInfo] = useState({ category: '', points: 0 });
   const [now, setNow] = useState(Date.now());
@@ -2140,15 +5331,21 @@ function BoardView({
   const lastAnswerRef = useRef(null); // Store answer before clue is cleared
   const tts = useTTS();
 
+  // The server decides the grid (round, categories, values) so every screen matches.
+  const roundId = layout?.roundId || null;
+  const money = layout?.values?.length ? layout.values : DEFAULT_POINT_LADDER;
+
   const selected = useMemo(
     () =>
       questions
         .filter((q) => q.selectedForGame)
-        .filter((q) => q.category && q.points),
-    [questions]
+        .filter((q) => q.category && q.points)
+        .filter((q) => !roundId || !q.roundId || q.roundId === roundId),
+    [questions, roundId]
   );
 
   const categories = useMemo(() => {
+    if (layout?.categories) return layout.categories;
     const counts = new Map();
     selected.forEach((q) => {
       const cat = (q.category || '').trim();
@@ -2161,12 +5358,12 @@ function BoardView({
       .map(([cat]) => cat);
     // Only show actual categories, don't pad with placeholders
     return top;
-  }, [selected]);
+  }, [selected, layout?.categories]);
 
   const lookup = useMemo(() => {
     const m = new Map(); // key: `${cat}|${points}` => question
     selected.forEach((q) => {
-      const key = `${q.category.trim()}|${q.points}`;
+      const key = tileKey(q.category, q.points);
       if (!m.has(key)) {
         m.set(key, q);
         return;
@@ -2203,9 +5400,12 @@ function BoardView({
   }, [players, gameState?.turn_player_id]);
 
   const clueActive = !!gameState?.current_question_id || !!gameState?.current_is_placeholder;
+  const isDailyDouble = clueActive && !!gameState?.current_is_daily_double;
+  const dailyDoubleWager = gameState?.daily_double_wager ?? null;
+  // The wager is part of the key so a Daily Double clue "starts" once the wager is locked in.
   const clueKey = `${gameState?.current_question_id || ''}|${gameState?.current_is_placeholder || 0}|${
     gameState?.current_category || ''
-  }|${gameState?.current_points || ''}`;
+  }|${gameState?.current_points || ''}|${dailyDoubleWager ?? ''}`;
 
   // Jeopardy-style: always play at least 5 seconds of thinking music before buzz sound.
   const CLUE_MUSIC_MIN_MS = 5000;
@@ -2213,15 +5413,11 @@ function BoardView({
   const buzzTimeoutRef = useRef(null);
   const buzzPlayedForClueRef = useRef(null);
 
-  const countdown = useMemo(() => {
-    // Jeopardy-style per your rule:
-    // total time window = 10s from tile selection; buzzing claims whatever is left.
-    const clueStart = clueStartMsRef.current;
-    if (!clueStart) return ANSWER_SECONDS_TOTAL;
-    const elapsed = (now - clueStart) / 1000;
-    const remaining = Math.max(0, Math.ceil(ANSWER_SECONDS_TOTAL - elapsed));
-    return remaining;
-  }, [now, clueKey]);
+  // The server owns the clock; before it starts (reading, DD wager) show the full window.
+  const countdown =
+    clueSecondsLeft(gameState, now) ??
+    (gameState?.buzzer_locked ? gameState?.answer_seconds : gameState?.clue_seconds) ??
+    10;
 
   // Track previous clueActive state to detect transitions
   const prevClueActiveRef = useRef(clueActive);
@@ -2307,6 +5503,8 @@ function BoardView({
     if (!tvSound) return; // Only auto-read on TV routes
     if (!clueActive) return;
     if (!tts.isSupported) return;
+    // Daily Double clues stay hidden until the wager is in.
+    if (isDailyDouble && dailyDoubleWager === null) return;
     
     const clueText = currentQuestion?.questionText || gameState?.current_clue_text || '';
     if (!clueText || clueText === 'N/A') return;
@@ -2319,11 +5517,7 @@ function BoardView({
     const timer = setTimeout(async () => {
       // Mark question as being read
       try {
-        await fetch(`${API_BASE}/game/set-question-reading`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ reading: true }),
-        });
+        await axios.post(`${API_BASE}/game/set-question-reading`, { reading: true });
       } catch (err) {
         console.error('Failed to set question reading:', err);
       }
@@ -2332,16 +5526,14 @@ function BoardView({
     }, 300); // Small delay to let overlay appear
     
     return () => clearTimeout(timer);
-  }, [clueKey, clueActive, tvSound, tts, currentQuestion, gameState?.current_clue_text]);
+  }, [clueKey, clueActive, tvSound, tts, currentQuestion, gameState?.current_clue_text, isDailyDouble, dailyDoubleWager]);
 
   // Mark question as done reading when TTS finishes
   useEffect(() => {
     if (!tts.isSpeaking && gameState?.question_reading) {
-      fetch(`${API_BASE}/game/set-question-reading`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ reading: false }),
-      }).catch(err => console.error('Failed to clear question reading:', err));
+      axios
+        .post(`${API_BASE}/game/set-question-reading`, { reading: false })
+        .catch(err => console.error('Failed to clear question reading:', err));
     }
   }, [tts.isSpeaking, gameState?.question_reading]);
 
@@ -2401,12 +5593,12 @@ function BoardView({
       buzzTimeoutRef.current = setTimeout(() => {
         // stop music exactly when buzzer plays
         sfxPlayer.stopCountdown?.();
-        sfxPlayer.buzz?.();
+        if (!isDailyDouble) sfxPlayer.buzz?.();
         buzzPlayedForClueRef.current = clueKey;
         buzzTimeoutRef.current = null;
       }, remaining);
     }
-  }, [tvSound, clueActive, clueKey, sfxPlayer, gameState?.last_buzz_time, gameState?.buzzer_locked]);
+  }, [tvSound, clueActive, clueKey, sfxPlayer, gameState?.last_buzz_time, gameState?.buzzer_locked, isDailyDouble]);
 
   useEffect(() => {
     if (clueActive) setShowClue(true);
@@ -2419,7 +5611,7 @@ function BoardView({
       setNotice('Resolve the current clue first (Admin → Mark Correct/Wrong).');
       return;
     }
-    const q = lookup.get(`${cat}|${pts}`);
+    const q = lookup.get(tileKey(cat, pts));
     if (!q) {
       // Empty tile: backend may fill with default question; show N/A only if not.
       await selectCard({
@@ -2448,6 +5640,7 @@ function BoardView({
   return (
     <div className="jeopardy-screen">
       {notice && <div className="board-notice">{notice}</div>}
+      {layout?.roundName && <div className="round-banner">{layout.roundName}</div>}
       <div className="jeopardy-board">
         <div className="jeopardy-row header">
           {categories.map((cat) => (
@@ -2459,7 +5652,7 @@ function BoardView({
         {money.map((pts) => (
           <div key={pts} className="jeopardy-row">
             {categories.map((cat) => {
-              const q = lookup.get(`${cat}|${pts}`);
+              const q = lookup.get(tileKey(cat, pts));
               const isActive =
                 (q && gameState?.current_question_id === q.id) ||
                 (!q &&
@@ -2485,14 +5678,30 @@ function BoardView({
         ))}
       </div>
 
-      {clueActive && showClue && (
+      {isDailyDouble && dailyDoubleWager === null && (
+        <div className="clue-overlay">
+          <div className="clue-card daily-double-splash">
+            <div className="daily-double-title">Daily Double!</div>
+            <div className="clue-cat">{gameState?.current_category || ''}</div>
+            <div className="buzzed-name">
+              {turnPlayer ? `${turnPlayer.name} is making a wager…` : 'Waiting for a wager…'}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {clueActive && showClue && (!isDailyDouble || dailyDoubleWager !== null) && (
         <div className="clue-overlay">
           <div className="clue-card">
             <div className="clue-top">
               <div className="clue-meta">
                 <div className="clue-cat">{gameState?.current_category || ''}</div>
                 <div className="clue-pts">
-                  {gameState?.current_points ? `$${gameState.current_points}` : ''}
+                  {isDailyDouble
+                    ? `Daily Double · Wager $${dailyDoubleWager}`
+                    : gameState?.current_points
+                    ? `$${gameState.current_points}`
+                    : ''}
                 </div>
               </div>
               <div className={`clue-timer ${countdown === 0 ? 'done' : ''}`}>
@@ -2505,6 +5714,10 @@ function BoardView({
                 gameState?.current_clue_text ||
                 'N/A'}
             </div>
+            <ClueMedia question={currentQuestion} autoPlay={tvSound} />
+            {currentQuestion?.type === 'multiple_choice' && (
+              <ChoiceList options={currentQuestion.options} className="choice-list tv" />
+            )}
             
             {/* Questions auto-read when clue appears - no button needed */}
 
@@ -2518,7 +5731,22 @@ function BoardView({
                       {buzzedPlayer.name.slice(0, 2).toUpperCase()}
                     </div>
                   )}
-                  <div className="buzzed-name">{buzzedPlayer.name} buzzed first</div>
+                  <div>
+                    <div className="buzzed-name">
+                      {isDailyDouble
+                        ? `${buzzedPlayer.name} is answering the Daily Double`
+                        : `${buzzedPlayer.name} buzzed first`}
+                    </div>
+                    {gameState?.typed_response_id ? (
+                      <div className="typed-response">“{gameState.typed_response}”</div>
+                    ) : null}
+                  </div>
+                </div>
+              ) : gameState?.mc_mode === 'everyone' &&
+                currentQuestion?.type === 'multiple_choice' &&
+                !isDailyDouble ? (
+                <div className="muted">
+                  Everyone pick a letter! {gameState.mc_choice_count || 0} locked in
                 </div>
               ) : (
                 <div className="muted">Waiting for someone to buzz…</div>
@@ -2529,13 +5757,17 @@ function BoardView({
                 Turn: {turnPlayer ? turnPlayer.name : '—'}
               </div>
               <div className="scoreboard-mini">
-                {[...players]
-                  .sort((a, b) => (b.score || 0) - (a.score || 0))
+                {buildStandings(players, teams, !!gameState?.team_mode)
                   .slice(0, 6)
                   .map((p) => (
-                    <div key={p.id} className="score-pill">
+                    <div
+                      key={p.id}
+                      className="score-pill"
+                      style={p.color ? { borderColor: p.color } : undefined}
+                    >
+                      {p.isTeam && <MemberAvatars members={p.members} className="avatar tiny" />}
                       <span className="score-name">{p.name}</span>
-                      <span className="score-val">{p.score || 0}</span>
+                      <span className="score-val">{p.score}</span>
                     </div>
                   ))}
               </div>
@@ -2619,11 +5851,187 @@ function PlayersPage({ players }) {
   );
 }
 
+function useAdminAuth() {
+  const [auth, setAuth] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    axios
+      .get(`${API_BASE}/auth/status`)
+      .then(({ data }) => {
+        if (cancelled) return;
+        setAuth(data);
+        // Expired or revoked login: forget it so the page stops sending it.
+        if (ADMIN_TOKEN && data.passcodeSet && !data.authorized) {
+          try {
+            localStorage.removeItem(ADMIN_TOKEN_KEY);
+          } catch {
+            // ignore
+          }
+        }
+      })
+      .catch((err) => console.error(err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return auth;
+}
+
+// Wraps /admin and /host: asks for the passcode, or offers to choose one on first launch.
+function AdminGate({ auth, showToast, children }) {
+  const [passcode, setPasscode] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function submit(e, path) {
+    e.preventDefault();
+    if (!passcode.trim()) return;
+    setBusy(true);
+    try {
+      const { data } = await axios.post(`${API_BASE}/${path}`, { passcode });
+      saveAdminToken(data.token);
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not log in', 'error');
+      setBusy(false);
+    }
+  }
+
+  if (!auth) return <p className="muted">Checking host login…</p>;
+
+  const passcodeForm = (path, label) => (
+    <form className="chip-row" onSubmit={(e) => submit(e, path)}>
+      <input
+        type="password"
+        value={passcode}
+        onChange={(e) => setPasscode(e.target.value)}
+        placeholder="Host passcode"
+        autoComplete={path === 'auth/login' ? 'current-password' : 'new-password'}
+        disabled={busy}
+      />
+      <button type="submit" disabled={busy || !passcode.trim()}>
+        {label}
+      </button>
+    </form>
+  );
+
+  if (!auth.authorized) {
+    return (
+      <section className="panel">
+        <div className="panel-header">
+          <div>
+            <h2>Host Login</h2>
+            <p>Enter the host passcode to run the game from this device.</p>
+          </div>
+        </div>
+        {passcodeForm('auth/login', 'Log In')}
+      </section>
+    );
+  }
+
+  // Answers only reach screens with a host login, so the game can't be run from here
+  // until a passcode is chosen.
+  if (!auth.passcodeSet) {
+    return (
+      <section className="panel">
+        <div className="panel-header">
+          <div>
+            <h2>Choose a Host Passcode</h2>
+            <p>Pick the passcode that runs the game; this device is logged in right away.</p>
+          </div>
+        </div>
+        {passcodeForm('auth/setup', 'Save Passcode')}
+      </section>
+    );
+  }
+
+  return (
+    <>
+      {!auth.fromEnv && (
+        <details className="panel passcode-change">
+          <summary>Change host passcode</summary>
+          {passcodeForm('admin/passcode', 'Change Passcode')}
+        </details>
+      )}
+      {children}
+    </>
+  );
+}
+
+function RoomBar({ room, isHost, showToast }) {
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function joinRoom(e) {
+    e.preventDefault();
+    const wanted = code.trim().toUpperCase();
+    if (!wanted) return;
+    setBusy(true);
+    try {
+      const { data } = await axios.get(`${API_BASE}/rooms/${encodeURIComponent(wanted)}`);
+      switchRoom(data.code);
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.status === 404 ? 'No room with that code' : 'Could not join room', 'error');
+      setBusy(false);
+    }
+  }
+
+  async function newRoom() {
+    setBusy(true);
+    try {
+      const { data } = await axios.post(`${API_BASE}/rooms`, {});
+      switchRoom(data.code);
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.error || 'Could not create room', 'error');
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form className="room-bar chip-row" onSubmit={joinRoom}>
+      <span className="muted">
+        Room <strong>{room?.code || '…'}</strong>
+        {room?.name ? ` · ${room.name}` : ''}
+      </span>
+      <input
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder="Join code"
+        maxLength={8}
+        disabled={busy}
+      />
+      <button type="submit" disabled={busy || !code.trim()}>
+        Join
+      </button>
+      {isHost && (
+        <button type="button" onClick={newRoom} disabled={busy}>
+          New Room
+        </button>
+      )}
+    </form>
+  );
+}
+
 function App() {
   const { toast, showToast } = useToast();
   const location = useLocation();
   const tvMode = location.pathname === '/' || location.pathname === '/board';
-  const game = useGameData(showToast, { enableSfx: tvMode });
+  const screenMode = tvMode || location.pathname === '/admin' || location.pathname === '/host';
+  const game = useGameData(showToast, { enableSfx: tvMode, role: screenMode ? 'screen' : 'player' });
+  const adminAuth = useAdminAuth();
+  const isHost = !!adminAuth?.authorized;
+
+  async function logOut() {
+    try {
+      await axios.post(`${API_BASE}/auth/logout`);
+    } catch (err) {
+      console.error(err);
+    }
+    saveAdminToken('');
+  }
 
   return (
     <div className={`app ${tvMode ? 'tv' : ''}`}>
@@ -2632,6 +6040,7 @@ function App() {
           <h1>Metro Christmas Jeopardy</h1>
           <p className="subtitle">TV display, player portal, and admin control</p>
         </div>
+        {!tvMode && <RoomBar room={game.room} isHost={isHost} showToast={showToast} />}
         {!tvMode && (
           <nav className="tabs">
             <Link className="tab-link" to="/">
@@ -2643,12 +6052,25 @@ function App() {
             <Link className="tab-link" to="/register">
               Register
             </Link>
-            <Link className="tab-link" to="/admin">
-              Admin
-            </Link>
-            <Link className="tab-link" to="/host">
-              Host
-            </Link>
+            {isHost ? (
+              <>
+                <Link className="tab-link" to="/admin">
+                  Admin
+                </Link>
+                <Link className="tab-link" to="/host">
+                  Host
+                </Link>
+              </>
+            ) : (
+              <Link className="tab-link" to="/admin">
+                Host Login
+              </Link>
+            )}
+            {isHost && adminAuth.passcodeSet && (
+              <button type="button" className="tab-link" onClick={logOut}>
+                Log Out
+              </button>
+            )}
           </nav>
         )}
       </header>
@@ -2661,9 +6083,13 @@ function App() {
             path="/"
             element={
               <TvView
+                room={game.room}
                 players={game.players}
+                teams={game.teams}
                 questions={game.questions}
                 gameState={game.gameState}
+                finalRound={game.finalRound}
+                boardLayout={game.boardLayout}
                 soundReady={game.soundReady}
                 enableSoundNow={game.enableSoundNow}
                 sfxPlayer={game.sfx}
@@ -2674,9 +6100,13 @@ function App() {
             path="/board"
             element={
               <TvView
+                room={game.room}
                 players={game.players}
+                teams={game.teams}
                 questions={game.questions}
                 gameState={game.gameState}
+                finalRound={game.finalRound}
+                boardLayout={game.boardLayout}
                 soundReady={game.soundReady}
                 enableSoundNow={game.enableSoundNow}
                 sfxPlayer={game.sfx}
@@ -2686,12 +6116,16 @@ function App() {
           <Route
             path="/host"
             element={
-              <HostBoard
-                players={game.players}
-                questions={game.questions}
-                gameState={game.gameState}
-                selectCard={game.selectCard}
-              />
+              <AdminGate auth={adminAuth} showToast={showToast}>
+                <HostBoard
+                  players={game.players}
+                  teams={game.teams}
+                  questions={game.questions}
+                  gameState={game.gameState}
+                  boardLayout={game.boardLayout}
+                  selectCard={game.selectCard}
+                />
+              </AdminGate>
             }
           />
           <Route
@@ -2702,6 +6136,7 @@ function App() {
             path="/register"
             element={
               <PlayerPortal
+                teams={game.teams}
                 refreshPlayers={game.refreshPlayers}
                 showToast={showToast}
               />
@@ -2711,28 +6146,35 @@ function App() {
           <Route
             path="/admin"
             element={
-              <AdminView
-                players={game.players}
-                questions={game.questions}
-                gameState={game.gameState}
-                events={game.events}
-                buzzQueue={game.buzzQueue}
-                sfxMeta={game.sfxMeta}
-                refreshQuestions={game.refreshQuestions}
-                refreshState={game.refreshState}
-                setCurrentQuestion={game.setCurrentQuestion}
-                startGame={game.startGame}
-                endGame={game.endGame}
-                resetGame={game.resetGame}
-                unlockBuzzer={game.unlockBuzzer}
-                buzz={game.buzz}
-                showToast={showToast}
-              />
+              <AdminGate auth={adminAuth} showToast={showToast}>
+                <AdminView
+                  deviceRequests={game.deviceRequests}
+                  players={game.players}
+                  teams={game.teams}
+                  questions={game.questions}
+                  gameState={game.gameState}
+                  events={game.events}
+                  buzzQueue={game.buzzQueue}
+                  finalRound={game.finalRound}
+                  rounds={game.rounds}
+                  boardLayout={game.boardLayout}
+                  sfxMeta={game.sfxMeta}
+                  refreshQuestions={game.refreshQuestions}
+                  refreshState={game.refreshState}
+                  setCurrentQuestion={game.setCurrentQuestion}
+                  startGame={game.startGame}
+                  endGame={game.endGame}
+                  resetGame={game.resetGame}
+                  unlockBuzzer={game.unlockBuzzer}
+                  buzz={game.buzz}
+                  showToast={showToast}
+                />
+              </AdminGate>
             }
           />
           <Route
             path="/:slug"
-            element={<PlayerProfile buzz={game.buzz} showToast={showToast} />}
+            element={<PlayerProfile buzz={game.buzz} gameState={game.gameState} showToast={showToast} />}
           />
           <Route
             path="/:slug/buzzer"